@@ -0,0 +1,1132 @@
+/**
+ * LocalRank programmatic API.
+ *
+ * Every function returns the same object the matching CLI command prints as
+ * JSON, and throws a LocalRankError subclass on failure.
+ */
+
+export interface ConfigureOptions {
+  /** Overrides LOCALRANK_API_KEY and the config files */
+  apiKey?: string;
+  /** Overrides LOCALRANK_API_URL and the profile's API base */
+  apiBase?: string;
+  /** Config file profile to read the key from; overrides LOCALRANK_PROFILE */
+  profile?: string;
+  /** Request timeout in milliseconds */
+  timeout?: number;
+  /** Retries for failed requests, a whole number of 0 or more (UsageError otherwise) */
+  retries?: number;
+  /** Directory to save every API response to (key scrubbed); null to stop recording */
+  record?: string | null;
+  /** Directory of recorded responses to answer from instead of the API; null to go live again */
+  replay?: string | null;
+  /** Parallel scan detail requests */
+  concurrency?: number;
+  /** Read and write the on-disk response cache (default true) */
+  cache?: boolean;
+  /** Ignore cached responses but store fresh ones */
+  refresh?: boolean;
+  /** Answer purely from cache, never call the API */
+  offline?: boolean;
+  /** Seconds before cached list responses expire */
+  cacheTtl?: number;
+  /** Receives retry notices; null to silence them */
+  log?: ((message: string) => void) | null;
+  /** Applied on top of the rules in the config files */
+  rules?: RuleConfig;
+  /** Replaces the config file's credit_limits */
+  creditLimits?: CreditLimits;
+}
+
+/** Client-side caps on credits spent per local calendar day and month */
+export interface CreditLimits {
+  daily?: number | null;
+  monthly?: number | null;
+}
+
+export interface CreditUsage {
+  today: number;
+  this_month: number;
+  limits: { daily: number | null; monthly: number | null };
+  /** What the tighter cap still allows; null when no cap is set */
+  remaining: number | null;
+}
+
+export interface CreditSpend {
+  timestamp: string;
+  profile: string;
+  command: string;
+  business_name: string | null;
+  gmb_url?: string;
+  audit_id?: string;
+  scan_id?: string;
+  credits: number;
+  /** The API didn't report what the scan cost, so `credits` is the estimate */
+  estimated?: true;
+}
+
+export interface CreditHistory extends CreditUsage {
+  /** Credits across all entries in the window */
+  total: number;
+  count: number;
+  /** Newest first */
+  entries: CreditSpend[];
+}
+
+/** Thresholds behind the portfolio tools. Ranks are average grid positions. */
+export interface Rules {
+  /** A change within +/- this many positions counts as stable */
+  stable_change: number;
+  quick_wins: {
+    min_rank: number;
+    max_rank: number;
+    /** Up to this rank a quick win is High opportunity and makes prioritize:today */
+    high_max_rank: number;
+    limit: number;
+  };
+  priorities: {
+    urgent_drop: number;
+    important_rank: number;
+    limit: number;
+  };
+  at_risk: {
+    drop: number;
+    drop_score: number;
+    poor_rank: number;
+    poor_rank_score: number;
+    /** Fewer scans than this is low engagement */
+    min_scans: number;
+    low_engagement_score: number;
+    /** Clients scoring at least this are listed */
+    min_score: number;
+  };
+  goals: {
+    /** goals:status projects from the trend over this many recent weeks */
+    trend_weeks: number;
+  };
+  digest: {
+    /** digest:weekly lists clients whose latest scan is older than this many days */
+    overdue_scan_days: number;
+  };
+}
+
+type PartialRules = { [K in keyof Rules]?: Rules[K] extends object ? Partial<Rules[K]> : Rules[K] };
+
+/** The `rules` block of a config file. Limits can only be set globally. */
+export interface RuleConfig extends PartialRules {
+  tiers?: Record<string, PartialRules>;
+  /** Keyed by business name, or part of it */
+  businesses?: Record<string, PartialRules & { tier?: string }>;
+}
+
+export interface RuleSource {
+  source: 'global' | 'local' | 'configure()';
+  path: string | null;
+}
+
+export interface RuleValidation {
+  valid: boolean;
+  /** False when business keys couldn't be resolved (no credentials or no connection) */
+  businesses_checked: boolean;
+  sources: RuleSource[];
+  errors: Array<{
+    source: 'global' | 'local' | 'configure()' | 'merged';
+    rule: string | null;
+    message: string;
+  }>;
+}
+
+export interface ListOptions {
+  /** A date (2026-01-01), a window (30d, 8w) or a Date */
+  since?: string | Date;
+  /** Stop after this many pages of API results */
+  maxPages?: number;
+}
+
+/**
+ * Functions taking a business accept a name, UUID or Google place_id. A name
+ * matching several businesses throws AmbiguousBusinessError unless `first`.
+ */
+export interface BusinessOptions {
+  /** Take the best-ranked match instead of throwing on an ambiguous name */
+  first?: boolean;
+}
+
+export interface ConfigInfo {
+  /** Masked */
+  api_key: string | null;
+  /** Null when the key comes from LOCALRANK_API_KEY or configure() */
+  profile: string | null;
+  source: 'configure()' | 'environment variable' | 'global config' | 'local config' | 'not configured';
+  /** Config file the key was read from */
+  path: string | null;
+  api_base: string;
+}
+
+export interface Profile {
+  name: string;
+  /** Masked */
+  api_key: string | null;
+  api_base: string | null;
+  location: 'global' | 'local';
+  path: string;
+  active: boolean;
+  default: boolean;
+}
+
+export interface CacheStats {
+  directory: string;
+  entries: number;
+  size_kb: number;
+  permanent: number;
+  fresh: number;
+  expired: number;
+  oldest: string | null;
+  newest: string | null;
+  ttl_seconds: number;
+}
+
+export interface Business {
+  uuid: string;
+  name: string;
+  place_id: string;
+}
+
+export interface BusinessProfile {
+  uuid: string;
+  name: string;
+  place_id: string | null;
+  address: string | null;
+  phone: string | null;
+  website: string | null;
+  category: string | null;
+  rating: number | null;
+  review_count: number | null;
+  maps_url: string | null;
+  created_at: string | null;
+}
+
+export interface BusinessDetail extends BusinessProfile {
+  keywords: Array<{ keyword: string }>;
+  scans: number;
+  latest_scan: { uuid: string; date: string; status: string; avg_rank: number | null } | null;
+}
+
+export interface BusinessImportRow {
+  /** Line number in the input file */
+  row: number;
+  input: string;
+  /** The normalized Google Maps URL, or null for a place ID or invalid input */
+  url: string | null;
+  business_name: string | null;
+  uuid: string | null;
+  place_id: string | null;
+  /** `exists`: already tracked (by place ID, or by name for links without one) */
+  status: 'planned' | 'created' | 'exists' | 'duplicate' | 'invalid' | 'error';
+  keywords: string[];
+  scan_id?: string;
+  credits: number;
+  error?: string | null;
+}
+
+export interface BusinessImport {
+  file: string;
+  dry_run: boolean;
+  /** Dry runs only: estimated credits for the first scans */
+  estimated_credits?: number;
+  /** Dry runs only: what the credit caps still allow, null without caps */
+  cap_remaining?: number | null;
+  credits_spent?: number;
+  /** Row count by status */
+  summary: Record<string, number>;
+  rows: BusinessImportRow[];
+}
+
+export interface ScanSummary {
+  uuid: string;
+  business_uuid: string;
+  business_name: string;
+  keywords: string[];
+  status: string;
+  avg_rank: number | null;
+  created_at: string;
+  view_url: string | null;
+}
+
+export interface KeywordRanking {
+  keyword: string;
+  avg_rank: number | null;
+  best_rank: number | null;
+  found_count?: number;
+}
+
+export interface ScanOptions {
+  /** Comma-separated string or list, up to 20; default: the business's tracked keywords */
+  keywords?: string | string[];
+  /** Grid points per side: 3, 5, 7 (default), 9, 11, 13 or 15 */
+  gridSize?: number;
+  /** Miles from the business to the edge of the grid, 0.1-30 (default 3) */
+  radius?: number;
+}
+
+export interface ScanPlan {
+  business_name: string;
+  business_uuid: string;
+  keywords: string[];
+  grid_size: number;
+  radius: number;
+  grid_points: number;
+  /** About 1 credit per keyword per grid point; the caps are checked against it */
+  estimated_credits: number;
+}
+
+export interface ScanDryRun extends ScanPlan {
+  dry_run: true;
+  spent_today: number;
+  spent_this_month: number;
+  remaining: number | null;
+  allowed: boolean;
+}
+
+export interface ScanRun extends ScanPlan {
+  scan_id: string;
+  status: string;
+  /** What the API charged, when it says */
+  credits_deducted: number | null;
+  tip: string;
+}
+
+export interface Scan {
+  uuid: string;
+  business_name: string;
+  status: string;
+  avg_rank: number | null;
+  keywords: KeywordRanking[];
+  view_url: string | null;
+}
+
+export interface GridPoint {
+  /** 0 is the northern row */
+  row: number;
+  /** 0 is the western column */
+  col: number;
+  lat: number | null;
+  lng: number | null;
+  /** From the business at the center of the grid */
+  distance_miles: number | null;
+  /** null where the business wasn't found */
+  rank: number | null;
+}
+
+export interface GridRing {
+  /** 0 is the center point, 1 the 8 points around it, and so on */
+  ring: number;
+  distance_miles: number | null;
+  points: number;
+  avg_rank: number | null;
+  top_3_share: number | null;
+  page_1_share: number | null;
+}
+
+export interface GridCoverage {
+  /** Shares of grid points from 0 to 1 */
+  top_3_share: number | null;
+  page_1_share: number | null;
+  found_share: number | null;
+  /** Distance of the first ring where fewer than half the points rank on page 1; null if none */
+  falloff_radius_miles: number | null;
+}
+
+export interface ScanGrid extends Scan {
+  grid_size: number;
+  radius: number | null;
+  center: { lat: number; lng: number } | null;
+  keywords: (KeywordRanking & GridCoverage)[];
+  grid: { keyword: string; rings: GridRing[]; points: GridPoint[] }[];
+}
+
+export interface KeywordWin {
+  keyword: string;
+  from: number;
+  to: number;
+  improved_by: number;
+}
+
+export interface KeywordDrop {
+  keyword: string;
+  from: number;
+  to: number;
+  dropped_by: number;
+}
+
+export interface KeywordMilestone {
+  keyword: string;
+  from: number | null;
+  to: number | null;
+}
+
+export interface Milestones {
+  entered_top_3: KeywordMilestone[];
+  left_top_3: KeywordMilestone[];
+  reached_page_1: KeywordMilestone[];
+  fell_off_page_1: KeywordMilestone[];
+}
+
+export interface ClientReport {
+  business_name: string;
+  latest_scan: {
+    date: string;
+    avg_rank: number | null;
+    keywords: KeywordRanking[];
+  };
+  /** Positions gained since the previous scan (negative = dropped); null with a single scan */
+  avg_rank_change: number | null;
+  wins: KeywordWin[];
+  drops: KeywordDrop[];
+  /** Tracked in the latest scan but not the previous one */
+  new_keywords: Array<{ keyword: string; avg_rank: number | null }>;
+  /** Tracked in the previous scan but not the latest one */
+  removed_keywords: Array<{ keyword: string; last_rank: number | null }>;
+  /** Present when there is a previous scan to compare with */
+  milestones?: Milestones;
+  total_scans: number;
+  view_url?: string;
+}
+
+export interface PeriodOptions {
+  period: 'month' | 'quarter' | 'custom';
+  /** Start of a custom period */
+  from?: string | Date;
+  /** End of the period; month/quarter default to the one containing the latest scan */
+  to?: string | Date;
+  maxPages?: number;
+}
+
+export interface PeriodWindow {
+  label: string;
+  from: string;
+  to: string;
+  scans: number;
+  /** Latest scan in the window */
+  representative_scan: { uuid: string; date: string; avg_rank: number | null } | null;
+}
+
+export interface PeriodComparison {
+  business_name: string;
+  period: 'month' | 'quarter' | 'custom';
+  current: PeriodWindow;
+  previous: PeriodWindow;
+  /** Change in the representative scans' average rank; positive is better */
+  avg_rank_change: number | null;
+  /** Average over keywords tracked in both periods only */
+  like_for_like: {
+    keywords: number;
+    previous_avg_rank: number | null;
+    current_avg_rank: number | null;
+    change: number | null;
+  } | null;
+  keywords: Array<{
+    keyword: string;
+    previous_rank: number | null;
+    current_rank: number | null;
+    change: number | null;
+    status: 'win' | 'drop' | 'unchanged' | 'new' | 'removed';
+  }>;
+  wins: KeywordWin[];
+  drops: KeywordDrop[];
+  new_keywords: Array<{ keyword: string; avg_rank: number | null }>;
+  removed_keywords: Array<{ keyword: string; last_rank: number | null }>;
+  milestones: Milestones;
+  notes: string[];
+  view_url?: string;
+}
+
+export interface TrendOptions extends ListOptions {
+  /** Only use scans created up to this date (a bare date includes the whole day) */
+  until?: string | Date;
+  /** Scans in the moving average (default 3) */
+  window?: number;
+}
+
+export type TrendDirection = 'improving' | 'declining' | 'stable' | 'new' | 'no data';
+
+export interface TrendStats {
+  scans: number;
+  first_rank: number | null;
+  latest_rank: number | null;
+  /** Positive when the rank improved (got lower) */
+  change: number | null;
+  /** Positions gained per week by least squares; positive means climbing, like `change` */
+  trend_per_week: number | null;
+  direction: TrendDirection;
+  /** Standard deviation of the average rank */
+  volatility?: number | null;
+  best_ever?: number;
+  best_ever_date?: string;
+  worst_ever?: number;
+  worst_ever_date?: string;
+  moving_avg?: number;
+}
+
+export interface HistoryPeriod {
+  from: string;
+  to: string;
+  scans: number;
+}
+
+export interface ClientTrends {
+  business_name: string;
+  period: HistoryPeriod;
+  overall: TrendStats;
+  keywords: Array<TrendStats & { keyword: string }>;
+}
+
+export interface KeywordHistory {
+  business_name: string;
+  keyword: string;
+  period: HistoryPeriod;
+  stats: TrendStats;
+  points: Array<{
+    date: string;
+    scan_id: string;
+    avg_rank: number | null;
+    best_rank: number | null;
+    found_count: number | null;
+    moving_avg: number | null;
+  }>;
+}
+
+export type ClientStatus = 'improving' | 'declining' | 'stable' | 'new';
+
+export interface PortfolioSummary {
+  total_clients: number;
+  total_scans: number;
+  improving: number;
+  declining: number;
+  stable: number;
+  avg_rank_across_portfolio: number | null;
+  clients: Array<{
+    name: string;
+    uuid: string | null;
+    status: ClientStatus;
+    avg_rank: number | null;
+    change: number | null;
+    view_url: string | null;
+  }>;
+}
+
+export interface PriorityTask {
+  client: string;
+  task: string;
+  reason: string;
+}
+
+export interface Priorities {
+  priorities: {
+    urgent: PriorityTask[];
+    /** Overdue, then off-track goals from goals:status */
+    goals: PriorityTask[];
+    important: PriorityTask[];
+    quick_wins: Array<{
+      client: string;
+      keyword: string;
+      current_rank: number;
+      positions_to_page_1: number;
+    }>;
+  };
+  tip: string;
+}
+
+/** A client's target, stored locally per account in goals.json under `~/.config/localrank/accounts/` */
+export interface Goal {
+  id: string;
+  business_uuid: string;
+  business_name: string;
+  /** null for an average-rank goal across all keywords */
+  keyword: string | null;
+  target_rank: number;
+  /** YYYY-MM-DD */
+  deadline: string;
+  /** Rank in the latest scan when the goal was set; progress counts from here */
+  baseline_rank: number | null;
+  set_at: string;
+}
+
+export type GoalStatusValue = 'overdue' | 'off track' | 'not enough scans' | 'no data' | 'on track' | 'achieved';
+
+export interface GoalProgress {
+  id: string;
+  business_name: string;
+  keyword: string | null;
+  /** e.g. "Rank 3 for 'emergency plumber'" */
+  goal: string;
+  target_rank: number;
+  deadline: string;
+  /** Negative once the deadline has passed */
+  days_left: number;
+  baseline_rank: number | null;
+  current_rank: number | null;
+  /** Share of the way from baseline_rank to target_rank */
+  progress_pct: number | null;
+  /** Positions gained per week over the recent scans; positive is climbing */
+  trend_per_week: number | null;
+  /** The trend carried forward to the deadline */
+  projected_rank: number | null;
+  /** Positions a week it would have to climb to make the deadline */
+  needed_per_week: number | null;
+  status: GoalStatusValue;
+  latest_scan: string | null;
+}
+
+export interface GoalStatus {
+  /** Overdue and off-track goals first */
+  goals: GoalProgress[];
+  count: number;
+  achieved: number;
+  on_track: number;
+  off_track: number;
+  overdue: number;
+  tip: string;
+}
+
+export interface DigestMover {
+  business_name: string;
+  /** Average rank at the start of the window */
+  from: number;
+  to: number;
+  /** Positive means the client climbed */
+  change: number;
+}
+
+export interface WeeklyDigest {
+  window: { from: string; to: string; since_last_digest: boolean };
+  /** When the previous digest was made, if one was remembered */
+  last_digest: string | null;
+  portfolio: {
+    clients: number;
+    /** Clients with a scan in the window */
+    scanned: number;
+    avg_rank: number | null;
+    /** Clients scanned both before and during the window; avg_rank_change averages their change */
+    compared: number;
+    avg_rank_change: number | null;
+    improving: number;
+    declining: number;
+    stable: number;
+  };
+  movers_up: DigestMover[];
+  movers_down: DigestMover[];
+  /** prioritize:today's urgent, then important items for clients scanned in the window */
+  needs_attention: Array<PriorityTask & { priority: 'urgent' | 'important' }>;
+  /** Quick wins of clients scanned in the window that weren't in the last digest */
+  new_quick_wins: QuickWin[];
+  /** Every current quick win, not cut to quick_wins.limit */
+  quick_wins: number;
+  newly_at_risk: AtRiskClients['at_risk_clients'];
+  at_risk: number;
+  overdue_scans: Array<{ business_name: string; last_scan: string; days_since: number }>;
+  /** False with dryRun: the next digest still compares with the last saved one */
+  saved: boolean;
+  markdown: string;
+}
+
+export interface QuickWin {
+  business_name: string;
+  business_uuid: string | null;
+  keyword: string;
+  current_rank: number;
+  positions_to_page_1: number;
+  opportunity: 'High' | 'Medium';
+}
+
+export interface QuickWins {
+  quick_wins: QuickWin[];
+  total: number;
+  tip: string;
+}
+
+export interface AtRiskClients {
+  at_risk_clients: Array<{
+    business_name: string;
+    business_uuid: string | null;
+    risk_score: number;
+    risk_factors: string[];
+    action: string;
+  }>;
+  tip: string;
+}
+
+export interface AuditRun {
+  audit_id: string;
+  status: string;
+  share_url: string;
+  credits_deducted: number;
+  tip: string;
+}
+
+export interface Audit {
+  audit_id: string;
+  status: string;
+  business_name: string;
+  audit_score?: number;
+  review_stats?: Record<string, unknown>;
+  revenue_impact?: Record<string, unknown>;
+  issues_identified?: unknown[];
+}
+
+export interface AuditSummary {
+  audit_id: string;
+  business_name: string;
+  status: string;
+  audit_score: number | null;
+  created_at: string;
+  share_url: string | null;
+}
+
+export interface AuditIssue {
+  /** The issue text, or its title when the API returns objects */
+  issue: string;
+  [field: string]: unknown;
+}
+
+export interface AuditDiff {
+  business_name: string;
+  old: { audit_id: string; date: string | null; audit_score: number | null };
+  new: { audit_id: string; date: string | null; audit_score: number | null };
+  score_change: number | null;
+  /** Scalar review stats of either audit; `change` is set when both are numbers */
+  review_stats: Array<{ metric: string; old: unknown; new: unknown; change: number | null }>;
+  issues: {
+    resolved: AuditIssue[];
+    new: AuditIssue[];
+    remaining: AuditIssue[];
+  };
+}
+
+export interface AuditBatchRow {
+  /** Line number in the input file */
+  row: number;
+  input: string;
+  /** The normalized Google Maps URL, or null when the input isn't one */
+  url: string | null;
+  business_name: string | null;
+  status: 'planned' | 'processing' | 'completed' | 'failed' | 'recent' | 'duplicate' | 'invalid' | 'over_budget' | 'error';
+  audit_id?: string | null;
+  audit_score?: number | null;
+  share_url?: string | null;
+  credits: number;
+  error?: string | null;
+}
+
+export interface AuditBatchOptions {
+  /** Results CSV. Defaults to `<file>-results.csv`; an existing one is resumed */
+  out?: string;
+  /** Required unless `dryRun` */
+  maxCredits?: number;
+  dryRun?: boolean;
+  /** Skip businesses audited in the last N days (default 30, 0 disables) */
+  skipDays?: number;
+  /** Audits in flight at once (default 2) */
+  parallel?: number;
+  /** Per-audit wait in milliseconds */
+  maxWait?: number;
+  /** When resuming, retry rows whose audit failed to start */
+  retryErrors?: boolean;
+}
+
+export interface AuditBatch {
+  file: string;
+  results_file: string | null;
+  dry_run: boolean;
+  max_credits: number | null;
+  /** Dry runs only */
+  projected_credits?: number;
+  /** Dry runs only: what the credit caps still allow, null without caps */
+  cap_remaining?: number | null;
+  credits_spent?: number;
+  /** Row count by status */
+  summary: Record<string, number>;
+  rows: AuditBatchRow[];
+}
+
+export interface WatchWebhook {
+  url: string;
+  /** 'slack' posts `{ text }`; 'json' posts `{ event: 'localrank.alert', alert }`. Default: slack for hooks.slack.com URLs */
+  format?: 'json' | 'slack';
+}
+
+export interface WatchOptions extends ListOptions {
+  /** Added to the webhooks in the config file's watch block */
+  webhooks?: Array<string | WatchWebhook>;
+  /** Shell command run per alert, with the alert JSON on stdin */
+  command?: string;
+  /** "22:00-07:00" in local time; alerts raised inside are held until it ends */
+  quietHours?: string | { start: string; end: string };
+  /** Added to the config file's mutes: business names or { business, uuid, until } */
+  mute?: Array<string | { business?: string; uuid?: string; until?: string | null }>;
+  /** Raise alerts without delivering them or updating the watch state */
+  dryRun?: boolean;
+}
+
+export interface Alert {
+  /** `<type>:<scan_id>`; an alert is only ever sent once */
+  id: string;
+  type: 'rank_drop' | 'at_risk';
+  severity: 'urgent' | 'warning';
+  business_name: string;
+  business_uuid: string | null;
+  scan_id: string;
+  scanned_at: string;
+  view_url: string | null;
+  message: string;
+  details: { from: number; to: number } | { risk_score: number; risk_factors: string[] };
+  status: 'delivered' | 'held' | 'muted' | 'retrying' | 'failed' | 'would_send';
+  error?: string;
+}
+
+export interface AlertCheck {
+  checked_at: string;
+  /** The first check only records the latest scans; alerts start with the next */
+  baseline: boolean;
+  businesses: number;
+  quiet_hours: boolean;
+  new_alerts: number;
+  delivered: number;
+  held: number;
+  muted: number;
+  failed: number;
+  alerts: Alert[];
+}
+
+export interface Recommendations {
+  business_name: string;
+  current_avg_rank: number | null;
+  recommendations: Array<{
+    action: string;
+    product: string;
+    reason: string;
+  }>;
+}
+
+/** Work done for a client, stored locally per account under `~/.config/localrank/accounts/` */
+export interface WorkLogEntry {
+  id: string;
+  /** YYYY-MM-DD */
+  date: string;
+  action: string;
+  note: string | null;
+  logged_at: string;
+}
+
+export interface WorkLogIntervention extends WorkLogEntry {
+  /** The last scan on or before the entry's date */
+  before_scan: { scan_id: string; date: string } | null;
+  /** The last scan after it - before the next entry, or within `days` */
+  after_scan: { scan_id: string; date: string } | null;
+  /** Averages over the keywords both scans track */
+  before_rank: number | null;
+  after_rank: number | null;
+  /** Positive means rankings improved */
+  avg_rank_change: number | null;
+  days: number | null;
+  keywords_improved: number;
+  keywords_declined: number;
+  wins: KeywordWin[];
+  drops: KeywordDrop[];
+  verdict: 'improved' | 'declined' | 'no clear change' | 'no scan before' | 'no scan since';
+}
+
+export interface WorkLogImpact {
+  business_name: string;
+  entries: number;
+  scans: number;
+  interventions: WorkLogIntervention[];
+  movements: Array<{ date: string; action: string; keyword: string; from: number; to: number; change: number }>;
+  tip: string;
+}
+
+/** Agency styling for HTML reports; the config file's `branding` block */
+export interface Branding {
+  agency_name?: string | null;
+  /** Local image file (embedded) or URL */
+  logo?: string | null;
+  /** Hex color or CSS color name */
+  primary_color?: string;
+  accent_color?: string;
+}
+
+export type EmailTone = 'celebratory' | 'recovery' | 'neutral';
+
+export interface EmailDraftOptions {
+  /** User template name (see listEmailTemplates) or a file path; default: the built-in template */
+  template?: string;
+  /** Defaults to the tone matching the rank change */
+  tone?: EmailTone;
+  /** Language code; built-in templates cover en, es and fr */
+  language?: string;
+  /** Also return the draft as an .eml message */
+  eml?: boolean;
+}
+
+export interface EmailDraft {
+  business_name: string;
+  /** Labels of the compared periods, with a period option */
+  period?: { current: string; previous: string };
+  language: string;
+  tone: EmailTone;
+  /** `default`, or the path of the user template used */
+  template: string;
+  subject: string;
+  /** Recipients from the config file's `email` block */
+  to: string | null;
+  /** "Subject: ..." line, a blank line, then the body */
+  email_draft: string;
+  /** RFC 5322 message, with the eml option */
+  eml?: string;
+}
+
+export interface EmailTemplate {
+  name: string;
+  /** `any` for a template without a language suffix */
+  language: string;
+  location: 'built-in' | 'local' | 'global';
+  file: string | null;
+}
+
+export function configure(options: ConfigureOptions): void;
+
+export function getConfigInfo(): ConfigInfo;
+export function listProfiles(): { active: string; profiles: Profile[]; count: number };
+/** @throws ConfigError when no config file defines the profile */
+export function useProfile(name: string, options?: { location?: 'global' | 'local' }): { default_profile: string; path: string };
+/** Removes the active profile's key from its config file */
+export function logout(): { profile: string; removed_from: string };
+/** Verifies the new key, then replaces the active profile's key in its config file and moves the account's saved state to it */
+export function rotateKey(newKey: string): Promise<{ profile: string; path: string; old_key: string; new_key: string }>;
+/** @throws ConfigError when the configured rules are invalid */
+export function getRules(): Promise<{ sources: RuleSource[]; rules: Rules; tiers: string[]; businesses: string[] }>;
+/** Rules resolved for one business, with its tier and overrides applied */
+/** @throws ConfigError when a business key matches no business or several */
+export function getRules(businessName: string, options?: BusinessOptions): Promise<{ business: string; tier: string | null; overrides: string[]; sources: RuleSource[]; rules: Rules }>;
+/** Business keys are resolved like --business; one that matches no business or several is an error */
+export function validateRules(): Promise<RuleValidation>;
+export function getCacheStats(): CacheStats;
+export function clearCache(options?: { expired?: boolean }): { directory: string; removed: number };
+
+export function listBusinesses(options?: { search?: string; maxPages?: number }): Promise<{ businesses: Business[]; count: number }>;
+/**
+ * Start tracking a business from a Google Maps URL or a place ID (exactly one).
+ * An already tracked place ID returns the existing business with `already_exists`.
+ * @throws UsageError for an invalid URL, place ID or keyword
+ */
+export function addBusiness(options: { url?: string; placeId?: string; keywords?: string | string[] }): Promise<BusinessProfile & {
+  already_exists: boolean;
+  /** The starter keywords, now tracked */
+  keywords?: string[];
+  tip: string;
+}>;
+export function getBusiness(business: string, options?: ListOptions & BusinessOptions): Promise<BusinessDetail>;
+export function archiveBusiness(business: string, options?: BusinessOptions): Promise<{ uuid: string; name: string; archived: true }>;
+/** Add every business in a CSV. `scan` also starts a first scan per new business, checked against the credit caps. */
+export function importBusinesses(file: string, options?: ScanOptions & { scan?: boolean; dryRun?: boolean }): Promise<BusinessImport>;
+export function listScans(options?: ListOptions & BusinessOptions & { business?: string; limit?: number }): Promise<{ scans: ScanSummary[]; count: number }>;
+export function getScan(scanId: string, options?: { grid?: false }): Promise<Scan>;
+/** @throws NotFoundError when the scan has no grid data (yet) or no such keyword */
+export function getScan(scanId: string, options: { grid: true; keyword?: string }): Promise<ScanGrid>;
+/**
+ * Start a rank scan. The estimated cost is checked against the credit caps, and what the API charged is recorded in the ledger.
+ * @throws UsageError for invalid keywords, grid size or radius
+ * @throws CreditLimitError when it would exceed a daily or monthly cap
+ */
+export function createScan(business: string, options?: ScanOptions & BusinessOptions & { dryRun?: false }): Promise<ScanRun>;
+/** Validates and reports the estimated cost against the caps without starting the scan */
+export function createScan(business: string, options: ScanOptions & BusinessOptions & { dryRun: true }): Promise<ScanDryRun>;
+/** Scan again with a previous scan's business, keywords, grid size and radius */
+export function rerunScan(scanId: string, options?: Omit<ScanOptions, 'keywords'> & { dryRun?: false }): Promise<ScanRun & { rerun_of: string }>;
+export function rerunScan(scanId: string, options: Omit<ScanOptions, 'keywords'> & { dryRun: true }): Promise<ScanDryRun & { rerun_of: string }>;
+export function listKeywords(business: string, options?: BusinessOptions): Promise<{ business_name: string; keywords: Array<{ keyword: string }>; count: number }>;
+/** Keywords already tracked (case-insensitively) are skipped */
+export function addKeywords(business: string, keywords: string | string[], options?: BusinessOptions): Promise<{ business_name: string; added: string[]; already_tracked: string[]; count: number; tip?: string }>;
+export function removeKeywords(business: string, keywords: string | string[], options?: BusinessOptions): Promise<{ business_name: string; removed: string[]; not_tracked: string[]; count: number }>;
+/**
+ * The business a UUID, place_id or name refers to.
+ * @throws AmbiguousBusinessError when a name matches several businesses
+ * @throws NotFoundError when nothing matches
+ */
+export function resolveBusiness(query: string, options?: BusinessOptions): Promise<Business>;
+
+/** @throws NotFoundError when no scans match the business name */
+export function getClientReport(businessName: string, options?: ListOptions & BusinessOptions): Promise<ClientReport>;
+/** Compare two calendar (or custom) periods instead of the last two scans */
+export function getClientReport(businessName: string, options: PeriodOptions & BusinessOptions): Promise<PeriodComparison>;
+/**
+ * The client report as a single self-contained HTML page with SVG rank charts and recommendations.
+ * @throws ConfigError when the branding logo can't be read or a color is invalid
+ */
+export function getClientReportHtml(businessName: string, options?: (ListOptions | PeriodOptions) & BusinessOptions & { branding?: Branding }): Promise<{ business_name: string; html: string }>;
+/** @throws NotFoundError when the business has no completed scans in the window */
+export function getClientTrends(businessName: string, options?: TrendOptions & BusinessOptions): Promise<ClientTrends>;
+/** @throws NotFoundError when the keyword isn't tracked for the business */
+export function getKeywordHistory(businessName: string, keyword: string, options?: TrendOptions & BusinessOptions): Promise<KeywordHistory>;
+export function getPortfolioSummary(options?: ListOptions): Promise<PortfolioSummary>;
+export function prioritizeToday(options?: ListOptions): Promise<Priorities>;
+export function findQuickWins(options?: ListOptions & BusinessOptions & { business?: string }): Promise<QuickWins>;
+export function findAtRiskClients(options?: ListOptions): Promise<AtRiskClients>;
+
+export interface RunAuditOptions {
+  /** Recorded in the credit ledger (default 'audit:run') */
+  command?: string;
+  /** Recorded in the credit ledger (default: the place name in the URL) */
+  businessName?: string;
+}
+
+/**
+ * Spends 500 credits and records them in the ledger. Never retried once the request may have reached the server.
+ * @throws CreditLimitError when it would go over the daily or monthly cap
+ */
+export function runAudit(gmbUrl: string, options?: RunAuditOptions & { wait?: false; dryRun?: false }): Promise<AuditRun>;
+/** With `wait`, resolves with the finished audit. `maxWait` is in milliseconds. */
+export function runAudit(gmbUrl: string, options: RunAuditOptions & { wait: true; maxWait?: number; dryRun?: false }): Promise<Audit & { share_url: string; credits_deducted: number }>;
+/** Reports the cost against the caps without calling the API */
+export function runAudit(gmbUrl: string, options: { dryRun: true }): Promise<{
+  dry_run: true;
+  gmb_url: string;
+  credits: number;
+  spent_today: number;
+  spent_this_month: number;
+  remaining: number | null;
+  allowed: boolean;
+}>;
+export function getAudit(auditId: string): Promise<Audit>;
+/**
+ * Poll until the audit is completed or failed. `maxWait` is in milliseconds (default 10 minutes).
+ * @throws WaitTimeoutError when it is still processing after `maxWait`
+ */
+export function waitForAudit(auditId: string, options?: { maxWait?: number }): Promise<Audit>;
+export function listAudits(options?: ListOptions & { business?: string; limit?: number }): Promise<{ audits: AuditSummary[]; count: number }>;
+/** @throws UsageError when either audit isn't completed or they are for different businesses */
+export function diffAudits(oldAuditId: string, newAuditId: string): Promise<AuditDiff>;
+/**
+ * Audit every Google Maps URL in a CSV, 500 credits each, within `maxCredits`.
+ * @throws UsageError when `maxCredits` is missing on a real run
+ */
+export function runAuditBatch(file: string, options?: AuditBatchOptions): Promise<AuditBatch>;
+/** Canonical https form of a Google Maps link without tracking parameters, or null */
+export function normalizeMapsUrl(url: string): string | null;
+/** The business name in a /maps/place/<name>/ link, or null */
+export function mapsPlaceName(url: string): string | null;
+/** Estimated credits for a scan of `keywords` keywords on a `gridSize` x `gridSize` grid */
+export function estimateScanCredits(keywords: number, gridSize: number): number;
+/**
+ * One watch pass: alerts for newly completed scans, delivered to the configured destinations.
+ * @throws UsageError when no destination is configured (unless `dryRun`)
+ */
+export function checkAlerts(options?: WatchOptions): Promise<AlertCheck>;
+/** checkAlerts every `interval` milliseconds (default 1 hour, at least 1 minute). Never resolves. */
+export function watch(options?: WatchOptions & { interval?: number }): Promise<never>;
+/** `until` is a date or a duration such as 7d. `location` is the config file to write (default 'global'). */
+export function muteAlerts(business: string, options?: BusinessOptions & { until?: string; location?: 'global' | 'local' }): Promise<{
+  muted: { business: string; uuid: string; until: string | null };
+  location: string;
+}>;
+/** @throws NotFoundError when the business isn't muted in that config file */
+export function unmuteAlerts(business: string, options?: BusinessOptions & { location?: 'global' | 'local' }): Promise<{ unmuted: string; location: string }>;
+export function getCreditHistory(options?: { since?: string | Date; limit?: number }): Promise<CreditHistory>;
+
+/** @throws UsageError for a missing action or a date that isn't YYYY-MM-DD or is in the future */
+export function addWorkLog(businessName: string, options: BusinessOptions & { action: string; date?: string; note?: string }): Promise<WorkLogEntry & {
+  business_name: string;
+  business_uuid: string;
+  total_entries: number;
+}>;
+/** Newest first; every client's entries without `business` */
+export function listWorkLog(options?: BusinessOptions & { business?: string; since?: string | Date }): Promise<{
+  entries: Array<WorkLogEntry & { business_name: string }>;
+  count: number;
+}>;
+/** @throws NotFoundError when the business has no entry with that ID */
+export function removeWorkLog(businessName: string, id: string, options?: BusinessOptions): Promise<WorkLogEntry & { business_name: string; remaining: number }>;
+/** @throws NotFoundError when no work is logged for the business */
+export function getWorkLogImpact(businessName: string, options?: ListOptions & BusinessOptions & { days?: number }): Promise<WorkLogImpact>;
+
+/**
+ * Set a goal: a keyword's rank, or the average rank without `keyword`, by a deadline
+ * (2027-03-31, 2027-03 or 2027-Q1). Replaces the business's goal for the same keyword.
+ * @throws UsageError for a target under 1 or a deadline that is invalid or has passed
+ */
+export function setGoal(businessName: string, options: BusinessOptions & { keyword?: string; target: number; deadline: string }): Promise<Goal & {
+  goal: string;
+  replaced: boolean;
+  tip?: string;
+}>;
+/** Soonest deadline first; every client's goals without `business` */
+export function listGoals(options?: BusinessOptions & { business?: string }): Promise<{ goals: Array<Goal & { goal: string }>; count: number }>;
+/** @throws NotFoundError when the business has no goal with that ID */
+export function removeGoal(businessName: string, id: string, options?: BusinessOptions): Promise<Goal & { goal: string; remaining: number }>;
+/** @throws NotFoundError when no goals are set (for the business) */
+export function getGoalStatus(options?: BusinessOptions & { business?: string; maxPages?: number }): Promise<GoalStatus>;
+
+/**
+ * The team update for the window since the last digest (or the last 7 days, or `since`).
+ * Remembers what it reported in the account's digest-state.json unless `dryRun` is set.
+ */
+export function getWeeklyDigest(options?: ListOptions & { dryRun?: boolean }): Promise<WeeklyDigest>;
+
+/** @throws NotFoundError when no scans match the business name */
+export function getRecommendations(businessName: string, options?: ListOptions & BusinessOptions): Promise<Recommendations>;
+/** @throws NotFoundError when no scans match the business name */
+/** @throws UsageError for an unknown tone, a missing template or a template that doesn't parse */
+export function draftEmail(businessName: string, options?: (ListOptions | PeriodOptions) & BusinessOptions & EmailDraftOptions): Promise<EmailDraft>;
+export function listEmailTemplates(): { templates: EmailTemplate[]; tip: string };
+/** Render a mustache-style template: {{name}}, {{a.b}}, {{#list}}...{{/list}}, {{^empty}}...{{/empty}}, {{! comment }} */
+export function renderTemplate(source: string, view: object, name?: string): string;
+
+/** Raw GET against the LocalRank API (cached, deduplicated, retried) */
+export function apiGet<T = any>(endpoint: string, params?: Record<string, string | number | boolean | null | undefined>): Promise<T>;
+/** Every page of a paginated list endpoint */
+export function apiGetAll<T = any>(
+  endpoint: string,
+  params?: Record<string, string | number | boolean | null | undefined>,
+  options?: { maxPages?: number; since?: Date | null; limit?: number }
+): Promise<T[]>;
+/** Raw POST against the LocalRank API */
+export function apiPost<T = any>(endpoint: string, data?: unknown): Promise<T>;
+
+/** Credits one audit costs */
+export const AUDIT_CREDITS: number;
+/** Grid sizes the scanner supports */
+export const SCAN_GRID_SIZES: readonly number[];
+
+export class LocalRankError extends Error {}
+/** Missing API key or unreadable configuration */
+export class ConfigError extends LocalRankError {}
+/** Bad or missing arguments */
+export class UsageError extends LocalRankError {}
+/** A business name matched several businesses */
+export class AmbiguousBusinessError extends UsageError {
+  query: string;
+  /** Best match first */
+  candidates: Array<{ uuid: string; name: string; place_id: string; score: number }>;
+}
+/** The requested business, scan or audit doesn't exist */
+export class NotFoundError extends LocalRankError {}
+/** Timeouts and connection failures */
+export class NetworkError extends LocalRankError {}
+/** Offline mode and the request isn't a cached GET, or replay mode and it wasn't recorded */
+export class OfflineError extends LocalRankError {}
+/** waitForAudit gave up; the audit may still complete later */
+export class WaitTimeoutError extends LocalRankError {
+  auditId: string;
+  status: string;
+}
+/** Spending would go over the daily or monthly credit cap */
+export class CreditLimitError extends LocalRankError {
+  credits: number;
+  usage: CreditUsage;
+}
+export class ApiError extends LocalRankError {
+  status: number;
+  body: string;
+  /** Milliseconds the server asked us to wait, from Retry-After */
+  retryAfter: number | null;
+}
@@ -9,726 +9,6976 @@
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const crypto = require('crypto');
 
-const API_BASE = process.env.LOCALRANK_API_URL || 'https://api.localrank.so';
+const DEFAULT_API_BASE = 'https://api.localrank.so';
 const CONFIG_PATHS = {
   global: path.join(os.homedir(), '.config', 'localrank', 'config.json'),
   local: path.join(process.cwd(), '.localrank', 'config.json')
 };
 
 // ============================================================================
-// Config Management
+// Errors
 // ============================================================================
 
-function loadConfig() {
-  // Priority: env var > local > global
-  if (process.env.LOCALRANK_API_KEY) {
-    return { api_key: process.env.LOCALRANK_API_KEY };
+class LocalRankError extends Error {
+  constructor(message, options) {
+    super(message, options);
+    this.name = new.target.name;
   }
+}
 
-  for (const configPath of [CONFIG_PATHS.local, CONFIG_PATHS.global]) {
-    try {
-      if (fs.existsSync(configPath)) {
-        return JSON.parse(fs.readFileSync(configPath, 'utf8'));
-      }
-    } catch (e) {
-      // Continue to next config
+// Missing API key or unreadable configuration
+class ConfigError extends LocalRankError {}
+
+// Bad or missing arguments; the CLI reports these as plain usage text
+class UsageError extends LocalRankError {}
+
+// The requested business, scan or audit doesn't exist
+class NotFoundError extends LocalRankError {}
+
+// Timeouts and connection failures
+class NetworkError extends LocalRankError {}
+
+// --offline was set and the request isn't a cached GET, or --replay has no recording of it
+class OfflineError extends LocalRankError {}
+
+// audit:wait gave up before the audit finished; it may still complete later
+class WaitTimeoutError extends LocalRankError {
+  constructor(auditId, status, waitedMs) {
+    super(`Audit ${auditId} is still ${status || 'processing'} after ${Math.round(waitedMs / 1000)}s. ` +
+      `Check again later with: localrank audit:wait ${auditId}`);
+    this.auditId = auditId;
+    this.status = status;
+  }
+}
+
+// Spending would go over the daily or monthly credit cap in the config file
+class CreditLimitError extends LocalRankError {
+  constructor(credits, usage) {
+    const daily = usage.limits.daily !== null && usage.today + credits > usage.limits.daily;
+    super(daily
+      ? `Spending ${credits} credits would exceed the daily cap (${usage.today} of ${usage.limits.daily} used today)`
+      : `Spending ${credits} credits would exceed the monthly cap (${usage.this_month} of ${usage.limits.monthly} used this month)`);
+    this.credits = credits;
+    this.usage = usage;
+  }
+}
+
+const AMBIGUOUS_CANDIDATES_SHOWN = 10;
+
+// A business name matched several businesses; `candidates` holds them, best first
+class AmbiguousBusinessError extends UsageError {
+  constructor(query, candidates) {
+    const shown = candidates.slice(0, AMBIGUOUS_CANDIDATES_SHOWN)
+      .map(c => `  ${c.name} (uuid ${c.uuid}${c.place_id ? `, place_id ${c.place_id}` : ''})`);
+    const more = candidates.length > shown.length ? [`  ...and ${candidates.length - shown.length} more`] : [];
+    super([
+      `'${query}' matches ${candidates.length} businesses:`,
+      ...shown,
+      ...more,
+      'Pass a UUID or place_id instead, a more specific name, or --first to take the best match'
+    ].join('\n'));
+    this.query = query;
+    this.candidates = candidates;
+  }
+}
+
+class ApiError extends LocalRankError {
+  constructor(status, body, retryAfter = null) {
+    super(`API Error ${status}: ${body}`);
+    this.status = status;
+    this.body = body;
+    this.retryAfter = retryAfter;
+  }
+}
+
+// ============================================================================
+// Config Management
+// ============================================================================
+
+// The top-level api_key / api_base of a config file; named profiles live under `profiles`
+const DEFAULT_PROFILE = 'default';
+
+function readConfigFile(configPath) {
+  try {
+    if (fs.existsSync(configPath)) {
+      return JSON.parse(fs.readFileSync(configPath, 'utf8'));
     }
+  } catch (e) {
+    // Treat an unreadable file as empty
   }
   return {};
 }
 
+// Settings from both config files; project-local values win
+function loadConfig() {
+  return { ...readConfigFile(CONFIG_PATHS.global), ...readConfigFile(CONFIG_PATHS.local) };
+}
+
 function saveConfig(config, location = 'global') {
   const configPath = CONFIG_PATHS[location];
   const configDir = path.dirname(configPath);
 
   if (!fs.existsSync(configDir)) {
-    fs.mkdirSync(configDir, { recursive: true });
+    fs.mkdirSync(configDir, { recursive: true, mode: 0o700 });
   }
 
-  fs.writeFileSync(configPath, JSON.stringify(config, null, 2));
+  // API keys live here: owner read/write only, including files written before this
+  fs.writeFileSync(configPath, JSON.stringify(config, null, 2), { mode: 0o600 });
+  fs.chmodSync(configPath, 0o600);
   return configPath;
 }
 
+// Read-modify-write one config file, keeping everything else in it
+function updateConfig(location, update) {
+  const configPath = CONFIG_PATHS[location];
+  let config = {};
+  if (fs.existsSync(configPath)) {
+    try {
+      config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    } catch (e) {
+      throw new ConfigError(`Can't update ${configPath}: ${e.message}`);
+    }
+  }
+  update(config);
+  return saveConfig(config, location);
+}
+
+function maskKey(apiKey) {
+  return apiKey ? `${apiKey.slice(0, 8)}...` : null;
+}
+
+// Profiles defined in one config file
+function fileProfiles(config) {
+  const profiles = {};
+  if (config.api_key || config.api_base) {
+    profiles[DEFAULT_PROFILE] = { api_key: config.api_key, api_base: config.api_base };
+  }
+  return { ...profiles, ...config.profiles };
+}
+
+// Every profile in either file; a local profile shadows a global one of the same name
+function profileEntries() {
+  const entries = {};
+  ['global', 'local'].forEach(location => {
+    const configPath = CONFIG_PATHS[location];
+    Object.entries(fileProfiles(readConfigFile(configPath))).forEach(([name, profile]) => {
+      entries[name] = {
+        name,
+        location,
+        path: configPath,
+        api_key: profile.api_key || null,
+        api_base: profile.api_base || null
+      };
+    });
+  });
+  return entries;
+}
+
+function setProfile(config, name, { api_key, api_base }) {
+  const target = name === DEFAULT_PROFILE ? config : ((config.profiles = config.profiles || {})[name] = config.profiles[name] || {});
+  if (api_key !== undefined) target.api_key = api_key;
+  if (api_base !== undefined) target.api_base = api_base;
+}
+
+function removeProfile(config, name) {
+  if (name === DEFAULT_PROFILE) {
+    delete config.api_key;
+    delete config.api_base;
+  } else if (config.profiles) {
+    delete config.profiles[name];
+  }
+  if (config.default_profile === name) delete config.default_profile;
+}
+
+// The profile chosen for this run; `explicit` when named by --profile or LOCALRANK_PROFILE
+function activeProfile() {
+  const named = clientOptions.profile || process.env.LOCALRANK_PROFILE;
+  if (named) return { name: named, explicit: true };
+  return { name: loadConfig().default_profile || DEFAULT_PROFILE, explicit: false };
+}
+
+/**
+ * Where this run's API key comes from. Priority: configure({ apiKey }), a
+ * profile named with --profile or LOCALRANK_PROFILE, LOCALRANK_API_KEY, then
+ * the config files' default_profile (or their top-level key).
+ */
+function resolveCredentials() {
+  if (clientOptions.apiKey) {
+    return { api_key: clientOptions.apiKey, api_base: null, profile: null, source: 'configure()', path: null };
+  }
+
+  const profile = activeProfile();
+  if (!profile.explicit && process.env.LOCALRANK_API_KEY) {
+    return { api_key: process.env.LOCALRANK_API_KEY, api_base: null, profile: null, source: 'environment variable', path: null };
+  }
+
+  const entry = profileEntries()[profile.name];
+  return {
+    api_key: entry?.api_key || null,
+    api_base: entry?.api_base || null,
+    profile: profile.name,
+    source: entry ? `${entry.location} config` : null,
+    path: entry?.path || null
+  };
+}
+
 function getApiKey() {
-  const config = loadConfig();
-  return config.api_key;
+  return resolveCredentials().api_key;
+}
+
+// configure({ apiBase }) and LOCALRANK_API_URL beat the profile's own base
+function getApiBase() {
+  const apiBase = clientOptions.apiBase || process.env.LOCALRANK_API_URL || resolveCredentials().api_base || DEFAULT_API_BASE;
+  return apiBase.replace(/\/+$/, '');
+}
+
+function missingKeyMessage(profile) {
+  return profile && profile !== DEFAULT_PROFILE
+    ? `API key not found for profile '${profile}'. Run: localrank setup --profile ${profile}`
+    : 'API key not found. Run: localrank setup';
 }
 
 // ============================================================================
-// API Client
+// Rules
 // ============================================================================
 
-async function apiGet(endpoint, params = {}) {
-  const apiKey = getApiKey();
-  if (!apiKey) {
-    throw new Error('API key not found. Run: localrank setup');
+/**
+ * Thresholds behind portfolio:summary, prioritize:today, quick-wins:find and
+ * at-risk:clients. Ranks are average grid positions (lower is better) and
+ * drops are positions lost since the previous scan. Overridden by `rules` in
+ * the global then local config file, then configure({ rules }).
+ */
+const DEFAULT_RULES = {
+  // A change within +/- this many positions counts as stable
+  stable_change: 0.5,
+  quick_wins: {
+    min_rank: 11,
+    max_rank: 20,
+    // Up to this rank a quick win is High opportunity and makes prioritize:today
+    high_max_rank: 15,
+    limit: 20
+  },
+  priorities: {
+    urgent_drop: 3,
+    important_rank: 12,
+    limit: 5
+  },
+  at_risk: {
+    drop: 2,
+    drop_score: 3,
+    poor_rank: 15,
+    poor_rank_score: 2,
+    // Fewer scans than this is low engagement
+    min_scans: 2,
+    low_engagement_score: 1,
+    // Clients scoring at least this are listed
+    min_score: 1
+  },
+  goals: {
+    // goals:status projects from the trend over this many recent weeks
+    trend_weeks: 8
+  },
+  digest: {
+    // digest:weekly lists clients whose latest scan is older than this
+    overdue_scan_days: 14
   }
+};
 
-  const url = new URL(`${API_BASE}${endpoint}`);
-  Object.entries(params).forEach(([k, v]) => {
-    if (v !== undefined && v !== null) url.searchParams.set(k, v);
+// Limits cap a whole list, so they can't vary by business
+const GLOBAL_ONLY_RULES = ['quick_wins.limit', 'priorities.limit'];
+
+// Set by configure({ rules }); applied on top of the config files
+let ruleOverrides = null;
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Deep merge; values from `override` win
+function mergeRules(base, override = {}) {
+  const merged = { ...base };
+  Object.entries(override).forEach(([key, value]) => {
+    merged[key] = isPlainObject(value) && isPlainObject(base[key]) ? mergeRules(base[key], value) : value;
   });
+  return merged;
+}
 
-  const resp = await fetch(url.toString(), {
-    headers: { 'Authorization': `Api-Key ${apiKey}` }
+// Every `rules` block in effect, lowest priority first
+function ruleSources() {
+  const sources = [];
+  [['global', CONFIG_PATHS.global], ['local', CONFIG_PATHS.local]].forEach(([source, configPath]) => {
+    if (!fs.existsSync(configPath)) return;
+    try {
+      const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+      if (config.rules !== undefined) sources.push({ source, path: configPath, rules: config.rules });
+    } catch (e) {
+      sources.push({ source, path: configPath, error: `Invalid JSON: ${e.message}` });
+    }
   });
+  if (ruleOverrides) sources.push({ source: 'configure()', path: null, rules: ruleOverrides });
+  return sources;
+}
 
-  if (!resp.ok) {
-    const text = await resp.text();
-    throw new Error(`API Error ${resp.status}: ${text}`);
+// Type-check one block of rule values against the defaults' shape
+function checkRuleValues(values, where, report, { override = false, shape = DEFAULT_RULES, prefix = '' } = {}) {
+  if (!isPlainObject(values)) {
+    report(where, 'must be an object');
+    return;
   }
 
-  return resp.json();
+  Object.entries(values).forEach(([key, value]) => {
+    const rule = `${prefix}${key}`;
+    const at = `${where}.${key}`;
+    if (!(key in shape)) {
+      report(at, 'unknown rule');
+    } else if (isPlainObject(shape[key])) {
+      checkRuleValues(value, at, report, { override, shape: shape[key], prefix: `${rule}.` });
+    } else if (override && GLOBAL_ONLY_RULES.includes(rule)) {
+      report(at, 'can only be set globally, not per tier or business');
+    } else if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+      report(at, 'must be a non-negative number');
+    }
+  });
 }
 
-async function apiPost(endpoint, data = {}) {
-  const apiKey = getApiKey();
-  if (!apiKey) {
-    throw new Error('API key not found. Run: localrank setup');
+function checkRuleSource(rules, report) {
+  if (!isPlainObject(rules)) {
+    report('rules', 'must be an object');
+    return;
   }
 
-  const resp = await fetch(`${API_BASE}${endpoint}`, {
-    method: 'POST',
-    headers: {
-      'Authorization': `Api-Key ${apiKey}`,
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify(data)
+  const { tiers, businesses, ...values } = rules;
+  checkRuleValues(values, 'rules', report);
+
+  Object.entries({ tiers, businesses }).forEach(([group, entries]) => {
+    if (entries === undefined) return;
+    if (!isPlainObject(entries)) {
+      report(`rules.${group}`, 'must be an object');
+      return;
+    }
+    Object.entries(entries).forEach(([name, entry]) => {
+      const where = `rules.${group}.${name}`;
+      if (group === 'businesses' && isPlainObject(entry) && entry.tier !== undefined) {
+        const { tier, ...own } = entry;
+        if (typeof tier !== 'string') report(`${where}.tier`, 'must be a tier name');
+        checkRuleValues(own, where, report, { override: true });
+      } else {
+        checkRuleValues(entry, where, report, { override: true });
+      }
+    });
+  });
+}
+
+// Quick win bands must nest: min_rank <= high_max_rank <= max_rank
+function checkQuickWinBand(rules, where, report) {
+  const { min_rank: min, high_max_rank: high, max_rank: max } = rules.quick_wins;
+  if (!(min <= high && high <= max)) {
+    report(`${where}.quick_wins`, `expected min_rank <= high_max_rank <= max_rank, got ${min}, ${high}, ${max}`);
+  }
+}
+
+/**
+ * Merge and validate every rule source. Returns the effective rule set
+ * (with its `tiers` and `businesses` overrides) and any errors found.
+ */
+function evaluateRules() {
+  const sources = ruleSources();
+  const errors = [];
+
+  sources.forEach(({ source, error, rules }) => {
+    const report = (rule, message) => errors.push({ source, rule, message });
+    if (error) report(null, error);
+    else checkRuleSource(rules, report);
+  });
+
+  const rules = { ...DEFAULT_RULES, tiers: {}, businesses: {} };
+  if (errors.length > 0) return { sources, errors, rules };
+
+  sources.forEach(source => {
+    const { tiers = {}, businesses = {}, ...values } = source.rules;
+    Object.assign(rules, mergeRules(rules, values));
+    rules.tiers = mergeRules(rules.tiers, tiers);
+    rules.businesses = mergeRules(rules.businesses, businesses);
+  });
+
+  // Cross-field checks run on the merged result: a band may span two files
+  const report = (rule, message) => errors.push({ source: 'merged', rule, message });
+  checkQuickWinBand(rules, 'rules', report);
+  Object.entries(rules.tiers).forEach(([name, tier]) => {
+    checkQuickWinBand(mergeRules(rules, tier), `rules.tiers.${name}`, report);
+  });
+  Object.entries(rules.businesses).forEach(([name, business]) => {
+    if (business.tier !== undefined && !(business.tier in rules.tiers)) {
+      report(`rules.businesses.${name}.tier`, `unknown tier '${business.tier}'`);
+      return;
+    }
+    checkQuickWinBand(applyOverride(rules, business), `rules.businesses.${name}`, report);
+  });
+
+  return { sources, errors, rules };
+}
+
+// The effective rule set, or a ConfigError listing what's wrong with it
+function loadRules() {
+  const { errors, rules } = evaluateRules();
+  if (errors.length > 0) {
+    const details = errors.map(e => `${e.rule ? `${e.rule} ` : ''}${e.message} (${e.source})`).join('; ');
+    throw new ConfigError(`Invalid rules: ${details}. Run rules:validate for details`);
+  }
+  return rules;
+}
+
+// The global rules, then the override's tier, then its own values
+function applyOverride(rules, { tier, ...own }) {
+  const { tiers, businesses, business_keys: keys, ...global } = rules;
+  return mergeRules(tier !== undefined ? mergeRules(global, tiers[tier]) : global, own);
+}
+
+/**
+ * Resolve each key of a per-business config block (`rules.businesses`,
+ * `email.businesses`) to the one business it names, the way --business is
+ * resolved. Returns the entries keyed by UUID, the keys behind each UUID, and
+ * an error for every key that matches no business or several.
+ */
+async function resolveBusinessKeys(entries, where) {
+  const resolved = {}, keys = {}, errors = [];
+  const matches = await Promise.all(Object.keys(entries).map(key => resolveBusiness(key).catch(e => e)));
+
+  Object.keys(entries).forEach((key, i) => {
+    const match = matches[i];
+    if (match instanceof AmbiguousBusinessError) {
+      const names = match.candidates.slice(0, 3).map(c => c.name).join(', ');
+      errors.push({ rule: `${where}.${key}`, message: `matches ${match.candidates.length} businesses (${names}); key it by UUID or place_id` });
+    } else if (match instanceof NotFoundError) {
+      errors.push({ rule: `${where}.${key}`, message: 'matches no business' });
+    } else if (match instanceof Error) {
+      throw match;
+    } else {
+      resolved[match.uuid] = resolved[match.uuid] ? mergeRules(resolved[match.uuid], entries[key]) : entries[key];
+      keys[match.uuid] = [...(keys[match.uuid] || []), key];
+    }
   });
+  return { resolved, keys, errors };
+}
+
+/**
+ * The effective rules with each `businesses` key resolved once to the
+ * business it names, so the overrides are keyed by UUID and "Acme Plumbing"
+ * never picks up the override for "Acme Plumbing Dallas". A key that matches
+ * no business or several is a ConfigError.
+ */
+async function resolveRules() {
+  const rules = loadRules();
+  if (Object.keys(rules.businesses).length === 0) return { ...rules, business_keys: {} };
 
-  if (!resp.ok) {
-    const text = await resp.text();
-    throw new Error(`API Error ${resp.status}: ${text}`);
+  const { resolved, keys, errors } = await resolveBusinessKeys(rules.businesses, 'rules.businesses');
+  if (errors.length > 0) {
+    throw new ConfigError(`Invalid rules: ${errors.map(e => `${e.rule} ${e.message}`).join('; ')}. Run rules:validate for details`);
   }
+  return { ...rules, businesses: resolved, business_keys: keys };
+}
 
-  return resp.json();
+/**
+ * Rules for one client, from resolveRules: the global rules, then its tier,
+ * then its own overrides.
+ */
+function rulesFor(rules, businessUuid) {
+  const override = businessUuid ? rules.businesses[businessUuid] : null;
+  return applyOverride(rules, override || {});
 }
 
 // ============================================================================
-// Commands
+// API Client
 // ============================================================================
 
-const commands = {
-  // Setup & Config
-  async setup(args) {
-    const readline = require('readline');
-    const rl = readline.createInterface({
-      input: process.stdin,
-      output: process.stdout
-    });
+// LOCALRANK_RETRIES counts like --retries; an empty or non-numeric value keeps the default
+const ENV_RETRIES = parseInt(process.env.LOCALRANK_RETRIES);
+
+// Request tuning, overridable per run with --timeout / --retries or configure()
+const clientOptions = {
+  apiKey: null,
+  // Both null unless set by --profile or configure(); see resolveCredentials
+  apiBase: null,
+  profile: null,
+  timeout: (parseFloat(process.env.LOCALRANK_TIMEOUT) || 30) * 1000,
+  retries: ENV_RETRIES >= 0 ? ENV_RETRIES : 3,
+  // Directories to capture responses into (--record) or answer from (--replay)
+  record: process.env.LOCALRANK_RECORD || null,
+  replay: process.env.LOCALRANK_REPLAY || null,
+  // Where retry notices go; stderr keeps stdout clean for JSON output
+  log: message => console.error(message)
+};
 
-    const question = (q) => new Promise(resolve => rl.question(q, resolve));
+const RETRY_BASE_DELAY = 500;
+const RETRY_MAX_DELAY = 10000;
+const RETRY_AFTER_MAX = 120000;
 
-    console.log('\n🔧 LocalRank Setup\n');
-    console.log('Get your API key at: https://app.localrank.so/settings/api\n');
+// Connection errors raised before the request reaches the server
+const CONNECT_ERRORS = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'];
 
-    const apiKey = args['--key'] || await question('API Key: ');
-    const location = args['--location'] || 'global';
+function configureClient(args = {}) {
+  if (args['--profile']) clientOptions.profile = args['--profile'];
 
-    if (!apiKey || !apiKey.startsWith('lr_')) {
-      console.error('❌ Invalid API key. Keys start with "lr_"');
-      rl.close();
-      process.exit(1);
+  const timeout = parseFloat(args['--timeout']);
+  if (timeout > 0) clientOptions.timeout = timeout * 1000;
+
+  const retries = parseInt(args['--retries']);
+  if (retries >= 0) clientOptions.retries = retries;
+
+  ['--record', '--replay'].forEach(flag => {
+    if (args[flag] === true) throw new UsageError(`${flag} needs a directory, e.g. ${flag} fixtures/`);
+  });
+  if (args['--record']) clientOptions.record = args['--record'];
+  if (args['--replay']) clientOptions.replay = args['--replay'];
+  if (clientOptions.record && clientOptions.replay) throw new UsageError('Use either --record or --replay, not both');
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Retry-After is either a number of seconds or an HTTP date
+function parseRetryAfter(header) {
+  if (!header) return null;
+  const seconds = Number(header);
+  if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(header);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Exponential backoff with equal jitter
+function backoffDelay(attempt) {
+  const delay = Math.min(RETRY_MAX_DELAY, RETRY_BASE_DELAY * 2 ** attempt);
+  return delay / 2 + Math.random() * delay / 2;
+}
+
+/**
+ * Decide whether a failed attempt may be repeated. GETs retry on network
+ * errors, timeouts, 5xx and 429. Non-idempotent requests (credit-spending
+ * POSTs) only retry when the server provably did not process them: a 429
+ * rejection or a connection that was never established.
+ */
+function isRetryable(err, idempotent) {
+  if (err instanceof ApiError) {
+    if (err.status === 429) return true;
+    return idempotent && err.status >= 500;
+  }
+  if (CONNECT_ERRORS.includes(err.cause?.code)) return true;
+  return idempotent;
+}
+
+// Give timeouts and network failures a message naming the request that failed
+function describeRequestError(err, method, endpoint, idempotent) {
+  if (err instanceof ApiError) return err;
+
+  const target = `${method} ${endpoint}`;
+  if (err.name === 'TimeoutError') {
+    const note = idempotent ? '' : '. It may still have been processed - check before running it again';
+    return new NetworkError(`Request timed out after ${clientOptions.timeout / 1000}s: ${target}${note}`, { cause: err });
+  }
+  if (err.cause) {
+    return new NetworkError(`Network error (${err.cause.code || err.cause.message}): ${target}`, { cause: err.cause });
+  }
+  return err;
+}
+
+// `endpoint` is a path under the API base, or an absolute URL such as a page's `next` link
+function buildUrl(endpoint, params = {}) {
+  const url = /^https?:\/\//i.test(endpoint) ? new URL(endpoint) : new URL(`${getApiBase()}${endpoint}`);
+  Object.entries(params).forEach(([k, v]) => {
+    if (v !== undefined && v !== null) url.searchParams.set(k, v);
+  });
+  return url;
+}
+
+async function apiRequest(method, endpoint, { params = {}, body, idempotent = method === 'GET' } = {}) {
+  const url = buildUrl(endpoint, params);
+  if (clientOptions.replay) return replayResponse(method, url, body);
+
+  const { api_key: apiKey, profile } = resolveCredentials();
+  if (!apiKey) {
+    throw new ConfigError(missingKeyMessage(profile));
+  }
+
+  // Cached GETs are answered before they get here; anything else would need the network
+  if (cacheOptions.offline) {
+    throw new OfflineError(`Offline: ${method} ${url.pathname}${url.search} needs the API. Run it again without --offline`);
+  }
+
+  const headers = { 'Authorization': `Api-Key ${apiKey}` };
+  if (body !== undefined) headers['Content-Type'] = 'application/json';
+  // Same key on every attempt, so the server can drop a duplicate POST
+  if (method !== 'GET') headers['Idempotency-Key'] = crypto.randomUUID();
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const resp = await fetch(url.toString(), {
+        method,
+        headers,
+        body: body !== undefined ? JSON.stringify(body) : undefined,
+        signal: AbortSignal.timeout(clientOptions.timeout)
+      });
+
+      if (!resp.ok) {
+        const text = await resp.text();
+        throw new ApiError(resp.status, text, parseRetryAfter(resp.headers.get('retry-after')));
+      }
+
+      const data = await resp.json();
+      if (clientOptions.record) recordResponse(method, url, body, { status: resp.status, data }, apiKey);
+      return data;
+    } catch (caught) {
+      const err = describeRequestError(caught, method, endpoint, idempotent);
+      if (attempt >= clientOptions.retries || !isRetryable(err, idempotent)) {
+        // Errors are part of the recording too, so a replay fails the same way
+        if (clientOptions.record && err instanceof ApiError) {
+          recordResponse(method, url, body, { status: err.status, body: err.body }, apiKey);
+        }
+        throw err;
+      }
+
+      const delay = err.retryAfter ?? backoffDelay(attempt);
+      if (delay > RETRY_AFTER_MAX) throw err;
+
+      clientOptions.log?.(`${err.message.split('\n')[0].slice(0, 120)} - retrying in ${(delay / 1000).toFixed(1)}s ` +
+        `(${attempt + 1}/${clientOptions.retries})`);
+      await sleep(delay);
     }
+  }
+}
 
-    // Verify the key works
-    process.env.LOCALRANK_API_KEY = apiKey;
+/**
+ * GETs run through the shared scheduler and are memoized for the rest of the
+ * run, so identical requests - in flight or already answered - hit the API once.
+ */
+function apiGet(endpoint, params = {}) {
+  const key = buildUrl(endpoint, params).toString();
+  if (!responseMemo.has(key)) {
+    const pending = cachedGet(endpoint, params);
+    // Failed requests are forgotten so a later call can try again
+    pending.catch(() => responseMemo.delete(key));
+    responseMemo.set(key, pending);
+  }
+  return responseMemo.get(key);
+}
+
+function apiPost(endpoint, data = {}) {
+  return apiRequest('POST', endpoint, { body: data, idempotent: false });
+}
+
+// Recordings written this run; a key's first response replaces any older recording
+const recordedKeys = new Set();
+// Responses served per recording, so repeated polls replay in the order they were captured
+const replayPositions = new Map();
+
+/**
+ * One file per distinct request: method, path, sorted query and body. The host
+ * is left out so a recording made against one API base replays against any other.
+ */
+function recordingFile(dir, method, url, body) {
+  const query = [...url.searchParams].sort(([a], [b]) => a.localeCompare(b));
+  const signature = JSON.stringify([method, url.pathname, query, body ?? null]);
+  const hash = crypto.createHash('sha256').update(signature).digest('hex').slice(0, 12);
+  const slug = url.pathname.replace(/^\/api\//, '').replace(/[^A-Za-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'root';
+  return path.join(dir, `${method.toLowerCase()}-${slug}-${hash}.json`);
+}
+
+// The key never reaches a recording, even when a response echoes it back
+function scrubKey(value, apiKey) {
+  const text = JSON.stringify(value);
+  return JSON.parse(apiKey ? text.split(apiKey).join('<api-key>') : text);
+}
+
+function recordResponse(method, url, body, response, apiKey) {
+  const file = recordingFile(clientOptions.record, method, url, body);
+  let recording = { method, path: url.pathname + url.search, body: body ?? null, responses: [] };
+  if (recordedKeys.has(file)) {
     try {
-      await apiGet('/api/businesses/', { page_size: 1 });
+      recording = JSON.parse(fs.readFileSync(file, 'utf8'));
     } catch (e) {
-      console.error('❌ API key verification failed:', e.message);
-      rl.close();
-      process.exit(1);
+      // Start the recording over
     }
+  }
+  recordedKeys.add(file);
+  recording.recorded_at = new Date().toISOString();
+  recording.responses.push(response);
 
-    const configPath = saveConfig({ api_key: apiKey }, location);
-    console.log(`\n✅ Config saved to: ${configPath}`);
-    console.log('You can now use LocalRank commands!\n');
+  fs.mkdirSync(clientOptions.record, { recursive: true });
+  writeFileAtomic(file, JSON.stringify(scrubKey(recording, apiKey), null, 2) + '\n');
+}
 
-    rl.close();
-  },
+// Answer from a recording instead of the API; the last response repeats once the rest are used up
+function replayResponse(method, url, body) {
+  const file = recordingFile(clientOptions.replay, method, url, body);
+  let recording;
+  try {
+    recording = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    throw new OfflineError(`Replay: no recorded response for ${method} ${url.pathname}${url.search} in ${clientOptions.replay}. ` +
+      `Record it first with --record ${clientOptions.replay}`);
+  }
 
-  async 'config:show'() {
-    const config = loadConfig();
-    const source = process.env.LOCALRANK_API_KEY ? 'environment variable' :
-      fs.existsSync(CONFIG_PATHS.local) ? 'local config' : 'global config';
+  const position = replayPositions.get(file) || 0;
+  replayPositions.set(file, position + 1);
+  const response = recording.responses[Math.min(position, recording.responses.length - 1)];
+  if (response.status >= 400) throw new ApiError(response.status, response.body);
+  return response.data;
+}
 
-    console.log(JSON.stringify({
-      api_key: config.api_key ? `${config.api_key.slice(0, 8)}...` : null,
-      source,
-      api_base: API_BASE
-    }, null, 2));
-  },
+// ============================================================================
+// Response Cache
+// ============================================================================
 
-  // Business/Client Management
-  async 'businesses:list'(args) {
-    const data = await apiGet('/api/businesses/');
-    const results = data.results || data;
+// Stored next to whichever config directory is in use
+const CACHE_DIRS = {
+  global: path.join(os.homedir(), '.config', 'localrank', 'cache'),
+  local: path.join(process.cwd(), '.localrank', 'cache')
+};
 
-    let businesses = results.map(b => ({
-      uuid: b.uuid,
-      name: b.name,
-      place_id: b.place_id
-    }));
+const cacheOptions = {
+  enabled: !process.env.LOCALRANK_NO_CACHE,
+  refresh: false,
+  offline: !!process.env.LOCALRANK_OFFLINE,
+  // List endpoints go stale; completed scans and audits never change
+  ttl: (parseInt(process.env.LOCALRANK_CACHE_TTL) || 900) * 1000
+};
 
-    // Filter by search if provided
-    const search = args['--search']?.toLowerCase();
-    if (search) {
-      businesses = businesses.filter(b => b.name.toLowerCase().includes(search));
-    }
+// Detail endpoints whose completed responses are immutable
+const PERMANENT_ENDPOINTS = [/^\/api\/scans\/[^/]+\/$/, /^\/api\/gmb\/audit\/[^/]+\/$/];
 
-    console.log(JSON.stringify({ businesses, count: businesses.length }, null, 2));
-  },
+function configureCache(args = {}) {
+  const configTtl = parseInt(loadConfig().cache_ttl);
+  if (configTtl > 0 && !process.env.LOCALRANK_CACHE_TTL) cacheOptions.ttl = configTtl * 1000;
 
-  // Scans & Rankings
-  async 'scans:list'(args) {
-    const limit = Math.min(parseInt(args['--limit']) || 10, 50);
-    const data = await apiGet('/api/scans/', { page_size: limit });
-    const results = data.results || [];
+  if (args['--no-cache']) cacheOptions.enabled = false;
+  if (args['--refresh']) cacheOptions.refresh = true;
+  if (args['--offline']) cacheOptions.offline = true;
+}
+
+function getCacheDir() {
+  return fs.existsSync(path.dirname(CACHE_DIRS.local)) ? CACHE_DIRS.local : CACHE_DIRS.global;
+}
+
+// Stands in for the API key in file names, so they never reveal it
+function accountHash(apiKey = getApiKey()) {
+  return crypto.createHash('sha256').update(apiKey || 'anonymous').digest('hex').slice(0, 16);
+}
+
+/**
+ * Where state that belongs to one account is kept: the same directory for
+ * every project using the key, and a different one for every other key.
+ */
+function accountStateDir(apiKey) {
+  return path.join(path.dirname(CONFIG_PATHS.global), 'accounts', accountHash(apiKey));
+}
+
+// Keyed by account as well as URL so switching keys never serves another account's data
+function cacheFile(url) {
+  const key = crypto.createHash('sha256').update(`${accountHash()} ${url}`).digest('hex');
+  return path.join(getCacheDir(), `${key}.json`);
+}
+
+function readCache(url, { allowExpired = false } = {}) {
+  try {
+    const entry = JSON.parse(fs.readFileSync(cacheFile(url), 'utf8'));
+    if (!allowExpired && entry.expires_at && Date.parse(entry.expires_at) < Date.now()) return null;
+    return entry;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Write-then-rename so a concurrent reader never sees a partial file
+function writeFileAtomic(file, text) {
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, text);
+  fs.renameSync(tmp, file);
+}
+
+function writeCache(url, endpoint, data) {
+  const permanent = PERMANENT_ENDPOINTS.some(re => re.test(endpoint));
+  // A scan or audit still processing will look different on the next poll
+  if (permanent && data?.status !== 'completed') return;
+
+  const entry = {
+    url,
+    stored_at: new Date().toISOString(),
+    expires_at: permanent ? null : new Date(Date.now() + cacheOptions.ttl).toISOString(),
+    data
+  };
+
+  try {
+    const file = cacheFile(url);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    writeFileAtomic(file, JSON.stringify(entry));
+  } catch (e) {
+    // A cache that can't be written is not worth failing the command over
+  }
+}
+
+async function cachedGet(endpoint, params = {}) {
+  const url = buildUrl(endpoint, params);
+  const key = url.toString();
+
+  // A replay never touches the cache, and recording needs the live responses
+  if (clientOptions.replay) return apiRequest('GET', endpoint, { params });
+  const useCache = cacheOptions.enabled && !clientOptions.record;
+
+  if (cacheOptions.offline) {
+    const entry = readCache(key, { allowExpired: true });
+    if (!entry) {
+      throw new OfflineError(`Offline: no cached response for GET ${url.pathname}${url.search}. ` +
+        'Run the command once while online to cache it');
+    }
+    return entry.data;
+  }
+
+  if (useCache && !cacheOptions.refresh) {
+    const entry = readCache(key);
+    if (entry) return entry.data;
+  }
+
+  const data = await schedule(() => apiRequest('GET', endpoint, { params }));
+  if (cacheOptions.enabled) writeCache(key, url.pathname, data);
+  return data;
+}
+
+function listCacheEntries() {
+  const dir = getCacheDir();
+  if (!fs.existsSync(dir)) return [];
+
+  return fs.readdirSync(dir)
+    .filter(f => f.endsWith('.json'))
+    .map(f => {
+      const file = path.join(dir, f);
+      try {
+        const entry = JSON.parse(fs.readFileSync(file, 'utf8'));
+        return { file, size: fs.statSync(file).size, url: entry.url, stored_at: entry.stored_at, expires_at: entry.expires_at };
+      } catch (e) {
+        return { file, size: fs.statSync(file).size, corrupt: true };
+      }
+    });
+}
+
+// ============================================================================
+// Fetch Scheduler
+// ============================================================================
+
+const scheduler = {
+  concurrency: parseInt(process.env.LOCALRANK_CONCURRENCY) || 4,
+  active: 0,
+  queue: []
+};
+
+// Responses fetched during this run, keyed by full URL
+const responseMemo = new Map();
+
+function configureScheduler(args = {}) {
+  const concurrency = parseInt(args['--concurrency']);
+  if (concurrency > 0) scheduler.concurrency = concurrency;
+}
+
+function drainQueue() {
+  while (scheduler.active < scheduler.concurrency && scheduler.queue.length > 0) {
+    const task = scheduler.queue.shift();
+    scheduler.active++;
+    task().finally(() => {
+      scheduler.active--;
+      drainQueue();
+    });
+  }
+}
+
+// Run `task` once fewer than `scheduler.concurrency` tasks are in flight
+function schedule(task) {
+  return new Promise((resolve, reject) => {
+    scheduler.queue.push(() => task().then(resolve, reject));
+    drainQueue();
+  });
+}
+
+function getScanDetail(uuid) {
+  return apiGet(`/api/scans/${uuid}/`);
+}
+
+// Drop a memoized response so the next apiGet asks again (used when polling)
+function forgetResponse(endpoint, params = {}) {
+  responseMemo.delete(buildUrl(endpoint, params).toString());
+}
+
+// After a write, drop every memoized and cached page of a list endpoint so
+// the next read sees the change rather than waiting out the cache TTL
+function forgetList(endpoint) {
+  const base = buildUrl(endpoint).toString();
+  const matches = url => url && url.split('?')[0] === base;
+  [...responseMemo.keys()].filter(matches).forEach(key => responseMemo.delete(key));
+  listCacheEntries()
+    .filter(entry => matches(entry.url))
+    .forEach(entry => fs.rmSync(entry.file, { force: true }));
+}
+
+// ============================================================================
+// Pagination
+// ============================================================================
+
+function parseSince(value) {
+  if (!value || value === true) return null;
+  if (value instanceof Date) return value;
+
+  // Relative windows: 30d, 8w
+  const relative = /^(\d+)([dw])$/.exec(value);
+  if (relative) {
+    const days = parseInt(relative[1]) * (relative[2] === 'w' ? 7 : 1);
+    return new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+  }
+
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new UsageError(`Invalid --since value '${value}'. Use a date (2026-01-01) or a window (30d, 8w)`);
+  }
+  return date;
+}
+
+function listOptions(args = {}) {
+  const maxPages = parseInt(args['--max-pages']);
+  return {
+    maxPages: maxPages > 0 ? maxPages : undefined,
+    since: parseSince(args['--since'])
+  };
+}
+
+/**
+ * Fetch every page of a list endpoint by following DRF-style `next` links.
+ * Stops early after `maxPages` pages, after `limit` items, or once a whole
+ * page is older than `since` (list endpoints return newest first).
+ */
+async function apiGetAll(endpoint, params = {}, { maxPages, since, limit } = {}) {
+  const items = [];
+  let next = endpoint;
+  let query = params;
+  let pages = 0;
+
+  while (next) {
+    const data = await apiGet(next, query);
+    pages++;
+
+    // Unpaginated endpoints return a bare array
+    if (Array.isArray(data)) {
+      items.push(...data);
+      break;
+    }
+
+    const results = data.results || [];
+    const inWindow = since
+      ? results.filter(item => !item.created_at || new Date(item.created_at) >= since)
+      : results;
+    items.push(...inWindow);
+
+    if (since && results.length > 0 && inWindow.length === 0) break;
+    if (maxPages && pages >= maxPages) break;
+    if (limit && items.length >= limit) break;
+
+    // `next` is followed as given, so a base URL with a path prefix isn't applied twice,
+    // but only on our own API host so the key never leaks elsewhere
+    if (data.next) {
+      const nextUrl = new URL(data.next, buildUrl(next, query));
+      if (nextUrl.origin !== new URL(getApiBase()).origin) {
+        throw new NetworkError(`The API's next page is on another host (${nextUrl.origin}); not sending the API key there`);
+      }
+      next = nextUrl.toString();
+      query = {};
+    } else {
+      next = null;
+    }
+  }
+
+  return limit ? items.slice(0, limit) : items;
+}
+
+function fetchScans({ since, maxPages } = {}) {
+  return apiGetAll('/api/scans/', { page_size: 100 }, { maxPages, since: parseSince(since) });
+}
+
+// ============================================================================
+// Credit Ledger
+// ============================================================================
+
+// Kept next to the global config so caps hold across projects and profiles
+const LEDGER_PATH = path.join(os.homedir(), '.config', 'localrank', 'credits.jsonl');
+
+const AUDIT_CREDITS = 500;
+// A scan checks every keyword from every point of its grid. The API has no price
+// list, so this is an estimate; what a scan really cost is its credits_deducted
+const SCAN_CREDITS_PER_POINT = 1;
+
+function estimateScanCredits(keywords, gridSize) {
+  return keywords * gridSize * gridSize * SCAN_CREDITS_PER_POINT;
+}
+
+// Set by configure({ creditLimits }); replaces the config file's credit_limits
+let creditLimitOverrides = null;
+
+function creditLimits() {
+  const limits = creditLimitOverrides || loadConfig().credit_limits || {};
+  return {
+    daily: limits.daily > 0 ? limits.daily : null,
+    monthly: limits.monthly > 0 ? limits.monthly : null
+  };
+}
+
+// One JSON entry per line; a torn final line from a crash is ignored
+function readLedger() {
+  let text;
+  try {
+    text = fs.readFileSync(LEDGER_PATH, 'utf8');
+  } catch (e) {
+    return [];
+  }
+  return text.split('\n').filter(Boolean).flatMap(line => {
+    try {
+      return [JSON.parse(line)];
+    } catch (e) {
+      return [];
+    }
+  });
+}
+
+function recordSpend(entry) {
+  // A replayed run spent nothing
+  if (clientOptions.replay) return;
+  fs.mkdirSync(path.dirname(LEDGER_PATH), { recursive: true, mode: 0o700 });
+  const line = { timestamp: new Date().toISOString(), profile: activeProfile().name, ...entry };
+  fs.appendFileSync(LEDGER_PATH, JSON.stringify(line) + '\n', { mode: 0o600 });
+}
+
+/**
+ * Credits spent today and this month (local time) against the caps.
+ * `remaining` is what the tighter cap still allows, or null with no caps.
+ */
+function creditUsage(entries = readLedger()) {
+  const now = new Date();
+  const spentSince = start => entries
+    .filter(entry => Date.parse(entry.timestamp) >= start.getTime())
+    .reduce((sum, entry) => sum + (entry.credits || 0), 0);
+
+  const today = spentSince(new Date(now.getFullYear(), now.getMonth(), now.getDate()));
+  const thisMonth = spentSince(new Date(now.getFullYear(), now.getMonth(), 1));
+  const limits = creditLimits();
+  const left = [
+    limits.daily !== null ? limits.daily - today : null,
+    limits.monthly !== null ? limits.monthly - thisMonth : null
+  ].filter(value => value !== null);
+
+  return {
+    today,
+    this_month: thisMonth,
+    limits,
+    remaining: left.length > 0 ? Math.max(0, Math.min(...left)) : null
+  };
+}
+
+function checkCreditLimit(credits) {
+  const usage = creditUsage();
+  if (usage.remaining !== null && credits > usage.remaining) throw new CreditLimitError(credits, usage);
+}
+
+// ============================================================================
+// Business Resolution
+// ============================================================================
+
+// Scans belong to a business by UUID; two locations can share a display name
+function scanBusinessKey(scan) {
+  return scan.business?.uuid || scan.business?.name || 'Unknown';
+}
+
+// Lowercase words without punctuation, so "joes roofing" finds "Joe's Roofing"
+function normalizeName(name) {
+  return String(name || '').toLowerCase().replace(/['’]/g, '').replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * How well a business name matches a query, 0-100: the exact name, then
+ * names starting with the query, names with a word starting with every
+ * query word, any substring, and last near-misses such as typos.
+ */
+function nameScore(name, query) {
+  const n = normalizeName(name);
+  const q = normalizeName(query);
+  if (!q || !n) return 0;
+  if (n === q) return 100;
+  if (n.startsWith(q)) return 90;
+
+  const words = n.split(' ');
+  const terms = q.split(' ');
+  if (terms.every(t => words.some(w => w.startsWith(t)))) return 75;
+  if (n.includes(q)) return 60;
+
+  // Every query word within a couple of edits of some word in the name
+  const similarity = Math.min(...terms.map(t =>
+    Math.max(...words.map(w => 1 - editDistance(t, w) / Math.max(t.length, w.length)))));
+  return similarity >= 0.75 ? Math.round(similarity * 50) : 0;
+}
+
+/**
+ * Find the one business a --business value refers to: a UUID or place_id
+ * from businesses:list, or a name. A name that matches several businesses
+ * fails with AmbiguousBusinessError unless `first` is set, in which case the
+ * best-ranked match wins. Only a unique exact name is taken without asking.
+ */
+async function resolveBusiness(query, { first = false } = {}) {
+  if (!query) throw new UsageError('A business name, UUID or place_id is required');
+
+  const businesses = await apiGetAll('/api/businesses/', { page_size: 100 });
+  const byId = businesses.find(b => b.uuid === query || b.place_id === query);
+  if (byId) return byId;
+
+  const candidates = businesses
+    .map(business => ({ business, score: nameScore(business.name, query) }))
+    .filter(c => c.score > 0)
+    .sort((a, b) => b.score - a.score || a.business.name.localeCompare(b.business.name));
+
+  if (candidates.length === 0) {
+    throw new NotFoundError(`No business matches '${query}'. Run businesses:list to see all businesses`);
+  }
+
+  const [best, runnerUp] = candidates;
+  const uniqueExact = best.score === 100 && runnerUp?.score !== 100;
+  if (candidates.length === 1 || uniqueExact || first) return best.business;
+
+  throw new AmbiguousBusinessError(query, candidates.map(({ business, score }) => ({
+    uuid: business.uuid,
+    name: business.name,
+    place_id: business.place_id,
+    score
+  })));
+}
+
+// ============================================================================
+// Library API
+// ============================================================================
+
+/**
+ * Data and analysis functions behind the CLI commands. Each returns a plain
+ * object and throws a LocalRankError subclass on failure; nothing here prints
+ * or exits, so the module can be required by other tools.
+ */
+
+/**
+ * Programmatic equivalent of the global CLI flags. `timeout` is in
+ * milliseconds here (seconds on the command line).
+ */
+function configure({ apiKey, apiBase, profile, timeout, retries, record, replay, concurrency, cache, refresh, offline, cacheTtl, log, rules, creditLimits } = {}) {
+  if (apiKey !== undefined) clientOptions.apiKey = apiKey;
+  if (profile !== undefined) clientOptions.profile = profile;
+  if (apiBase !== undefined) clientOptions.apiBase = apiBase.replace(/\/+$/, '');
+  if (timeout !== undefined) clientOptions.timeout = timeout;
+  if (retries !== undefined) {
+    if (!(Number.isInteger(retries) && retries >= 0)) throw new UsageError(`retries must be a whole number of 0 or more, got ${retries}`);
+    clientOptions.retries = retries;
+  }
+  if (record !== undefined) clientOptions.record = record;
+  if (replay !== undefined) clientOptions.replay = replay;
+  if (concurrency !== undefined) scheduler.concurrency = concurrency;
+  if (cache !== undefined) cacheOptions.enabled = cache;
+  if (refresh !== undefined) cacheOptions.refresh = refresh;
+  if (offline !== undefined) cacheOptions.offline = offline;
+  if (cacheTtl !== undefined) cacheOptions.ttl = cacheTtl * 1000;
+  if (log !== undefined) clientOptions.log = log;
+  if (rules !== undefined) ruleOverrides = rules;
+  if (creditLimits !== undefined) creditLimitOverrides = creditLimits;
+}
+
+function getConfigInfo() {
+  const credentials = resolveCredentials();
+  return {
+    api_key: maskKey(credentials.api_key),
+    profile: credentials.profile,
+    source: credentials.source || 'not configured',
+    path: credentials.path,
+    api_base: getApiBase()
+  };
+}
+
+function listProfiles() {
+  const active = activeProfile().name;
+  const { default_profile: defaultProfile = DEFAULT_PROFILE } = loadConfig();
+  const profiles = Object.values(profileEntries()).map(entry => ({
+    name: entry.name,
+    api_key: maskKey(entry.api_key),
+    api_base: entry.api_base,
+    location: entry.location,
+    path: entry.path,
+    active: entry.name === active,
+    default: entry.name === defaultProfile
+  }));
+
+  return { active, profiles, count: profiles.length };
+}
+
+// Make a profile the default for runs that don't pass --profile
+function useProfile(name, { location = 'global' } = {}) {
+  if (!name) throw new UsageError('A profile name is required');
+  if (!profileEntries()[name]) {
+    throw new ConfigError(`Profile '${name}' not found. Run: localrank setup --profile ${name}`);
+  }
+
+  const configPath = updateConfig(location, config => {
+    if (name === DEFAULT_PROFILE) delete config.default_profile;
+    else config.default_profile = name;
+  });
+  return { default_profile: name, path: configPath };
+}
+
+// Keys that came from outside the config files can't be removed or replaced there
+function storedCredentials(action) {
+  const credentials = resolveCredentials();
+  if (credentials.source === 'environment variable' || credentials.source === 'configure()') {
+    const origin = credentials.source === 'configure()' ? 'configure()' : 'LOCALRANK_API_KEY';
+    throw new ConfigError(`The API key comes from ${origin}, not a config file - nothing to ${action}`);
+  }
+  if (!credentials.api_key) throw new ConfigError(missingKeyMessage(credentials.profile));
+  return credentials;
+}
+
+// Remove the active profile's key from the file it was read from
+function logout() {
+  const { profile, path: configPath } = storedCredentials('log out of');
+  const location = configPath === CONFIG_PATHS.local ? 'local' : 'global';
+  updateConfig(location, config => removeProfile(config, profile));
+  return { profile, removed_from: configPath };
+}
+
+// Check a key against the API without touching the cache
+async function verifyApiKey(apiKey, apiBase) {
+  const previous = { apiKey: clientOptions.apiKey, apiBase: clientOptions.apiBase };
+  Object.assign(clientOptions, { apiKey, apiBase });
+  try {
+    await apiRequest('GET', '/api/businesses/', { params: { page_size: 1 } });
+  } catch (err) {
+    if (err instanceof ApiError && (err.status === 401 || err.status === 403)) {
+      throw new ConfigError(`Invalid API key (${err.message})`, { cause: err });
+    }
+    throw err;
+  } finally {
+    Object.assign(clientOptions, previous);
+  }
+}
+
+/**
+ * Replace the active profile's key, in the file it was read from. The new key
+ * is verified first, so a typo can't lock the profile out.
+ */
+async function rotateKey(newKey) {
+  if (!newKey || !newKey.startsWith('lr_')) throw new UsageError('A new API key starting with "lr_" is required');
+
+  const { profile, path: configPath, api_key: oldKey } = storedCredentials('rotate');
+  await verifyApiKey(newKey, getApiBase());
+
+  const location = configPath === CONFIG_PATHS.local ? 'local' : 'global';
+  updateConfig(location, config => setProfile(config, profile, { api_key: newKey }));
+
+  // Same account, new key: its state moves with it
+  const [oldDir, newDir] = [accountStateDir(oldKey), accountStateDir(newKey)];
+  if (fs.existsSync(oldDir) && !fs.existsSync(newDir)) fs.renameSync(oldDir, newDir);
+  return { profile, path: configPath, old_key: maskKey(oldKey), new_key: maskKey(newKey) };
+}
+
+function getCacheStats() {
+  const entries = listCacheEntries();
+  const now = Date.now();
+  const dates = entries.filter(e => e.stored_at).map(e => e.stored_at).sort();
+
+  return {
+    directory: getCacheDir(),
+    entries: entries.length,
+    size_kb: Math.round(entries.reduce((sum, e) => sum + e.size, 0) / 1024),
+    permanent: entries.filter(e => !e.corrupt && !e.expires_at).length,
+    fresh: entries.filter(e => e.expires_at && Date.parse(e.expires_at) >= now).length,
+    expired: entries.filter(e => e.expires_at && Date.parse(e.expires_at) < now).length,
+    oldest: dates[0] || null,
+    newest: dates[dates.length - 1] || null,
+    ttl_seconds: cacheOptions.ttl / 1000
+  };
+}
+
+function clearCache({ expired = false } = {}) {
+  const now = Date.now();
+  let entries = listCacheEntries();
+  if (expired) {
+    entries = entries.filter(e => e.corrupt || (e.expires_at && Date.parse(e.expires_at) < now));
+  }
+
+  entries.forEach(e => fs.unlinkSync(e.file));
+  return { directory: getCacheDir(), removed: entries.length };
+}
+
+/**
+ * The rules analyses run with. With a business name, the rules resolved for
+ * that client (tier and overrides applied); otherwise the global rules plus
+ * the names of every tier and business override.
+ */
+async function getRules(businessName, { first } = {}) {
+  const sources = ruleSources().map(({ source, path: configPath }) => ({ source, path: configPath }));
+
+  if (businessName) {
+    const rules = await resolveRules();
+    const business = await resolveBusiness(businessName, { first });
+    return {
+      business: business.name,
+      tier: rules.businesses[business.uuid]?.tier ?? null,
+      overrides: rules.business_keys[business.uuid] || [],
+      sources,
+      rules: rulesFor(rules, business.uuid)
+    };
+  }
+
+  const { tiers, businesses, ...global } = loadRules();
+  return {
+    sources,
+    rules: global,
+    tiers: Object.keys(tiers),
+    businesses: Object.keys(businesses)
+  };
+}
+
+/**
+ * Every problem with the rules. Once the values check out, each business key
+ * is resolved against the account; without credentials or a connection that
+ * step is skipped and `businesses_checked` is false.
+ */
+async function validateRules() {
+  const { sources, errors, rules } = evaluateRules();
+  let businessesChecked = errors.length === 0;
+  if (businessesChecked && Object.keys(rules.businesses).length > 0) {
+    try {
+      const { errors: keyErrors } = await resolveBusinessKeys(rules.businesses, 'rules.businesses');
+      keyErrors.forEach(error => {
+        const key = error.rule.slice('rules.businesses.'.length);
+        const source = [...sources].reverse().find(s => s.rules?.businesses && key in s.rules.businesses);
+        errors.push({ source: source ? source.source : 'merged', ...error });
+      });
+    } catch (e) {
+      if (!(e instanceof ConfigError || e instanceof NetworkError || e instanceof OfflineError)) throw e;
+      businessesChecked = false;
+    }
+  }
+
+  return {
+    valid: errors.length === 0,
+    businesses_checked: businessesChecked,
+    sources: sources.map(({ source, path: configPath }) => ({ source, path: configPath })),
+    errors
+  };
+}
+
+async function listBusinesses({ search, maxPages } = {}) {
+  const results = await apiGetAll('/api/businesses/', { page_size: 100 }, { maxPages });
+
+  let businesses = results.map(b => ({
+    uuid: b.uuid,
+    name: b.name,
+    place_id: b.place_id
+  }));
+
+  // Filter by search if provided
+  if (search) {
+    businesses = businesses.filter(b => b.name.toLowerCase().includes(search.toLowerCase()));
+  }
+
+  return { businesses, count: businesses.length };
+}
+
+// Google place IDs are URL-safe base64-ish strings, most starting "ChIJ"
+const PLACE_ID_PATTERN = /^[A-Za-z0-9_-]{16,}$/;
+
+// The place ID a Maps link carries, when it has one
+function mapsPlaceId(url) {
+  return new URL(url).searchParams.get('query_place_id');
+}
+
+function businessProfile(data) {
+  return {
+    uuid: data.uuid,
+    name: data.name,
+    place_id: data.place_id ?? null,
+    address: data.address ?? null,
+    phone: data.phone ?? null,
+    website: data.website ?? null,
+    category: data.category ?? null,
+    rating: data.rating ?? null,
+    review_count: data.review_count ?? null,
+    maps_url: data.maps_url ?? null,
+    created_at: data.created_at ?? null
+  };
+}
+
+/**
+ * Start tracking a business from its Google Maps URL or place ID. A place ID
+ * that is already tracked returns the existing business (already_exists)
+ * instead of a duplicate. `keywords` become its starter tracked keywords.
+ */
+async function addBusiness({ url, placeId, keywords } = {}) {
+  if (!url === !placeId) throw new UsageError('Pass either a Google Maps URL or a place ID');
+  const mapsUrl = url ? normalizeMapsUrl(url) : null;
+  if (url && !mapsUrl) throw new UsageError(`'${url}' is not a Google Maps URL`);
+  if (placeId && !PLACE_ID_PATTERN.test(placeId)) {
+    throw new UsageError(`'${placeId}' doesn't look like a Google place ID (e.g. ChIJN1t_tDeuEmsRUsoyG83frY4)`);
+  }
+  const starter = keywords ? parseKeywords(keywords) : [];
+
+  const knownId = placeId || mapsPlaceId(mapsUrl);
+  const businesses = await apiGetAll('/api/businesses/', { page_size: 100 });
+  const existing = knownId && businesses.find(b => b.place_id === knownId);
+  const data = existing || await apiPost('/api/businesses/', mapsUrl ? { gmb_url: mapsUrl } : { place_id: placeId });
+  if (!existing) forgetList('/api/businesses/');
+
+  const result = { ...businessProfile(data), already_exists: Boolean(existing) };
+  if (starter.length > 0) {
+    const tracked = await trackKeywords(data, starter);
+    result.keywords = [...tracked.added, ...tracked.already_tracked];
+  }
+  result.tip = `Start its first scan with scans:create --business "${data.uuid}"`;
+  return result;
+}
+
+/**
+ * A business's full profile, the keywords it tracks and its latest scan.
+ */
+async function getBusiness(businessName, { first, ...options } = {}) {
+  const business = await resolveBusiness(businessName, { first });
+  const [data, keywords, scans] = await Promise.all([
+    apiGet(`/api/businesses/${business.uuid}/`),
+    trackedKeywords(business),
+    fetchScans(options)
+  ]);
+  const own = scans.filter(s => scanBusinessKey(s) === business.uuid);
+  const latest = own[0];
+
+  return {
+    ...businessProfile({ ...business, ...data }),
+    keywords: keywords.map(keyword => ({ keyword })),
+    scans: own.length,
+    latest_scan: latest
+      ? { uuid: latest.uuid, date: latest.created_at, status: latest.status, avg_rank: latest.avg_rank ?? null }
+      : null
+  };
+}
+
+// Stop tracking a business. Its past scans stay in the web app.
+async function archiveBusiness(businessName, { first } = {}) {
+  const business = await resolveBusiness(businessName, { first });
+  await apiPost(`/api/businesses/${business.uuid}/archive/`);
+  forgetList('/api/businesses/');
+  return { uuid: business.uuid, name: business.name, archived: true };
+}
+
+async function listScans({ business, first, limit = 10, since, maxPages } = {}) {
+  const businessFilter = business ? (await resolveBusiness(business, { first })).uuid : null;
+  // When filtering by business we have to look past the first `limit` scans
+  const results = await apiGetAll('/api/scans/', { page_size: Math.min(limit, 100) }, {
+    maxPages,
+    since: parseSince(since),
+    limit: businessFilter ? undefined : limit
+  });
+
+  let scans = results.map(s => ({
+    uuid: s.uuid,
+    business_uuid: s.business?.uuid,
+    business_name: s.business?.name,
+    keywords: s.keywords,
+    status: s.status,
+    avg_rank: s.avg_rank,
+    created_at: s.created_at,
+    view_url: s.public_share_token ? `https://app.localrank.so/share/${s.public_share_token}` : null
+  }));
+
+  // Filter by business name
+  if (businessFilter) {
+    scans = scans.filter(s => s.business_uuid === businessFilter).slice(0, limit);
+  }
+
+  return { scans, count: scans.length };
+}
+
+/**
+ * One scan with per-keyword ranks. With `grid`, also the rank at every grid
+ * point (with coordinates) and coverage metrics per keyword; `keyword`
+ * limits the grid to one keyword.
+ */
+async function getScan(scanId, { grid = false, keyword } = {}) {
+  if (!scanId) throw new UsageError('A scan ID is required');
+
+  const data = await getScanDetail(scanId);
+  let keywords = (data.keyword_results || []).map(kw => ({
+    keyword: kw.keyword,
+    avg_rank: kw.avg_rank,
+    best_rank: kw.best_rank,
+    found_count: kw.found_count
+  }));
+
+  const result = {
+    uuid: data.uuid,
+    business_name: data.business?.name,
+    status: data.status,
+    avg_rank: data.avg_rank,
+    keywords,
+    view_url: data.public_share_token ? `https://app.localrank.so/share/${data.public_share_token}` : null
+  };
+  if (!grid) return result;
+
+  const scanGrid = readScanGrid(data);
+  if (!scanGrid) {
+    throw new NotFoundError(data.status === 'completed'
+      ? `Scan ${scanId} has no grid data`
+      : `Scan ${scanId} is ${data.status || 'processing'}; its grid is available once it completes`);
+  }
+
+  let grids = scanGrid.keywords;
+  if (keyword) {
+    grids = grids.filter(g => g.keyword.toLowerCase() === String(keyword).toLowerCase());
+    if (grids.length === 0) {
+      throw new NotFoundError(`Scan ${scanId} has no keyword '${keyword}'. Keywords: ${scanGrid.keywords.map(g => g.keyword).join(', ')}`);
+    }
+    keywords = keywords.filter(kw => grids.some(g => g.keyword === kw.keyword));
+  }
+
+  const coverage = grids.map(g => ({ keyword: g.keyword, ...gridCoverage(g.points, scanGrid) }));
+  return {
+    ...result,
+    grid_size: scanGrid.grid_size,
+    radius: scanGrid.radius,
+    center: scanGrid.center,
+    keywords: keywords.map(kw => {
+      const { rings, ...metrics } = coverage.find(c => c.keyword === kw.keyword) || {};
+      return { ...kw, ...metrics };
+    }),
+    grid: grids.map(g => ({ keyword: g.keyword, rings: coverage.find(c => c.keyword === g.keyword).rings, points: g.points }))
+  };
+}
+
+// Ranks at or under these count as the local pack and page 1
+const GRID_TOP_RANK = 3;
+const GRID_PAGE_ONE_RANK = 10;
+// Scans look 20 results deep; past that a point counts as not found
+const GRID_MAX_RANK = 20;
+const MILES_PER_DEGREE_LAT = 69.05;
+
+/**
+ * The per-point ranks of a scan detail response, or null when it has none.
+ * Each keyword result carries `grid_points`: one { lat, lng, rank } per grid
+ * point in row-major order from the north-west corner, rank null where the
+ * business wasn't found. Points without coordinates are placed from the
+ * scan's center, grid size and radius.
+ */
+function readScanGrid(data) {
+  const results = (data.keyword_results || []).filter(kw => Array.isArray(kw.grid_points) && kw.grid_points.length > 0);
+  if (results.length === 0) return null;
+
+  const gridSize = data.grid_size || Math.round(Math.sqrt(results[0].grid_points.length));
+  const half = (gridSize - 1) / 2;
+  const radius = data.radius ?? null;
+  const spacing = radius && half > 0 ? radius / half : null;
+  const centerLat = data.latitude ?? data.center?.lat ?? null;
+  const centerLng = data.longitude ?? data.center?.lng ?? null;
+  const center = centerLat !== null && centerLng !== null ? { lat: centerLat, lng: centerLng } : null;
+
+  const keywords = results.map(kw => ({
+    keyword: kw.keyword,
+    points: kw.grid_points.map((point, i) => {
+      const row = point.row ?? Math.floor(i / gridSize);
+      const col = point.col ?? i % gridSize;
+      let lat = point.lat ?? point.latitude ?? null;
+      let lng = point.lng ?? point.longitude ?? null;
+      if ((lat === null || lng === null) && center && spacing) {
+        lat = center.lat + (half - row) * spacing / MILES_PER_DEGREE_LAT;
+        lng = center.lng + (col - half) * spacing / (MILES_PER_DEGREE_LAT * Math.cos(center.lat * Math.PI / 180));
+      }
+      const rank = point.rank ?? point.position ?? null;
+      return {
+        row,
+        col,
+        lat: round(lat, 6),
+        lng: round(lng, 6),
+        distance_miles: spacing ? round(Math.hypot(row - half, col - half) * spacing, 2) : null,
+        rank: rank > 0 ? rank : null
+      };
+    })
+  }));
+
+  return { grid_size: gridSize, radius, center, keywords };
+}
+
+/**
+ * Coverage of one keyword's grid: the share of points in the top 3, on page 1
+ * and found at all, plus the same per ring of points around the center.
+ * Rankings fall off at the first ring where fewer than half the points are on
+ * page 1 (falloff_radius_miles, null if every ring holds up).
+ */
+function gridCoverage(points, { grid_size: gridSize, radius }) {
+  const half = (gridSize - 1) / 2;
+  const spacing = radius && half > 0 ? radius / half : null;
+  const share = (list, test) => (list.length ? round(list.filter(test).length / list.length, 2) : null);
+
+  const rings = [];
+  points.forEach(point => {
+    const ring = Math.max(Math.abs(point.row - half), Math.abs(point.col - half));
+    (rings[ring] = rings[ring] || []).push(point);
+  });
+  const ringStats = rings.map((ringPoints, ring) => {
+    const ranked = ringPoints.filter(p => p.rank !== null);
+    return {
+      ring,
+      distance_miles: spacing ? round(ring * spacing, 2) : null,
+      points: ringPoints.length,
+      avg_rank: ranked.length ? round(ranked.reduce((sum, p) => sum + p.rank, 0) / ranked.length) : null,
+      top_3_share: share(ringPoints, p => withinRank(p.rank, GRID_TOP_RANK)),
+      page_1_share: share(ringPoints, p => withinRank(p.rank, GRID_PAGE_ONE_RANK))
+    };
+  }).filter(Boolean);
+  const falloff = ringStats.find(ring => ring.page_1_share < 0.5);
+
+  return {
+    top_3_share: share(points, p => withinRank(p.rank, GRID_TOP_RANK)),
+    page_1_share: share(points, p => withinRank(p.rank, GRID_PAGE_ONE_RANK)),
+    found_share: share(points, p => p.rank !== null),
+    falloff_radius_miles: falloff ? falloff.distance_miles : null,
+    rings: ringStats
+  };
+}
+
+// Grid sizes the scanner supports: an odd number of points per side, so the
+// business sits in the middle
+const SCAN_GRID_SIZES = [3, 5, 7, 9, 11, 13, 15];
+const SCAN_DEFAULTS = { grid_size: 7, radius: 3 };
+// Radius in miles from the business to the edge of the grid
+const SCAN_RADIUS_RANGE = { min: 0.1, max: 30 };
+const SCAN_MAX_KEYWORDS = 20;
+const KEYWORD_MAX_LENGTH = 100;
+
+// Keywords from a comma-separated string or a list, trimmed and without
+// case-insensitive duplicates
+function parseKeywords(value) {
+  const list = Array.isArray(value) ? value : String(value ?? '').split(',');
+  const seen = new Set();
+  const keywords = list.map(k => String(k).trim().replace(/\s+/g, ' ')).filter(keyword => {
+    const key = keyword.toLowerCase();
+    if (!keyword || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+
+  if (keywords.length === 0) throw new UsageError('At least one keyword is required, e.g. --keywords "plumber,emergency plumber"');
+  const tooLong = keywords.find(keyword => keyword.length > KEYWORD_MAX_LENGTH);
+  if (tooLong) throw new UsageError(`Keyword '${tooLong.slice(0, 40)}...' is longer than ${KEYWORD_MAX_LENGTH} characters`);
+  return keywords;
+}
+
+function validateScanSettings({ gridSize, radius, keywords }) {
+  const grid = Number(gridSize ?? SCAN_DEFAULTS.grid_size);
+  if (!SCAN_GRID_SIZES.includes(grid)) {
+    throw new UsageError(`Invalid grid size '${gridSize}'. Use one of: ${SCAN_GRID_SIZES.join(', ')}`);
+  }
+  const miles = Number(radius ?? SCAN_DEFAULTS.radius);
+  if (!(miles >= SCAN_RADIUS_RANGE.min && miles <= SCAN_RADIUS_RANGE.max)) {
+    throw new UsageError(`Invalid radius '${radius}'. Use ${SCAN_RADIUS_RANGE.min} to ${SCAN_RADIUS_RANGE.max} miles`);
+  }
+  if (keywords.length > SCAN_MAX_KEYWORDS) {
+    throw new UsageError(`A scan can track up to ${SCAN_MAX_KEYWORDS} keywords; got ${keywords.length}`);
+  }
+  return { grid_size: grid, radius: miles };
+}
+
+// Keywords the business is set up to track, as the API stores them
+async function trackedKeywords(business) {
+  const data = await apiGet(`/api/businesses/${business.uuid}/keywords/`);
+  return (Array.isArray(data) ? data : data.keywords || []).map(k => (typeof k === 'string' ? k : k.keyword));
+}
+
+/**
+ * Resolve the business and its keywords and check the grid settings, once,
+ * so a dry run and the confirmed run share the same plan. Keywords default to
+ * the ones tracked with keywords:add; grid size and radius to a 7x7 grid over
+ * 3 miles.
+ */
+async function planScan(businessName, { keywords, gridSize, radius, first } = {}) {
+  const business = await resolveBusiness(businessName, { first });
+  const scanKeywords = keywords !== undefined && keywords !== null
+    ? parseKeywords(keywords)
+    : await trackedKeywords(business);
+  if (scanKeywords.length === 0) {
+    throw new UsageError(`${business.name} has no tracked keywords. Pass --keywords, or add some with keywords:add`);
+  }
+  const settings = validateScanSettings({ gridSize, radius, keywords: scanKeywords });
+
+  return {
+    business_name: business.name,
+    business_uuid: business.uuid,
+    keywords: scanKeywords,
+    ...settings,
+    grid_points: settings.grid_size ** 2,
+    estimated_credits: estimateScanCredits(scanKeywords.length, settings.grid_size)
+  };
+}
+
+function scanDryRun(plan) {
+  const usage = creditUsage();
+  return {
+    dry_run: true,
+    ...plan,
+    spent_today: usage.today,
+    spent_this_month: usage.this_month,
+    remaining: usage.remaining,
+    allowed: usage.remaining === null || usage.remaining >= plan.estimated_credits
+  };
+}
+
+// The caps are checked against the estimate; the ledger gets what the API says it deducted
+async function startScan(plan, command) {
+  checkCreditLimit(plan.estimated_credits);
+  const data = await apiPost('/api/scans/', {
+    business_uuid: plan.business_uuid,
+    keywords: plan.keywords,
+    grid_size: plan.grid_size,
+    radius: plan.radius
+  });
+  const scanId = data.uuid || data.scan_id || data.id;
+  const deducted = data.credits_deducted ?? null;
+  forgetList('/api/scans/');
+  recordSpend({
+    command,
+    business_name: plan.business_name,
+    scan_id: scanId,
+    credits: deducted ?? plan.estimated_credits,
+    ...(deducted === null ? { estimated: true } : {})
+  });
+
+  return {
+    scan_id: scanId,
+    status: data.status,
+    ...plan,
+    credits_deducted: deducted,
+    tip: `Results take a few minutes. Check with scans:get ${scanId}`
+  };
+}
+
+/**
+ * Start a rank scan for a business (see planScan for the defaults). Like
+ * runAudit, the spend is checked against the credit caps and recorded, and
+ * `dryRun` only reports the estimated cost.
+ */
+async function createScan(businessName, { dryRun = false, command = 'scans:create', ...options } = {}) {
+  const plan = await planScan(businessName, options);
+  return dryRun ? scanDryRun(plan) : startScan(plan, command);
+}
+
+// A scan plan with a previous scan's business, keywords, grid size and radius
+async function planRerun(scanId, { gridSize, radius } = {}) {
+  if (!scanId) throw new UsageError('A scan ID is required');
+
+  const scan = await getScanDetail(scanId);
+  const keywords = scan.keywords?.length > 0 ? scan.keywords : (scan.keyword_results || []).map(kw => kw.keyword);
+  const grid = gridSize ?? scan.grid_size;
+  const miles = radius ?? scan.radius;
+  if (grid === undefined || grid === null || miles === undefined || miles === null) {
+    throw new UsageError(`Scan ${scanId} doesn't record its grid size and radius. Pass --grid-size and --radius`);
+  }
+  if (!scan.business?.uuid) throw new NotFoundError(`Scan ${scanId} has no business to rescan`);
+
+  return planScan(scan.business.uuid, { keywords, gridSize: grid, radius: miles });
+}
+
+/**
+ * Run a previous scan again with the same business, keywords, grid size and
+ * radius. `gridSize` and `radius` override the old settings, and are needed
+ * when the old scan doesn't record them.
+ */
+async function rerunScan(scanId, { gridSize, radius, dryRun = false } = {}) {
+  const plan = await planRerun(scanId, { gridSize, radius });
+  const result = dryRun ? scanDryRun(plan) : await startScan(plan, 'scans:rerun');
+  return { rerun_of: scanId, ...result };
+}
+
+async function listKeywords(businessName, { first } = {}) {
+  const business = await resolveBusiness(businessName, { first });
+  const keywords = await trackedKeywords(business);
+  return {
+    business_name: business.name,
+    keywords: keywords.map(keyword => ({ keyword })),
+    count: keywords.length
+  };
+}
+
+/**
+ * Track more keywords for a business. Ones it already tracks are skipped
+ * (compared case-insensitively) and reported as already_tracked. Changing
+ * keywords is free; new scans are what cost credits.
+ */
+async function addKeywords(businessName, keywords, { first } = {}) {
+  const business = await resolveBusiness(businessName, { first });
+  const result = await trackKeywords(business, parseKeywords(keywords));
+  return {
+    business_name: business.name,
+    ...result,
+    ...(result.added.length > 0 ? { tip: `New keywords show up from the next scan. Start one with scans:create --business "${business.name}"` } : {})
+  };
+}
+
+async function trackKeywords(business, wanted) {
+  const current = await trackedKeywords(business);
+  const tracked = new Set(current.map(k => k.toLowerCase()));
+  const added = wanted.filter(k => !tracked.has(k.toLowerCase()));
+
+  if (current.length + added.length > SCAN_MAX_KEYWORDS) {
+    throw new UsageError(`${business.name} would track ${current.length + added.length} keywords; a scan can cover up to ${SCAN_MAX_KEYWORDS}. Remove some with keywords:remove first`);
+  }
+  if (added.length > 0) {
+    await apiPost(`/api/businesses/${business.uuid}/keywords/`, { keywords: added });
+    forgetList(`/api/businesses/${business.uuid}/keywords/`);
+  }
+
+  return {
+    added,
+    already_tracked: wanted.filter(k => tracked.has(k.toLowerCase())),
+    count: current.length + added.length
+  };
+}
+
+// Stop tracking keywords; past scans keep their results
+async function removeKeywords(businessName, keywords, { first } = {}) {
+  const business = await resolveBusiness(businessName, { first });
+  const unwanted = parseKeywords(keywords);
+  const current = await trackedKeywords(business);
+  const byName = new Map(current.map(k => [k.toLowerCase(), k]));
+  const removed = unwanted.filter(k => byName.has(k.toLowerCase())).map(k => byName.get(k.toLowerCase()));
+
+  if (removed.length > 0) {
+    await apiRequest('DELETE', `/api/businesses/${business.uuid}/keywords/`, { body: { keywords: removed }, idempotent: true });
+    forgetList(`/api/businesses/${business.uuid}/keywords/`);
+  }
+
+  return {
+    business_name: business.name,
+    removed,
+    not_tracked: unwanted.filter(k => !byName.has(k.toLowerCase())),
+    count: current.length - removed.length
+  };
+}
+
+// Scans for one business, newest first
+async function findClientScans(businessName, { first, ...options } = {}) {
+  if (!businessName) throw new UsageError('A business name is required');
+
+  const business = await resolveBusiness(businessName, { first });
+  const results = await fetchScans(options);
+  const clientScans = results.filter(s => scanBusinessKey(s) === business.uuid);
+
+  if (clientScans.length === 0) {
+    throw new NotFoundError(`No scans found for '${business.name}'`);
+  }
+  return clientScans;
+}
+
+// keyword -> avg_rank for one scan detail
+function keywordRanks(detail) {
+  const ranks = {};
+  (detail?.keyword_results || []).forEach(kw => {
+    ranks[kw.keyword] = kw.avg_rank;
+  });
+  return ranks;
+}
+
+// Unranked (not found in the grid) counts as outside every band
+function withinRank(rank, limit) {
+  return rank !== null && rank !== undefined && rank <= limit;
+}
+
+/**
+ * Compare keyword -> avg_rank maps from two points in time. Keywords only
+ * tracked on one side are reported as new or removed rather than dropped.
+ */
+function compareKeywords(previous, current) {
+  const result = {
+    wins: [],
+    drops: [],
+    new_keywords: [],
+    removed_keywords: [],
+    milestones: { entered_top_3: [], left_top_3: [], reached_page_1: [], fell_off_page_1: [] }
+  };
+
+  Object.entries(current).forEach(([keyword, rank]) => {
+    if (!(keyword in previous)) {
+      result.new_keywords.push({ keyword, avg_rank: rank });
+      return;
+    }
+
+    const prev = previous[keyword];
+    if (prev && rank) {
+      const change = prev - rank;
+      if (change > 0) {
+        result.wins.push({ keyword, from: prev, to: rank, improved_by: Math.round(change * 10) / 10 });
+      } else if (change < 0) {
+        result.drops.push({ keyword, from: prev, to: rank, dropped_by: Math.round(Math.abs(change) * 10) / 10 });
+      }
+    }
+
+    const milestone = { keyword, from: prev ?? null, to: rank ?? null };
+    if (!withinRank(prev, 3) && withinRank(rank, 3)) result.milestones.entered_top_3.push(milestone);
+    if (withinRank(prev, 3) && !withinRank(rank, 3)) result.milestones.left_top_3.push(milestone);
+    if (!withinRank(prev, 10) && withinRank(rank, 10)) result.milestones.reached_page_1.push(milestone);
+    if (withinRank(prev, 10) && !withinRank(rank, 10)) result.milestones.fell_off_page_1.push(milestone);
+  });
+
+  Object.entries(previous).forEach(([keyword, rank]) => {
+    if (!(keyword in current)) result.removed_keywords.push({ keyword, last_rank: rank });
+  });
+
+  return result;
+}
+
+const PERIODS = ['month', 'quarter', 'custom'];
+
+function periodLabel(period, start, end) {
+  if (period === 'month') {
+    return start.toLocaleString('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+  }
+  if (period === 'quarter') {
+    return `Q${Math.floor(start.getUTCMonth() / 3) + 1} ${start.getUTCFullYear()}`;
+  }
+  return `${start.toISOString().slice(0, 10)} to ${end.toISOString().slice(0, 10)}`;
+}
+
+/**
+ * The current and previous comparison windows. Calendar periods are anchored
+ * on `anchor` (the latest scan, unless --to is given); a custom window is
+ * compared with the window of the same length just before it.
+ */
+function periodWindows(period, { from, to, anchor }) {
+  const window = (start, end) => ({ start, end, label: periodLabel(period, start, end) });
+
+  if (period === 'custom') {
+    const start = parseSince(from);
+    const end = parseUntil(to) || new Date();
+    if (!start) throw new UsageError('--period custom needs --from (and optionally --to)');
+    if (start >= end) throw new UsageError('--from must be before --to');
+    const length = end - start + 1;
+    return {
+      current: window(start, end),
+      previous: window(new Date(start - length), new Date(start.getTime() - 1))
+    };
+  }
+
+  const months = period === 'quarter' ? 3 : 1;
+  const year = anchor.getUTCFullYear();
+  const firstMonth = Math.floor(anchor.getUTCMonth() / months) * months;
+  const bounds = offset => {
+    const start = new Date(Date.UTC(year, firstMonth + offset * months, 1));
+    const end = new Date(Date.UTC(year, firstMonth + (offset + 1) * months, 1) - 1);
+    return window(start, end);
+  };
+  return { current: bounds(0), previous: bounds(-1) };
+}
+
+/**
+ * Each keyword's rank from the latest scan in the window that tracked it, so
+ * a keyword set that changed mid-period still compares like with like.
+ */
+function summarizeWindow(window, details) {
+  const inWindow = details
+    .filter(d => Date.parse(d.created_at) >= window.start && Date.parse(d.created_at) <= window.end)
+    .sort((a, b) => Date.parse(b.created_at) - Date.parse(a.created_at));
+
+  const ranks = {};
+  inWindow.forEach(detail => {
+    Object.entries(keywordRanks(detail)).forEach(([keyword, rank]) => {
+      if (!(keyword in ranks)) ranks[keyword] = rank;
+    });
+  });
+
+  const keywordSets = new Set(inWindow.map(d => (d.keyword_results || []).map(kw => kw.keyword).sort().join('\n')));
+  const representative = inWindow[0];
+
+  return {
+    ranks,
+    keywordSetChanged: keywordSets.size > 1,
+    summary: {
+      label: window.label,
+      from: window.start.toISOString(),
+      to: window.end.toISOString(),
+      scans: inWindow.length,
+      representative_scan: representative
+        ? { uuid: representative.uuid, date: representative.created_at, avg_rank: representative.avg_rank }
+        : null
+    },
+    representative
+  };
+}
+
+function averageOf(values) {
+  const ranked = values.filter(v => v !== null && v !== undefined);
+  return ranked.length > 0 ? ranked.reduce((a, b) => a + b, 0) / ranked.length : null;
+}
+
+async function getPeriodComparison(businessName, { period, from, to, maxPages, first } = {}) {
+  if (!PERIODS.includes(period)) {
+    throw new UsageError(`Unknown --period '${period}'. Use one of: ${PERIODS.join(', ')}`);
+  }
+
+  const clientScans = (await findClientScans(businessName, { maxPages, first }))
+    .filter(s => !s.status || s.status === 'completed');
+  if (clientScans.length === 0) {
+    throw new NotFoundError(`No completed scans found for '${businessName}'`);
+  }
+
+  const anchor = parseUntil(to) || new Date(clientScans[0].created_at);
+  const windows = periodWindows(period, { from, to, anchor });
+
+  const relevant = clientScans.filter(s => {
+    const created = Date.parse(s.created_at);
+    return created >= windows.previous.start && created <= windows.current.end;
+  });
+  const details = (await Promise.all(relevant.map(s => getScanDetail(s.uuid))))
+    .map((detail, i) => ({ ...detail, created_at: detail.created_at || relevant[i].created_at }));
+
+  const current = summarizeWindow(windows.current, details);
+  const previous = summarizeWindow(windows.previous, details);
+  if (!current.representative) {
+    throw new NotFoundError(`No completed scans for '${businessName}' in ${windows.current.label}`);
+  }
+
+  const report = {
+    business_name: current.representative.business?.name || clientScans[0].business?.name,
+    period,
+    current: current.summary,
+    previous: previous.summary,
+    avg_rank_change: null,
+    like_for_like: null,
+    keywords: [],
+    ...compareKeywords(previous.ranks, current.ranks),
+    notes: []
+  };
+
+  const notes = report.notes;
+  if (!previous.representative) {
+    notes.push(`No scans in ${windows.previous.label} - every keyword is reported as new`);
+  } else {
+    const prevAvg = previous.representative.avg_rank;
+    const currAvg = current.representative.avg_rank;
+    if (prevAvg && currAvg) report.avg_rank_change = round(prevAvg - currAvg);
+
+    // Average over keywords tracked in both periods, so added or removed keywords don't skew it
+    const common = Object.keys(current.ranks).filter(k => k in previous.ranks);
+    const prevCommon = averageOf(common.map(k => previous.ranks[k]));
+    const currCommon = averageOf(common.map(k => current.ranks[k]));
+    report.like_for_like = {
+      keywords: common.length,
+      previous_avg_rank: round(prevCommon),
+      current_avg_rank: round(currCommon),
+      change: prevCommon !== null && currCommon !== null ? round(prevCommon - currCommon) : null
+    };
+  }
+
+  if (current.keywordSetChanged || previous.keywordSetChanged) {
+    notes.push('The tracked keyword set changed during the period; each keyword uses the latest scan that tracked it');
+  }
+  if (report.new_keywords.length > 0 && previous.representative) {
+    notes.push(`${report.new_keywords.length} keyword(s) started being tracked: no earlier rank to compare`);
+  }
+  if (report.removed_keywords.length > 0) {
+    notes.push(`${report.removed_keywords.length} keyword(s) are no longer tracked`);
+  }
+
+  const keywords = new Set([...Object.keys(previous.ranks), ...Object.keys(current.ranks)]);
+  report.keywords = [...keywords].sort().map(keyword => {
+    const prev = previous.ranks[keyword];
+    const curr = current.ranks[keyword];
+    let status = 'unchanged';
+    if (!(keyword in previous.ranks)) status = 'new';
+    else if (!(keyword in current.ranks)) status = 'removed';
+    else if (prev && curr && prev > curr) status = 'win';
+    else if (prev && curr && prev < curr) status = 'drop';
+    return {
+      keyword,
+      previous_rank: prev ?? null,
+      current_rank: curr ?? null,
+      change: prev && curr ? round(prev - curr) : null,
+      status
+    };
+  });
+
+  if (current.representative.public_share_token) {
+    report.view_url = `https://app.localrank.so/share/${current.representative.public_share_token}`;
+  }
+
+  return report;
+}
+
+async function getClientReport(businessName, options = {}) {
+  if (options.period) return getPeriodComparison(businessName, options);
+
+  const clientScans = await findClientScans(businessName, options);
+
+  const latest = clientScans[0];
+  const [latestDetail, previousDetail] = await Promise.all([
+    getScanDetail(latest.uuid),
+    clientScans.length >= 2 ? getScanDetail(clientScans[1].uuid) : null
+  ]);
+
+  const report = {
+    business_name: latest.business?.name,
+    latest_scan: {
+      date: latestDetail.created_at,
+      avg_rank: latestDetail.avg_rank,
+      keywords: (latestDetail.keyword_results || []).map(kw => ({
+        keyword: kw.keyword,
+        avg_rank: kw.avg_rank,
+        best_rank: kw.best_rank
+      }))
+    },
+    avg_rank_change: null,
+    wins: [],
+    drops: [],
+    new_keywords: [],
+    removed_keywords: [],
+    total_scans: clientScans.length
+  };
+
+  // Compare with previous scan
+  if (previousDetail) {
+    Object.assign(report, compareKeywords(keywordRanks(previousDetail), keywordRanks(latestDetail)));
+    if (previousDetail.avg_rank && latestDetail.avg_rank) {
+      report.avg_rank_change = round(previousDetail.avg_rank - latestDetail.avg_rank);
+    }
+  }
+
+  if (latestDetail.public_share_token) {
+    report.view_url = `https://app.localrank.so/share/${latestDetail.public_share_token}`;
+  }
+
+  return report;
+}
+
+// Positions per week below which a keyword's trend counts as flat
+const TREND_STABLE_SLOPE = 0.1;
+
+// Least-squares slope of ys over xs
+function linearSlope(xs, ys) {
+  const n = xs.length;
+  if (n < 2) return null;
+  const meanX = xs.reduce((a, b) => a + b, 0) / n;
+  const meanY = ys.reduce((a, b) => a + b, 0) / n;
+  let num = 0, den = 0;
+  xs.forEach((x, i) => {
+    num += (x - meanX) * (ys[i] - meanY);
+    den += (x - meanX) ** 2;
+  });
+  return den === 0 ? null : num / den;
+}
+
+function stdDev(values) {
+  if (values.length < 2) return null;
+  const mean = values.reduce((a, b) => a + b, 0) / values.length;
+  return Math.sqrt(values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length);
+}
+
+function round(value, places = 1) {
+  if (value === null || value === undefined) return null;
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+// A bare date as --until means "through the end of that day"
+function parseUntil(value) {
+  if (!value || value === true) return null;
+  if (value instanceof Date) return value;
+  const date = parseSince(value);
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) date.setUTCHours(23, 59, 59, 999);
+  return date;
+}
+
+/**
+ * Trend statistics for a series of { date, avg_rank } points, oldest first.
+ * Lower ranks are better, so the trend is fitted to the negated ranks: like
+ * `change`, a positive trend_per_week means the keyword is climbing.
+ */
+function seriesStats(points, window = 3) {
+  const ranked = points.filter(p => p.avg_rank !== null && p.avg_rank !== undefined);
+  if (ranked.length === 0) {
+    return { scans: points.length, first_rank: null, latest_rank: null, change: null, trend_per_week: null, direction: 'no data' };
+  }
+
+  const start = Date.parse(ranked[0].date);
+  const weeks = ranked.map(p => (Date.parse(p.date) - start) / (7 * 24 * 60 * 60 * 1000));
+  const ranks = ranked.map(p => p.avg_rank);
+  const trend = linearSlope(weeks, ranks.map(rank => -rank));
+  const best = ranked.reduce((a, b) => (b.avg_rank < a.avg_rank ? b : a));
+  const worst = ranked.reduce((a, b) => (b.avg_rank > a.avg_rank ? b : a));
+  const recent = ranks.slice(-window);
+
+  let direction = 'new';
+  if (trend !== null) {
+    direction = trend > TREND_STABLE_SLOPE ? 'improving' : trend < -TREND_STABLE_SLOPE ? 'declining' : 'stable';
+  }
+
+  return {
+    scans: points.length,
+    first_rank: round(ranks[0]),
+    latest_rank: round(ranks[ranks.length - 1]),
+    change: round(ranks[0] - ranks[ranks.length - 1]),
+    trend_per_week: round(trend, 2),
+    direction,
+    volatility: round(stdDev(ranks), 2),
+    best_ever: round(best.avg_rank),
+    best_ever_date: best.date,
+    worst_ever: round(worst.avg_rank),
+    worst_ever_date: worst.date,
+    moving_avg: round(recent.reduce((a, b) => a + b, 0) / recent.length)
+  };
+}
+
+// Completed scan details for a client within [since, until], oldest first
+async function clientScanHistory(businessName, { since, until, maxPages, first } = {}) {
+  const untilDate = parseUntil(until);
+  let clientScans = await findClientScans(businessName, { since, maxPages, first });
+  if (untilDate) {
+    clientScans = clientScans.filter(s => !s.created_at || new Date(s.created_at) <= untilDate);
+  }
+  clientScans = clientScans.filter(s => !s.status || s.status === 'completed');
+  if (clientScans.length === 0) {
+    throw new NotFoundError(`No completed scans for '${businessName}' in that period`);
+  }
+
+  const details = await Promise.all(clientScans.map(s => getScanDetail(s.uuid)));
+  return details
+    .map((detail, i) => ({ ...detail, created_at: detail.created_at || clientScans[i].created_at }))
+    .sort((a, b) => Date.parse(a.created_at) - Date.parse(b.created_at));
+}
+
+// keyword -> [{ date, scan_id, avg_rank, best_rank, found_count }], oldest first
+function keywordSeries(history) {
+  const series = {};
+  history.forEach(scan => {
+    (scan.keyword_results || []).forEach(kw => {
+      if (!series[kw.keyword]) series[kw.keyword] = [];
+      series[kw.keyword].push({
+        date: scan.created_at,
+        scan_id: scan.uuid,
+        avg_rank: kw.avg_rank,
+        best_rank: kw.best_rank,
+        found_count: kw.found_count
+      });
+    });
+  });
+  return series;
+}
+
+function historyPeriod(history) {
+  return {
+    from: history[0].created_at,
+    to: history[history.length - 1].created_at,
+    scans: history.length
+  };
+}
+
+async function getClientTrends(businessName, { since, until, window = 3, maxPages, first } = {}) {
+  const history = await clientScanHistory(businessName, { since, until, maxPages, first });
+  const series = keywordSeries(history);
+
+  const keywords = Object.entries(series)
+    .map(([keyword, points]) => ({ keyword, ...seriesStats(points, window) }))
+    .sort((a, b) => (b.trend_per_week ?? 0) - (a.trend_per_week ?? 0));
+
+  return {
+    business_name: history[history.length - 1].business?.name || businessName,
+    period: historyPeriod(history),
+    overall: seriesStats(history.map(scan => ({ date: scan.created_at, avg_rank: scan.avg_rank })), window),
+    keywords
+  };
+}
+
+async function getKeywordHistory(businessName, keyword, { since, until, window = 3, maxPages, first } = {}) {
+  if (!keyword) throw new UsageError('A keyword is required');
+
+  const history = await clientScanHistory(businessName, { since, until, maxPages, first });
+  const series = keywordSeries(history);
+  const match = Object.keys(series).find(k => k.toLowerCase() === keyword.toLowerCase());
+  if (!match) {
+    throw new NotFoundError(`'${keyword}' isn't tracked for '${businessName}'. Tracked: ${Object.keys(series).join(', ')}`);
+  }
+
+  const points = series[match].map((point, i, all) => {
+    const recent = all.slice(Math.max(0, i - window + 1), i + 1).map(p => p.avg_rank).filter(r => r !== null && r !== undefined);
+    return {
+      ...point,
+      moving_avg: recent.length > 0 ? round(recent.reduce((a, b) => a + b, 0) / recent.length) : null
+    };
+  });
+
+  return {
+    business_name: history[history.length - 1].business?.name || businessName,
+    keyword: match,
+    period: historyPeriod(history),
+    stats: seriesStats(series[match], window),
+    points
+  };
+}
+
+// Scans grouped by business UUID, each list newest first
+function groupScansByBusiness(scans) {
+  const byBusiness = {};
+  scans.forEach(scan => {
+    const key = scanBusinessKey(scan);
+    if (!byBusiness[key]) byBusiness[key] = [];
+    byBusiness[key].push(scan);
+  });
+  return byBusiness;
+}
+
+async function getPortfolioSummary(options = {}) {
+  const rules = await resolveRules();
+  const results = await fetchScans(options);
+  const byBusiness = groupScansByBusiness(results);
+
+  const summary = {
+    total_clients: Object.keys(byBusiness).length,
+    total_scans: results.length,
+    improving: 0,
+    declining: 0,
+    stable: 0,
+    clients: []
+  };
+
+  let totalRank = 0, rankCount = 0;
+
+  Object.values(byBusiness).forEach(scans => {
+    const latest = scans[0];
+    const name = latest.business?.name || 'Unknown';
+    const avgRank = latest.avg_rank;
+
+    if (avgRank) {
+      totalRank += avgRank;
+      rankCount++;
+    }
+
+    let status = 'new', change = null;
+    if (scans.length >= 2) {
+      const prev = scans[1].avg_rank;
+      if (avgRank && prev) {
+        const { stable_change: stable } = rulesFor(rules, latest.business?.uuid);
+        change = prev - avgRank;
+        if (change > stable) { status = 'improving'; summary.improving++; }
+        else if (change < -stable) { status = 'declining'; summary.declining++; }
+        else { status = 'stable'; summary.stable++; }
+      }
+    }
+
+    summary.clients.push({
+      name,
+      uuid: latest.business?.uuid || null,
+      status,
+      avg_rank: avgRank ? Math.round(avgRank * 10) / 10 : null,
+      change: change ? Math.round(change * 10) / 10 : null,
+      view_url: latest.public_share_token ? `https://app.localrank.so/share/${latest.public_share_token}` : null
+    });
+  });
+
+  summary.avg_rank_across_portfolio = rankCount > 0 ? Math.round((totalRank / rankCount) * 10) / 10 : null;
+
+  // Sort: declining first
+  const order = { declining: 0, improving: 1, stable: 2, new: 3 };
+  summary.clients.sort((a, b) => order[a.status] - order[b.status]);
+
+  return summary;
+}
+
+// How far a business's latest scan fell behind the one before (scans newest first), if more than `threshold`
+function rankDrop(scans, threshold) {
+  if (scans.length < 2) return null;
+  const current = scans[0].avg_rank;
+  const previous = scans[1].avg_rank;
+  if (!current || !previous || current - previous <= threshold) return null;
+  return { from: Math.round(previous * 10) / 10, to: Math.round(current * 10) / 10 };
+}
+
+// Churn risk of one business under the at_risk rules, or null below min_score
+function assessRisk(scans, risk) {
+  const avgRank = scans[0].avg_rank;
+  const riskFactors = [];
+  let riskScore = 0;
+
+  // Rankings dropped
+  const drop = rankDrop(scans, risk.drop);
+  if (drop) {
+    riskFactors.push(`Rankings dropped from ${drop.from} to ${drop.to}`);
+    riskScore += risk.drop_score;
+  }
+
+  // Poor rankings
+  if (avgRank && avgRank > risk.poor_rank) {
+    riskFactors.push(`Poor visibility (avg rank ${Math.round(avgRank * 10) / 10})`);
+    riskScore += risk.poor_rank_score;
+  }
+
+  // Low engagement
+  if (scans.length < risk.min_scans) {
+    riskFactors.push(`Only ${scans.length} scan${scans.length === 1 ? '' : 's'} - low engagement`);
+    riskScore += risk.low_engagement_score;
+  }
+
+  return riskFactors.length > 0 && riskScore >= risk.min_score
+    ? { risk_score: riskScore, risk_factors: riskFactors }
+    : null;
+}
+
+/**
+ * Every urgent, important and quick-win item for the clients in `scans`,
+ * before the per-bucket limit; prioritize:today and digest:weekly cut them down.
+ */
+async function priorityCandidates(scans, rules) {
+  const priorities = { urgent: [], important: [], quick_wins: [] };
+  const entries = Object.values(groupScansByBusiness(scans));
+  const details = await Promise.all(entries.map(list => getScanDetail(list[0].uuid)));
+
+  entries.forEach((list, i) => {
+    const latest = list[0];
+    const name = latest.business?.name || 'Unknown';
+    const avgRank = latest.avg_rank;
+    const { priorities: thresholds, quick_wins: band } = rulesFor(rules, latest.business?.uuid);
+
+    // Urgent: big drops
+    const drop = rankDrop(list, thresholds.urgent_drop);
+    if (drop) {
+      priorities.urgent.push({
+        client: name,
+        task: 'Investigate ranking drop',
+        reason: `Dropped from ${drop.from} to ${drop.to}`
+      });
+    }
+
+    // Important: poor rankings
+    if (avgRank && avgRank > thresholds.important_rank) {
+      priorities.important.push({
+        client: name,
+        task: 'Improve rankings',
+        reason: `Average rank is ${Math.round(avgRank * 10) / 10}`
+      });
+    }
+
+    // Quick wins: the high-opportunity end of the band
+    for (const kw of (details[i].keyword_results || [])) {
+      if (kw.avg_rank && kw.avg_rank >= band.min_rank && kw.avg_rank <= band.high_max_rank) {
+        priorities.quick_wins.push({
+          client: name,
+          keyword: kw.keyword,
+          current_rank: Math.round(kw.avg_rank * 10) / 10,
+          positions_to_page_1: Math.round((kw.avg_rank - 10) * 10) / 10
+        });
+        break;
+      }
+    }
+  });
+
+  return priorities;
+}
+
+async function prioritizeToday(options = {}) {
+  const rules = await resolveRules();
+  const results = await fetchScans(options);
+  const { urgent, important, quick_wins: quickWins } = await priorityCandidates(results, rules);
+  const priorities = { urgent, goals: [], important, quick_wins: quickWins };
+
+  // Goals get their own bucket, overdue before off track, so they never crowd out rank drops.
+  // Without --since the scan list above already covers the goals' trend window
+  const goals = readGoals();
+  if (goals.length > 0) {
+    const progress = await goalProgress(goals, { maxPages: options.maxPages, scans: options.since ? undefined : results });
+    ['overdue', 'off track'].forEach(status => {
+      priorities.goals.push(...progress.filter(g => g.status === status).map(g => ({
+        client: g.business_name,
+        task: `${g.goal} by ${g.deadline}`,
+        reason: status === 'overdue'
+          ? `Deadline passed ${-g.days_left} days ago, at rank ${g.current_rank}`
+          : `At ${g.current_rank}, projected ${g.projected_rank} by the deadline`
+      })));
+    });
+  }
+
+  // Limit results
+  Object.keys(priorities).forEach(k => priorities[k] = priorities[k].slice(0, rules.priorities.limit));
+
+  return {
+    priorities,
+    tip: 'Start with urgent items, then quick wins for momentum'
+  };
+}
+
+// Every keyword in each client's quick-win band from its latest scan, closest to page 1 first
+async function quickWinCandidates(scans, rules) {
+  const latestScans = Object.values(groupScansByBusiness(scans)).map(list => list[0]);
+  const details = await Promise.all(latestScans.map(scan => getScanDetail(scan.uuid)));
+
+  const quickWins = [];
+  latestScans.forEach((scan, i) => {
+    const name = scan.business?.name || 'Unknown';
+    const band = rulesFor(rules, scan.business?.uuid).quick_wins;
+    for (const kw of (details[i].keyword_results || [])) {
+      if (kw.avg_rank && kw.avg_rank >= band.min_rank && kw.avg_rank <= band.max_rank) {
+        quickWins.push({
+          business_name: name,
+          business_uuid: scan.business?.uuid || null,
+          keyword: kw.keyword,
+          current_rank: Math.round(kw.avg_rank * 10) / 10,
+          positions_to_page_1: Math.round((kw.avg_rank - 10) * 10) / 10,
+          opportunity: kw.avg_rank <= band.high_max_rank ? 'High' : 'Medium'
+        });
+      }
+    }
+  });
+
+  return quickWins.sort((a, b) => a.current_rank - b.current_rank);
+}
+
+async function findQuickWins({ business, first, ...options } = {}) {
+  const rules = await resolveRules();
+  const businessFilter = business ? (await resolveBusiness(business, { first })).uuid : null;
+  let scans = await fetchScans(options);
+  if (businessFilter) {
+    scans = scans.filter(s => scanBusinessKey(s) === businessFilter);
+  }
+
+  const quickWins = await quickWinCandidates(scans, rules);
+
+  return {
+    quick_wins: quickWins.slice(0, rules.quick_wins.limit),
+    total: quickWins.length,
+    tip: 'These keywords are close to page 1. A little push could get them there.'
+  };
+}
+
+// Clients whose scans add up to a risk score past their at_risk rules, riskiest first
+function atRiskCandidates(scans, rules) {
+  const atRisk = [];
+  Object.values(groupScansByBusiness(scans)).forEach(list => {
+    const latest = list[0];
+    const risk = assessRisk(list, rulesFor(rules, latest.business?.uuid).at_risk);
+
+    if (risk) {
+      atRisk.push({
+        business_name: latest.business?.name || 'Unknown',
+        business_uuid: latest.business?.uuid || null,
+        ...risk,
+        action: 'Reach out proactively'
+      });
+    }
+  });
+
+  return atRisk.sort((a, b) => b.risk_score - a.risk_score);
+}
+
+async function findAtRiskClients(options = {}) {
+  const rules = await resolveRules();
+  const results = await fetchScans(options);
+
+  return {
+    at_risk_clients: atRiskCandidates(results, rules),
+    tip: 'Contact these clients before they churn'
+  };
+}
+
+const AUDIT_POLL_INTERVAL = 3000;
+const AUDIT_POLL_MAX_INTERVAL = 30000;
+const AUDIT_MAX_WAIT = 600000;
+// Statuses after which an audit won't change again
+const AUDIT_FINAL_STATUSES = ['completed', 'failed', 'error'];
+
+function auditIdOf(data) {
+  return data.audit_id || data.uuid || data.id;
+}
+
+/**
+ * Start a GMB audit (500 credits). The spend is checked against the credit
+ * caps first and recorded in the ledger; `dryRun` reports what it would cost
+ * without calling the API. `command` and `businessName` label the ledger entry.
+ */
+async function runAudit(gmbUrl, { wait = false, maxWait, dryRun = false, command = 'audit:run', businessName } = {}) {
+  if (!gmbUrl) throw new UsageError('A Google Maps URL is required');
+
+  if (dryRun) {
+    const usage = creditUsage();
+    return {
+      dry_run: true,
+      gmb_url: gmbUrl,
+      credits: AUDIT_CREDITS,
+      spent_today: usage.today,
+      spent_this_month: usage.this_month,
+      remaining: usage.remaining,
+      allowed: usage.remaining === null || usage.remaining >= AUDIT_CREDITS
+    };
+  }
+
+  checkCreditLimit(AUDIT_CREDITS);
+  const data = await apiPost('/api/gmb/audit/run/', { gmb_url: gmbUrl });
+  const url = normalizeMapsUrl(gmbUrl);
+  recordSpend({
+    command,
+    business_name: businessName || (url && mapsPlaceName(url)) || null,
+    gmb_url: gmbUrl,
+    audit_id: data.audit_id,
+    credits: data.credits_deducted ?? AUDIT_CREDITS
+  });
+
+  const result = {
+    audit_id: data.audit_id,
+    status: data.status,
+    share_url: data.share_url,
+    credits_deducted: data.credits_deducted,
+    tip: 'Use audit:wait to follow it until the results are ready'
+  };
+  if (!wait) return result;
+
+  // The credits are spent: a wait that times out still reports the audit ID
+  const audit = await waitForAudit(data.audit_id, { maxWait });
+  return { ...audit, share_url: data.share_url, credits_deducted: data.credits_deducted };
+}
+
+async function getAudit(auditId) {
+  if (!auditId) throw new UsageError('An audit ID is required');
+
+  const data = await apiGet(`/api/gmb/audit/${auditId}/`);
+  const result = {
+    audit_id: data.audit_id,
+    status: data.status,
+    business_name: data.business_name
+  };
+
+  if (data.status === 'completed') {
+    result.audit_score = data.audit_score;
+    result.review_stats = data.review_stats;
+    result.revenue_impact = data.revenue_impact;
+    result.issues_identified = (data.issues_identified || []).slice(0, 10);
+  }
+
+  return result;
+}
+
+/**
+ * Poll an audit until it completes or fails, backing off from 3s to 30s
+ * between checks. Progress goes to the configured log. `maxWait` is in
+ * milliseconds (seconds on the command line).
+ */
+async function waitForAudit(auditId, { maxWait = AUDIT_MAX_WAIT } = {}) {
+  if (!auditId) throw new UsageError('An audit ID is required');
+
+  const started = Date.now();
+  let interval = AUDIT_POLL_INTERVAL;
+
+  for (;;) {
+    forgetResponse(`/api/gmb/audit/${auditId}/`);
+    const audit = await getAudit(auditId);
+    if (AUDIT_FINAL_STATUSES.includes(audit.status)) return audit;
+
+    const elapsed = Date.now() - started;
+    const remaining = maxWait - elapsed;
+    if (remaining <= 0) throw new WaitTimeoutError(auditId, audit.status, elapsed);
+
+    const delay = Math.min(interval, remaining);
+    if (clientOptions.log) {
+      clientOptions.log(`Audit ${auditId}: ${audit.status || 'processing'} after ${Math.round(elapsed / 1000)}s, checking again in ${Math.round(delay / 1000)}s...`);
+    }
+    await sleep(delay);
+    interval = Math.min(interval * 1.5, AUDIT_POLL_MAX_INTERVAL);
+  }
+}
+
+// Past audits, newest first
+async function listAudits({ business, limit = 20, since, maxPages } = {}) {
+  const results = await apiGetAll('/api/gmb/audit/', { page_size: 100 }, {
+    maxPages,
+    since: parseSince(since),
+    limit: business ? undefined : limit
+  });
+
+  let audits = results.map(a => ({
+    audit_id: auditIdOf(a),
+    business_name: a.business_name,
+    status: a.status,
+    audit_score: a.audit_score ?? null,
+    created_at: a.created_at,
+    share_url: a.share_url || null
+  }));
+
+  // Audited prospects usually aren't tracked businesses, so match on the audit's own name
+  if (business) {
+    audits = audits.filter(a => nameScore(a.business_name, business) > 0).slice(0, limit);
+  }
+
+  return { audits, count: audits.length };
+}
+
+// A readable label for one entry of issues_identified, which may be text or an object
+function issueLabel(issue) {
+  if (typeof issue === 'string') return issue;
+  return issue?.title || issue?.issue || issue?.name || issue?.description || JSON.stringify(issue);
+}
+
+function issueRows(issues) {
+  return issues.map(issue => typeof issue === 'object' && issue !== null
+    ? { issue: issueLabel(issue), ...issue }
+    : { issue: issueLabel(issue) });
+}
+
+/**
+ * Compare two completed audits of the same business: score, every numeric
+ * review stat, and which issues were resolved, are new or remain.
+ */
+async function diffAudits(oldId, newId) {
+  if (!oldId || !newId) throw new UsageError('Two audit IDs are required');
+
+  const [before, after] = await Promise.all([oldId, newId].map(id => apiGet(`/api/gmb/audit/${id}/`)));
+  [[oldId, before], [newId, after]].forEach(([id, audit]) => {
+    if (audit.status !== 'completed') {
+      throw new UsageError(`Audit ${id} is ${audit.status || 'not completed'}. Run: localrank audit:wait ${id}`);
+    }
+  });
+  if (normalizeName(before.business_name) !== normalizeName(after.business_name)) {
+    throw new UsageError(`Audits are for different businesses: '${before.business_name}' and '${after.business_name}'`);
+  }
+
+  const scoreChange = typeof before.audit_score === 'number' && typeof after.audit_score === 'number'
+    ? round(after.audit_score - before.audit_score)
+    : null;
+
+  const oldStats = before.review_stats || {};
+  const newStats = after.review_stats || {};
+  const reviewStats = [...new Set([...Object.keys(oldStats), ...Object.keys(newStats)])]
+    .filter(metric => typeof oldStats[metric] !== 'object' && typeof newStats[metric] !== 'object')
+    .map(metric => ({
+      metric,
+      old: oldStats[metric] ?? null,
+      new: newStats[metric] ?? null,
+      change: typeof oldStats[metric] === 'number' && typeof newStats[metric] === 'number'
+        ? round(newStats[metric] - oldStats[metric], 2)
+        : null
+    }));
+
+  const oldIssues = before.issues_identified || [];
+  const newIssues = after.issues_identified || [];
+  const oldLabels = new Set(oldIssues.map(issueLabel));
+  const newLabels = new Set(newIssues.map(issueLabel));
+
+  const summary = (audit, id) => ({ audit_id: auditIdOf(audit) || id, date: audit.created_at || null, audit_score: audit.audit_score ?? null });
+
+  return {
+    business_name: after.business_name,
+    old: summary(before, oldId),
+    new: summary(after, newId),
+    score_change: scoreChange,
+    review_stats: reviewStats,
+    issues: {
+      resolved: issueRows(oldIssues.filter(issue => !newLabels.has(issueLabel(issue)))),
+      new: issueRows(newIssues.filter(issue => !oldLabels.has(issueLabel(issue)))),
+      remaining: issueRows(newIssues.filter(issue => oldLabels.has(issueLabel(issue))))
+    }
+  };
+}
+
+const BATCH_PARALLEL = 2;
+const BATCH_SKIP_DAYS = 30;
+const BATCH_COLUMNS = ['row', 'input', 'url', 'business_name', 'status', 'audit_id', 'audit_score', 'share_url', 'credits', 'error'];
+// Rows already settled in a results file; resuming leaves them alone
+const BATCH_DONE_STATUSES = ['completed', 'failed', 'recent', 'duplicate', 'invalid'];
+
+// Minimal RFC 4180 parser: quoted fields, doubled quotes, CRLF line endings
+function parseCsv(text) {
+  const rows = [];
+  let row = [], field = '', quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ',') {
+      row.push(field);
+      field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += c;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(cell => cell.trim()));
+}
+
+/**
+ * A Google Maps business link in canonical form (https, no tracking
+ * parameters), or null if it isn't one. Bare links without a scheme and
+ * maps.app.goo.gl short links are accepted.
+ */
+function normalizeMapsUrl(raw) {
+  let text = String(raw || '').trim();
+  if (!text) return null;
+  if (!/^https?:\/\//i.test(text)) text = `https://${text}`;
+
+  let url;
+  try {
+    url = new URL(text);
+  } catch (e) {
+    return null;
+  }
+
+  const host = url.hostname.toLowerCase();
+  const google = /^(www\.|maps\.)?google\.[a-z]{2,3}(\.[a-z]{2})?$/.test(host);
+  const valid = (google && (url.pathname.startsWith('/maps') || host.startsWith('maps.'))) ||
+    host === 'maps.app.goo.gl' ||
+    (host === 'goo.gl' && url.pathname.startsWith('/maps'));
+  if (!valid) return null;
+
+  url.protocol = 'https:';
+  url.hash = '';
+  [...url.searchParams.keys()]
+    .filter(key => /^utm_/.test(key) || ['entry', 'g_ep', 'g_st', 'coh', 'skid', 'ved', 'hl'].includes(key))
+    .forEach(key => url.searchParams.delete(key));
+  return url.toString();
+}
+
+// The business name in a /maps/place/<name>/ link
+function mapsPlaceName(url) {
+  const match = /\/maps\/place\/([^/]+)/.exec(new URL(url).pathname);
+  if (!match) return null;
+  const name = match[1].replace(/\+/g, ' ');
+  try {
+    return decodeURIComponent(name);
+  } catch (e) {
+    return name;
+  }
+}
+
+// Links to one place differ in zoom, coordinates and tracking, so compare the place itself
+function mapsPlaceKey(url) {
+  const parsed = new URL(url);
+  const id = parsed.searchParams.get('cid') || parsed.searchParams.get('query_place_id') || parsed.searchParams.get('ftid');
+  if (id) return `id:${id}`;
+
+  const feature = /!1s(0x[0-9a-f]+:0x[0-9a-f]+)/i.exec(parsed.pathname);
+  if (feature) return `id:${feature[1].toLowerCase()}`;
+
+  const name = mapsPlaceName(url);
+  if (name) {
+    // Same-named branches of a chain are told apart by where the link points
+    const at = /@(-?\d+\.\d+),(-?\d+\.\d+)/.exec(parsed.pathname);
+    return `place:${normalizeName(name)}${at ? `@${(+at[1]).toFixed(3)},${(+at[2]).toFixed(3)}` : ''}`;
+  }
+  return `url:${parsed.origin}${parsed.pathname}${parsed.search}`;
+}
+
+// Rows of a prospects file: a header row is optional, one URL per line works too
+function readProspects(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (e) {
+    throw new UsageError(`Can't read ${file}: ${e.message}`);
+  }
+
+  const rows = parseCsv(text.replace(/^﻿/, ''));
+  const header = rows[0]?.map(cell => cell.trim().toLowerCase()) || [];
+  const hasHeader = header.length > 0 && !header.some(cell => normalizeMapsUrl(cell));
+
+  let urlColumn = hasHeader ? header.findIndex(h => ['url', 'gmb_url', 'maps_url', 'google_maps_url', 'link'].includes(h)) : -1;
+  if (urlColumn === -1 && hasHeader) urlColumn = header.findIndex(h => h.includes('url'));
+  if (urlColumn === -1) {
+    const sample = rows.slice(hasHeader ? 1 : 0, 20);
+    urlColumn = Math.max(0, (sample[0] || []).findIndex((_, i) => sample.some(r => normalizeMapsUrl(r[i]))));
+  }
+  const nameColumn = hasHeader ? header.findIndex(h => ['name', 'business_name', 'business'].includes(h)) : -1;
+
+  return rows.slice(hasHeader ? 1 : 0).map((cells, i) => ({
+    row: i + (hasHeader ? 2 : 1),
+    input: (cells[urlColumn] || '').trim(),
+    name: nameColumn >= 0 ? (cells[nameColumn] || '').trim() || null : null
+  }));
+}
+
+function readBatchResults(file) {
+  if (!fs.existsSync(file)) return {};
+  const [header, ...rows] = parseCsv(fs.readFileSync(file, 'utf8'));
+  const previous = {};
+  rows.forEach(cells => {
+    const row = Object.fromEntries(header.map((key, i) => [key, cells[i] === '' ? null : cells[i]]));
+    ['row', 'audit_score', 'credits'].forEach(key => { if (row[key] != null) row[key] = Number(row[key]); });
+    if (row.url && row.status !== 'duplicate') previous[mapsPlaceKey(row.url)] = row;
+  });
+  return previous;
+}
+
+// Rewritten in full after every change, so an interrupted batch can resume
+function writeBatchResults(file, rows) {
+  const columns = BATCH_COLUMNS.map(key => ({ key }));
+  writeFileAtomic(file, renderCsv(rows, columns) + '\n');
+}
+
+// Run `task` over items with at most `limit` in flight
+async function mapLimit(items, limit, task) {
+  let next = 0;
+  const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const i = next++;
+      await task(items[i], i);
+    }
+  });
+  await Promise.all(workers);
+}
+
+/**
+ * Audit every Google Maps URL in a CSV. Invalid and duplicate links are
+ * reported, businesses audited in the last `skipDays` days are skipped, and
+ * no more than `maxCredits` are spent. Results are written to `out` as each
+ * audit finishes; running the same batch again resumes from that file,
+ * waiting on audits still processing instead of paying for them twice.
+ */
+async function runAuditBatch(file, {
+  out,
+  maxCredits,
+  dryRun = false,
+  skipDays = BATCH_SKIP_DAYS,
+  parallel = BATCH_PARALLEL,
+  maxWait,
+  retryErrors = false
+} = {}) {
+  if (!file) throw new UsageError('A CSV file of Google Maps URLs is required');
+  if (!dryRun && !(maxCredits >= 0)) {
+    throw new UsageError(`audit:batch spends ${AUDIT_CREDITS} credits per audit. Pass --max-credits, or --dry-run to see the projected spend`);
+  }
+
+  const resultsFile = out || file.replace(/(\.csv)?$/i, '-results.csv');
+  const previous = readBatchResults(resultsFile);
+
+  // Businesses audited recently, by normalized name
+  const recent = {};
+  if (skipDays > 0) {
+    const { audits } = await listAudits({ since: `${skipDays}d`, limit: Infinity });
+    audits.forEach(audit => {
+      const key = normalizeName(audit.business_name);
+      if (key && !recent[key]) recent[key] = audit;
+    });
+  }
+
+  const seen = new Set();
+  const rows = readProspects(file).map(prospect => {
+    const url = normalizeMapsUrl(prospect.input);
+    const row = { row: prospect.row, input: prospect.input, url, business_name: prospect.name || (url && mapsPlaceName(url)), credits: 0 };
+    if (!url) return { ...row, status: 'invalid', error: 'Not a Google Maps URL' };
+
+    const key = mapsPlaceKey(url);
+    if (seen.has(key)) return { ...row, status: 'duplicate' };
+    seen.add(key);
+
+    const before = previous[key];
+    if (before && (BATCH_DONE_STATUSES.includes(before.status) || (before.status === 'error' && !retryErrors))) {
+      return { ...before, row: prospect.row, input: prospect.input };
+    }
+    if (before?.audit_id) return { ...row, ...before, row: prospect.row, status: 'processing' };
+
+    const audited = recent[normalizeName(row.business_name)];
+    if (audited) {
+      return { ...row, status: 'recent', audit_id: audited.audit_id, audit_score: audited.audit_score, share_url: audited.share_url };
+    }
+    return { ...row, status: 'pending' };
+  });
+
+  // The budget is reserved in row order, before anything runs, and never past the credit caps
+  const { remaining: capRemaining } = creditUsage();
+  let budget = dryRun && !(maxCredits >= 0) ? Infinity : maxCredits;
+  let capped = capRemaining ?? Infinity;
+  rows.filter(row => row.status === 'pending').forEach(row => {
+    if (budget < AUDIT_CREDITS) {
+      Object.assign(row, { status: 'over_budget', error: `Over the ${maxCredits} credit budget` });
+    } else if (capped < AUDIT_CREDITS) {
+      Object.assign(row, { status: 'over_budget', error: 'Over the credit cap (see credits:history)' });
+    } else {
+      budget -= AUDIT_CREDITS;
+      capped -= AUDIT_CREDITS;
+    }
+  });
+
+  const counts = () => rows.reduce((acc, row) => ({ ...acc, [row.status]: (acc[row.status] || 0) + 1 }), {});
+  const planned = rows.filter(row => row.status === 'pending').length;
+
+  if (dryRun) {
+    rows.forEach(row => { if (row.status === 'pending') row.status = 'planned'; });
+    return {
+      file,
+      results_file: null,
+      dry_run: true,
+      projected_credits: planned * AUDIT_CREDITS,
+      max_credits: maxCredits ?? null,
+      cap_remaining: capRemaining,
+      summary: counts(),
+      rows
+    };
+  }
+
+  writeBatchResults(resultsFile, rows);
+  let finished = 0;
+  let spent = 0;
+  let stopped = null;
+  const work = rows.filter(row => row.status === 'pending' || row.status === 'processing');
+
+  await mapLimit(work, parallel, async row => {
+    if (stopped && row.status === 'pending') {
+      Object.assign(row, { status: 'over_budget', error: stopped });
+      return;
+    }
+
+    try {
+      if (row.status === 'pending') {
+        const run = await runAudit(row.url, { command: 'audit:batch', businessName: row.business_name });
+        Object.assign(row, { audit_id: run.audit_id, share_url: run.share_url, credits: run.credits_deducted ?? AUDIT_CREDITS, status: 'processing' });
+        spent += row.credits;
+        writeBatchResults(resultsFile, rows);
+      }
+      const audit = await waitForAudit(row.audit_id, { maxWait });
+      Object.assign(row, { status: audit.status, business_name: audit.business_name || row.business_name, audit_score: audit.audit_score ?? null, error: null });
+    } catch (err) {
+      row.error = err.message;
+      if (!row.audit_id) row.status = 'error';
+      // Out of credits or at a cap: let running audits finish but start no more
+      if ((err instanceof ApiError && err.status === 402) || err instanceof CreditLimitError) {
+        stopped = err instanceof CreditLimitError ? err.message : 'Out of credits';
+        Object.assign(row, { status: 'over_budget', error: stopped });
+      }
+    }
+
+    finished++;
+    writeBatchResults(resultsFile, rows);
+    if (clientOptions.log) {
+      clientOptions.log(`[${finished}/${work.length}] ${row.business_name || row.url}: ${row.status}${row.audit_score != null ? ` (score ${row.audit_score})` : ''}`);
+    }
+  });
+
+  return {
+    file,
+    results_file: resultsFile,
+    dry_run: false,
+    credits_spent: spent,
+    max_credits: maxCredits,
+    summary: counts(),
+    rows
+  };
+}
+
+const IMPORT_URL_COLUMNS = ['url', 'gmb_url', 'maps_url', 'google_maps_url', 'link'];
+const IMPORT_PLACE_COLUMNS = ['place_id', 'placeid', 'google_place_id'];
+
+// Rows of a clients file: a url or place_id column, optionally name and
+// keywords (separated by ; or |). Without a header, one URL or place ID per line.
+function readClientImport(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (e) {
+    throw new UsageError(`Can't read ${file}: ${e.message}`);
+  }
+
+  const rows = parseCsv(text.replace(/^﻿/, ''));
+  const header = rows[0]?.map(cell => cell.trim().toLowerCase()) || [];
+  const column = names => header.findIndex(h => names.includes(h));
+  const urlColumn = column(IMPORT_URL_COLUMNS);
+  const placeColumn = column(IMPORT_PLACE_COLUMNS);
+  const nameColumn = column(['name', 'business_name', 'business']);
+  const keywordsColumn = column(['keywords', 'keyword', 'starter_keywords']);
+  const hasHeader = [urlColumn, placeColumn, nameColumn, keywordsColumn].some(i => i >= 0);
+  if (hasHeader && urlColumn === -1 && placeColumn === -1) {
+    throw new UsageError(`${file} needs a url or place_id column`);
+  }
+
+  const cell = (cells, i) => (i >= 0 ? (cells[i] || '').trim() : '');
+  return rows.slice(hasHeader ? 1 : 0).map((cells, i) => ({
+    row: i + (hasHeader ? 2 : 1),
+    input: hasHeader ? cell(cells, urlColumn) || cell(cells, placeColumn) : cell(cells, 0),
+    name: cell(cells, nameColumn) || null,
+    keywords: cell(cells, keywordsColumn).split(/[;|]/).map(k => k.trim()).filter(Boolean)
+  }));
+}
+
+/**
+ * Onboard every business in a CSV: each is added from its Maps URL or place
+ * ID and given its starter keywords (the row's own, or `keywords`). Places
+ * already tracked and repeated rows are reported rather than added again.
+ * With `scan`, each new business also gets a first scan, checked against
+ * the credit caps; `dryRun` validates the file and projects that spend.
+ */
+async function importBusinesses(file, { keywords, scan = false, gridSize, radius, dryRun = false } = {}) {
+  if (!file) throw new UsageError('A CSV file of Google Maps URLs or place IDs is required');
+  const starter = keywords ? parseKeywords(keywords) : [];
+  const settings = scan ? validateScanSettings({ gridSize, radius, keywords: starter }) : null;
+
+  const businesses = await apiGetAll('/api/businesses/', { page_size: 100 });
+  const byPlaceId = new Map(businesses.filter(b => b.place_id).map(b => [b.place_id, b]));
+  const byName = new Map(businesses.map(b => [normalizeName(b.name), b]));
+  const seen = new Set();
+
+  const rows = readClientImport(file).map(entry => {
+    const url = normalizeMapsUrl(entry.input);
+    const placeId = !url && PLACE_ID_PATTERN.test(entry.input) ? entry.input : null;
+    const row = {
+      row: entry.row,
+      input: entry.input,
+      url,
+      business_name: entry.name || (url && mapsPlaceName(url)) || null,
+      uuid: null,
+      place_id: placeId || (url && mapsPlaceId(url)) || null,
+      keywords: starter,
+      credits: 0
+    };
+    if (!url && !placeId) return { ...row, status: 'invalid', error: 'Not a Google Maps URL or place ID' };
+
+    if (entry.keywords.length > 0) {
+      try {
+        row.keywords = parseKeywords(entry.keywords);
+      } catch (err) {
+        return { ...row, status: 'invalid', error: err.message };
+      }
+    }
+    if (row.keywords.length > SCAN_MAX_KEYWORDS) {
+      return { ...row, status: 'invalid', error: `More than ${SCAN_MAX_KEYWORDS} keywords` };
+    }
+
+    const key = row.place_id ? `id:${row.place_id}` : mapsPlaceKey(url);
+    if (seen.has(key)) return { ...row, status: 'duplicate' };
+    seen.add(key);
+
+    const known = row.place_id && byPlaceId.get(row.place_id);
+    if (known) return { ...row, status: 'exists', uuid: known.uuid, business_name: known.name };
+    // A link without a place ID can only be matched by name, so a rerun doesn't add everything twice
+    const namesake = !row.place_id && byName.get(normalizeName(url && mapsPlaceName(url)));
+    if (namesake) {
+      return {
+        ...row,
+        status: 'exists',
+        uuid: namesake.uuid,
+        business_name: namesake.name,
+        error: 'Matched by name; if it is another location, add it with businesses:add'
+      };
+    }
+    return { ...row, status: 'pending' };
+  });
+
+  const counts = () => rows.reduce((acc, row) => ({ ...acc, [row.status]: (acc[row.status] || 0) + 1 }), {});
+  const scanCost = row => (settings && row.keywords.length > 0 ? estimateScanCredits(row.keywords.length, settings.grid_size) : 0);
+
+  if (dryRun) {
+    rows.forEach(row => { if (row.status === 'pending') row.status = 'planned'; });
+    return {
+      file,
+      dry_run: true,
+      estimated_credits: rows.filter(row => row.status === 'planned').reduce((sum, row) => sum + scanCost(row), 0),
+      cap_remaining: creditUsage().remaining,
+      summary: counts(),
+      rows
+    };
+  }
+
+  const pending = rows.filter(row => row.status === 'pending');
+  for (const [i, row] of pending.entries()) {
+    try {
+      const data = await apiPost('/api/businesses/', row.url ? { gmb_url: row.url } : { place_id: row.input });
+      Object.assign(row, { status: 'created', uuid: data.uuid, business_name: data.name || row.business_name, place_id: data.place_id ?? row.place_id });
+      if (row.keywords.length > 0) await trackKeywords(data, row.keywords);
+    } catch (err) {
+      if (!row.uuid) row.status = 'error';
+      row.error = err.message;
+    }
+    clientOptions.log?.(`[${i + 1}/${pending.length}] ${row.business_name || row.input}: ${row.status}`);
+  }
+  if (pending.some(row => row.uuid)) forgetList('/api/businesses/');
+
+  let spent = 0;
+  let stopped = null;
+  if (settings) {
+    for (const row of pending.filter(r => r.status === 'created' && !r.error && r.keywords.length > 0)) {
+      if (stopped) {
+        row.error = `No first scan: ${stopped}`;
+        continue;
+      }
+      try {
+        const run = await createScan(row.uuid, { keywords: row.keywords, gridSize: settings.grid_size, radius: settings.radius, command: 'businesses:import' });
+        row.scan_id = run.scan_id;
+        row.credits = run.credits_deducted ?? run.estimated_credits;
+        spent += row.credits;
+      } catch (err) {
+        row.error = `No first scan: ${err.message}`;
+        // Out of credits or at a cap: the rest won't scan either
+        if ((err instanceof ApiError && err.status === 402) || err instanceof CreditLimitError) {
+          stopped = err instanceof CreditLimitError ? err.message : 'Out of credits';
+        }
+      }
+    }
+  }
+
+  return {
+    file,
+    dry_run: false,
+    credits_spent: spent,
+    summary: counts(),
+    rows
+  };
+}
+
+// Ledger entries, newest first, with today's and this month's spend against the caps
+async function getCreditHistory({ since, limit = 50 } = {}) {
+  const start = parseSince(since);
+  const ledger = readLedger();
+  const entries = ledger.filter(entry => !start || Date.parse(entry.timestamp) >= start.getTime()).reverse();
+
+  return {
+    ...creditUsage(ledger),
+    total: entries.reduce((sum, entry) => sum + (entry.credits || 0), 0),
+    count: entries.length,
+    entries: entries.slice(0, limit)
+  };
+}
+
+async function getRecommendations(businessName, options = {}) {
+  const clientScans = await findClientScans(businessName, options);
+
+  const latest = clientScans[0];
+  const avgRank = latest.avg_rank;
+  const recommendations = [];
+
+  if (avgRank > 10) {
+    recommendations.push({
+      action: 'Use SuperBoost',
+      product: 'SuperBoost',
+      reason: `Average rank is ${Math.round(avgRank * 10) / 10}. SuperBoost uses AI-powered GBP optimization.`
+    });
+  }
+
+  if (avgRank > 5 && avgRank <= 10) {
+    recommendations.push({
+      action: 'Use LocalBoost',
+      product: 'LocalBoost',
+      reason: `Average rank is ${Math.round(avgRank * 10) / 10}. LocalBoost builds citations and backlinks.`
+    });
+  }
+
+  if (latest.keywords?.length < 5) {
+    recommendations.push({
+      action: 'Track more keywords',
+      product: 'Rank Tracker',
+      reason: `Only tracking ${latest.keywords?.length || 0} keywords.`
+    });
+  }
+
+  if (avgRank <= 5 && recommendations.length === 0) {
+    recommendations.push({
+      action: 'Maintain with LocalBoost',
+      product: 'LocalBoost',
+      reason: `Great rankings (avg ${Math.round(avgRank * 10) / 10})! Maintain authority.`
+    });
+  }
+
+  return {
+    business_name: latest.business?.name,
+    current_avg_rank: avgRank ? Math.round(avgRank * 10) / 10 : null,
+    recommendations
+  };
+}
+
+/**
+ * A client update email rendered from a template: the built-in one (in
+ * English, Spanish or French) or a user template (see findEmailTemplate).
+ * The tone follows the rank change unless `tone` is given. Language,
+ * template, signature and recipients default to the config file's `email`
+ * block. With `eml: true` the draft also comes back as an .eml message.
+ */
+async function draftEmail(businessName, { template, tone, language, eml, ...options } = {}) {
+  if (tone && !EMAIL_TONES.includes(tone)) {
+    throw new UsageError(`Unknown tone '${tone}'. Use one of: ${EMAIL_TONES.join(', ')}`);
+  }
+
+  const report = await getClientReport(businessName, options);
+  const name = report.business_name || businessName;
+  const business = await resolveBusiness(businessName, { first: options.first });
+  const settings = await emailSettings(business.uuid);
+  const lang = language || settings.language || 'en';
+  if (!/^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i.test(lang)) {
+    throw new UsageError(`Invalid language '${lang}'. Use a code such as en, es or fr`);
+  }
+  const source = findEmailTemplate(template || settings.template || 'default', lang);
+
+  const [quickWins, recommendations] = await Promise.all([
+    findQuickWins({ business: businessName, first: options.first, maxPages: options.maxPages }),
+    getRecommendations(businessName, options)
+  ]);
+
+  const view = emailView(report, {
+    language: lang,
+    tone,
+    quickWins: quickWins.quick_wins,
+    recommendations: recommendations.recommendations,
+    work: recentWork(business.uuid, report),
+    signature: settings.signature ?? loadConfig().branding?.agency_name
+  });
+
+  const text = renderTemplate(source.text, view, source.name).replace(/\n{3,}/g, '\n\n').trim();
+  const subjectLine = /^Subject:[ \t]*(.*)\n*/i.exec(text);
+  if (!subjectLine) throw new UsageError(`Email template ${source.name} must start with a "Subject: ..." line`);
+  const subject = subjectLine[1].trim();
+  const body = text.slice(subjectLine[0].length);
+
+  const draft = {
+    business_name: name,
+    ...(report.period ? { period: { current: report.current.label, previous: report.previous.label } } : {}),
+    language: lang,
+    tone: view.tone,
+    template: source.name,
+    subject,
+    to: settings.to ? [].concat(settings.to).join(', ') : null,
+    email_draft: `Subject: ${subject}\n\n${body}`
+  };
+  if (eml) draft.eml = buildEml({ from: settings.from, to: settings.to, subject, body });
+  return draft;
+}
+
+/**
+ * The client:report for a business as one self-contained HTML page for
+ * client meetings: headline numbers, wins and drops, an SVG rank chart per
+ * keyword, the share map link and current recommendations, in the agency's
+ * branding. Options are those of getClientReport, plus `branding` to
+ * override the config file's.
+ */
+async function getClientReportHtml(businessName, { branding, ...options } = {}) {
+  const style = loadBranding(branding);
+  const report = await getClientReport(businessName, options);
+  const [history, recommendations] = await Promise.all([
+    clientScanHistory(businessName, {
+      since: options.since,
+      until: report.current?.to,
+      maxPages: options.maxPages,
+      first: options.first
+    }),
+    getRecommendations(businessName, options)
+  ]);
+
+  return {
+    business_name: report.business_name,
+    html: renderReportHtml({ report, history, recommendations: recommendations.recommendations, branding: style })
+  };
+}
+
+// ============================================================================
+// Watch & Alerts
+// ============================================================================
+
+const WATCH_INTERVAL = 60 * 60 * 1000;
+const WATCH_MIN_INTERVAL = 60 * 1000;
+// Sent alert IDs are remembered this long, so a restart never repeats them
+const SENT_ALERT_RETENTION = 90 * 24 * 60 * 60 * 1000;
+// Undeliverable alerts are dropped after this many checks
+const ALERT_MAX_ATTEMPTS = 5;
+const ALERT_COMMAND_TIMEOUT = 30000;
+
+// 90s, 15m, 1h, 1d; a bare number is seconds
+function parseDuration(value, flag = '--interval') {
+  const match = /^(\d+(?:\.\d+)?)([smhd]?)$/.exec(String(value).trim());
+  if (!match) throw new UsageError(`Invalid ${flag} value '${value}'. Use a duration such as 90s, 15m, 1h or 1d`);
+  return parseFloat(match[1]) * { '': 1000, s: 1000, m: 60000, h: 3600000, d: 86400000 }[match[2]];
+}
+
+// "22:00-07:00" or { start, end }, as minutes past midnight
+function parseQuietHours(value) {
+  if (!value) return null;
+  const text = typeof value === 'string' ? value : `${value.start}-${value.end}`;
+  const match = /^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/.exec(text.trim());
+  if (!match || +match[1] > 23 || +match[2] > 59 || +match[3] > 23 || +match[4] > 59) {
+    throw new UsageError(`Invalid quiet hours '${text}'. Use HH:MM-HH:MM, e.g. 22:00-07:00`);
+  }
+  return { start: +match[1] * 60 + +match[2], end: +match[3] * 60 + +match[4] };
+}
+
+// Local time; a window such as 22:00-07:00 wraps past midnight
+function inQuietHours(quiet, now = new Date()) {
+  if (!quiet) return false;
+  const minutes = now.getHours() * 60 + now.getMinutes();
+  return quiet.start <= quiet.end
+    ? minutes >= quiet.start && minutes < quiet.end
+    : minutes >= quiet.start || minutes < quiet.end;
+}
+
+// Mute entries are a business name, or { business, uuid, until }
+function muteFor(alert, mutes, now = new Date()) {
+  return mutes.find(mute => {
+    const entry = typeof mute === 'string' ? { business: mute } : mute;
+    if (entry.until && Date.parse(entry.until) <= now.getTime()) return false;
+    return (entry.uuid && entry.uuid === alert.business_uuid) ||
+      (entry.business && normalizeName(entry.business) === normalizeName(alert.business_name));
+  }) || null;
+}
+
+/**
+ * Where alerts go and when: the config file's `watch` block with options
+ * added on top. Webhooks post generic JSON unless their format is 'slack'
+ * (assumed for hooks.slack.com URLs).
+ */
+function watchSettings({ webhooks = [], command, quietHours, mute = [] } = {}) {
+  const config = loadConfig().watch || {};
+  const hooks = [...(config.webhooks || []), ...webhooks].map(hook => typeof hook === 'string' ? { url: hook } : hook);
+  hooks.forEach(hook => {
+    if (!/^https?:\/\//.test(hook.url || '')) throw new ConfigError(`Invalid webhook URL '${hook.url}'`);
+  });
+
+  return {
+    webhooks: hooks.map(hook => ({ url: hook.url, format: hook.format || (/\/\/hooks\.slack\.com\//.test(hook.url) ? 'slack' : 'json') })),
+    command: command || config.command || null,
+    quietHours: parseQuietHours(quietHours || config.quiet_hours),
+    mute: [...(config.mute || []), ...mute]
+  };
+}
+
+// Per account, so a watch on one key never swallows alerts meant for another
+function watchStatePath() {
+  return path.join(accountStateDir(), 'watch-state.json');
+}
+
+function readWatchState() {
+  try {
+    return JSON.parse(fs.readFileSync(watchStatePath(), 'utf8'));
+  } catch (e) {
+    return null;
+  }
+}
+
+function writeWatchState(state) {
+  const file = watchStatePath();
+  fs.mkdirSync(path.dirname(file), { recursive: true, mode: 0o700 });
+  writeFileAtomic(file, JSON.stringify(state, null, 2));
+}
+
+// Alerts for a business's newest scan, under the prioritize:today and at-risk:clients rules
+function scanAlerts(scans, rules) {
+  const latest = scans[0];
+  const name = latest.business?.name || 'Unknown';
+  const businessRules = rulesFor(rules, latest.business?.uuid);
+  const base = {
+    business_name: name,
+    business_uuid: latest.business?.uuid || null,
+    scan_id: latest.uuid,
+    scanned_at: latest.created_at,
+    view_url: latest.public_share_token ? `https://app.localrank.so/share/${latest.public_share_token}` : null
+  };
+
+  const alerts = [];
+  const drop = rankDrop(scans, businessRules.priorities.urgent_drop);
+  if (drop) {
+    alerts.push({ id: `rank_drop:${latest.uuid}`, type: 'rank_drop', severity: 'urgent', ...base, message: `Average rank dropped from ${drop.from} to ${drop.to}`, details: drop });
+  }
+  const risk = assessRisk(scans, businessRules.at_risk);
+  if (risk) {
+    alerts.push({ id: `at_risk:${latest.uuid}`, type: 'at_risk', severity: 'warning', ...base, message: `At risk of churning: ${risk.risk_factors.join('; ')}`, details: risk });
+  }
+  return alerts;
+}
+
+function slackPayload(alert) {
+  const icon = alert.severity === 'urgent' ? ':rotating_light:' : ':warning:';
+  const link = alert.view_url ? ` <${alert.view_url}|View ranking map>` : '';
+  return { text: `${icon} *${alert.business_name}*: ${alert.message}${link}` };
+}
+
+async function postWebhook(hook, alert) {
+  const body = hook.format === 'slack' ? slackPayload(alert) : { event: 'localrank.alert', alert };
+  let resp;
+  try {
+    resp = await fetch(hook.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(clientOptions.timeout)
+    });
+  } catch (err) {
+    throw new NetworkError(`Webhook ${hook.url} failed: ${err.message}`, { cause: err });
+  }
+  if (!resp.ok) throw new NetworkError(`Webhook ${hook.url} returned ${resp.status}`);
+}
+
+// The alert is written to the command's stdin as JSON; a non-zero exit counts as a failure
+function runAlertCommand(command, alert) {
+  const { spawn } = require('child_process');
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, {
+      shell: true,
+      stdio: ['pipe', 2, 2],
+      timeout: ALERT_COMMAND_TIMEOUT,
+      env: {
+        ...process.env,
+        LOCALRANK_ALERT_TYPE: alert.type,
+        LOCALRANK_ALERT_BUSINESS: alert.business_name,
+        LOCALRANK_ALERT_MESSAGE: alert.message
+      }
+    });
+    child.on('error', reject);
+    child.on('close', code => code === 0 ? resolve() : reject(new LocalRankError(`Alert command exited with ${code ?? 'a signal'}`)));
+    // The command may exit without reading its input
+    child.stdin.on('error', () => {});
+    child.stdin.end(JSON.stringify(alert));
+  });
+}
+
+// Send one alert to every destination it hasn't reached yet; returns the failures
+async function deliverAlert(alert, settings) {
+  const targets = [
+    ...settings.webhooks.map(hook => ({ id: hook.url, send: () => postWebhook(hook, alert) })),
+    ...(settings.command ? [{ id: settings.command, send: () => runAlertCommand(settings.command, alert) }] : [])
+  ].filter(target => !(alert.delivered_to || []).includes(target.id));
+
+  const outcomes = await Promise.allSettled(targets.map(target => target.send()));
+  alert.delivered_to = [
+    ...(alert.delivered_to || []),
+    ...targets.filter((_, i) => outcomes[i].status === 'fulfilled').map(target => target.id)
+  ];
+  return outcomes.filter(outcome => outcome.status === 'rejected').map(outcome => outcome.reason.message);
+}
+
+/**
+ * One watch pass: read the scan list fresh, raise alerts for businesses with
+ * a newly completed scan, and deliver them. Rank drops alert on every new
+ * scan that drops; at-risk alerts only when a client becomes at risk or its
+ * risk score rises. The first pass only records where things stand.
+ *
+ * Sent alerts are remembered in watch-state.json. Alerts raised in quiet
+ * hours, and ones that failed to deliver, are kept and sent by a later pass.
+ */
+async function checkAlerts({ dryRun = false, since, maxPages, ...destinations } = {}) {
+  const settings = watchSettings(destinations);
+  if (!dryRun && settings.webhooks.length === 0 && !settings.command) {
+    throw new UsageError('No alert destination. Pass --webhook, --slack or --exec, or add them to the "watch" block of the config file');
+  }
+
+  const rules = await resolveRules();
+  const state = readWatchState() || { latest: {}, at_risk: {}, sent: {}, pending: [] };
+  const baseline = !state.checked_at;
+
+  // The scan list must be current; completed scan details never change
+  responseMemo.clear();
+  const refresh = cacheOptions.refresh;
+  cacheOptions.refresh = true;
+  let scans;
+  try {
+    scans = await fetchScans({ since, maxPages });
+  } finally {
+    cacheOptions.refresh = refresh;
+  }
+
+  const byBusiness = groupScansByBusiness(scans.filter(s => !s.status || s.status === 'completed'));
+  const raised = [];
+  Object.entries(byBusiness).forEach(([key, list]) => {
+    if (state.latest[key] === list[0].uuid) return;
+    state.latest[key] = list[0].uuid;
+
+    const alerts = scanAlerts(list, rules);
+    const previousRisk = state.at_risk[key] || 0;
+    const risk = alerts.find(alert => alert.type === 'at_risk');
+    state.at_risk[key] = risk ? risk.details.risk_score : 0;
+
+    if (baseline) return;
+    raised.push(...alerts.filter(alert => !state.sent[alert.id] && (alert.type !== 'at_risk' || alert.details.risk_score > previousRisk)));
+  });
+
+  const now = new Date();
+  const quiet = inQuietHours(settings.quietHours, now);
+  const rows = [];
+  const pending = [];
+
+  for (const alert of [...state.pending, ...raised]) {
+    if (muteFor(alert, settings.mute, now)) {
+      state.sent[alert.id] = now.toISOString();
+      rows.push({ ...alert, status: 'muted' });
+    } else if (dryRun) {
+      rows.push({ ...alert, status: 'would_send' });
+    } else if (quiet) {
+      pending.push(alert);
+      rows.push({ ...alert, status: 'held' });
+    } else {
+      const errors = await deliverAlert(alert, settings);
+      alert.attempts = (alert.attempts || 0) + 1;
+      if (errors.length === 0) {
+        state.sent[alert.id] = now.toISOString();
+        rows.push({ ...alert, status: 'delivered' });
+      } else {
+        if (alert.attempts < ALERT_MAX_ATTEMPTS) pending.push(alert);
+        rows.push({ ...alert, status: alert.attempts < ALERT_MAX_ATTEMPTS ? 'retrying' : 'failed', error: errors.join('; ') });
+      }
+    }
+  }
+
+  const cutoff = now.getTime() - SENT_ALERT_RETENTION;
+  state.sent = Object.fromEntries(Object.entries(state.sent).filter(([, sentAt]) => Date.parse(sentAt) >= cutoff));
+  state.pending = pending;
+  state.checked_at = now.toISOString();
+  if (!dryRun) writeWatchState(state);
+
+  const count = status => rows.filter(row => row.status === status).length;
+  return {
+    checked_at: state.checked_at,
+    baseline,
+    businesses: Object.keys(byBusiness).length,
+    quiet_hours: quiet,
+    new_alerts: raised.length,
+    delivered: count('delivered'),
+    held: count('held'),
+    muted: count('muted'),
+    failed: count('retrying') + count('failed'),
+    alerts: rows.map(({ delivered_to, attempts, ...row }) => row)
+  };
+}
+
+/**
+ * Run checkAlerts every `interval` milliseconds until the process stops.
+ * Configuration mistakes end the watch; anything else is logged and the
+ * next check tries again.
+ */
+async function watch({ interval = WATCH_INTERVAL, ...options } = {}) {
+  if (!(interval >= WATCH_MIN_INTERVAL)) throw new UsageError('The watch interval must be at least 1m');
+  const log = message => clientOptions.log && clientOptions.log(message);
+
+  for (;;) {
+    try {
+      const result = await checkAlerts(options);
+      if (result.baseline) {
+        log(`Watching ${result.businesses} businesses; alerts start with their next scan`);
+      } else {
+        result.alerts.forEach(alert => log(`[${alert.status}] ${alert.business_name}: ${alert.message}${alert.error ? ` (${alert.error})` : ''}`));
+        log(`${result.checked_at}: ${result.new_alerts} new alert(s), ${result.delivered} delivered, ${result.held} held, ${result.muted} muted, ${result.failed} failed`);
+      }
+    } catch (err) {
+      if (err instanceof UsageError || err instanceof ConfigError) throw err;
+      log(`Watch check failed: ${err.message}`);
+    }
+    await sleep(interval);
+  }
+}
+
+// When a mute ends: a date, or a duration from now such as 7d
+function muteUntil(value) {
+  if (!value) return null;
+  const relative = /^(\d+)([dw])$/.exec(value);
+  if (relative) {
+    const days = parseInt(relative[1]) * (relative[2] === 'w' ? 7 : 1);
+    return new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+  }
+  const date = new Date(value);
+  if (isNaN(date.getTime())) throw new UsageError(`Invalid --until value '${value}'. Use a date (2026-11-01) or a duration (7d, 2w)`);
+  return date.toISOString();
+}
+
+// Stop alerts for one client, until a date or for good
+async function muteAlerts(business, { until, location = 'global', first } = {}) {
+  const match = await resolveBusiness(business, { first });
+  const entry = { business: match.name, uuid: match.uuid, until: muteUntil(until) };
+
+  updateConfig(location, config => {
+    const settings = config.watch || {};
+    settings.mute = [...(settings.mute || []).filter(mute => mute.uuid !== match.uuid), entry];
+    config.watch = settings;
+  });
+  return { muted: entry, location };
+}
+
+async function unmuteAlerts(business, { location = 'global', first } = {}) {
+  const match = await resolveBusiness(business, { first });
+  let removed = 0;
+
+  updateConfig(location, config => {
+    const mutes = config.watch?.mute || [];
+    const kept = mutes.filter(mute => !muteFor({ business_uuid: match.uuid, business_name: match.name }, [mute]));
+    removed = mutes.length - kept.length;
+    if (config.watch) config.watch.mute = kept;
+  });
+  if (removed === 0) throw new NotFoundError(`'${match.name}' isn't muted in the ${location} config`);
+  return { unmuted: match.name, location };
+}
+
+// ============================================================================
+// Work Log
+// ============================================================================
+
+const WORK_LOG_ACTION_MAX_LENGTH = 200;
+// email:draft mentions work logged this many days back (or in the report period)
+const EMAIL_WORK_DAYS = 30;
+
+// One file per business. The log belongs to the account, so every project
+// and profile using the key reads and adds to the same one
+function workLogDir() {
+  return path.join(accountStateDir(), 'worklog');
+}
+
+function workLogFile(uuid) {
+  return path.join(workLogDir(), `${uuid}.json`);
+}
+
+function readWorkLog(uuid) {
+  try {
+    return JSON.parse(fs.readFileSync(workLogFile(uuid), 'utf8'));
+  } catch (e) {
+    return null;
+  }
+}
+
+function writeWorkLog(log) {
+  const file = workLogFile(log.business_uuid);
+  fs.mkdirSync(path.dirname(file), { recursive: true, mode: 0o700 });
+  log.entries.sort((a, b) => a.date.localeCompare(b.date) || a.logged_at.localeCompare(b.logged_at));
+  writeFileAtomic(file, JSON.stringify(log, null, 2));
+}
+
+// Work happens on a day: YYYY-MM-DD, today by default, never in the future
+function parseLogDate(value) {
+  if (value === undefined || value === null) return new Date().toISOString().slice(0, 10);
+  const date = /^\d{4}-\d{2}-\d{2}$/.test(value) ? new Date(`${value}T00:00:00Z`) : null;
+  if (!date || isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== value) {
+    throw new UsageError(`Invalid date '${value}'. Use YYYY-MM-DD, e.g. 2026-09-01`);
+  }
+  if (date.getTime() > Date.now()) throw new UsageError(`${value} is in the future; log work once it has started`);
+  return value;
+}
+
+/**
+ * Record something done for a client, such as starting a campaign, on the
+ * day it happened. log:impact lines these entries up against the scans.
+ */
+async function addWorkLog(businessName, { action, date, note, first } = {}) {
+  const text = String(action ?? '').trim().replace(/\s+/g, ' ');
+  if (!text) throw new UsageError('An action is required, e.g. "Started SuperBoost"');
+  if (text.length > WORK_LOG_ACTION_MAX_LENGTH) {
+    throw new UsageError(`The action is ${text.length} characters; keep it under ${WORK_LOG_ACTION_MAX_LENGTH} (put details in --note)`);
+  }
+  const day = parseLogDate(date);
+
+  const business = await resolveBusiness(businessName, { first });
+  const log = readWorkLog(business.uuid) || { business_uuid: business.uuid, business_name: business.name, entries: [] };
+  const entry = {
+    id: crypto.randomBytes(4).toString('hex'),
+    date: day,
+    action: text,
+    note: note ? String(note).trim() : null,
+    logged_at: new Date().toISOString()
+  };
+  log.business_name = business.name;
+  log.entries.push(entry);
+  writeWorkLog(log);
+
+  return { business_name: business.name, business_uuid: business.uuid, ...entry, total_entries: log.entries.length };
+}
+
+// Logged work, newest first: one business's, or every business's without one
+async function listWorkLog({ business, since, first } = {}) {
+  const sinceDate = parseSince(since);
+  let logs;
+  if (business) {
+    const match = await resolveBusiness(business, { first });
+    logs = [readWorkLog(match.uuid) || { business_uuid: match.uuid, business_name: match.name, entries: [] }];
+  } else {
+    const dir = workLogDir();
+    logs = fs.existsSync(dir)
+      ? fs.readdirSync(dir).filter(f => f.endsWith('.json')).map(f => readWorkLog(path.basename(f, '.json'))).filter(Boolean)
+      : [];
+  }
+
+  const entries = logs
+    .flatMap(log => log.entries.map(entry => ({ business_name: log.business_name, ...entry })))
+    .filter(entry => !sinceDate || new Date(`${entry.date}T23:59:59.999Z`) >= sinceDate)
+    .sort((a, b) => b.date.localeCompare(a.date) || b.logged_at.localeCompare(a.logged_at));
+  return { entries, count: entries.length };
+}
+
+async function removeWorkLog(businessName, id, { first } = {}) {
+  if (!id) throw new UsageError('An entry ID from log:list is required');
+  const business = await resolveBusiness(businessName, { first });
+  const log = readWorkLog(business.uuid);
+  const entry = log?.entries.find(e => e.id === id);
+  if (!entry) throw new NotFoundError(`No work log entry '${id}' for '${business.name}'`);
+
+  log.entries = log.entries.filter(e => e.id !== id);
+  writeWorkLog(log);
+  return { business_name: business.name, ...entry, remaining: log.entries.length };
+}
+
+// The scan's avg_rank over just `keywords`, so added or dropped keywords don't skew a comparison
+function keywordAverage(scan, keywords) {
+  const ranks = keywordRanks(scan);
+  return round(averageOf(keywords.map(keyword => ranks[keyword])));
+}
+
+/**
+ * Each logged entry against the scan history: the last scan on or before its
+ * date, and the last scan after it - before the next entry, or within `days`
+ * days. The rank change is averaged over the keywords both scans tracked;
+ * positive means rankings improved.
+ */
+async function getWorkLogImpact(businessName, { days, since, maxPages, first } = {}) {
+  if (days !== undefined && !(days > 0)) throw new UsageError('days must be a positive number');
+  const business = await resolveBusiness(businessName, { first });
+  const log = readWorkLog(business.uuid);
+  const sinceDate = parseSince(since);
+  const entries = (log?.entries || []).filter(entry => !sinceDate || new Date(`${entry.date}T23:59:59.999Z`) >= sinceDate);
+  if (entries.length === 0) {
+    throw new NotFoundError(`No work logged for '${business.name}'${sinceDate ? ' in that period' : ''}. Add some with log:add`);
+  }
+
+  const history = await clientScanHistory(business.uuid, { maxPages, first });
+  const { stable_change: stable } = rulesFor(await resolveRules(), business.uuid);
+  const dayEnd = date => parseUntil(date).getTime();
+
+  const interventions = entries.map((entry, i) => {
+    const start = dayEnd(entry.date);
+    const next = entries.slice(i + 1).find(e => e.date > entry.date);
+    const end = Math.min(next ? dayEnd(next.date) : Infinity, days ? start + days * 24 * 60 * 60 * 1000 : Infinity);
+    const before = history.filter(scan => Date.parse(scan.created_at) <= start).pop();
+    const after = history.filter(scan => Date.parse(scan.created_at) > start && Date.parse(scan.created_at) <= end).pop();
+
+    const row = {
+      id: entry.id,
+      date: entry.date,
+      action: entry.action,
+      note: entry.note,
+      before_scan: before ? { scan_id: before.uuid, date: before.created_at } : null,
+      after_scan: after ? { scan_id: after.uuid, date: after.created_at } : null,
+      before_rank: null,
+      after_rank: null,
+      avg_rank_change: null,
+      days: null,
+      keywords_improved: 0,
+      keywords_declined: 0,
+      wins: [],
+      drops: [],
+      verdict: !before ? 'no scan before' : !after ? 'no scan since' : null
+    };
+    if (!before || !after) return row;
+
+    const common = Object.keys(keywordRanks(after)).filter(keyword => keyword in keywordRanks(before));
+    const { wins, drops } = compareKeywords(keywordRanks(before), keywordRanks(after));
+    row.before_rank = keywordAverage(before, common);
+    row.after_rank = keywordAverage(after, common);
+    row.avg_rank_change = row.before_rank !== null && row.after_rank !== null ? round(row.before_rank - row.after_rank) : null;
+    row.days = Math.round((Date.parse(after.created_at) - Date.parse(before.created_at)) / (24 * 60 * 60 * 1000));
+    row.keywords_improved = wins.length;
+    row.keywords_declined = drops.length;
+    row.wins = wins;
+    row.drops = drops;
+    row.verdict = row.avg_rank_change > stable ? 'improved' : row.avg_rank_change < -stable ? 'declined' : 'no clear change';
+    return row;
+  });
+
+  const movements = interventions.flatMap(row => [
+    ...row.wins.map(w => ({ date: row.date, action: row.action, keyword: w.keyword, from: w.from, to: w.to, change: w.improved_by })),
+    ...row.drops.map(d => ({ date: row.date, action: row.action, keyword: d.keyword, from: d.from, to: d.to, change: -d.dropped_by }))
+  ]);
+
+  return {
+    business_name: business.name,
+    entries: entries.length,
+    scans: history.length,
+    interventions,
+    movements,
+    tip: 'Rankings also move for reasons outside your work; treat a change as a sign, not proof'
+  };
+}
+
+// Entries for email:draft: those in the report period, or the last EMAIL_WORK_DAYS days
+function recentWork(businessUuid, report) {
+  const log = businessUuid ? readWorkLog(businessUuid) : null;
+  if (!log) return [];
+  const from = report.period ? report.current.from.slice(0, 10) : new Date(Date.now() - EMAIL_WORK_DAYS * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  const to = report.period ? report.current.to.slice(0, 10) : new Date().toISOString().slice(0, 10);
+  return log.entries.filter(entry => entry.date >= from && entry.date <= to);
+}
+
+// ============================================================================
+// Goals
+// ============================================================================
+
+// goals:status lists the goals needing work first
+const GOAL_STATUS_ORDER = ['overdue', 'off track', 'not enough scans', 'no data', 'on track', 'achieved'];
+
+// One file for every client's goals. Goals are agreed per account, not per
+// project, so they follow the API key rather than the working directory
+function goalsPath() {
+  return path.join(accountStateDir(), 'goals.json');
+}
+
+function readGoals() {
+  try {
+    return JSON.parse(fs.readFileSync(goalsPath(), 'utf8')).goals || [];
+  } catch (e) {
+    return [];
+  }
+}
+
+function writeGoals(goals) {
+  const file = goalsPath();
+  fs.mkdirSync(path.dirname(file), { recursive: true, mode: 0o700 });
+  goals.sort((a, b) => a.deadline.localeCompare(b.deadline) || a.business_name.localeCompare(b.business_name));
+  writeFileAtomic(file, JSON.stringify({ goals }, null, 2));
+}
+
+const lastDayOf = (year, month) => new Date(Date.UTC(year, month, 0)).toISOString().slice(0, 10);
+
+/**
+ * A deadline as YYYY-MM-DD: a date, or the last day of a month (2027-03) or
+ * quarter (2027-Q1, Q1 2027). It has to be today or later.
+ */
+function parseDeadline(value) {
+  if (!value || value === true) throw new UsageError('A deadline is required, e.g. 2027-03-31, 2027-03 or 2027-Q1');
+  const text = String(value).trim();
+  const month = /^(\d{4})-(\d{2})$/.exec(text);
+  const quarter = /^(\d{4})-?Q([1-4])$/i.exec(text);
+  const quarterFirst = /^Q([1-4])[ -]?(\d{4})$/i.exec(text);
+
+  let day = null;
+  if (/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+    const date = new Date(`${text}T00:00:00Z`);
+    if (!isNaN(date.getTime()) && date.toISOString().slice(0, 10) === text) day = text;
+  } else if (month && Number(month[2]) >= 1 && Number(month[2]) <= 12) {
+    day = lastDayOf(Number(month[1]), Number(month[2]));
+  } else if (quarter || quarterFirst) {
+    const [year, q] = quarter ? [quarter[1], quarter[2]] : [quarterFirst[2], quarterFirst[1]];
+    day = lastDayOf(Number(year), Number(q) * 3);
+  }
+
+  if (!day) throw new UsageError(`Invalid deadline '${text}'. Use a date (2027-03-31), a month (2027-03) or a quarter (2027-Q1)`);
+  if (parseUntil(day).getTime() < Date.now()) throw new UsageError(`The deadline ${day} has already passed`);
+  return day;
+}
+
+// The scan's rank for a goal: the keyword's average rank, or the scan's for a whole-business goal
+function goalRank(scan, keyword) {
+  if (!keyword) return scan.avg_rank ?? null;
+  const match = (scan.keyword_results || []).find(kw => kw.keyword.toLowerCase() === keyword.toLowerCase());
+  return match ? match.avg_rank ?? null : null;
+}
+
+function goalLabel(goal) {
+  return goal.keyword ? `Rank ${goal.target_rank} for '${goal.keyword}'` : `Average rank ${goal.target_rank}`;
+}
+
+/**
+ * Set a client's target: a rank for one keyword, or an average rank across
+ * all of them without `keyword`, reached by `deadline`. Setting a goal for the
+ * same business and keyword again replaces it. The latest scan's rank is kept
+ * as the starting point progress is measured from.
+ */
+async function setGoal(businessName, { keyword, target, deadline, first } = {}) {
+  const targetRank = Number(target);
+  if (!Number.isFinite(targetRank) || targetRank < 1) {
+    throw new UsageError('The target must be a rank of 1 or more, e.g. 3 for the local pack');
+  }
+  const day = parseDeadline(deadline);
+  let text = keyword ? String(keyword).trim().replace(/\s+/g, ' ') : null;
+
+  const business = await resolveBusiness(businessName, { first });
+  let latest = null;
+  try {
+    const scans = (await findClientScans(business.uuid)).filter(s => !s.status || s.status === 'completed');
+    if (scans.length > 0) latest = await getScanDetail(scans[0].uuid);
+  } catch (e) {
+    if (!(e instanceof NotFoundError)) throw e;
+  }
+
+  // Keep the keyword spelled the way the scans have it
+  const tracked = text && latest ? (latest.keyword_results || []).find(kw => kw.keyword.toLowerCase() === text.toLowerCase()) : null;
+  if (tracked) text = tracked.keyword;
+  const currentRank = latest ? round(goalRank(latest, text)) : null;
+
+  const goals = readGoals();
+  const sameGoal = g => g.business_uuid === business.uuid && (g.keyword || '').toLowerCase() === (text || '').toLowerCase();
+  const replaced = goals.some(sameGoal);
+  const goal = {
+    id: crypto.randomBytes(4).toString('hex'),
+    business_uuid: business.uuid,
+    business_name: business.name,
+    keyword: text,
+    target_rank: targetRank,
+    deadline: day,
+    baseline_rank: currentRank,
+    set_at: new Date().toISOString()
+  };
+  writeGoals([...goals.filter(g => !sameGoal(g)), goal]);
+
+  const result = { ...goal, goal: goalLabel(goal), replaced };
+  if (text && latest && !tracked) {
+    result.tip = `'${text}' isn't in the latest scan. Track it with keywords:add so goals:status can measure it`;
+  } else if (currentRank !== null && currentRank <= targetRank) {
+    result.tip = `Already at ${currentRank}; goals:status will show it as achieved`;
+  }
+  return result;
+}
+
+// Stored goals, soonest deadline first: one business's, or every business's without one
+async function listGoals({ business, first } = {}) {
+  let goals = readGoals();
+  if (business) {
+    const match = await resolveBusiness(business, { first });
+    goals = goals.filter(g => g.business_uuid === match.uuid);
+  }
+  return { goals: goals.map(g => ({ ...g, goal: goalLabel(g) })), count: goals.length };
+}
+
+async function removeGoal(businessName, id, { first } = {}) {
+  if (!id) throw new UsageError('A goal ID from goals:list is required');
+  const business = await resolveBusiness(businessName, { first });
+  const goals = readGoals();
+  const goal = goals.find(g => g.id === id && g.business_uuid === business.uuid);
+  if (!goal) throw new NotFoundError(`No goal '${id}' for '${business.name}'`);
+
+  const remaining = goals.filter(g => g !== goal);
+  writeGoals(remaining);
+  return { ...goal, goal: goalLabel(goal), remaining: remaining.filter(g => g.business_uuid === business.uuid).length };
+}
+
+/**
+ * Where each goal stands. The trend is the least-squares slope of the goal's
+ * rank over the scans of the last `goals.trend_weeks` weeks, positive when it
+ * is climbing as in client:trends, carried forward to the deadline as
+ * projected_rank. Clients without scans in that window
+ * come back as 'no data'. `scans` is a scan list the caller already fetched;
+ * otherwise one list is fetched for every goal. Scan details are only read
+ * for keyword goals.
+ */
+async function goalProgress(goals, { maxPages, scans } = {}) {
+  const rules = await resolveRules();
+  const now = Date.now();
+  const byBusiness = {};
+  goals.forEach(goal => {
+    (byBusiness[goal.business_uuid] = byBusiness[goal.business_uuid] || []).push(goal);
+  });
+  const scansByBusiness = groupScansByBusiness(scans || await fetchScans({ maxPages }));
+
+  const histories = {};
+  await Promise.all(Object.entries(byBusiness).map(async ([uuid, list]) => {
+    const start = now - rulesFor(rules, uuid).goals.trend_weeks * 7 * 24 * 60 * 60 * 1000;
+    const recent = (scansByBusiness[uuid] || [])
+      .filter(s => (!s.status || s.status === 'completed') && Date.parse(s.created_at) >= start)
+      .sort((a, b) => Date.parse(a.created_at) - Date.parse(b.created_at));
+    histories[uuid] = list.some(goal => goal.keyword)
+      ? await Promise.all(recent.map(async s => ({ ...(await getScanDetail(s.uuid)), created_at: s.created_at })))
+      : recent;
+  }));
+
+  return goals.map(goal => {
+    const points = histories[goal.business_uuid]
+      .map(scan => ({ date: Date.parse(scan.created_at), rank: goalRank(scan, goal.keyword) }))
+      .filter(p => p.rank !== null);
+    const latest = points[points.length - 1];
+    const current = latest ? round(latest.rank) : null;
+    const trend = linearSlope(points.map(p => (p.date - points[0].date) / (7 * 24 * 60 * 60 * 1000)), points.map(p => -p.rank));
+    const deadlineEnd = parseUntil(goal.deadline).getTime();
+    const weeksLeft = (deadlineEnd - now) / (7 * 24 * 60 * 60 * 1000);
+    // Kept within the ranks a scan can report, however steep the trend
+    const projected = trend !== null && weeksLeft > 0 ? round(Math.min(GRID_MAX_RANK, Math.max(1, latest.rank - trend * weeksLeft))) : null;
+
+    let status;
+    if (current === null) status = 'no data';
+    else if (current <= goal.target_rank) status = 'achieved';
+    else if (weeksLeft <= 0) status = 'overdue';
+    else if (projected === null) status = 'not enough scans';
+    else status = projected <= goal.target_rank ? 'on track' : 'off track';
+
+    let progress = null;
+    if (status === 'achieved') progress = 100;
+    else if (current !== null && goal.baseline_rank !== null && goal.baseline_rank > goal.target_rank) {
+      const share = (goal.baseline_rank - current) / (goal.baseline_rank - goal.target_rank);
+      progress = Math.round(Math.min(1, Math.max(0, share)) * 100);
+    }
+
+    return {
+      id: goal.id,
+      business_name: goal.business_name,
+      keyword: goal.keyword,
+      goal: goalLabel(goal),
+      target_rank: goal.target_rank,
+      deadline: goal.deadline,
+      days_left: Math.ceil((deadlineEnd - now) / (24 * 60 * 60 * 1000)),
+      baseline_rank: goal.baseline_rank,
+      current_rank: current,
+      progress_pct: progress,
+      trend_per_week: round(trend, 2),
+      projected_rank: projected,
+      // Positions a week it would have to climb from here to make the deadline
+      needed_per_week: status === 'achieved' || weeksLeft <= 0 || current === null ? null : round((current - goal.target_rank) / weeksLeft, 2),
+      status,
+      latest_scan: latest ? new Date(latest.date).toISOString() : null
+    };
+  });
+}
+
+async function getGoalStatus({ business, maxPages, first } = {}) {
+  let goals = readGoals();
+  let businessName = null;
+  if (business) {
+    const match = await resolveBusiness(business, { first });
+    goals = goals.filter(g => g.business_uuid === match.uuid);
+    businessName = match.name;
+  }
+  if (goals.length === 0) {
+    throw new NotFoundError(`No goals set${businessName ? ` for '${businessName}'` : ''}. Add one with goals:set`);
+  }
+
+  const rows = (await goalProgress(goals, { maxPages }))
+    .sort((a, b) => GOAL_STATUS_ORDER.indexOf(a.status) - GOAL_STATUS_ORDER.indexOf(b.status) || a.deadline.localeCompare(b.deadline));
+  const count = status => rows.filter(r => r.status === status).length;
+
+  return {
+    goals: rows,
+    count: rows.length,
+    achieved: count('achieved'),
+    on_track: count('on track'),
+    off_track: count('off track'),
+    overdue: count('overdue'),
+    tip: 'Projections extend the recent trend to the deadline; a few scans make a rough guide'
+  };
+}
+
+// ============================================================================
+// Weekly Digest
+// ============================================================================
+
+// Clients listed per direction under the biggest movers
+const DIGEST_MOVERS_LIMIT = 5;
+const DIGEST_DEFAULT_DAYS = 7;
+
+// What the last digest reported, per account: "new since last digest" means the
+// same thing whichever project the team runs it from
+function digestStatePath() {
+  return path.join(accountStateDir(), 'digest-state.json');
+}
+
+function readDigestState() {
+  try {
+    return JSON.parse(fs.readFileSync(digestStatePath(), 'utf8'));
+  } catch (e) {
+    return null;
+  }
+}
+
+function writeDigestState(state) {
+  const file = digestStatePath();
+  fs.mkdirSync(path.dirname(file), { recursive: true, mode: 0o700 });
+  writeFileAtomic(file, JSON.stringify(state, null, 2));
+}
+
+const quickWinKey = win => `${win.business_uuid || win.business_name}|${win.keyword.toLowerCase()}`;
+
+/**
+ * One team update for the window since the last digest (or the last 7 days,
+ * or `since`): portfolio rank movement, the biggest movers, prioritize:today's
+ * urgent and important items, quick wins and at-risk clients that weren't in
+ * the last digest, and clients overdue for a scan. Only clients scanned in the
+ * window are listed as needing attention or as new. Every current quick win
+ * and at-risk client is remembered for next time unless `dryRun` is set.
+ */
+async function getWeeklyDigest({ since, maxPages, dryRun = false } = {}) {
+  const rules = await resolveRules();
+  const state = readDigestState();
+  const to = new Date();
+  const sinceLast = !parseSince(since) && Boolean(state?.generated_at);
+  const from = parseSince(since) || (sinceLast ? new Date(state.generated_at) : new Date(to.getTime() - DIGEST_DEFAULT_DAYS * 24 * 60 * 60 * 1000));
+
+  // Everything is judged as of `to`, so a scan started mid-run waits for the next digest
+  const scans = (await fetchScans({ maxPages })).filter(s => new Date(s.created_at) <= to);
+  const byBusiness = groupScansByBusiness(scans);
+  const scannedKeys = new Set(Object.keys(byBusiness).filter(key => byBusiness[key].some(s => new Date(s.created_at) > from)));
+
+  // Candidates come untruncated, so nothing past a list limit is stored as already reported
+  const [quickWins, attention] = await Promise.all([
+    quickWinCandidates(scans, rules),
+    priorityCandidates(scans.filter(s => scannedKeys.has(scanBusinessKey(s))), rules)
+  ]);
+  const atRisk = atRiskCandidates(scans, rules);
+
+  let improving = 0, declining = 0, stable = 0;
+  const moves = [], currentRanks = [], overdue = [];
+  Object.values(byBusiness).forEach(list => {
+    const name = list[0].business?.name || 'Unknown';
+    const businessRules = rulesFor(rules, list[0].business?.uuid);
+    const completed = list.filter(s => !s.status || s.status === 'completed');
+    const latest = completed[0];
+    const start = completed.find(s => new Date(s.created_at) <= from);
+    if (latest?.avg_rank) currentRanks.push(latest.avg_rank);
+
+    // Any scan counts toward keeping a client current, even one still processing
+    const daysSince = Math.floor((to - new Date(list[0].created_at)) / (24 * 60 * 60 * 1000));
+    if (daysSince > businessRules.digest.overdue_scan_days) {
+      overdue.push({ business_name: name, last_scan: list[0].created_at, days_since: daysSince });
+    }
+
+    if (!latest || !latest.avg_rank || latest === start || !start?.avg_rank) return;
+    const change = round(start.avg_rank - latest.avg_rank);
+    const status = change > businessRules.stable_change ? 'improving' : change < -businessRules.stable_change ? 'declining' : 'stable';
+    moves.push({ business_name: name, from: round(start.avg_rank), to: round(latest.avg_rank), change, status });
+    if (status === 'improving') improving++;
+    else if (status === 'declining') declining++;
+    else stable++;
+  });
+  // Movers are the clients outside their stable band
+  const movers = direction => moves.filter(m => m.status === direction).map(({ status, ...move }) => move);
+
+  const previousWins = state ? new Set(state.quick_wins || []) : null;
+  const previousRisks = state ? new Set(state.at_risk || []) : null;
+  const riskKey = client => client.business_uuid || client.business_name;
+  const inWindow = item => scannedKeys.has(item.business_uuid || item.business_name);
+  const needsAttention = priority => attention[priority].slice(0, rules.priorities.limit).map(item => ({ priority, ...item }));
+  const compared = moves.length > 0 ? moves : null;
+
+  const digest = {
+    window: { from: from.toISOString(), to: to.toISOString(), since_last_digest: sinceLast },
+    last_digest: state?.generated_at || null,
+    portfolio: {
+      clients: Object.keys(byBusiness).length,
+      scanned: scannedKeys.size,
+      avg_rank: round(averageOf(currentRanks)),
+      // Like for like: the mean change of clients scanned both before and during the window.
+      // Positive means the portfolio climbed
+      compared: moves.length,
+      avg_rank_change: compared && round(averageOf(compared.map(m => m.from - m.to))),
+      improving,
+      declining,
+      stable
+    },
+    movers_up: movers('improving').sort((a, b) => b.change - a.change).slice(0, DIGEST_MOVERS_LIMIT),
+    movers_down: movers('declining').sort((a, b) => a.change - b.change).slice(0, DIGEST_MOVERS_LIMIT),
+    needs_attention: [...needsAttention('urgent'), ...needsAttention('important')],
+    new_quick_wins: quickWins.filter(win => inWindow(win) && (!previousWins || !previousWins.has(quickWinKey(win)))),
+    quick_wins: quickWins.length,
+    newly_at_risk: atRisk.filter(client => inWindow(client) && (!previousRisks || !previousRisks.has(riskKey(client)))),
+    at_risk: atRisk.length,
+    overdue_scans: overdue.sort((a, b) => b.days_since - a.days_since),
+    saved: !dryRun
+  };
+  digest.markdown = renderDigestMarkdown(digest);
+
+  if (!dryRun) {
+    writeDigestState({
+      generated_at: digest.window.to,
+      quick_wins: quickWins.map(quickWinKey),
+      at_risk: atRisk.map(riskKey)
+    });
+  }
+  return digest;
+}
+
+// ============================================================================
+// Commands
+// ============================================================================
+
+function periodOptions(args) {
+  if (!args['--period']) return {};
+  return { period: args['--period'], from: args['--from'], to: args['--to'] };
+}
+
+// --first takes the best match when a business name is ambiguous
+function businessOptions(args) {
+  return args['--first'] ? { first: true } : {};
+}
+
+// --max-wait is in seconds on the command line
+function waitOptions(args) {
+  const maxWait = parseFloat(args['--max-wait']);
+  return maxWait > 0 ? { maxWait: maxWait * 1000 } : {};
+}
+
+// Credit-spending commands need --yes, or a yes at the terminal. MCP tools and
+// piped runs have no terminal, so an agent has to pass yes deliberately.
+async function confirmSpend(args, description) {
+  if (args['--yes'] || args['--dry-run']) return;
+  if (!process.stdin.isTTY || !process.stderr.isTTY) {
+    throw new UsageError(`${description}. Confirm with --yes, or check first with --dry-run`);
+  }
+
+  const readline = require('readline');
+  const rl = readline.createInterface({ input: process.stdin, output: process.stderr });
+  const answer = await new Promise(resolve => rl.question(`${description}. Continue? [y/N] `, resolve));
+  rl.close();
+  if (!/^y(es)?$/i.test(answer.trim())) throw new UsageError('Cancelled, no credits spent');
+}
+
+function requireBusiness(args, command) {
+  const businessName = args['--business'] || args._[0];
+  if (!businessName) {
+    throw new UsageError(`Usage: localrank ${command} --business "Business Name"`);
+  }
+  return businessName;
+}
+
+/**
+ * CLI presentation layer: turns parsed args into Library API calls. Every
+ * command except setup/help/mcp returns a plain result object. The CLI
+ * prints it as JSON; the MCP server hands it back as structured tool output.
+ */
+const commands = {
+  // Setup & Config
+  async setup(args) {
+    const readline = require('readline');
+    const rl = readline.createInterface({
+      input: process.stdin,
+      output: process.stdout
+    });
+
+    const question = (q) => new Promise(resolve => rl.question(q, resolve));
+
+    console.log('\n🔧 LocalRank Setup\n');
+    console.log('Get your API key at: https://app.localrank.so/settings/api\n');
+
+    const apiKey = args['--key'] || await question('API Key: ');
+    const location = args['--location'] || 'global';
+    const profile = activeProfile().name;
+    const apiBase = typeof args['--api-base'] === 'string' ? args['--api-base'].replace(/\/+$/, '') : undefined;
+
+    if (!apiKey || !apiKey.startsWith('lr_')) {
+      console.error('❌ Invalid API key. Keys start with "lr_"');
+      rl.close();
+      process.exit(1);
+    }
+
+    // Verify the key works
+    try {
+      await verifyApiKey(apiKey, apiBase || getApiBase());
+    } catch (e) {
+      console.error('❌ API key verification failed:', e.message);
+      rl.close();
+      process.exit(1);
+    }
+
+    const configPath = updateConfig(location, config => setProfile(config, profile, { api_key: apiKey, api_base: apiBase }));
+    console.log(`\n✅ Config saved to: ${configPath}${profile === DEFAULT_PROFILE ? '' : ` (profile '${profile}')`}`);
+    console.log('You can now use LocalRank commands!\n');
+
+    rl.close();
+  },
+
+  async 'config:show'() {
+    return getConfigInfo();
+  },
+
+  // Profiles & Credentials
+  async 'profiles:list'() {
+    return listProfiles();
+  },
+
+  async 'profiles:use'(args) {
+    const name = args['--name'] || args._[0];
+    if (!name) {
+      throw new UsageError('Usage: localrank profiles:use <profile> [--location local]');
+    }
+    return useProfile(name, { location: args['--location'] });
+  },
+
+  async logout() {
+    return logout();
+  },
+
+  async 'key:rotate'(args) {
+    const newKey = args['--key'] || args._[0];
+    if (!newKey) {
+      throw new UsageError('Usage: localrank key:rotate --key lr_new [--profile name]');
+    }
+    return rotateKey(newKey);
+  },
+
+  async 'rules:show'(args) {
+    return getRules(args['--business'] || args._[0], businessOptions(args));
+  },
+
+  async 'rules:validate'() {
+    return validateRules();
+  },
+
+  async 'cache:stats'() {
+    return getCacheStats();
+  },
+
+  async 'cache:clear'(args) {
+    return clearCache({ expired: !!args['--expired'] });
+  },
+
+  // Business/Client Management
+  async 'businesses:list'(args) {
+    return listBusinesses({ search: args['--search'], maxPages: listOptions(args).maxPages });
+  },
+
+  async 'businesses:add'(args) {
+    const url = args['--url'];
+    const placeId = args['--place-id'];
+    if ((!url || url === true) && (!placeId || placeId === true)) {
+      throw new UsageError('Usage: localrank businesses:add --url "https://google.com/maps/place/..." | --place-id ChIJ... [--keywords "a,b"]');
+    }
+    return addBusiness({ url, placeId, keywords: args['--keywords'] });
+  },
+
+  async 'businesses:show'(args) {
+    return getBusiness(requireBusiness(args, 'businesses:show'), { ...listOptions(args), ...businessOptions(args) });
+  },
+
+  async 'businesses:archive'(args) {
+    return archiveBusiness(requireBusiness(args, 'businesses:archive'), businessOptions(args));
+  },
+
+  async 'businesses:import'(args) {
+    const file = args['--file'] || args._[0];
+    if (!file) {
+      throw new UsageError('Usage: localrank businesses:import --file clients.csv [--keywords "a,b"] [--scan --yes | --dry-run]');
+    }
+    const options = {
+      keywords: args['--keywords'],
+      scan: !!args['--scan'],
+      gridSize: args['--grid-size'],
+      radius: args['--radius']
+    };
+    if (!options.scan || args['--dry-run']) {
+      return importBusinesses(file, { ...options, dryRun: !!args['--dry-run'] });
+    }
+
+    const plan = await importBusinesses(file, { ...options, dryRun: true });
+    await confirmSpend(args, `businesses:import spends an estimated ${plan.estimated_credits} credits on first scans for ` +
+      `${plan.summary.planned || 0} new business(es) in ${file}`);
+    return importBusinesses(file, options);
+  },
+
+  // Scans & Rankings
+  async 'scans:list'(args) {
+    return listScans({
+      business: args['--business'],
+      limit: parseInt(args['--limit']) || 10,
+      ...listOptions(args),
+      ...businessOptions(args)
+    });
+  },
+
+  async 'scans:get'(args) {
+    if (!args._[0] || args['--export'] === true) {
+      throw new UsageError('Usage: localrank scans:get <scan_id> [--grid] [--heatmap] [--export grid.geojson|grid.csv] [--keyword "kw"]');
+    }
+    const exportFile = args['--export'] ? path.resolve(args['--export']) : null;
+    const exportType = exportFile && { '.geojson': 'geojson', '.json': 'geojson', '.csv': 'csv' }[path.extname(exportFile).toLowerCase()];
+    if (exportFile && !exportType) throw new UsageError('--export takes a .geojson or .csv file');
+
+    const scan = await getScan(args._[0], {
+      grid: Boolean(args['--grid'] || args['--heatmap'] || exportFile),
+      keyword: args['--keyword']
+    });
+
+    if (exportFile) {
+      const content = exportType === 'csv'
+        ? renderCsv(gridRows(scan), GRID_CSV_COLUMNS)
+        : JSON.stringify(gridGeoJson(scan), null, 2);
+      writeFileAtomic(exportFile, content + '\n');
+      scan.export_file = exportFile;
+    }
+    if (args['--heatmap']) {
+      const color = resolveFormat(args) === 'table' && process.stdout.isTTY && !process.env.NO_COLOR;
+      scan.heatmap = renderGridHeatmap(scan, { color });
+    }
+    return scan;
+  },
+
+  async 'scans:create'(args) {
+    const businessName = requireBusiness(args, 'scans:create');
+    const options = {
+      keywords: args['--keywords'],
+      gridSize: args['--grid-size'],
+      radius: args['--radius'],
+      ...businessOptions(args)
+    };
+    const plan = await planScan(businessName, options);
+    if (args['--dry-run']) return scanDryRun(plan);
+
+    await confirmSpend(args, `scans:create spends an estimated ${plan.estimated_credits} credits scanning ${plan.keywords.length} keyword(s) on a ` +
+      `${plan.grid_size}x${plan.grid_size} grid for ${plan.business_name}`);
+    return startScan(plan, 'scans:create');
+  },
+
+  async 'scans:rerun'(args) {
+    if (!args._[0]) {
+      throw new UsageError('Usage: localrank scans:rerun <scan_id> [--yes | --dry-run]');
+    }
+    const plan = await planRerun(args._[0], { gridSize: args['--grid-size'], radius: args['--radius'] });
+    if (args['--dry-run']) return { rerun_of: args._[0], ...scanDryRun(plan) };
+
+    await confirmSpend(args, `scans:rerun spends an estimated ${plan.estimated_credits} credits rescanning ${plan.keywords.length} keyword(s) on a ` +
+      `${plan.grid_size}x${plan.grid_size} grid for ${plan.business_name}`);
+    return { rerun_of: args._[0], ...await startScan(plan, 'scans:rerun') };
+  },
+
+  // Tracked Keywords
+  async 'keywords:list'(args) {
+    return listKeywords(requireBusiness(args, 'keywords:list'), businessOptions(args));
+  },
+
+  async 'keywords:add'(args) {
+    const businessName = requireBusiness(args, 'keywords:add');
+    if (!args['--keywords'] || args['--keywords'] === true) {
+      throw new UsageError('Usage: localrank keywords:add --business "Business Name" --keywords "plumber,emergency plumber"');
+    }
+    return addKeywords(businessName, args['--keywords'], businessOptions(args));
+  },
+
+  async 'keywords:remove'(args) {
+    const businessName = requireBusiness(args, 'keywords:remove');
+    if (!args['--keywords'] || args['--keywords'] === true) {
+      throw new UsageError('Usage: localrank keywords:remove --business "Business Name" --keywords "old keyword"');
+    }
+    return removeKeywords(businessName, args['--keywords'], businessOptions(args));
+  },
+
+  // Client Reports
+  async 'client:report'(args) {
+    const businessName = requireBusiness(args, 'client:report');
+    const options = { ...listOptions(args), ...periodOptions(args), ...businessOptions(args) };
+    if (!args['--html']) return getClientReport(businessName, options);
+
+    if (args['--html'] === true) {
+      throw new UsageError('Usage: localrank client:report --business "Business Name" --html report.html');
+    }
+    const { business_name: name, html } = await getClientReportHtml(businessName, options);
+    const file = path.resolve(args['--html']);
+    writeFileAtomic(file, html);
+    return { business_name: name, html_file: file, tip: 'Open it in a browser to share, or print it to PDF' };
+  },
+
+  async 'client:trends'(args) {
+    return getClientTrends(requireBusiness(args, 'client:trends'), {
+      ...listOptions(args),
+      ...businessOptions(args),
+      until: args['--until'],
+      window: parseInt(args['--window']) || undefined
+    });
+  },
+
+  async 'history:keyword'(args) {
+    const businessName = args['--business'];
+    const keyword = args['--keyword'] || args._[0];
+    if (!businessName || !keyword) {
+      throw new UsageError('Usage: localrank history:keyword --business "Business Name" --keyword "keyword"');
+    }
+    return getKeywordHistory(businessName, keyword, {
+      ...listOptions(args),
+      ...businessOptions(args),
+      until: args['--until'],
+      window: parseInt(args['--window']) || undefined
+    });
+  },
+
+  // Portfolio & Agency Tools
+  async 'portfolio:summary'(args) {
+    return getPortfolioSummary(listOptions(args));
+  },
+
+  async 'prioritize:today'(args) {
+    return prioritizeToday(listOptions(args));
+  },
+
+  async 'quick-wins:find'(args) {
+    return findQuickWins({ business: args['--business'], ...listOptions(args), ...businessOptions(args) });
+  },
+
+  async 'at-risk:clients'(args) {
+    return findAtRiskClients(listOptions(args));
+  },
+
+  // GMB Audits
+  async 'audit:run'(args) {
+    const gmbUrl = args['--url'] || args._[0];
+    if (!gmbUrl) {
+      throw new UsageError('Usage: localrank audit:run --url "https://google.com/maps/place/..." [--yes | --dry-run]');
+    }
+    await confirmSpend(args, `audit:run spends ${AUDIT_CREDITS} credits auditing ${gmbUrl}`);
+    return runAudit(gmbUrl, { wait: !!args['--wait'], maxWait: waitOptions(args).maxWait, dryRun: !!args['--dry-run'] });
+  },
+
+  async 'audit:get'(args) {
+    if (!args._[0]) {
+      throw new UsageError('Usage: localrank audit:get <audit_id>');
+    }
+    return getAudit(args._[0]);
+  },
+
+  async 'audit:wait'(args) {
+    if (!args._[0]) {
+      throw new UsageError('Usage: localrank audit:wait <audit_id> [--max-wait 600]');
+    }
+    return waitForAudit(args._[0], waitOptions(args));
+  },
+
+  async 'audit:list'(args) {
+    return listAudits({
+      business: args['--business'],
+      limit: parseInt(args['--limit']) || 20,
+      ...listOptions(args)
+    });
+  },
+
+  async 'audit:diff'(args) {
+    const [oldId, newId] = args._;
+    if (!oldId || !newId) {
+      throw new UsageError('Usage: localrank audit:diff <old_audit_id> <new_audit_id>');
+    }
+    return diffAudits(oldId, newId);
+  },
+
+  async 'audit:batch'(args) {
+    const file = args['--file'] || args._[0];
+    if (!file) {
+      throw new UsageError('Usage: localrank audit:batch --file prospects.csv --max-credits 5000 [--dry-run]');
+    }
+    const maxCredits = parseInt(args['--max-credits']);
+    const skipDays = parseInt(args['--skip-days']);
+    if (!isNaN(maxCredits)) {
+      await confirmSpend(args, `audit:batch spends up to ${maxCredits} credits auditing the prospects in ${file}`);
+    }
+    return runAuditBatch(file, {
+      out: args['--out'],
+      maxCredits: isNaN(maxCredits) ? undefined : maxCredits,
+      dryRun: !!args['--dry-run'],
+      skipDays: isNaN(skipDays) ? undefined : skipDays,
+      parallel: parseInt(args['--parallel']) || undefined,
+      retryErrors: !!args['--retry-errors'],
+      ...waitOptions(args)
+    });
+  },
+
+  async 'credits:history'(args) {
+    return getCreditHistory({
+      since: args['--since'],
+      limit: parseInt(args['--limit']) || 50
+    });
+  },
+
+  // Alerts
+  async watch(args) {
+    const options = {
+      webhooks: [
+        ...(args['--webhook'] ? [{ url: args['--webhook'] }] : []),
+        ...(args['--slack'] ? [{ url: args['--slack'], format: 'slack' }] : [])
+      ],
+      command: args['--exec'],
+      quietHours: args['--quiet-hours'],
+      dryRun: !!args['--dry-run'],
+      ...listOptions(args)
+    };
+    if (args['--once']) return checkAlerts(options);
+    return watch({ ...options, interval: parseDuration(args['--interval'] || '1h') });
+  },
+
+  async 'watch:mute'(args) {
+    const businessName = requireBusiness(args, 'watch:mute');
+    return muteAlerts(businessName, { until: args['--until'], location: args['--location'], ...businessOptions(args) });
+  },
+
+  async 'watch:unmute'(args) {
+    const businessName = requireBusiness(args, 'watch:unmute');
+    return unmuteAlerts(businessName, { location: args['--location'], ...businessOptions(args) });
+  },
+
+  // Work Log
+  async 'log:add'(args) {
+    const businessName = requireBusiness(args, 'log:add');
+    if (!args['--action'] || args['--action'] === true) {
+      throw new UsageError('Usage: localrank log:add --business "Business Name" --action "Started SuperBoost" [--date 2026-09-01] [--note "..."]');
+    }
+    return addWorkLog(businessName, {
+      action: args['--action'],
+      date: args['--date'],
+      note: typeof args['--note'] === 'string' ? args['--note'] : undefined,
+      ...businessOptions(args)
+    });
+  },
+
+  async 'log:list'(args) {
+    return listWorkLog({ business: args['--business'] || args._[0], since: args['--since'], ...businessOptions(args) });
+  },
+
+  async 'log:remove'(args) {
+    const businessName = requireBusiness(args, 'log:remove');
+    if (!args['--id'] || args['--id'] === true) {
+      throw new UsageError('Usage: localrank log:remove --business "Business Name" --id <entry id from log:list>');
+    }
+    return removeWorkLog(businessName, args['--id'], businessOptions(args));
+  },
+
+  async 'log:impact'(args) {
+    const businessName = requireBusiness(args, 'log:impact');
+    const days = args['--days'] === undefined ? undefined : parseInt(args['--days']);
+    return getWorkLogImpact(businessName, { days, ...listOptions(args), ...businessOptions(args) });
+  },
+
+  // Weekly Digest
+  async 'digest:weekly'(args) {
+    if (args['--output'] === true) {
+      throw new UsageError('Usage: localrank digest:weekly [--since 7d] [--output digest.md|digest.html] [--dry-run]');
+    }
+    const file = args['--output'] ? path.resolve(args['--output']) : null;
+    const html = file && /\.html?$/i.test(file);
+    // Read the branding first: a bad config shouldn't cost the "new since last digest" state
+    const branding = html ? loadBranding() : null;
+    const digest = await getWeeklyDigest({ ...listOptions(args), dryRun: Boolean(args['--dry-run']) });
+    if (!file) return digest;
+
+    writeFileAtomic(file, html ? renderDigestHtml(digest, branding) : `${digest.markdown}\n`);
+    const { markdown, ...rest } = digest;
+    return { ...rest, output_file: file };
+  },
+
+  // Goals
+  async 'goals:set'(args) {
+    const businessName = requireBusiness(args, 'goals:set');
+    if (args['--target'] === undefined || args['--target'] === true || !args['--deadline']) {
+      throw new UsageError('Usage: localrank goals:set --business "Business Name" [--keyword "emergency plumber"] --target 3 --deadline 2027-Q1');
+    }
+    return setGoal(businessName, {
+      keyword: typeof args['--keyword'] === 'string' ? args['--keyword'] : undefined,
+      target: parseFloat(args['--target']),
+      deadline: args['--deadline'],
+      ...businessOptions(args)
+    });
+  },
+
+  async 'goals:list'(args) {
+    return listGoals({ business: args['--business'] || args._[0], ...businessOptions(args) });
+  },
+
+  async 'goals:remove'(args) {
+    const businessName = requireBusiness(args, 'goals:remove');
+    if (!args['--id'] || args['--id'] === true) {
+      throw new UsageError('Usage: localrank goals:remove --business "Business Name" --id <goal id from goals:list>');
+    }
+    return removeGoal(businessName, args['--id'], businessOptions(args));
+  },
+
+  async 'goals:status'(args) {
+    const { maxPages } = listOptions(args);
+    return getGoalStatus({ business: args['--business'] || args._[0], maxPages, ...businessOptions(args) });
+  },
+
+  // Recommendations
+  async 'recommendations:get'(args) {
+    const businessName = requireBusiness(args, 'recommendations:get');
+    try {
+      return await getRecommendations(businessName, { ...listOptions(args), ...businessOptions(args) });
+    } catch (err) {
+      if (!(err instanceof NotFoundError)) throw err;
+      return {
+        error: err.message,
+        recommendations: [{ action: 'Run first scan', product: 'Rank Tracker' }]
+      };
+    }
+  },
+
+  // Email Drafts
+  async 'email:draft'(args) {
+    const businessName = requireBusiness(args, 'email:draft');
+    if (args['--eml'] === true) {
+      throw new UsageError('Usage: localrank email:draft --business "Business Name" --eml draft.eml');
+    }
+    const draft = await draftEmail(businessName, {
+      ...listOptions(args),
+      ...periodOptions(args),
+      ...businessOptions(args),
+      template: args['--template'],
+      tone: args['--tone'],
+      language: args['--lang'],
+      eml: Boolean(args['--eml'])
+    });
+    if (!args['--eml']) return draft;
+
+    const { eml, ...result } = draft;
+    delete result.email_draft;
+    const file = path.resolve(args['--eml']);
+    writeFileAtomic(file, eml);
+    return { ...result, eml_file: file, tip: 'Open it in your mail client to review and send' };
+  },
+
+  async 'email:templates'(args) {
+    if (!args['--show']) return listEmailTemplates();
+    if (args['--show'] === true) {
+      throw new UsageError('Usage: localrank email:templates --show <name> [--lang es]');
+    }
+    const language = args['--lang'] || 'en';
+    const { name, text } = findEmailTemplate(args['--show'], language);
+    return { name, language, template: text };
+  },
+
+  // MCP
+  async mcp() {
+    await runMcpServer();
+  },
+
+  // Mock API
+  async 'mock-server'(args) {
+    const { startMockServer, MOCK_PORT, MOCK_CREDITS } = require('./mock-server');
+    const usage = 'Usage: localrank mock-server [--port 8787] [--credits 25000] [--latency 200] [--fail-rate 0.1]';
+    const number = (flag, fallback) => (args[flag] === undefined ? fallback : typeof args[flag] === 'string' ? Number(args[flag]) : NaN);
+    const port = number('--port', MOCK_PORT);
+    const credits = number('--credits', MOCK_CREDITS);
+    const latency = number('--latency', 0);
+    const failRate = number('--fail-rate', 0);
+    const invalid = (flag, hint) => new UsageError(args[flag] === true ? usage : `Invalid ${flag} '${args[flag]}' (${hint})\n${usage}`);
+    if (!Number.isInteger(port) || port < 0 || port > 65535) throw invalid('--port', '0 to 65535');
+    if (!Number.isInteger(credits) || credits < 0) throw invalid('--credits', 'a whole number');
+    if (!(latency >= 0)) throw invalid('--latency', 'milliseconds');
+    if (!(failRate >= 0 && failRate <= 1)) throw invalid('--fail-rate', '0 to 1');
+
+    const { url } = await startMockServer({
+      port,
+      host: typeof args['--host'] === 'string' ? args['--host'] : undefined,
+      credits,
+      latency,
+      failRate,
+      log: clientOptions.log
+    });
+    clientOptions.log?.(`LocalRank mock API listening on ${url} (Ctrl+C to stop)`);
+    clientOptions.log?.(`Try: LOCALRANK_API_URL=${url} LOCALRANK_API_KEY=lr_mock localrank portfolio:summary`);
+  },
+
+  // Help
+  async help() {
+    console.log(`
+LocalRank CLI - AI Agent Interface
+
+SETUP:
+  localrank setup                     Configure API key (interactive)
+  localrank setup --key lr_xxx        Configure API key (non-interactive)
+  localrank setup --profile partner   Configure a named profile (--api-base for a custom API host)
+  localrank config:show               Show current configuration, profile and key source
+
+PROFILES:
+  localrank profiles:list             List configured profiles (keys masked)
+  localrank profiles:use partner      Make a profile the default (--location local for this project)
+  localrank key:rotate --key lr_new   Replace the active profile's key after verifying the new one
+  localrank logout                    Remove the active profile's key from its config file
+  --profile partner                   Use a profile for one command (LOCALRANK_PROFILE)
+  localrank rules:show                Show thresholds used by the portfolio tools
+  localrank rules:show --business "name"  Rules for one client (tier and overrides applied)
+  localrank rules:validate            Check the rules in the config files
+
+CLIENTS:
+  localrank businesses:list           List all tracked businesses
+  localrank businesses:list --search "name"  Search by name
+  localrank businesses:add --url "https://google.com/maps/place/..."  Start tracking a business
+    --place-id ChIJ...                       Add by Google place ID instead
+    --keywords "plumber,drain repair"        Starter keywords to track
+  localrank businesses:show --business "name"  Profile, tracked keywords and latest scan
+  localrank businesses:archive --business "name"  Stop tracking a business (past scans are kept)
+  localrank businesses:import --file clients.csv  Add every business in a CSV (url or place_id, name, keywords)
+    --keywords "a,b"                         Starter keywords for rows without their own
+    --scan --grid-size 7 --radius 3          Also start a first scan for each new business
+    --dry-run | --yes                        Check the file first, or confirm the scan credits
+
+RANKINGS:
+  localrank scans:list                List recent scans
+  localrank scans:list --business "name"  Filter by business
+  localrank scans:list --limit 25     Number of scans to return (default 10)
+  localrank scans:get <scan_id>       Get scan details
+    --grid                                   Rank at every grid point, top 3 / page 1 coverage, falloff radius
+    --heatmap --keyword "plumber"            Colored grid of ranks per keyword (or just one)
+    --export grid.geojson | grid.csv         Write the grid points for QGIS/Mapbox or a spreadsheet
+  localrank scans:create --business "name" --keywords "plumber,drain repair"  Start a scan (about 1 credit per keyword per grid point)
+    --grid-size 7 --radius 3                 Points per side (3-15, odd) and radius in miles
+    --yes | --dry-run                        Confirm the spend, or only report it
+  localrank scans:rerun <scan_id>     Scan again with a previous scan's keywords and grid (--yes | --dry-run)
+
+KEYWORDS:
+  localrank keywords:list --business "name"  Keywords tracked for a business
+  localrank keywords:add --business "name" --keywords "a,b"  Track more keywords (free; scans cost credits)
+  localrank keywords:remove --business "name" --keywords "a"  Stop tracking keywords
+
+REPORTS:
+  localrank client:report --business "name"  Full client report with wins/drops
+  localrank client:report --business "name" --period month  Month-over-month (or quarter) comparison
+  localrank client:report --business "name" --period custom --from 2026-09-01 --to 2026-09-30
+  localrank client:report --business "name" --html report.html  Branded HTML report with rank charts
+  localrank client:trends --business "name"  Keyword rank trends across all scans
+  localrank history:keyword --business "name" --keyword "kw"  One keyword, scan by scan
+    --since 2026-01-01 --until 2026-03-31    Limit the window
+    --window 3                               Scans in the moving average
+  --business takes a name, UUID or place_id; add --first to take the best
+  match when a name fits several businesses
+  localrank portfolio:summary         Overview of all clients
+  localrank prioritize:today          What to work on today
+  localrank quick-wins:find           Keywords close to page 1
+  localrank at-risk:clients           Clients who might churn
+
+AUDITS:
+  localrank audit:run --url "google.com/maps/..."  Run GMB audit (500 credits, asks to confirm)
+  localrank audit:run --url "..." --wait  Run an audit and wait for the results
+    --yes                                    Skip the confirmation (required when not in a terminal)
+    --dry-run                                Show the cost and remaining credit cap, spend nothing
+  localrank audit:get <audit_id>      Get audit results
+  localrank audit:wait <audit_id>     Poll until the audit finishes (--max-wait 600 seconds)
+  localrank audit:list                Past audits with scores (--business "name", --limit 20)
+  localrank audit:diff <old> <new>    What changed between two audits of the same business
+  localrank audit:batch --file prospects.csv --max-credits 5000  Audit a CSV of Maps URLs
+    --dry-run                                Check the file and projected spend first
+    --skip-days 30 --parallel 2              Skip recent audits; audits run at once
+    --out results.csv --retry-errors         Results file (rerun to resume)
+  localrank credits:history           Credits spent from this machine (--since 30d, --limit 50)
+  Daily/monthly caps: "credit_limits": { "daily": 2000, "monthly": 20000 } in the config file
+
+ALERTS:
+  localrank watch --webhook https://...  Check for new scans every hour and post rank-drop/at-risk alerts
+    --slack https://hooks.slack.com/...      Slack-formatted alerts
+    --exec "./notify.sh"                     Run a command per alert (alert JSON on stdin)
+    --interval 1h --quiet-hours 22:00-07:00  How often to check; hold alerts overnight
+    --once                                   One check, then exit (for cron)
+    --dry-run                                Show alerts without sending or remembering them
+  localrank watch:mute --business "name"  Stop alerts for a client (--until 2026-11-01 or 7d)
+  localrank watch:unmute --business "name"  Resume alerts for a client
+
+WORK LOG:
+  localrank log:add --business "name" --action "Started SuperBoost" --date 2026-09-01  Record work for a client
+  localrank log:list                  Logged work, newest first (--business "name", --since 90d)
+  localrank log:impact --business "name"  Ranks and keyword movement before/after each logged entry
+    --days 30                                Measure up to N days after each entry (default: until the next one)
+  localrank log:remove --business "name" --id <id>  Delete an entry
+
+DIGEST:
+  localrank digest:weekly --format markdown  This week's team update: movers, new quick wins, new at-risk clients, overdue scans
+    --output digest.md                       Write it to a file (.html for a branded page)
+    --since 7d                               Window start (default: since the last digest)
+    --dry-run                                Preview without remembering it as the last digest
+
+GOALS:
+  localrank goals:set --business "name" --keyword "emergency plumber" --target 3 --deadline 2027-Q1
+                                      Set a ranking goal (no --keyword: average rank)
+  localrank goals:status              Progress and projection for every goal, off track first (--business "name")
+  localrank goals:list                Goals set (--business "name")
+  localrank goals:remove --business "name" --id <id>  Delete a goal
+
+TOOLS:
+  localrank recommendations:get --business "name"  How to help a client
+  localrank email:draft --business "name"  Draft monthly update email
+  localrank email:draft --business "name" --period month  Email comparing this month with last
+    --tone celebratory|recovery|neutral      Override the tone picked from the rank change
+    --lang es --template monthly             Language and user template (.localrank/templates/)
+    --eml draft.eml                          Write an .eml file to open in a mail client
+  localrank email:templates           List email templates (--show name --lang es to print one)
+
+MCP:
+  localrank mcp                       Run as an MCP server over stdio (every command becomes a tool)
+
+TESTING:
+  localrank mock-server               Serve fixture data on http://127.0.0.1:8787 (any API key works)
+    --port 8787 --credits 25000              Port and the credit balance scans and audits draw down
+    --latency 200 --fail-rate 0.1            Slow responses; answer a share of requests with 429/500
+  --record fixtures/                  Save every API response to a directory (LOCALRANK_RECORD, key scrubbed)
+  --replay fixtures/                  Answer from a recording instead of the API (LOCALRANK_REPLAY)
+
+CACHE:
+  localrank cache:stats               Show what is cached locally
+  localrank cache:clear               Delete the local response cache
+  localrank cache:clear --expired     Delete only expired entries
+
+CACHE OPTIONS (all commands):
+  --no-cache                          Don't read or write the cache (LOCALRANK_NO_CACHE)
+  --refresh                           Ignore cached responses but store fresh ones
+  --offline                           Answer purely from cache, never call the API (LOCALRANK_OFFLINE)
+
+OUTPUT OPTIONS (all commands):
+  --format json|table|markdown|csv|ndjson  Output format (default: table in a terminal, json when piped)
+  --fields name,avg_rank              Columns to include, in order
+  --sort current_rank | -risk_score   Sort the main list by a column (- for descending)
+
+NETWORK OPTIONS (all commands):
+  --timeout 30                        Seconds before a request is abandoned (LOCALRANK_TIMEOUT)
+  --retries 3                         Retries for failed requests (LOCALRANK_RETRIES)
+  --concurrency 4                     Parallel requests when fetching scan details (LOCALRANK_CONCURRENCY)
+
+LIST OPTIONS (scans, reports, businesses):
+  --since 2026-01-01 | 30d            Only read scans created since a date or window
+  --max-pages 5                       Stop paging after N pages of results
+
+Get your API key at: https://app.localrank.so/settings/api
+`);
+  }
+};
+
+// ============================================================================
+// Command Metadata
+// ============================================================================
+
+// Commands that only make sense in a terminal, and those that change stored credentials
+const CLI_ONLY_COMMANDS = ['setup', 'help', 'mcp', 'mock-server', 'watch', 'profiles:use', 'logout', 'key:rotate'];
+
+// Credit-spending tools refuse to run without it
+const SPEND_CONFIRMATION = { type: 'boolean', description: 'Confirm spending the credits. Only set once the user has approved the cost' };
+
+const LIST_OPTIONS = {
+  since: { type: 'string', description: 'Only read scans created since a date (2026-01-01) or window (30d, 8w)' },
+  max_pages: { type: 'integer', description: 'Stop after this many pages of API results' }
+};
+
+const BUSINESS_OPTIONS = {
+  business: { type: 'string', description: 'Business name, UUID or place_id (from businesses:list)', required: true },
+  first: { type: 'boolean', description: 'If the name matches several businesses, use the best match instead of failing' }
+};
+
+const WAIT_OPTION = { type: 'integer', description: 'Seconds to wait for the audit before giving up (default 600)' };
+
+const PERIOD_OPTIONS = {
+  period: { type: 'string', enum: ['month', 'quarter', 'custom'], description: 'Compare calendar periods instead of the last two scans' },
+  from: { type: 'string', description: 'Start of the custom period (with period=custom)' },
+  to: { type: 'string', description: 'End of the period; month/quarter default to the one containing the latest scan' }
+};
+
+/**
+ * Arguments each command accepts, and how its result renders as a table.
+ * Option names map to CLI flags (max_pages -> --max-pages); positional
+ * options fill args._ in order. `output.rows` names the main list and
+ * `output.columns` its default columns (see formatResult).
+ */
+const commandSpecs = {
+  'config:show': {
+    description: 'Show the current configuration: active profile, API base and which file or variable the API key came from'
+  },
+  'profiles:list': {
+    description: 'List the configured account profiles with masked keys, showing which is active',
+    output: {
+      summary: ['active'],
+      rows: 'profiles',
+      columns: ['name', 'api_key', 'api_base', 'location', 'active', 'default']
+    }
+  },
+  'rules:show': {
+    description: 'Show the thresholds behind portfolio:summary, prioritize:today, quick-wins:find and at-risk:clients, optionally resolved for one business',
+    options: {
+      business: { type: 'string', description: 'Resolve tier and per-business overrides for this business' },
+      first: BUSINESS_OPTIONS.first
+    },
+    output: {
+      summary: result => result.business ? ['business', 'tier', 'overrides'] : ['tiers', 'businesses'],
+      // One row per rule, next to its default
+      rows: result => flattenRules(result.rules),
+      columns: ['rule', 'value', 'default']
+    }
+  },
+  'rules:validate': {
+    description: 'Check the rules in the global and local config files for unknown names, bad values, inconsistent bands and business keys that match no business or several',
+    output: {
+      summary: ['valid', 'businesses_checked'],
+      rows: 'errors',
+      columns: ['source', 'rule', 'message']
+    }
+  },
+  'cache:stats': {
+    description: 'Show the size and freshness of the local response cache'
+  },
+  'cache:clear': {
+    description: 'Delete the local response cache',
+    options: {
+      expired: { type: 'boolean', description: 'Only delete expired entries' }
+    }
+  },
+  'businesses:list': {
+    description: 'List all tracked businesses (clients) with their UUID and Google place_id',
+    options: {
+      search: { type: 'string', description: 'Filter by business name' },
+      max_pages: LIST_OPTIONS.max_pages
+    },
+    output: {
+      rows: 'businesses',
+      columns: ['name', 'uuid', 'place_id']
+    }
+  },
+  'businesses:add': {
+    description: 'Start tracking a business (client) from its Google Maps URL or place ID, optionally with starter keywords. Free; an already tracked place ID returns the existing business',
+    options: {
+      url: { type: 'string', description: 'Google Maps URL of the business' },
+      place_id: { type: 'string', description: 'Google place ID, instead of url' },
+      keywords: { type: 'string', description: 'Comma-separated starter keywords to track' }
+    },
+    output: {
+      summary: ['uuid', 'name', 'place_id', 'address', 'already_exists', 'keywords', 'tip']
+    }
+  },
+  'businesses:show': {
+    description: 'Full profile of one business: address, phone, website, category, rating, tracked keywords and latest scan',
+    options: {
+      ...BUSINESS_OPTIONS,
+      ...LIST_OPTIONS
+    },
+    output: {
+      summary: ['name', 'uuid', 'place_id', 'address', 'phone', 'website', 'category', 'rating', 'review_count', 'maps_url',
+        'created_at', 'scans', 'latest_scan.date', 'latest_scan.avg_rank'],
+      rows: 'keywords',
+      columns: ['keyword']
+    }
+  },
+  'businesses:archive': {
+    description: 'Stop tracking a business. Its past scans stay available in the web app',
+    options: {
+      ...BUSINESS_OPTIONS
+    }
+  },
+  'businesses:import': {
+    description: 'Add every business in a CSV (url or place_id column, optional name and keywords columns) with starter keywords, reporting each row. With scan, also starts a first scan per new business, which costs credits and needs yes (or dry_run)',
+    options: {
+      file: { type: 'string', description: 'CSV with a url or place_id column, or one URL or place ID per line', required: true },
+      keywords: { type: 'string', description: 'Comma-separated starter keywords for rows without a keywords column value' },
+      scan: { type: 'boolean', description: 'Start a first scan for each new business with keywords' },
+      grid_size: { type: 'integer', enum: SCAN_GRID_SIZES, description: `Grid points per side for first scans (default ${SCAN_DEFAULTS.grid_size})` },
+      radius: { type: 'number', description: `First scan radius in miles (default ${SCAN_DEFAULTS.radius})` },
+      yes: SPEND_CONFIRMATION,
+      dry_run: { type: 'boolean', description: 'Validate the file and report what would be added and the estimated scan credits' }
+    },
+    output: {
+      summary: result => result.dry_run
+        ? ['file', 'estimated_credits', 'cap_remaining']
+        : ['file', 'credits_spent'],
+      rows: 'rows',
+      columns: ['row', 'business_name', 'status', 'uuid', 'keywords', 'scan_id', 'error']
+    }
+  },
+  'scans:list': {
+    description: 'List recent ranking scans with average rank and share link',
+    options: {
+      business: { type: 'string', description: 'Only scans of this business (name, UUID or place_id)' },
+      first: BUSINESS_OPTIONS.first,
+      limit: { type: 'integer', description: 'Number of scans to return (default 10)' },
+      ...LIST_OPTIONS
+    },
+    output: {
+      rows: 'scans',
+      columns: ['business_name', 'created_at', 'status', 'avg_rank', 'keywords', 'uuid', 'view_url']
+    }
+  },
+  'scans:get': {
+    description: 'Get one scan with per-keyword average rank, best rank and found count; grid adds the rank at every grid point and coverage metrics',
+    options: {
+      scan_id: { type: 'string', description: 'Scan UUID from scans:list', positional: true, required: true },
+      grid: { type: 'boolean', description: 'Include per-point ranks with coordinates, and top 3 / page 1 coverage and falloff radius per keyword' },
+      keyword: { type: 'string', description: 'Only this keyword\'s grid' },
+      heatmap: { type: 'boolean', description: 'Add a text heatmap of each keyword\'s grid' },
+      export: { type: 'string', description: 'Write the grid points to a .geojson (QGIS, Mapbox) or .csv file' }
+    },
+    output: {
+      rows: 'keywords',
+      columns: result => ['keyword', 'avg_rank', 'best_rank', 'found_count',
+        ...(result.grid ? ['top_3_share', 'page_1_share', 'found_share', 'falloff_radius_miles'] : [])],
+      text: 'heatmap'
+    }
+  },
+  'scans:create': {
+    description: 'Start a rank scan for a business. Costs an estimated 1 credit per keyword per grid point (49 per keyword on the default 7x7 grid; the API reports the actual charge as credits_deducted), so it needs yes (or dry_run to only check the estimate)',
+    options: {
+      ...BUSINESS_OPTIONS,
+      keywords: { type: 'string', description: `Comma-separated keywords, up to ${SCAN_MAX_KEYWORDS} (default: the business's tracked keywords)` },
+      grid_size: { type: 'integer', enum: SCAN_GRID_SIZES, description: `Grid points per side (default ${SCAN_DEFAULTS.grid_size})` },
+      radius: { type: 'number', description: `Miles from the business to the edge of the grid, ${SCAN_RADIUS_RANGE.min}-${SCAN_RADIUS_RANGE.max} (default ${SCAN_DEFAULTS.radius})` },
+      yes: SPEND_CONFIRMATION,
+      dry_run: { type: 'boolean', description: 'Validate and report the estimated cost and remaining credit cap without starting the scan' }
+    },
+    output: {
+      summary: result => result.dry_run
+        ? ['business_name', 'keywords', 'grid_size', 'radius', 'grid_points', 'estimated_credits', 'remaining', 'allowed']
+        : ['scan_id', 'status', 'business_name', 'keywords', 'grid_size', 'radius', 'credits_deducted', 'tip']
+    }
+  },
+  'scans:rerun': {
+    description: 'Scan again with the keywords, grid size and radius of a previous scan. Costs credits like scans:create (an estimate until the API reports credits_deducted), so it needs yes (or dry_run)',
+    options: {
+      scan_id: { type: 'string', description: 'Scan UUID from scans:list', positional: true, required: true },
+      grid_size: { type: 'integer', enum: SCAN_GRID_SIZES, description: 'Use a different grid size' },
+      radius: { type: 'number', description: 'Use a different radius in miles' },
+      yes: SPEND_CONFIRMATION,
+      dry_run: { type: 'boolean', description: 'Report the estimated cost and remaining credit cap without starting the scan' }
+    },
+    output: {
+      summary: result => result.dry_run
+        ? ['rerun_of', 'business_name', 'keywords', 'grid_size', 'radius', 'grid_points', 'estimated_credits', 'remaining', 'allowed']
+        : ['scan_id', 'rerun_of', 'status', 'business_name', 'keywords', 'grid_size', 'radius', 'credits_deducted', 'tip']
+    }
+  },
+  'keywords:list': {
+    description: 'List the keywords a business is set up to track',
+    options: {
+      ...BUSINESS_OPTIONS
+    },
+    output: {
+      rows: 'keywords',
+      columns: ['keyword']
+    }
+  },
+  'keywords:add': {
+    description: 'Track more keywords for a business. Free; they are ranked from the next scan',
+    options: {
+      ...BUSINESS_OPTIONS,
+      keywords: { type: 'string', description: 'Comma-separated keywords to add', required: true }
+    },
+    output: {
+      summary: ['business_name', 'added', 'already_tracked', 'count', 'tip']
+    }
+  },
+  'keywords:remove': {
+    description: 'Stop tracking keywords for a business. Past scans keep their results',
+    options: {
+      ...BUSINESS_OPTIONS,
+      keywords: { type: 'string', description: 'Comma-separated keywords to remove', required: true }
+    },
+    output: {
+      summary: ['business_name', 'removed', 'not_tracked', 'count']
+    }
+  },
+  'client:report': {
+    description: 'Full client report: latest keyword rankings plus wins, drops, new and removed keywords since the previous scan, or between two periods with --period',
+    options: {
+      ...BUSINESS_OPTIONS,
+      ...PERIOD_OPTIONS,
+      ...LIST_OPTIONS,
+      html: { type: 'string', description: 'Write a self-contained, branded HTML report with rank charts to this file instead' }
+    },
+    output: {
+      // --period reports compare two windows rather than two scans; --html only reports the file
+      summary: result => result.html_file
+        ? ['business_name', 'html_file']
+        : result.period
+          ? ['business_name', 'current.label', 'previous.label', 'avg_rank_change', 'like_for_like.change', 'view_url']
+          : ['business_name', 'latest_scan.date', 'latest_scan.avg_rank', 'avg_rank_change', 'total_scans', 'view_url'],
+      rows: result => result.html_file ? null : result.period ? result.keywords : result.latest_scan.keywords,
+      columns: result => result.period
+        ? ['keyword', 'previous_rank', 'current_rank', 'change', 'status']
+        : ['keyword', 'avg_rank', 'best_rank'],
+      sections: [
+        { title: 'Wins', rows: 'wins', columns: ['keyword', 'from', 'to', 'improved_by'] },
+        { title: 'Drops', rows: 'drops', columns: ['keyword', 'from', 'to', 'dropped_by'] },
+        { title: 'New Keywords', rows: 'new_keywords', columns: ['keyword', 'avg_rank'] },
+        { title: 'Removed Keywords', rows: 'removed_keywords', columns: ['keyword', 'last_rank'] },
+        { title: 'Entered Top 3', rows: 'milestones.entered_top_3', columns: ['keyword', 'from', 'to'] },
+        { title: 'Fell Off Page 1', rows: 'milestones.fell_off_page_1', columns: ['keyword', 'from', 'to'] }
+      ]
+    }
+  },
+  'client:trends': {
+    description: 'Per-keyword rank trends across all scans of a client: slope per week, volatility, best/worst ever and moving average',
+    options: {
+      ...BUSINESS_OPTIONS,
+      ...LIST_OPTIONS,
+      until: { type: 'string', description: 'Only use scans created up to this date' },
+      window: { type: 'integer', description: 'Scans in the moving average (default 3)' }
+    },
+    output: {
+      summary: ['business_name', 'period.from', 'period.to', 'period.scans', 'overall.latest_rank', 'overall.trend_per_week', 'overall.direction'],
+      rows: 'keywords',
+      columns: ['keyword', 'scans', 'first_rank', 'latest_rank', 'change', 'trend_per_week', 'direction', 'volatility', 'best_ever', 'worst_ever', 'moving_avg']
+    }
+  },
+  'history:keyword': {
+    description: 'Rank history for one keyword of a client, scan by scan, with trend statistics',
+    options: {
+      ...BUSINESS_OPTIONS,
+      keyword: { type: 'string', description: 'Tracked keyword', required: true },
+      ...LIST_OPTIONS,
+      until: { type: 'string', description: 'Only use scans created up to this date' },
+      window: { type: 'integer', description: 'Scans in the moving average (default 3)' }
+    },
+    output: {
+      summary: ['business_name', 'keyword', 'stats.latest_rank', 'stats.trend_per_week', 'stats.direction', 'stats.volatility', 'stats.best_ever', 'stats.worst_ever'],
+      rows: 'points',
+      columns: ['date', 'avg_rank', 'best_rank', 'found_count', 'moving_avg', 'scan_id']
+    }
+  },
+  'portfolio:summary': {
+    description: 'Overview of all clients: improving, declining, stable and portfolio average rank',
+    options: LIST_OPTIONS,
+    output: {
+      rows: 'clients',
+      columns: [
+        { key: 'status', display: status => `${STATUS_EMOJI[status] || ''} ${status}`.trim() },
+        'name', 'avg_rank', 'change', 'view_url'
+      ]
+    }
+  },
+  'prioritize:today': {
+    description: 'What to work on today: urgent ranking drops, overdue and off-track goals, poorly ranked clients and quick wins',
+    options: LIST_OPTIONS,
+    output: {
+      // One list across every bucket, urgent first
+      rows: result => Object.entries(result.priorities).flatMap(([priority, items]) =>
+        items.map(item => ({
+          priority,
+          ...item,
+          task: item.task || `Push '${item.keyword}' to page 1`,
+          reason: item.reason || `Rank ${item.current_rank}, ${item.positions_to_page_1} positions from page 1`
+        }))),
+      columns: ['priority', 'client', 'task', 'reason']
+    }
+  },
+  'quick-wins:find': {
+    description: 'Keywords close to page 1 (ranking 11-20 unless the rules say otherwise)',
+    options: {
+      business: { type: 'string', description: 'Only look at this business (name, UUID or place_id)' },
+      first: BUSINESS_OPTIONS.first,
+      ...LIST_OPTIONS
+    },
+    output: {
+      rows: 'quick_wins',
+      columns: ['business_name', 'keyword', 'current_rank', 'positions_to_page_1', 'opportunity']
+    }
+  },
+  'at-risk:clients': {
+    description: 'Clients who might churn: ranking drops, poor visibility, low engagement',
+    options: LIST_OPTIONS,
+    output: {
+      rows: 'at_risk_clients',
+      columns: ['business_name', 'risk_score', 'risk_factors', 'action']
+    }
+  },
+  'audit:run': {
+    description: 'Run a GMB audit on a Google Maps business URL. Costs 500 credits, so it needs yes (or dry_run to only check the cost)',
+    options: {
+      url: { type: 'string', description: 'Google Maps URL of the business', required: true },
+      yes: SPEND_CONFIRMATION,
+      dry_run: { type: 'boolean', description: 'Report the cost and remaining credit cap without running the audit' },
+      wait: { type: 'boolean', description: 'Wait for the audit to finish and return its results' },
+      max_wait: WAIT_OPTION
+    }
+  },
+  'audit:get': {
+    description: 'Get GMB audit results: score, review stats, revenue impact and issues',
+    options: {
+      audit_id: { type: 'string', description: 'Audit ID returned by audit:run', positional: true, required: true }
+    }
+  },
+  'audit:wait': {
+    description: 'Wait for a GMB audit to finish, polling with backoff, and return its results',
+    options: {
+      audit_id: { type: 'string', description: 'Audit ID returned by audit:run', positional: true, required: true },
+      max_wait: WAIT_OPTION
+    }
+  },
+  'audit:list': {
+    description: 'List past GMB audits with their status and score, newest first',
+    options: {
+      business: { type: 'string', description: 'Only audits of businesses matching this name' },
+      limit: { type: 'integer', description: 'Number of audits to return (default 20)' },
+      ...LIST_OPTIONS
+    },
+    output: {
+      rows: 'audits',
+      columns: ['created_at', 'business_name', 'status', 'audit_score', 'audit_id']
+    }
+  },
+  'audit:diff': {
+    description: 'Compare two completed audits of the same business: score change, review stats, and resolved, new and remaining issues',
+    options: {
+      old_audit_id: { type: 'string', description: 'The earlier audit', positional: true, required: true },
+      new_audit_id: { type: 'string', description: 'The later audit', positional: true, required: true }
+    },
+    output: {
+      summary: ['business_name', 'old.audit_score', 'new.audit_score', 'score_change'],
+      rows: 'review_stats',
+      columns: ['metric', 'old', 'new', 'change'],
+      sections: [
+        { title: 'Resolved Issues', rows: 'issues.resolved', columns: ['issue'] },
+        { title: 'New Issues', rows: 'issues.new', columns: ['issue'] },
+        { title: 'Remaining Issues', rows: 'issues.remaining', columns: ['issue'] }
+      ]
+    }
+  },
+  'audit:batch': {
+    description: 'Audit every Google Maps URL in a CSV within a credit budget. Skips invalid, duplicate and recently audited businesses, and writes a resumable results CSV. Costs 500 credits per audit',
+    options: {
+      file: { type: 'string', description: 'CSV with a url column (and optionally name), or one URL per line', required: true },
+      max_credits: { type: 'integer', description: 'Stop before spending more than this many credits. Required unless dry_run' },
+      yes: SPEND_CONFIRMATION,
+      dry_run: { type: 'boolean', description: 'Validate the file and report the projected spend without running audits' },
+      out: { type: 'string', description: 'Results CSV (default <file>-results.csv). An existing one is resumed' },
+      skip_days: { type: 'integer', description: 'Skip businesses audited in the last N days (default 30, 0 audits everything)' },
+      parallel: { type: 'integer', description: 'Audits to run at once (default 2)' },
+      retry_errors: { type: 'boolean', description: 'When resuming, retry rows that failed to start' },
+      max_wait: WAIT_OPTION
+    },
+    output: {
+      summary: result => result.dry_run
+        ? ['projected_credits', 'max_credits', 'cap_remaining']
+        : ['credits_spent', 'max_credits', 'results_file'],
+      rows: 'rows',
+      columns: ['row', 'business_name', 'status', 'audit_score', 'audit_id', 'error']
+    }
+  },
+  'credits:history': {
+    description: 'Credits spent from this machine (the local ledger), with today\'s and this month\'s spend against the configured caps',
+    options: {
+      since: { type: 'string', description: 'Only spends since a date (2026-01-01) or window (30d, 8w)' },
+      limit: { type: 'integer', description: 'Number of entries to return (default 50)' }
+    },
+    output: {
+      summary: ['today', 'this_month', 'limits.daily', 'limits.monthly', 'remaining', 'total'],
+      rows: 'entries',
+      columns: ['timestamp', 'command', 'business_name', 'credits', 'audit_id', 'scan_id', 'profile']
+    }
+  },
+  // CLI only (it runs until stopped); the spec shapes `watch --once` output
+  watch: {
+    description: 'Check for newly completed scans and deliver rank-drop and at-risk alerts',
+    output: {
+      summary: ['checked_at', 'baseline', 'businesses', 'new_alerts', 'delivered', 'held', 'muted', 'failed'],
+      rows: 'alerts',
+      columns: ['status', 'type', 'business_name', 'message', 'error']
+    }
+  },
+  'watch:mute': {
+    description: 'Stop watch alerts for a client, for good or until a date',
+    options: {
+      ...BUSINESS_OPTIONS,
+      until: { type: 'string', description: 'Mute until a date (2026-11-01) or for a duration (7d, 2w)' },
+      location: { type: 'string', description: 'Config file to write', enum: ['global', 'local'] }
+    }
+  },
+  'watch:unmute': {
+    description: 'Resume watch alerts for a muted client',
+    options: {
+      ...BUSINESS_OPTIONS,
+      location: { type: 'string', description: 'Config file to write', enum: ['global', 'local'] }
+    }
+  },
+  'log:add': {
+    description: 'Log work done for a client - a campaign started, a fix, a new product - so log:impact can line it up against their rankings',
+    options: {
+      ...BUSINESS_OPTIONS,
+      action: { type: 'string', description: 'What was done, e.g. "Started SuperBoost"', required: true },
+      date: { type: 'string', description: 'Day it happened, YYYY-MM-DD (default today)' },
+      note: { type: 'string', description: 'Any details worth keeping' }
+    },
+    output: {
+      summary: ['business_name', 'date', 'action', 'note', 'id', 'total_entries']
+    }
+  },
+  'log:list': {
+    description: 'Work logged for a client, or for every client, newest first',
+    options: {
+      business: { type: 'string', description: 'Business name, UUID or place_id (default: every client)' },
+      first: BUSINESS_OPTIONS.first,
+      since: { type: 'string', description: 'Only entries since a date (2026-01-01) or window (30d, 8w)' }
+    },
+    output: {
+      summary: ['count'],
+      rows: 'entries',
+      columns: ['date', 'business_name', 'action', 'note', 'id']
+    }
+  },
+  'log:remove': {
+    description: 'Delete a work log entry logged by mistake',
+    options: {
+      ...BUSINESS_OPTIONS,
+      id: { type: 'string', description: 'Entry ID from log:list', required: true }
+    },
+    output: {
+      summary: ['business_name', 'date', 'action', 'id', 'remaining']
+    }
+  },
+  'log:impact': {
+    description: 'Line a client\'s logged work up against their scans: average rank and keyword movement before and after each entry',
+    options: {
+      ...BUSINESS_OPTIONS,
+      days: { type: 'integer', description: 'Measure up to this many days after each entry (default: until the next entry)' },
+      ...LIST_OPTIONS
+    },
+    output: {
+      summary: ['business_name', 'entries', 'scans', 'tip'],
+      rows: 'interventions',
+      columns: ['date', 'action', 'before_rank', 'after_rank', 'avg_rank_change', 'days', 'keywords_improved', 'keywords_declined', 'verdict'],
+      sections: [
+        { title: 'Keyword Movements', rows: 'movements', columns: ['date', 'action', 'keyword', 'from', 'to', 'change'] }
+      ]
+    }
+  },
+  'digest:weekly': {
+    description: 'One markdown team update for the week: portfolio rank movement, biggest movers, urgent and important items for clients scanned in the window, quick wins and at-risk clients new since the last digest, and overdue scans',
+    options: {
+      since: { type: 'string', description: 'Start of the window, a date (2026-10-12) or window (7d); default since the last digest, or 7 days' },
+      max_pages: LIST_OPTIONS.max_pages,
+      output: { type: 'string', description: 'Write the digest to a file: .md for markdown, .html for a branded page' },
+      dry_run: { type: 'boolean', description: 'Build the digest without remembering it, so the next one still compares with the last' }
+    },
+    output: {
+      text: 'markdown',
+      summary: ['window.from', 'window.to', 'portfolio.clients', 'portfolio.avg_rank', 'portfolio.avg_rank_change', 'quick_wins', 'at_risk', 'output_file', 'saved'],
+      sections: [
+        { title: 'Biggest Movers Up', rows: 'movers_up', columns: ['business_name', 'from', 'to', 'change'] },
+        { title: 'Biggest Movers Down', rows: 'movers_down', columns: ['business_name', 'from', 'to', 'change'] },
+        { title: 'Needs Attention', rows: 'needs_attention', columns: ['priority', 'client', 'task', 'reason'] },
+        { title: 'New Quick Wins', rows: 'new_quick_wins', columns: ['business_name', 'keyword', 'current_rank', 'positions_to_page_1'] },
+        { title: 'Newly At Risk', rows: 'newly_at_risk', columns: ['business_name', 'risk_score', 'risk_factors'] },
+        { title: 'Overdue Scans', rows: 'overdue_scans', columns: ['business_name', 'last_scan', 'days_since'] }
+      ]
+    }
+  },
+  'goals:set': {
+    description: 'Set a client\'s ranking goal: a rank for one keyword, or an average rank across all of them, by a deadline. Replaces an existing goal for the same keyword',
+    options: {
+      ...BUSINESS_OPTIONS,
+      keyword: { type: 'string', description: 'Keyword the goal is for (default: the average rank across all keywords)' },
+      target: { type: 'number', description: 'Rank to reach, e.g. 3 for the local pack or 10 for page 1', required: true },
+      deadline: { type: 'string', description: 'Date (2027-03-31), month (2027-03) or quarter (2027-Q1) to reach it by', required: true }
+    },
+    output: {
+      summary: ['business_name', 'goal', 'deadline', 'baseline_rank', 'id', 'replaced', 'tip']
+    }
+  },
+  'goals:list': {
+    description: 'Goals set for a client, or for every client, soonest deadline first',
+    options: {
+      business: { type: 'string', description: 'Business name, UUID or place_id (default: every client)' },
+      first: BUSINESS_OPTIONS.first
+    },
+    output: {
+      summary: ['count'],
+      rows: 'goals',
+      columns: ['deadline', 'business_name', 'goal', 'baseline_rank', 'id']
+    }
+  },
+  'goals:remove': {
+    description: 'Delete a client\'s goal',
+    options: {
+      ...BUSINESS_OPTIONS,
+      id: { type: 'string', description: 'Goal ID from goals:list', required: true }
+    },
+    output: {
+      summary: ['business_name', 'goal', 'deadline', 'id', 'remaining']
+    }
+  },
+  'goals:status': {
+    description: 'Progress on each goal from the latest scans, and whether the recent trend gets it there by the deadline. Off-track goals come first',
+    options: {
+      business: { type: 'string', description: 'Business name, UUID or place_id (default: every client)' },
+      first: BUSINESS_OPTIONS.first,
+      max_pages: LIST_OPTIONS.max_pages
+    },
+    output: {
+      summary: ['count', 'achieved', 'on_track', 'off_track', 'overdue', 'tip'],
+      rows: 'goals',
+      columns: ['business_name', 'goal', 'deadline', 'days_left', 'current_rank', 'progress_pct', 'trend_per_week', 'projected_rank', 'status']
+    }
+  },
+  'recommendations:get': {
+    description: 'Suggest LocalRank products that would help a client rank better',
+    options: {
+      ...BUSINESS_OPTIONS,
+      ...LIST_OPTIONS
+    },
+    output: {
+      rows: 'recommendations',
+      columns: ['product', 'action', 'reason']
+    }
+  },
+  'email:draft': {
+    description: 'Draft a monthly update email for a client from a template, in their language',
+    options: {
+      ...BUSINESS_OPTIONS,
+      ...PERIOD_OPTIONS,
+      ...LIST_OPTIONS,
+      template: { type: 'string', description: 'User template name from .localrank/templates/, or a file path (default: built-in)' },
+      tone: { type: 'string', enum: ['celebratory', 'recovery', 'neutral'], description: 'Override the tone picked from the rank change' },
+      lang: { type: 'string', description: 'Language code; built-in templates cover en, es and fr (default: config or en)' },
+      eml: { type: 'string', description: 'Write the draft to this .eml file for a mail client instead' }
+    },
+    output: {
+      text: 'email_draft'
+    }
+  },
+  'email:templates': {
+    description: 'List email templates, or show one with show',
+    options: {
+      show: { type: 'string', description: 'Template name to print' },
+      lang: { type: 'string', description: 'Language of the template to show (default en)' }
+    },
+    output: {
+      rows: 'templates',
+      columns: ['name', 'language', 'location', 'file'],
+      text: 'template'
+    }
+  }
+};
+
+// Nested rule values as { rule: 'quick_wins.max_rank', value, default } rows
+function flattenRules(rules, prefix = '') {
+  return Object.entries(rules).flatMap(([key, value]) => isPlainObject(value)
+    ? flattenRules(value, `${prefix}${key}.`)
+    : [{ rule: `${prefix}${key}`, value, default: getPath(DEFAULT_RULES, `${prefix}${key}`) }]);
+}
+
+// Turn named options (from an MCP tool call) into the args shape commands expect
+function specToArgs(name, input = {}) {
+  const args = { _: [] };
+  const options = commandSpecs[name]?.options || {};
+
+  Object.entries(options).forEach(([key, option]) => {
+    const value = input[key];
+    if (value === undefined || value === null || value === false) return;
+    if (option.positional) {
+      args._.push(String(value));
+    } else {
+      args[`--${key.replace(/_/g, '-')}`] = value === true ? true : String(value);
+    }
+  });
+
+  return args;
+}
+
+// ============================================================================
+// MCP Server
+// ============================================================================
+
+const MCP_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+class RpcError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+// MCP tool names can't contain ':' - client:report becomes client_report
+function toolName(command) {
+  return command.replace(/[^a-zA-Z0-9_-]/g, '_');
+}
+
+function mcpTools() {
+  return Object.keys(commands)
+    .filter(name => !CLI_ONLY_COMMANDS.includes(name))
+    .map(name => {
+      const spec = commandSpecs[name] || {};
+      const properties = {};
+      const required = [];
+
+      Object.entries(spec.options || {}).forEach(([key, option]) => {
+        properties[key] = { type: option.type, description: option.description };
+        if (option.enum) properties[key].enum = option.enum;
+        if (option.required) required.push(key);
+      });
+
+      return {
+        name: toolName(name),
+        description: spec.description || name,
+        inputSchema: { type: 'object', properties, required, additionalProperties: false },
+        command: name
+      };
+    });
+}
+
+async function callTool({ name, arguments: input = {} } = {}) {
+  const tool = mcpTools().find(t => t.name === name);
+  if (!tool) throw new RpcError(-32602, `Unknown tool: ${name}`);
+
+  const missing = tool.inputSchema.required.filter(key => input[key] === undefined || input[key] === '');
+  if (missing.length > 0) {
+    return {
+      content: [{ type: 'text', text: `Missing required argument(s): ${missing.join(', ')}` }],
+      isError: true
+    };
+  }
+
+  // Each tool call is its own run: don't reuse responses from an earlier call
+  responseMemo.clear();
+
+  try {
+    const result = await commands[tool.command](specToArgs(tool.command, input));
+    return {
+      content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
+      structuredContent: result
+    };
+  } catch (err) {
+    return {
+      content: [{ type: 'text', text: err.message }],
+      isError: true
+    };
+  }
+}
+
+async function handleMcpRequest(method, params = {}) {
+  switch (method) {
+    case 'initialize':
+      return {
+        protocolVersion: MCP_PROTOCOL_VERSIONS.includes(params.protocolVersion)
+          ? params.protocolVersion
+          : MCP_PROTOCOL_VERSIONS[0],
+        capabilities: { tools: {} },
+        serverInfo: { name: 'localrank', version: require('../package.json').version }
+      };
+    case 'ping':
+      return {};
+    case 'tools/list':
+      return { tools: mcpTools().map(({ command, ...tool }) => tool) };
+    case 'tools/call':
+      return callTool(params);
+    default:
+      throw new RpcError(-32601, `Method not found: ${method}`);
+  }
+}
+
+async function handleMcpMessage(line) {
+  let message;
+  try {
+    message = JSON.parse(line);
+  } catch (e) {
+    return { jsonrpc: '2.0', id: null, error: { code: -32700, message: 'Parse error' } };
+  }
+
+  // Notifications (no id) never get a response
+  if (message.id === undefined || message.id === null) return null;
+
+  try {
+    const result = await handleMcpRequest(message.method, message.params);
+    return { jsonrpc: '2.0', id: message.id, result };
+  } catch (err) {
+    return { jsonrpc: '2.0', id: message.id, error: { code: err.code || -32603, message: err.message } };
+  }
+}
+
+/**
+ * Speak MCP (JSON-RPC 2.0, one message per line) over stdin/stdout until
+ * stdin closes. Requests are handled one at a time, in order.
+ */
+function runMcpServer() {
+  const readline = require('readline');
+  const rl = readline.createInterface({ input: process.stdin });
+
+  // stdout carries protocol messages only; anything else goes to stderr
+  console.log = (...args) => console.error(...args);
+
+  let queue = Promise.resolve();
+  rl.on('line', line => {
+    if (!line.trim()) return;
+    queue = queue
+      .then(() => handleMcpMessage(line))
+      .then(response => {
+        if (response) process.stdout.write(JSON.stringify(response) + '\n');
+      });
+  });
+
+  return new Promise(resolve => rl.on('close', () => queue.then(resolve)));
+}
+
+// ============================================================================
+// Output Formatting
+// ============================================================================
+
+const OUTPUT_FORMATS = ['json', 'table', 'markdown', 'csv', 'ndjson'];
+
+const STATUS_EMOJI = { improving: '🟢', declining: '🔴', stable: '🟡', new: '🆕' };
+
+// Humans at a terminal get a table; pipes and agents get JSON
+function resolveFormat(args = {}) {
+  const format = args['--format'] || process.env.LOCALRANK_FORMAT || (process.stdout.isTTY ? 'table' : 'json');
+  if (!OUTPUT_FORMATS.includes(format)) {
+    throw new UsageError(`Unknown --format '${format}'. Use one of: ${OUTPUT_FORMATS.join(', ')}`);
+  }
+  return format;
+}
+
+function getPath(obj, keyPath) {
+  return keyPath.split('.').reduce((value, key) => value?.[key], obj);
+}
+
+function titleCase(key) {
+  return key.replace(/_/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
+}
+
+function cellText(value) {
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value)) return value.map(cellText).join(', ');
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+/**
+ * The command's main list and the columns to show for it. `rows` in a spec is
+ * a path into the result or a function building the list; columns come from
+ * the spec unless --fields picks them.
+ */
+function primaryTable(output, result, args) {
+  if (!output.rows) return null;
+
+  let rows = typeof output.rows === 'function' ? output.rows(result) : getPath(result, output.rows) || [];
+  // A rows function returns null when this result has no list to show
+  if (!rows) return null;
+  const specColumns = typeof output.columns === 'function' ? output.columns(result) : output.columns || [];
+  let columns = specColumns.map(c => typeof c === 'string' ? { key: c } : c);
+
+  if (args['--fields']) {
+    const available = new Set([...columns.map(c => c.key), ...rows.flatMap(Object.keys)]);
+    const fields = String(args['--fields']).split(',').map(f => f.trim()).filter(Boolean);
+    const unknown = fields.filter(f => !available.has(f));
+    if (unknown.length > 0) {
+      throw new UsageError(`Unknown field(s): ${unknown.join(', ')}. Available: ${[...available].join(', ')}`);
+    }
+    columns = fields.map(key => columns.find(c => c.key === key) || { key });
+  }
+
+  if (args['--sort']) {
+    const descending = String(args['--sort']).startsWith('-');
+    const key = String(args['--sort']).replace(/^-/, '');
+    rows = [...rows].sort((a, b) => {
+      const x = a[key], y = b[key];
+      if (x === y) return 0;
+      if (x === null || x === undefined) return 1;
+      if (y === null || y === undefined) return -1;
+      const order = typeof x === 'number' && typeof y === 'number' ? x - y : String(x).localeCompare(String(y));
+      return descending ? -order : order;
+    });
+  }
+
+  return { rows, columns };
+}
+
+function pickFields(rows, columns) {
+  return rows.map(row => Object.fromEntries(columns.map(c => [c.key, row[c.key]])));
+}
 
-    let scans = results.map(s => ({
-      uuid: s.uuid,
-      business_name: s.business?.name,
-      keywords: s.keywords,
-      status: s.status,
-      avg_rank: s.avg_rank,
-      created_at: s.created_at,
-      view_url: s.public_share_token ? `https://app.localrank.so/share/${s.public_share_token}` : null
-    }));
+// The spec's summary paths, or else every top-level value that isn't a list or object
+function scalarEntries(result, output = {}) {
+  if (output.summary) {
+    const summary = typeof output.summary === 'function' ? output.summary(result) : output.summary;
+    return summary.map(keyPath => [keyPath.replace(/\./g, '_'), getPath(result, keyPath)]);
+  }
+  return Object.entries(result).filter(([, v]) => v === null || typeof v !== 'object');
+}
 
-    // Filter by business name
-    const businessFilter = args['--business']?.toLowerCase();
-    if (businessFilter) {
-      scans = scans.filter(s => s.business_name?.toLowerCase().includes(businessFilter));
-    }
+function renderTextTable(rows, columns) {
+  const cells = rows.map(row => columns.map(c => cellText(c.display ? c.display(row[c.key]) : row[c.key])));
+  const headers = columns.map(c => c.label || titleCase(c.key));
+  const widths = headers.map((h, i) => Math.max(h.length, ...cells.map(r => r[i].length)));
+  const numeric = columns.map(c => rows.length > 0 && rows.every(r => r[c.key] === null || r[c.key] === undefined || typeof r[c.key] === 'number'));
 
-    console.log(JSON.stringify({ scans, count: scans.length }, null, 2));
-  },
+  const line = values => values
+    .map((v, i) => numeric[i] ? v.padStart(widths[i]) : v.padEnd(widths[i]))
+    .join('  ')
+    .trimEnd();
 
-  async 'scans:get'(args) {
-    const scanId = args._[0];
-    if (!scanId) {
-      console.error('Usage: localrank scans:get <scan_id>');
-      process.exit(1);
-    }
+  return [line(headers), widths.map(w => '-'.repeat(w)).join('  '), ...cells.map(line)].join('\n');
+}
 
-    const data = await apiGet(`/api/scans/${scanId}/`);
-    const keywords = (data.keyword_results || []).map(kw => ({
-      keyword: kw.keyword,
-      avg_rank: kw.avg_rank,
-      best_rank: kw.best_rank,
-      found_count: kw.found_count
-    }));
+function renderMarkdownTable(rows, columns) {
+  const escape = text => text.replace(/\|/g, '\\|').replace(/\n/g, ' ');
+  const headers = columns.map(c => c.label || titleCase(c.key));
+  const cells = rows.map(row => columns.map(c => escape(cellText(c.display ? c.display(row[c.key]) : row[c.key]))));
 
-    console.log(JSON.stringify({
-      uuid: data.uuid,
-      business_name: data.business?.name,
-      status: data.status,
-      avg_rank: data.avg_rank,
-      keywords,
-      view_url: data.public_share_token ? `https://app.localrank.so/share/${data.public_share_token}` : null
-    }, null, 2));
-  },
+  return [
+    `| ${headers.join(' | ')} |`,
+    `| ${columns.map(() => '---').join(' | ')} |`,
+    ...cells.map(r => `| ${r.join(' | ')} |`)
+  ].join('\n');
+}
 
-  // Client Reports
-  async 'client:report'(args) {
-    const businessName = args['--business'] || args._[0];
-    if (!businessName) {
-      console.error('Usage: localrank client:report --business "Business Name"');
-      process.exit(1);
-    }
+function csvCell(value) {
+  const text = cellText(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
 
-    const searchTerm = businessName.toLowerCase();
-    const data = await apiGet('/api/scans/', { page_size: 50 });
-    const results = data.results || [];
-    const clientScans = results.filter(s =>
-      s.business?.name?.toLowerCase().includes(searchTerm)
-    );
+function renderCsv(rows, columns) {
+  return [columns.map(c => csvCell(c.key)).join(','), ...rows.map(row => columns.map(c => csvCell(row[c.key])).join(','))].join('\n');
+}
 
-    if (clientScans.length === 0) {
-      console.log(JSON.stringify({ error: `No scans found for '${businessName}'` }, null, 2));
-      return;
-    }
+function renderSections(output, result, format) {
+  return (output.sections || [])
+    .map(section => ({ ...section, rows: getPath(result, section.rows) || [] }))
+    .filter(section => section.rows.length > 0)
+    .map(section => {
+      const columns = section.columns.map(c => typeof c === 'string' ? { key: c } : c);
+      return format === 'markdown'
+        ? `### ${section.title}\n\n${renderMarkdownTable(section.rows, columns)}`
+        : `${section.title}\n\n${renderTextTable(section.rows, columns)}`;
+    });
+}
 
-    const latest = clientScans[0];
-    const latestDetail = await apiGet(`/api/scans/${latest.uuid}/`);
+// One row per grid point and keyword, for CSV export
+function gridRows(scan) {
+  return scan.grid.flatMap(g => g.points.map(point => ({ scan_id: scan.uuid, keyword: g.keyword, ...point })));
+}
 
-    const report = {
-      business_name: latest.business?.name,
-      latest_scan: {
-        date: latestDetail.created_at,
-        avg_rank: latestDetail.avg_rank,
-        keywords: (latestDetail.keyword_results || []).map(kw => ({
-          keyword: kw.keyword,
-          avg_rank: kw.avg_rank,
-          best_rank: kw.best_rank
-        }))
-      },
-      wins: [],
-      drops: [],
-      total_scans: clientScans.length
-    };
+const GRID_CSV_COLUMNS = ['scan_id', 'keyword', 'row', 'col', 'lat', 'lng', 'distance_miles', 'rank'].map(key => ({ key }));
+
+// Points as a GeoJSON FeatureCollection for QGIS, Mapbox and the like
+function gridGeoJson(scan) {
+  const missing = scan.grid.some(g => g.points.some(p => p.lat === null || p.lng === null));
+  if (missing) throw new UsageError(`Scan ${scan.uuid} has no coordinates for its grid points; export it as CSV instead`);
+
+  return {
+    type: 'FeatureCollection',
+    properties: { scan_id: scan.uuid, business_name: scan.business_name, grid_size: scan.grid_size, radius: scan.radius },
+    features: gridRows(scan).map(({ lat, lng, ...properties }) => ({
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: [lng, lat] },
+      properties
+    }))
+  };
+}
 
-    // Compare with previous scan
-    if (clientScans.length >= 2) {
-      const previousDetail = await apiGet(`/api/scans/${clientScans[1].uuid}/`);
-      const prevKwRanks = {};
-      (previousDetail.keyword_results || []).forEach(kw => {
-        prevKwRanks[kw.keyword] = kw.avg_rank;
-      });
+// ANSI background colors: local pack, page 1, page 2, not found
+const HEATMAP_COLORS = { top: '42;30', page_1: '43;30', found: '41;97', missing: '100;37' };
 
-      (latestDetail.keyword_results || []).forEach(kw => {
-        const prev = prevKwRanks[kw.keyword];
-        const current = kw.avg_rank;
-        if (prev && current) {
-          const change = prev - current;
-          if (change > 0) {
-            report.wins.push({ keyword: kw.keyword, from: prev, to: current, improved_by: Math.round(change * 10) / 10 });
-          } else if (change < 0) {
-            report.drops.push({ keyword: kw.keyword, from: prev, to: current, dropped_by: Math.round(Math.abs(change) * 10) / 10 });
-          }
-        }
-      });
-    }
+function heatmapColor(rank) {
+  if (rank === null) return HEATMAP_COLORS.missing;
+  if (rank <= GRID_TOP_RANK) return HEATMAP_COLORS.top;
+  if (rank <= GRID_PAGE_ONE_RANK) return HEATMAP_COLORS.page_1;
+  return HEATMAP_COLORS.found;
+}
 
-    if (latestDetail.public_share_token) {
-      report.view_url = `https://app.localrank.so/share/${latestDetail.public_share_token}`;
-    }
+/**
+ * A grid of ranks per keyword, north at the top. `color` paints each cell
+ * with ANSI colors; without it '-' marks points where the business wasn't found.
+ */
+function renderGridHeatmap(scan, { color = false } = {}) {
+  const paint = (text, rank) => (color ? `\x1b[${heatmapColor(rank)}m${text}\x1b[0m` : text);
+  const percent = value => (value === null ? '-' : `${Math.round(value * 100)}%`);
+
+  const blocks = scan.grid.map(g => {
+    const metrics = scan.keywords.find(kw => kw.keyword === g.keyword) || {};
+    const falloff = metrics.falloff_radius_miles === null ? 'holds up across the grid' : `falls off at ${metrics.falloff_radius_miles} mi`;
+    const rows = [];
+    g.points.forEach(point => {
+      const label = point.rank === null ? '-' : String(point.rank);
+      (rows[point.row] = rows[point.row] || [])[point.col] = color ? paint(` ${label.padStart(2)} `, point.rank) : label.padStart(3);
+    });
+    return [
+      `${g.keyword}  (avg ${metrics.avg_rank ?? '-'}, top 3 ${percent(metrics.top_3_share)}, page 1 ${percent(metrics.page_1_share)}, ${falloff})`,
+      ...rows.map(cells => `  ${cells.join(color ? '' : ' ')}`)
+    ].join('\n');
+  });
 
-    console.log(JSON.stringify(report, null, 2));
+  const legend = color
+    ? `${paint(' 1-3 ', 1)} ${paint(' 4-10 ', 4)} ${paint(' 11-20 ', 11)} ${paint(' not found ', null)}`
+    : '1-3 local pack, 4-10 page 1, 11-20 page 2, - not found';
+  return [`${scan.business_name} - ${scan.grid_size}x${scan.grid_size} grid, ${scan.radius} mi radius`, ...blocks, legend].join('\n\n');
+}
+
+const DIGEST_SECTIONS = [
+  {
+    title: 'Biggest Movers Up', rows: 'movers_up', empty: 'No client climbed in this window.',
+    columns: [{ key: 'business_name', label: 'Client' }, { key: 'from', label: 'Was' }, { key: 'to', label: 'Now' }, { key: 'change', label: 'Change' }]
+  },
+  {
+    title: 'Biggest Movers Down', rows: 'movers_down', empty: 'No client dropped in this window.',
+    columns: [{ key: 'business_name', label: 'Client' }, { key: 'from', label: 'Was' }, { key: 'to', label: 'Now' }, { key: 'change', label: 'Change' }]
+  },
+  {
+    title: 'Needs Attention', rows: 'needs_attention', empty: 'Nothing urgent for the clients scanned in this window.',
+    columns: [{ key: 'priority', label: 'Priority' }, { key: 'client', label: 'Client' }, { key: 'task', label: 'Task' }, { key: 'reason', label: 'Why' }]
   },
+  {
+    title: 'New Quick Wins', rows: 'new_quick_wins', empty: 'No new quick wins since the last digest.',
+    columns: [{ key: 'business_name', label: 'Client' }, { key: 'keyword', label: 'Keyword' }, { key: 'current_rank', label: 'Rank' }, { key: 'positions_to_page_1', label: 'To page 1' }, { key: 'opportunity', label: 'Opportunity' }]
+  },
+  {
+    title: 'Newly At Risk', rows: 'newly_at_risk', empty: 'No client became at risk since the last digest.',
+    columns: [{ key: 'business_name', label: 'Client' }, { key: 'risk_score', label: 'Risk score' }, { key: 'risk_factors', label: 'Why' }]
+  },
+  {
+    title: 'Overdue Scans', rows: 'overdue_scans', empty: 'Every client has a recent scan.',
+    columns: [{ key: 'business_name', label: 'Client' }, { key: 'last_scan', label: 'Last scan' }, { key: 'days_since', label: 'Days since' }]
+  }
+];
+
+// How a digest cell reads in markdown and HTML: ranks as #n, dates short, changes signed
+function digestCell(key, value) {
+  if (key === 'from' || key === 'to' || key === 'current_rank') return formatRank(value);
+  if (key === 'change') return value > 0 ? `+${value}` : String(value);
+  if (key === 'last_scan') return formatDate(value);
+  if (key === 'risk_factors') return value.join('; ');
+  return cellText(value);
+}
 
-  // Portfolio & Agency Tools
-  async 'portfolio:summary'() {
-    const data = await apiGet('/api/scans/', { page_size: 100 });
-    const results = data.results || [];
+function digestHeadline(digest) {
+  const p = digest.portfolio;
+  const movement = p.avg_rank_change === null ? ''
+    : p.avg_rank_change === 0 ? ', unchanged'
+      : `, ${p.avg_rank_change > 0 ? 'improved' : 'slipped'} ${Math.abs(p.avg_rank_change)} positions across ${p.compared} client${p.compared === 1 ? '' : 's'}`;
+  return {
+    period: `${formatDate(digest.window.from)} - ${formatDate(digest.window.to)}${digest.window.since_last_digest ? ' (since the last digest)' : ''}`,
+    facts: [
+      ['Clients', `${p.clients} (${p.scanned} scanned in this window)`],
+      ['Average rank', `${formatRank(p.avg_rank)}${movement}`],
+      ['Improving / declining / stable', `${p.improving} / ${p.declining} / ${p.stable}`],
+      ['Quick wins', `${digest.quick_wins} (${digest.new_quick_wins.length} new)`],
+      ['At risk', `${digest.at_risk} (${digest.newly_at_risk.length} new)`]
+    ]
+  };
+}
 
-    const byBusiness = {};
-    results.forEach(scan => {
-      const name = scan.business?.name || 'Unknown';
-      if (!byBusiness[name]) byBusiness[name] = [];
-      byBusiness[name].push(scan);
-    });
+// The digest as markdown, ready to paste into a team channel or wiki
+function renderDigestMarkdown(digest) {
+  const { period, facts } = digestHeadline(digest);
+  const sections = DIGEST_SECTIONS.map(section => {
+    const rows = digest[section.rows].map(row => Object.fromEntries(section.columns.map(c => [c.key, digestCell(c.key, row[c.key])])));
+    return `## ${section.title}\n\n${rows.length > 0 ? renderMarkdownTable(rows, section.columns) : `_${section.empty}_`}`;
+  });
 
-    const summary = {
-      total_clients: Object.keys(byBusiness).length,
-      total_scans: results.length,
-      improving: 0,
-      declining: 0,
-      stable: 0,
-      clients: []
-    };
+  return [
+    '# Weekly Portfolio Digest',
+    period,
+    `## Portfolio\n\n${facts.map(([label, value]) => `- **${label}:** ${value}`).join('\n')}`,
+    ...sections
+  ].join('\n\n');
+}
 
-    let totalRank = 0, rankCount = 0;
+/**
+ * Render a command result in the requested --format. JSON keeps the full
+ * result; table and markdown show the scalar fields followed by the main list
+ * (and any extra sections); CSV and NDJSON contain only the main list.
+ */
+function formatResult(command, result, args = {}) {
+  const format = resolveFormat(args);
+  const output = commandSpecs[command]?.output || {};
+  const list = result && typeof result === 'object' && !result.error ? primaryTable(output, result, args) : null;
+
+  if (format === 'json') {
+    if (!list || (!args['--fields'] && !args['--sort'])) return JSON.stringify(result, null, 2);
+    const rows = pickFields(list.rows, list.columns);
+    if (typeof output.rows === 'function') return JSON.stringify(rows, null, 2);
+
+    // Put the reshaped list back where it came from
+    const copy = JSON.parse(JSON.stringify(result));
+    const keys = output.rows.split('.');
+    keys.slice(0, -1).reduce((o, k) => o[k], copy)[keys[keys.length - 1]] = rows;
+    return JSON.stringify(copy, null, 2);
+  }
 
-    Object.entries(byBusiness).forEach(([name, scans]) => {
-      const latest = scans[0];
-      const avgRank = latest.avg_rank;
+  if (format === 'ndjson') {
+    if (!list) return JSON.stringify(result);
+    return pickFields(list.rows, list.columns).map(row => JSON.stringify(row)).join('\n');
+  }
 
-      if (avgRank) {
-        totalRank += avgRank;
-        rankCount++;
-      }
+  if (format === 'csv') {
+    if (list) return renderCsv(list.rows, list.columns);
+    const entries = scalarEntries(result, output);
+    return renderCsv([Object.fromEntries(entries)], entries.map(([key]) => ({ key })));
+  }
 
-      let status = 'new', change = null;
-      if (scans.length >= 2) {
-        const prev = scans[1].avg_rank;
-        if (avgRank && prev) {
-          change = prev - avgRank;
-          if (change > 0.5) { status = 'improving'; summary.improving++; }
-          else if (change < -0.5) { status = 'declining'; summary.declining++; }
-          else { status = 'stable'; summary.stable++; }
-        }
-      }
+  // table / markdown
+  if (output.text && result[output.text]) return result[output.text];
+
+  const blocks = [];
+  const scalars = scalarEntries(result, output);
+  if (scalars.length > 0) {
+    blocks.push(format === 'markdown'
+      ? scalars.map(([k, v]) => `- **${titleCase(k)}:** ${cellText(v)}`).join('\n')
+      : (() => {
+        const width = Math.max(...scalars.map(([k]) => titleCase(k).length));
+        return scalars.map(([k, v]) => `${titleCase(k).padEnd(width)}  ${cellText(v)}`).join('\n');
+      })());
+  }
 
-      summary.clients.push({
-        name,
-        status,
-        avg_rank: avgRank ? Math.round(avgRank * 10) / 10 : null,
-        change: change ? Math.round(change * 10) / 10 : null,
-        view_url: latest.public_share_token ? `https://app.localrank.so/share/${latest.public_share_token}` : null
-      });
-    });
+  if (list) {
+    if (list.rows.length === 0) {
+      blocks.push(format === 'markdown' ? '_No results_' : '(no results)');
+    } else {
+      blocks.push(format === 'markdown' ? renderMarkdownTable(list.rows, list.columns) : renderTextTable(list.rows, list.columns));
+    }
+  }
 
-    summary.avg_rank_across_portfolio = rankCount > 0 ? Math.round((totalRank / rankCount) * 10) / 10 : null;
+  blocks.push(...renderSections(output, result, format));
 
-    // Sort: declining first
-    const order = { declining: 0, improving: 1, stable: 2, new: 3 };
-    summary.clients.sort((a, b) => order[a.status] - order[b.status]);
+  // Anything structured that no table or summary covers is still shown, as JSON
+  if (!list && !output.sections) {
+    const summarized = new Set(scalars.map(([k]) => k));
+    const nested = Object.entries(result).filter(([k, v]) => v !== null && typeof v === 'object' && !summarized.has(k));
+    nested.forEach(([k, v]) => blocks.push(format === 'markdown'
+      ? `### ${titleCase(k)}\n\n\`\`\`json\n${JSON.stringify(v, null, 2)}\n\`\`\``
+      : `${titleCase(k)}\n${JSON.stringify(v, null, 2)}`));
+  }
 
-    console.log(JSON.stringify(summary, null, 2));
-  },
+  return blocks.join('\n\n');
+}
 
-  async 'prioritize:today'() {
-    const data = await apiGet('/api/scans/', { page_size: 100 });
-    const results = data.results || [];
+// ============================================================================
+// HTML Report
+// ============================================================================
 
-    const byBusiness = {};
-    results.forEach(scan => {
-      const name = scan.business?.name || 'Unknown';
-      if (!byBusiness[name]) byBusiness[name] = [];
-      byBusiness[name].push(scan);
-    });
+const DEFAULT_BRANDING = {
+  agency_name: null,
+  logo: null,
+  primary_color: '#1f3a5f',
+  accent_color: '#2e8b57'
+};
 
-    const priorities = { urgent: [], important: [], quick_wins: [] };
+const LOGO_TYPES = { '.png': 'image/png', '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.gif': 'image/gif', '.svg': 'image/svg+xml', '.webp': 'image/webp' };
 
-    for (const [name, scans] of Object.entries(byBusiness)) {
-      const latest = scans[0];
-      const avgRank = latest.avg_rank;
+const CHART = { width: 560, height: 170, top: 12, right: 16, bottom: 26, left: 36 };
 
-      // Urgent: big drops
-      if (scans.length >= 2) {
-        const prev = scans[1].avg_rank;
-        if (avgRank && prev && (avgRank - prev) > 3) {
-          priorities.urgent.push({
-            client: name,
-            task: 'Investigate ranking drop',
-            reason: `Dropped from ${Math.round(prev * 10) / 10} to ${Math.round(avgRank * 10) / 10}`
-          });
-        }
-      }
+// Local logo files are embedded so the report stays a single file
+function logoSource(logo) {
+  if (/^(https?:|data:)/.test(logo)) return logo;
 
-      // Important: poor rankings
-      if (avgRank && avgRank > 12) {
-        priorities.important.push({
-          client: name,
-          task: 'Improve rankings',
-          reason: `Average rank is ${Math.round(avgRank * 10) / 10}`
-        });
-      }
+  const file = path.resolve(logo.replace(/^~(?=\/)/, os.homedir()));
+  const type = LOGO_TYPES[path.extname(file).toLowerCase()];
+  if (!type) throw new ConfigError(`Unsupported logo '${logo}'. Use a PNG, JPEG, GIF, SVG or WebP file`);
+  try {
+    return `data:${type};base64,${fs.readFileSync(file).toString('base64')}`;
+  } catch (e) {
+    throw new ConfigError(`Can't read branding logo ${file}: ${e.message}`);
+  }
+}
 
-      // Quick wins: close to page 1
-      const detail = await apiGet(`/api/scans/${latest.uuid}/`);
-      for (const kw of (detail.keyword_results || [])) {
-        if (kw.avg_rank && kw.avg_rank >= 11 && kw.avg_rank <= 15) {
-          priorities.quick_wins.push({
-            client: name,
-            keyword: kw.keyword,
-            current_rank: Math.round(kw.avg_rank * 10) / 10,
-            positions_to_page_1: Math.round((kw.avg_rank - 10) * 10) / 10
-          });
-          break;
-        }
-      }
+// The config file's `branding` block with overrides on top
+function loadBranding(overrides = {}) {
+  const branding = { ...DEFAULT_BRANDING, ...(loadConfig().branding || {}), ...overrides };
+  // Colors go straight into the stylesheet
+  ['primary_color', 'accent_color'].forEach(key => {
+    if (!/^(#[0-9a-f]{3,8}|[a-z]+)$/i.test(branding[key])) {
+      throw new ConfigError(`Invalid branding ${key} '${branding[key]}'. Use a hex color such as #1f3a5f`);
     }
+  });
+  return { ...branding, logo: branding.logo ? logoSource(branding.logo) : null };
+}
 
-    // Limit results
-    Object.keys(priorities).forEach(k => priorities[k] = priorities[k].slice(0, 5));
-
-    console.log(JSON.stringify({
-      priorities,
-      tip: 'Start with urgent items, then quick wins for momentum'
-    }, null, 2));
-  },
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
 
-  async 'quick-wins:find'(args) {
-    const businessFilter = args['--business']?.toLowerCase();
-    const data = await apiGet('/api/scans/', { page_size: 100 });
-    const results = data.results || [];
+function formatRank(rank) {
+  return rank === null || rank === undefined ? 'Not found' : `#${Math.round(rank * 10) / 10}`;
+}
 
-    let scans = results;
-    if (businessFilter) {
-      scans = scans.filter(s => s.business?.name?.toLowerCase().includes(businessFilter));
-    }
-
-    // Get latest per business
-    const byBusiness = {};
-    scans.forEach(scan => {
-      const name = scan.business?.name || 'Unknown';
-      if (!byBusiness[name]) byBusiness[name] = scan;
-    });
-
-    const quickWins = [];
-    for (const [name, scan] of Object.entries(byBusiness)) {
-      const detail = await apiGet(`/api/scans/${scan.uuid}/`);
-      for (const kw of (detail.keyword_results || [])) {
-        if (kw.avg_rank && kw.avg_rank >= 11 && kw.avg_rank <= 20) {
-          quickWins.push({
-            business_name: name,
-            keyword: kw.keyword,
-            current_rank: Math.round(kw.avg_rank * 10) / 10,
-            positions_to_page_1: Math.round((kw.avg_rank - 10) * 10) / 10,
-            opportunity: kw.avg_rank <= 15 ? 'High' : 'Medium'
-          });
-        }
-      }
-    }
+function formatDate(value) {
+  return value ? new Date(value).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric', timeZone: 'UTC' }) : '';
+}
 
-    quickWins.sort((a, b) => a.current_rank - b.current_rank);
+// Positive changes are improvements (the rank number went down)
+function formatChange(change) {
+  if (change === null || change === undefined) return '<span class="muted">-</span>';
+  if (change === 0) return '<span class="muted">No change</span>';
+  return change > 0
+    ? `<span class="up">&#9650; ${Math.round(change * 10) / 10}</span>`
+    : `<span class="down">&#9660; ${Math.round(Math.abs(change) * 10) / 10}</span>`;
+}
 
-    console.log(JSON.stringify({
-      quick_wins: quickWins.slice(0, 20),
-      total: quickWins.length,
-      tip: 'These keywords are close to page 1. A little push could get them there.'
-    }, null, 2));
-  },
+/**
+ * Rank over time as inline SVG. Rank 1 is at the top; the dashed line marks
+ * the bottom of page 1 (rank 10).
+ */
+function rankChartSvg(points, color) {
+  const ranked = points.filter(p => p.avg_rank !== null && p.avg_rank !== undefined);
+  if (ranked.length === 0) return '<p class="muted">Not found in the grid in this period.</p>';
+
+  const plotWidth = CHART.width - CHART.left - CHART.right;
+  const plotHeight = CHART.height - CHART.top - CHART.bottom;
+  const times = ranked.map(p => Date.parse(p.date));
+  const [minTime, maxTime] = [Math.min(...times), Math.max(...times)];
+  const maxRank = Math.max(15, Math.ceil(Math.max(...ranked.map(p => p.avg_rank)) / 5) * 5);
+  const x = time => CHART.left + (maxTime === minTime ? plotWidth / 2 : (time - minTime) / (maxTime - minTime) * plotWidth);
+  const y = rank => CHART.top + (rank - 1) / (maxRank - 1) * plotHeight;
+  const coords = ranked.map((p, i) => [x(times[i]), y(p.avg_rank)].map(n => n.toFixed(1)));
+
+  const gridlines = [1, 10, maxRank].map(rank => `
+    <line x1="${CHART.left}" x2="${CHART.width - CHART.right}" y1="${y(rank).toFixed(1)}" y2="${y(rank).toFixed(1)}" class="${rank === 10 ? 'page1' : 'grid'}"/>
+    <text x="${CHART.left - 6}" y="${(y(rank) + 4).toFixed(1)}" text-anchor="end">${rank}</text>`).join('');
+  const labels = (maxTime === minTime ? [[minTime, 'middle']] : [[minTime, 'start'], [maxTime, 'end']])
+    .map(([time, anchor]) => `<text x="${x(time)}" y="${CHART.height - 6}" text-anchor="${anchor}">${formatDate(time)}</text>`)
+    .join('');
+  const dots = ranked.map((p, i) => `<circle cx="${coords[i][0]}" cy="${coords[i][1]}" r="3"><title>${escapeHtml(formatDate(p.date))}: ${formatRank(p.avg_rank)}</title></circle>`).join('');
+
+  return `<svg viewBox="0 0 ${CHART.width} ${CHART.height}" width="100%" role="img" aria-label="Rank over time">
+    ${gridlines}
+    ${labels}
+    <polyline points="${coords.map(c => c.join(',')).join(' ')}" fill="none" stroke="${color}" stroke-width="2"/>
+    <g fill="${color}">${dots}</g>
+  </svg>`;
+}
 
-  async 'at-risk:clients'() {
-    const data = await apiGet('/api/scans/', { page_size: 100 });
-    const results = data.results || [];
+const PAGE_STYLES = `
+  body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; color: #222; max-width: 860px; margin: 0 auto; padding: 32px 24px; line-height: 1.45; }
+  header { display: flex; align-items: center; gap: 20px; border-bottom: 4px solid var(--primary); padding-bottom: 16px; }
+  header img { max-height: 64px; max-width: 200px; }
+  h1 { color: var(--primary); margin: 0; font-size: 26px; }
+  h2 { color: var(--primary); font-size: 19px; margin: 32px 0 12px; }
+  h3 { font-size: 15px; margin: 0 0 4px; }
+  .subtitle, .muted { color: #666; }
+  .cards { display: flex; gap: 12px; margin-top: 24px; flex-wrap: wrap; }
+  .card { flex: 1; min-width: 140px; border: 1px solid #ddd; border-top: 3px solid var(--accent); border-radius: 6px; padding: 12px 14px; }
+  .card .label { font-size: 12px; text-transform: uppercase; color: #666; }
+  .card .value { font-size: 24px; font-weight: 600; margin-top: 4px; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { text-align: left; padding: 8px 10px; border-bottom: 1px solid #e5e5e5; }
+  th { background: #f6f7f9; font-size: 13px; }
+  .up { color: #1a7f37; font-weight: 600; }
+  .down { color: #c62828; font-weight: 600; }
+  .button { display: inline-block; background: var(--accent); color: #fff; padding: 10px 18px; border-radius: 6px; text-decoration: none; font-weight: 600; }
+  .keyword { border: 1px solid #e5e5e5; border-radius: 6px; padding: 12px 14px; margin-bottom: 12px; break-inside: avoid; }
+  svg text { font-size: 11px; fill: #777; }
+  svg .grid { stroke: #eee; }
+  svg .page1 { stroke: #bbb; stroke-dasharray: 4 3; }
+  footer { margin-top: 40px; padding-top: 12px; border-top: 1px solid #ddd; font-size: 12px; color: #777; }
+  @media print { body { padding: 0; } .button { border: 1px solid var(--accent); } section { break-inside: avoid-page; } }`;
 
-    const byBusiness = {};
-    results.forEach(scan => {
-      const name = scan.business?.name || 'Unknown';
-      if (!byBusiness[name]) byBusiness[name] = [];
-      byBusiness[name].push(scan);
-    });
-
-    const atRisk = [];
-    Object.entries(byBusiness).forEach(([name, scans]) => {
-      const latest = scans[0];
-      const avgRank = latest.avg_rank;
-      const riskFactors = [];
-      let riskScore = 0;
-
-      // Rankings dropped
-      if (scans.length >= 2) {
-        const prev = scans[1].avg_rank;
-        if (avgRank && prev && (avgRank - prev) > 2) {
-          riskFactors.push(`Rankings dropped from ${Math.round(prev * 10) / 10} to ${Math.round(avgRank * 10) / 10}`);
-          riskScore += 3;
-        }
-      }
+/**
+ * A branded single-file page: the agency logo and colors, a header with
+ * `heading` and `subtitle`, then `body` and a "prepared by" footer. Every
+ * argument except `branding` is HTML, so escape text before passing it.
+ */
+function renderHtmlPage({ title, heading, subtitle, body, branding }) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${title}</title>
+<style>
+  :root { --primary: ${branding.primary_color}; --accent: ${branding.accent_color}; }${PAGE_STYLES}
+</style>
+</head>
+<body>
+<header>
+  ${branding.logo ? `<img src="${escapeHtml(branding.logo)}" alt="${escapeHtml(branding.agency_name || 'Logo')}">` : ''}
+  <div>
+    <h1>${heading}</h1>
+    <div class="subtitle">${subtitle}</div>
+  </div>
+</header>
+
+${body}
+
+<footer>${branding.agency_name ? `Prepared by ${escapeHtml(branding.agency_name)} &middot; ` : ''}Generated ${formatDate(new Date())}</footer>
+</body>
+</html>
+`;
+}
 
-      // Poor rankings
-      if (avgRank && avgRank > 15) {
-        riskFactors.push(`Poor visibility (avg rank ${Math.round(avgRank * 10) / 10})`);
-        riskScore += 2;
-      }
+function renderReportHtml({ report, history, recommendations, branding }) {
+  const name = report.business_name;
+  const period = report.current
+    ? `${report.current.label} compared with ${report.previous.label}`
+    : `Latest scan ${formatDate(report.latest_scan.date)}`;
+  const currentRank = report.current ? report.current.representative_scan?.avg_rank : report.latest_scan.avg_rank;
+  const scans = history.filter(scan => scan.avg_rank !== null && scan.avg_rank !== undefined);
+  const change = report.current
+    ? report.like_for_like?.change ?? report.avg_rank_change
+    : scans.length >= 2 ? round(scans[scans.length - 2].avg_rank - scans[scans.length - 1].avg_rank) : null;
+  const series = keywordSeries(history);
+  const currentKeywords = report.current
+    ? report.keywords.filter(kw => kw.status !== 'removed').map(kw => kw.keyword)
+    : report.latest_scan.keywords.map(kw => kw.keyword);
+
+  const movement = [
+    ...report.wins.map(w => ({ keyword: w.keyword, from: w.from, to: w.to, change: w.improved_by })),
+    ...report.drops.map(d => ({ keyword: d.keyword, from: d.from, to: d.to, change: -d.dropped_by }))
+  ].sort((a, b) => b.change - a.change);
+  // A client with a single scan has nothing to compare, so no milestones yet
+  const { entered_top_3: enteredTop3, reached_page_1: reachedPage1 } = report.milestones || { entered_top_3: [], reached_page_1: [] };
+  const milestones = [
+    ...enteredTop3.map(m => `<li><strong>${escapeHtml(m.keyword)}</strong> entered the top 3 (${formatRank(m.to)})</li>`),
+    ...reachedPage1.map(m => `<li><strong>${escapeHtml(m.keyword)}</strong> reached page 1 (${formatRank(m.to)})</li>`)
+  ];
+
+  const card = (label, value) => `<div class="card"><div class="label">${label}</div><div class="value">${value}</div></div>`;
+  const section = (title, body) => body ? `<section><h2>${title}</h2>${body}</section>` : '';
+
+  return renderHtmlPage({
+    branding,
+    title: `${escapeHtml(name)} - Local SEO Report`,
+    heading: escapeHtml(name),
+    subtitle: `Local SEO Report &middot; ${escapeHtml(period)}`,
+    body: `<div class="cards">
+  ${card('Average rank', formatRank(currentRank))}
+  ${card('Change', formatChange(change))}
+  ${card('Keywords', currentKeywords.length)}
+  ${card('Wins / Drops', `<span class="up">${report.wins.length}</span> / <span class="down">${report.drops.length}</span>`)}
+</div>
+
+${report.view_url ? `<section><h2>Ranking Map</h2><p>See where ${escapeHtml(name)} ranks across the whole service area.</p><p><a class="button" href="${escapeHtml(report.view_url)}">View ranking map</a></p><p class="muted">${escapeHtml(report.view_url)}</p></section>` : ''}
+
+${section('Milestones', milestones.length > 0 ? `<ul>${milestones.join('')}</ul>` : '')}
+
+${section('Wins &amp; Drops', movement.length > 0 ? `<table>
+  <tr><th>Keyword</th><th>Was</th><th>Now</th><th>Change</th></tr>
+  ${movement.map(m => `<tr><td>${escapeHtml(m.keyword)}</td><td>${formatRank(m.from)}</td><td>${formatRank(m.to)}</td><td>${formatChange(m.change)}</td></tr>`).join('\n  ')}
+</table>` : '<p class="muted">No keyword changed rank.</p>')}
+
+${section('Keyword Trends', currentKeywords.map(keyword => {
+    const points = series[keyword] || [];
+    const latest = points[points.length - 1];
+    return `<div class="keyword">
+  <h3>${escapeHtml(keyword)} <span class="muted">&middot; ${formatRank(latest?.avg_rank)}</span></h3>
+  ${rankChartSvg(points, branding.accent_color)}
+</div>`;
+  }).join('\n'))}
+
+${section('Recommendations', recommendations.length > 0 ? `<ul>${recommendations.map(r => `<li><strong>${escapeHtml(r.action)}</strong> - ${escapeHtml(r.reason)}</li>`).join('')}</ul>` : '')}`
+  });
+}
 
-      // Low engagement
-      if (scans.length === 1) {
-        riskFactors.push('Only 1 scan - low engagement');
-        riskScore += 1;
-      }
+function renderDigestHtml(digest, branding) {
+  const { period, facts } = digestHeadline(digest);
+  const sections = DIGEST_SECTIONS.map(section => {
+    const rows = digest[section.rows];
+    const body = rows.length > 0
+      ? `<table>
+  <tr>${section.columns.map(c => `<th>${escapeHtml(c.label)}</th>`).join('')}</tr>
+  ${rows.map(row => `<tr>${section.columns.map(c => `<td>${c.key === 'change' ? formatChange(row.change) : escapeHtml(digestCell(c.key, row[c.key]))}</td>`).join('')}</tr>`).join('\n  ')}
+</table>`
+      : `<p class="muted">${escapeHtml(section.empty)}</p>`;
+    return `<section><h2>${section.title}</h2>${body}</section>`;
+  });
 
-      if (riskScore > 0) {
-        atRisk.push({
-          business_name: name,
-          risk_score: riskScore,
-          risk_factors: riskFactors,
-          action: 'Reach out proactively'
-        });
-      }
-    });
+  return renderHtmlPage({
+    branding,
+    title: `Weekly Portfolio Digest - ${escapeHtml(formatDate(digest.window.to))}`,
+    heading: 'Weekly Portfolio Digest',
+    subtitle: escapeHtml(period),
+    body: `<section><h2>Portfolio</h2><ul>${facts.map(([label, value]) => `<li><strong>${label}:</strong> ${escapeHtml(value)}</li>`).join('')}</ul></section>
 
-    atRisk.sort((a, b) => b.risk_score - a.risk_score);
+${sections.join('\n\n')}`
+  });
+}
 
-    console.log(JSON.stringify({
-      at_risk_clients: atRisk,
-      tip: 'Contact these clients before they churn'
-    }, null, 2));
-  },
+// ============================================================================
+// Email Templates
+// ============================================================================
 
-  // GMB Audits
-  async 'audit:run'(args) {
-    const gmbUrl = args['--url'] || args._[0];
-    if (!gmbUrl) {
-      console.error('Usage: localrank audit:run --url "https://google.com/maps/place/..."');
-      process.exit(1);
-    }
+const TEMPLATE_DIRS = {
+  local: path.join(process.cwd(), '.localrank', 'templates'),
+  global: path.join(os.homedir(), '.config', 'localrank', 'templates')
+};
 
-    const data = await apiPost('/api/gmb/audit/run/', { gmb_url: gmbUrl });
-    console.log(JSON.stringify({
-      audit_id: data.audit_id,
-      status: data.status,
-      share_url: data.share_url,
-      credits_deducted: data.credits_deducted,
-      tip: 'Use audit:get to check results once completed'
-    }, null, 2));
-  },
+const EMAIL_TONES = ['celebratory', 'recovery', 'neutral'];
 
-  async 'audit:get'(args) {
-    const auditId = args._[0];
-    if (!auditId) {
-      console.error('Usage: localrank audit:get <audit_id>');
-      process.exit(1);
-    }
+// Wins and drops beyond this are summed up as "and N more"
+const EMAIL_LIST_LIMIT = 5;
 
-    const data = await apiGet(`/api/gmb/audit/${auditId}/`);
-    const result = {
-      audit_id: data.audit_id,
-      status: data.status,
-      business_name: data.business_name
-    };
+const EMAIL_LOCALES = { en: 'en-US', es: 'es-ES', fr: 'fr-FR' };
 
-    if (data.status === 'completed') {
-      result.audit_score = data.audit_score;
-      result.review_stats = data.review_stats;
-      result.revenue_impact = data.revenue_impact;
-      result.issues_identified = (data.issues_identified || []).slice(0, 10);
+// Wording the templates pull in as {{intro}}, {{outro}} and {{comparison}};
+// languages without an entry here use the English phrases
+const EMAIL_PHRASES = {
+  en: {
+    quarter: 'Q',
+    since_last_scan: 'since the last scan',
+    compared_with: 'compared with {{compared_with}}',
+    celebratory: {
+      intro: 'Great news! Here\'s your local SEO update for {{business_name}} for {{period_label}} - rankings are moving in the right direction.',
+      outro: 'Congratulations on the progress - let\'s keep the momentum going! Let me know if you have any questions.'
+    },
+    recovery: {
+      intro: 'Here\'s your local SEO update for {{business_name}} for {{period_label}}. Rankings dipped this period, and we already have a plan to win them back.',
+      outro: 'We\'re on it and will keep you posted on the recovery. Let me know if you\'d like to talk it through.'
+    },
+    neutral: {
+      intro: 'Here\'s your local SEO update for {{business_name}} for {{period_label}}.',
+      outro: 'Let me know if you have any questions!'
     }
-
-    console.log(JSON.stringify(result, null, 2));
   },
-
-  // Recommendations
-  async 'recommendations:get'(args) {
-    const businessName = args['--business'] || args._[0];
-    if (!businessName) {
-      console.error('Usage: localrank recommendations:get --business "Business Name"');
-      process.exit(1);
+  es: {
+    quarter: 'T',
+    since_last_scan: 'desde el último análisis',
+    compared_with: 'respecto a {{compared_with}}',
+    celebratory: {
+      intro: '¡Buenas noticias! Este es su informe de SEO local de {{period_label}} para {{business_name}}: las posiciones van en la dirección correcta.',
+      outro: '¡Enhorabuena por el progreso! Sigamos así. Quedo a su disposición para cualquier pregunta.'
+    },
+    recovery: {
+      intro: 'Este es su informe de SEO local de {{period_label}} para {{business_name}}. Las posiciones han bajado en este periodo y ya tenemos un plan para recuperarlas.',
+      outro: 'Estamos trabajando en ello y le mantendremos informado. Si lo desea, podemos comentarlo en una llamada.'
+    },
+    neutral: {
+      intro: 'Este es su informe de SEO local de {{period_label}} para {{business_name}}.',
+      outro: 'Quedo a su disposición para cualquier pregunta.'
     }
-
-    const searchTerm = businessName.toLowerCase();
-    const data = await apiGet('/api/scans/', { page_size: 50 });
-    const results = data.results || [];
-    const clientScans = results.filter(s =>
-      s.business?.name?.toLowerCase().includes(searchTerm)
-    );
-
-    if (clientScans.length === 0) {
-      console.log(JSON.stringify({
-        error: `No data found for '${businessName}'`,
-        recommendations: [{ action: 'Run first scan', product: 'Rank Tracker' }]
-      }, null, 2));
-      return;
+  },
+  fr: {
+    quarter: 'T',
+    since_last_scan: 'depuis le dernier relevé',
+    compared_with: 'par rapport à {{compared_with}}',
+    celebratory: {
+      intro: 'Bonne nouvelle ! Voici votre bilan SEO local de {{period_label}} pour {{business_name}} : vos positions progressent.',
+      outro: 'Félicitations pour ces progrès, continuons sur cette lancée ! N\'hésitez pas si vous avez des questions.'
+    },
+    recovery: {
+      intro: 'Voici votre bilan SEO local de {{period_label}} pour {{business_name}}. Vos positions ont reculé sur cette période et nous avons déjà un plan pour les rétablir.',
+      outro: 'Nous y travaillons et vous tiendrons informé. N\'hésitez pas si vous souhaitez en discuter.'
+    },
+    neutral: {
+      intro: 'Voici votre bilan SEO local de {{period_label}} pour {{business_name}}.',
+      outro: 'N\'hésitez pas si vous avez des questions.'
     }
+  }
+};
 
-    const latest = clientScans[0];
-    const avgRank = latest.avg_rank;
-    const recommendations = [];
+// The built-in `default` template. The Subject line is read off the top in
+// every language.
+const EMAIL_TEMPLATES = {
+  en: `Subject: {{business_name}} - {{period_label}} SEO Update
 
-    if (avgRank > 10) {
-      recommendations.push({
-        action: 'Use SuperBoost',
-        product: 'SuperBoost',
-        reason: `Average rank is ${Math.round(avgRank * 10) / 10}. SuperBoost uses AI-powered GBP optimization.`
-      });
-    }
+Hi,
 
-    if (avgRank > 5 && avgRank <= 10) {
-      recommendations.push({
-        action: 'Use LocalBoost',
-        product: 'LocalBoost',
-        reason: `Average rank is ${Math.round(avgRank * 10) / 10}. LocalBoost builds citations and backlinks.`
-      });
-    }
+{{intro}}
 
-    if (latest.keywords?.length < 5) {
-      recommendations.push({
-        action: 'Track more keywords',
-        product: 'Rank Tracker',
-        reason: `Only tracking ${latest.keywords?.length || 0} keywords.`
-      });
-    }
+**Current Performance:**
+- Average Local Rank: #{{avg_rank}}
+- Keywords Tracked: {{keywords_tracked}}
+{{#improved}}
+- Up {{avg_rank_change}} positions {{comparison}}
+{{/improved}}
+{{#declined}}
+- Down {{avg_rank_change}} positions {{comparison}}
+{{/declined}}
+{{#steady}}
+- Holding steady {{comparison}}
+{{/steady}}
+{{#work.length}}
+
+**What We Worked On:**
+{{#work}}
+- {{action}} ({{date}})
+{{/work}}
+{{/work.length}}
+{{#milestones.entered_top_3.length}}
+
+**Now in the Top 3:**
+{{#milestones.entered_top_3}}
+- "{{keyword}}" (#{{to}})
+{{/milestones.entered_top_3}}
+{{/milestones.entered_top_3.length}}
+{{#milestones.reached_page_1.length}}
+
+**Reached Page 1:**
+{{#milestones.reached_page_1}}
+- "{{keyword}}" (#{{to}})
+{{/milestones.reached_page_1}}
+{{/milestones.reached_page_1.length}}
+{{#wins.length}}
+
+**Wins:**
+{{#wins}}
+- "{{keyword}}": #{{from}} → #{{to}}
+{{/wins}}
+{{#more_wins}}
+- ...and {{more_wins}} more
+{{/more_wins}}
+{{/wins.length}}
+{{#drops.length}}
+
+**Needs Attention:**
+{{#drops}}
+- "{{keyword}}": #{{from}} → #{{to}}
+{{/drops}}
+{{#more_drops}}
+- ...and {{more_drops}} more
+{{/more_drops}}
+{{/drops.length}}
+{{#new_keywords.length}}
+
+**Now Also Tracking:**
+{{#new_keywords}}
+- "{{keyword}}" (#{{rank}})
+{{/new_keywords}}
+{{/new_keywords.length}}
+{{#quick_wins.length}}
+
+**Close to Page 1 (our next focus):**
+{{#quick_wins}}
+- "{{keyword}}" at #{{current_rank}}
+{{/quick_wins}}
+{{/quick_wins.length}}
+{{#recommendations.length}}
+
+**Recommended Next Steps:**
+{{#recommendations}}
+- {{action}}: {{reason}}
+{{/recommendations}}
+{{/recommendations.length}}
+{{#share_url}}
+
+**View Your Ranking Map:** {{share_url}}
+{{/share_url}}
+
+{{outro}}
+
+Best regards{{#signature}},
+{{signature}}{{/signature}}
+`,
+  es: `Subject: {{business_name}} - Informe SEO de {{period_label}}
+
+Hola:
+
+{{intro}}
+
+**Rendimiento actual:**
+- Posición media local: #{{avg_rank}}
+- Palabras clave monitorizadas: {{keywords_tracked}}
+{{#improved}}
+- Subida de {{avg_rank_change}} posiciones {{comparison}}
+{{/improved}}
+{{#declined}}
+- Bajada de {{avg_rank_change}} posiciones {{comparison}}
+{{/declined}}
+{{#steady}}
+- Posiciones estables {{comparison}}
+{{/steady}}
+{{#work.length}}
+
+**En qué hemos trabajado:**
+{{#work}}
+- {{action}} ({{date}})
+{{/work}}
+{{/work.length}}
+{{#milestones.entered_top_3.length}}
+
+**Ahora en el top 3:**
+{{#milestones.entered_top_3}}
+- "{{keyword}}" (#{{to}})
+{{/milestones.entered_top_3}}
+{{/milestones.entered_top_3.length}}
+{{#milestones.reached_page_1.length}}
+
+**Ya en la primera página:**
+{{#milestones.reached_page_1}}
+- "{{keyword}}" (#{{to}})
+{{/milestones.reached_page_1}}
+{{/milestones.reached_page_1.length}}
+{{#wins.length}}
+
+**Mejoras:**
+{{#wins}}
+- "{{keyword}}": #{{from}} → #{{to}}
+{{/wins}}
+{{#more_wins}}
+- ...y {{more_wins}} más
+{{/more_wins}}
+{{/wins.length}}
+{{#drops.length}}
+
+**Requieren atención:**
+{{#drops}}
+- "{{keyword}}": #{{from}} → #{{to}}
+{{/drops}}
+{{#more_drops}}
+- ...y {{more_drops}} más
+{{/more_drops}}
+{{/drops.length}}
+{{#new_keywords.length}}
+
+**Nuevas palabras clave monitorizadas:**
+{{#new_keywords}}
+- "{{keyword}}" (#{{rank}})
+{{/new_keywords}}
+{{/new_keywords.length}}
+{{#quick_wins.length}}
+
+**Cerca de la primera página (nuestro próximo objetivo):**
+{{#quick_wins}}
+- "{{keyword}}" en la posición #{{current_rank}}
+{{/quick_wins}}
+{{/quick_wins.length}}
+{{#recommendations.length}}
+
+**Próximos pasos recomendados:**
+{{#recommendations}}
+- {{action}}: {{reason}}
+{{/recommendations}}
+{{/recommendations.length}}
+{{#share_url}}
+
+**Vea su mapa de posiciones:** {{share_url}}
+{{/share_url}}
+
+{{outro}}
+
+Saludos cordiales{{#signature}},
+{{signature}}{{/signature}}
+`,
+  fr: `Subject: {{business_name}} - Bilan SEO de {{period_label}}
+
+Bonjour,
+
+{{intro}}
+
+**Performances actuelles :**
+- Position locale moyenne : #{{avg_rank}}
+- Mots-clés suivis : {{keywords_tracked}}
+{{#improved}}
+- En hausse de {{avg_rank_change}} positions {{comparison}}
+{{/improved}}
+{{#declined}}
+- En baisse de {{avg_rank_change}} positions {{comparison}}
+{{/declined}}
+{{#steady}}
+- Positions stables {{comparison}}
+{{/steady}}
+{{#work.length}}
+
+**Ce que nous avons fait :**
+{{#work}}
+- {{action}} ({{date}})
+{{/work}}
+{{/work.length}}
+{{#milestones.entered_top_3.length}}
+
+**Désormais dans le top 3 :**
+{{#milestones.entered_top_3}}
+- « {{keyword}} » (#{{to}})
+{{/milestones.entered_top_3}}
+{{/milestones.entered_top_3.length}}
+{{#milestones.reached_page_1.length}}
+
+**Arrivés en première page :**
+{{#milestones.reached_page_1}}
+- « {{keyword}} » (#{{to}})
+{{/milestones.reached_page_1}}
+{{/milestones.reached_page_1.length}}
+{{#wins.length}}
+
+**Progressions :**
+{{#wins}}
+- « {{keyword}} » : #{{from}} → #{{to}}
+{{/wins}}
+{{#more_wins}}
+- ...et {{more_wins}} autres
+{{/more_wins}}
+{{/wins.length}}
+{{#drops.length}}
+
+**À surveiller :**
+{{#drops}}
+- « {{keyword}} » : #{{from}} → #{{to}}
+{{/drops}}
+{{#more_drops}}
+- ...et {{more_drops}} autres
+{{/more_drops}}
+{{/drops.length}}
+{{#new_keywords.length}}
+
+**Nouveaux mots-clés suivis :**
+{{#new_keywords}}
+- « {{keyword}} » (#{{rank}})
+{{/new_keywords}}
+{{/new_keywords.length}}
+{{#quick_wins.length}}
+
+**Proches de la première page (notre prochaine priorité) :**
+{{#quick_wins}}
+- « {{keyword}} » en position #{{current_rank}}
+{{/quick_wins}}
+{{/quick_wins.length}}
+{{#recommendations.length}}
+
+**Prochaines étapes recommandées :**
+{{#recommendations}}
+- {{action}}: {{reason}}
+{{/recommendations}}
+{{/recommendations.length}}
+{{#share_url}}
+
+**Voir votre carte de positionnement :** {{share_url}}
+{{/share_url}}
+
+{{outro}}
+
+Cordialement{{#signature}},
+{{signature}}{{/signature}}
+`
+};
 
-    if (avgRank <= 5 && recommendations.length === 0) {
-      recommendations.push({
-        action: 'Maintain with LocalBoost',
-        product: 'LocalBoost',
-        reason: `Great rankings (avg ${Math.round(avgRank * 10) / 10})! Maintain authority.`
-      });
+/**
+ * Parse a mustache-style template into text and tag nodes: {{name}} and
+ * {{a.b}} insert values, {{#name}}...{{/name}} repeats for each item of a
+ * list (or renders once for any other truthy value), {{^name}}...{{/name}}
+ * renders when the value is empty, and {{! ... }} is a comment.
+ */
+function parseTemplate(source, name) {
+  // A section tag alone on its line takes the line with it
+  const text = source.replace(/^[ \t]*(\{\{[#^/!][^}]*\}\})[ \t]*\r?\n/gm, '$1');
+  const tag = /\{\{\s*([#^/!]?)\s*([^}]*?)\s*\}\}/g;
+  const stack = [{ children: [] }];
+  let last = 0;
+  let match;
+
+  while ((match = tag.exec(text))) {
+    const node = stack[stack.length - 1];
+    if (match.index > last) node.children.push(text.slice(last, match.index));
+    last = tag.lastIndex;
+
+    const [, kind, key] = match;
+    if (kind === '!') continue;
+    if (kind === '#' || kind === '^') {
+      const section = { key, inverted: kind === '^', children: [] };
+      node.children.push(section);
+      stack.push(section);
+    } else if (kind === '/') {
+      if (stack.length === 1 || node.key !== key) {
+        throw new UsageError(`Email template ${name}: {{/${key}}} doesn't close ${stack.length === 1 ? 'any section' : `{{#${node.key}}}`}`);
+      }
+      stack.pop();
+    } else {
+      node.children.push({ key });
     }
+  }
 
-    console.log(JSON.stringify({
-      business_name: latest.business?.name,
-      current_avg_rank: avgRank ? Math.round(avgRank * 10) / 10 : null,
-      recommendations
-    }, null, 2));
-  },
+  if (stack.length > 1) throw new UsageError(`Email template ${name}: {{#${stack[stack.length - 1].key}}} is never closed`);
+  stack[0].children.push(text.slice(last));
+  return stack[0].children;
+}
 
-  // Email Drafts
-  async 'email:draft'(args) {
-    const businessName = args['--business'] || args._[0];
-    if (!businessName) {
-      console.error('Usage: localrank email:draft --business "Business Name"');
-      process.exit(1);
-    }
+// Names resolve against the innermost section first, then outwards
+function lookupValue(contexts, key) {
+  if (key === '.') return contexts[contexts.length - 1];
+  const [head, ...rest] = key.split('.');
+  const context = [...contexts].reverse().find(c => c !== null && typeof c === 'object' && head in c);
+  if (!context) return undefined;
+  return rest.reduce((value, part) => (value === null || value === undefined ? undefined : value[part]), context[head]);
+}
 
-    const searchTerm = businessName.toLowerCase();
-    const data = await apiGet('/api/scans/', { page_size: 50 });
-    const results = data.results || [];
-    const clientScans = results.filter(s =>
-      s.business?.name?.toLowerCase().includes(searchTerm)
-    );
+function renderNodes(nodes, contexts) {
+  return nodes.map(node => {
+    if (typeof node === 'string') return node;
 
-    if (clientScans.length === 0) {
-      console.log(JSON.stringify({ error: `No data found for '${businessName}'` }, null, 2));
-      return;
-    }
+    const value = lookupValue(contexts, node.key);
+    if (!node.children) return value === null || value === undefined ? '' : String(value);
 
-    const latest = clientScans[0];
-    const name = latest.business?.name || businessName;
-    const avgRank = latest.avg_rank;
-    const token = latest.public_share_token;
+    const empty = !value || (Array.isArray(value) && value.length === 0);
+    if (node.inverted) return empty ? renderNodes(node.children, contexts) : '';
+    if (empty) return '';
+    if (Array.isArray(value)) return value.map(item => renderNodes(node.children, [...contexts, item])).join('');
+    return renderNodes(node.children, typeof value === 'object' ? [...contexts, value] : contexts);
+  }).join('');
+}
 
-    let change = '';
-    if (clientScans.length >= 2) {
-      const prev = clientScans[1].avg_rank;
-      if (avgRank && prev) {
-        const diff = prev - avgRank;
-        if (diff > 0) change = `Rankings improved by ${Math.round(diff * 10) / 10} positions!`;
-        else if (diff < 0) change = `Rankings dropped by ${Math.round(Math.abs(diff) * 10) / 10} positions - we're working on recovery.`;
-      }
-    }
+function renderTemplate(source, view, name = 'template') {
+  return renderNodes(parseTemplate(source, name), [view]);
+}
 
-    const email = `Subject: ${name} - Monthly SEO Update
+// The config file's `email` block, with the business's own `businesses` entry
+// on top. Keys are resolved to one business each, like the rules overrides.
+async function emailSettings(businessUuid) {
+  const { businesses = {}, ...settings } = loadConfig().email || {};
+  if (Object.keys(businesses).length === 0) return settings;
 
-Hi,
+  const { resolved, errors } = await resolveBusinessKeys(businesses, 'email.businesses');
+  if (errors.length > 0) {
+    throw new ConfigError(`Invalid email settings: ${errors.map(e => `${e.rule} ${e.message}`).join('; ')}`);
+  }
+  return { ...settings, ...resolved[businessUuid] };
+}
 
-Here's your monthly local SEO update for ${name}.
+/**
+ * A template by name: `<name>.<lang>.txt`, then `<name>.txt`, in
+ * .localrank/templates/ and then ~/.config/localrank/templates/. `default`
+ * is the built-in template unless a `default.<lang>.txt` overrides it.
+ * Anything that looks like a path is read as is.
+ */
+function findEmailTemplate(name, language) {
+  const read = file => {
+    try {
+      return fs.readFileSync(file, 'utf8');
+    } catch (e) {
+      throw new UsageError(`Can't read email template ${file}: ${e.message}`);
+    }
+  };
 
-**Current Performance:**
-- Average Local Rank: #${avgRank ? Math.round(avgRank * 10) / 10 : 'N/A'}
-- Keywords Tracked: ${latest.keywords?.length || 0}
-${change ? `\n**This Period:** ${change}` : ''}
-${token ? `\n**View Your Ranking Map:** https://app.localrank.so/share/${token}` : ''}
+  if (/[\\/]/.test(name) || name.endsWith('.txt')) {
+    const file = path.resolve(name.replace(/^~(?=\/)/, os.homedir()));
+    return { name: file, text: read(file) };
+  }
 
-Let me know if you have any questions!
+  const dirs = [TEMPLATE_DIRS.local, TEMPLATE_DIRS.global];
+  const find = fileName => dirs.map(dir => path.join(dir, fileName)).find(file => fs.existsSync(file));
 
-Best regards`;
+  const localized = find(`${name}.${language}.txt`);
+  if (localized) return { name: localized, text: read(localized) };
+  if (name === 'default' && EMAIL_TEMPLATES[language]) return { name: 'default', text: EMAIL_TEMPLATES[language] };
+  const generic = find(`${name}.txt`);
+  if (generic) return { name: generic, text: read(generic) };
 
-    console.log(JSON.stringify({
-      business_name: name,
-      email_draft: email
-    }, null, 2));
-  },
+  if (name === 'default') {
+    throw new UsageError(`No built-in email template in '${language}' (built in: ${Object.keys(EMAIL_TEMPLATES).join(', ')}). Add your own as ${path.join(TEMPLATE_DIRS.local, `default.${language}.txt`)}`);
+  }
+  throw new UsageError(`No email template '${name}' for '${language}'. Looked for ${name}.${language}.txt and ${name}.txt in ${dirs.join(' and ')}`);
+}
 
-  // Help
-  async help() {
-    console.log(`
-LocalRank CLI - AI Agent Interface
+// Built-in and user templates, with the language each is for
+function listEmailTemplates() {
+  const templates = Object.keys(EMAIL_TEMPLATES).map(language => ({ name: 'default', language, location: 'built-in', file: null }));
 
-SETUP:
-  localrank setup                     Configure API key (interactive)
-  localrank setup --key lr_xxx        Configure API key (non-interactive)
-  localrank config:show               Show current configuration
+  Object.entries(TEMPLATE_DIRS).forEach(([location, dir]) => {
+    let files = [];
+    try {
+      files = fs.readdirSync(dir).filter(file => file.endsWith('.txt')).sort();
+    } catch (e) {
+      return;
+    }
+    files.forEach(file => {
+      const [, name, language] = /^(.+?)(?:\.([a-z]{2,3}(?:-[a-z0-9]{2,8})*))?\.txt$/i.exec(file);
+      templates.push({ name, language: language || 'any', location, file: path.join(dir, file) });
+    });
+  });
 
-CLIENTS:
-  localrank businesses:list           List all tracked businesses
-  localrank businesses:list --search "name"  Search by name
+  return {
+    templates,
+    tip: `Add templates to ${TEMPLATE_DIRS.local} as <name>.txt or <name>.<lang>.txt and use them with email:draft --template <name>`
+  };
+}
 
-RANKINGS:
-  localrank scans:list                List recent scans
-  localrank scans:list --business "name"  Filter by business
-  localrank scans:get <scan_id>       Get scan details
+// Positive changes are improvements, like everywhere else
+function emailTone(change, milestones) {
+  if (change > 0) return 'celebratory';
+  if (change < 0) return 'recovery';
+  if (milestones.entered_top_3.length > 0 || milestones.reached_page_1.length > 0) return 'celebratory';
+  if (milestones.fell_off_page_1.length > 0) return 'recovery';
+  return 'neutral';
+}
 
-REPORTS:
-  localrank client:report --business "name"  Full client report with wins/drops
-  localrank portfolio:summary         Overview of all clients
-  localrank prioritize:today          What to work on today
-  localrank quick-wins:find           Keywords close to page 1
-  localrank at-risk:clients           Clients who might churn
+function localPeriodLabel(report, locale, phrases) {
+  const month = value => new Date(value).toLocaleString(locale, { month: 'long', year: 'numeric', timeZone: 'UTC' });
+  const day = value => new Date(value).toLocaleDateString(locale, { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' });
+  const label = window => {
+    if (report.period === 'month') return month(window.from);
+    if (report.period === 'quarter') {
+      const start = new Date(window.from);
+      return `${phrases.quarter}${Math.floor(start.getUTCMonth() / 3) + 1} ${start.getUTCFullYear()}`;
+    }
+    return `${day(window.from)} - ${day(window.to)}`;
+  };
 
-AUDITS:
-  localrank audit:run --url "google.com/maps/..."  Run GMB audit (500 credits)
-  localrank audit:get <audit_id>      Get audit results
+  return report.period
+    ? { period_label: label(report.current), compared_with: label(report.previous) }
+    : { period_label: month(report.latest_scan.date), compared_with: null };
+}
 
-TOOLS:
-  localrank recommendations:get --business "name"  How to help a client
-  localrank email:draft --business "name"  Draft monthly update email
+/**
+ * Everything a template can reference, from a client:report (either shape)
+ * plus quick wins and recommendations. Numbers are formatted for the
+ * language; avg_rank_change is unsigned, with improved/declined/steady
+ * saying which way it went.
+ */
+function emailView(report, { language, tone, quickWins, recommendations, work = [], signature }) {
+  const phrases = EMAIL_PHRASES[language.split('-')[0]] || EMAIL_PHRASES.en;
+  const locale = EMAIL_LOCALES[language] || language;
+  const number = value => (value === null || value === undefined ? '-' : round(value).toLocaleString(locale));
+
+  const hasPrevious = report.period ? report.previous.scans > 0 : report.total_scans >= 2;
+  // Like-for-like keeps newly added keywords from reading as a drop
+  const change = report.period ? report.like_for_like?.change ?? report.avg_rank_change : report.avg_rank_change;
+  const movement = (list, by) => [...list]
+    .sort((a, b) => b[by] - a[by])
+    .map(item => ({ keyword: item.keyword, from: number(item.from), to: number(item.to), change: number(item[by]) }));
+  // A client with a single scan has no milestones yet
+  const reached = report.milestones || compareKeywords({}, {}).milestones;
+  const milestones = Object.fromEntries(Object.entries(reached).map(([key, list]) =>
+    [key, list.map(m => ({ keyword: m.keyword, from: number(m.from), to: number(m.to) }))]));
+  const wins = movement(report.wins, 'improved_by');
+  const drops = movement(report.drops, 'dropped_by');
+  const resolvedTone = tone || emailTone(change, reached);
+
+  const view = {
+    business_name: report.business_name,
+    language,
+    ...localPeriodLabel(report, locale, phrases),
+    has_previous: hasPrevious,
+    avg_rank: number(report.period ? report.current.representative_scan?.avg_rank : report.latest_scan.avg_rank),
+    avg_rank_change: change === null || change === undefined ? null : number(Math.abs(change)),
+    improved: hasPrevious && change > 0,
+    declined: hasPrevious && change < 0,
+    steady: hasPrevious && change === 0,
+    keywords_tracked: report.period
+      ? report.keywords.length - report.removed_keywords.length
+      : report.latest_scan.keywords.length,
+    wins: wins.slice(0, EMAIL_LIST_LIMIT),
+    more_wins: Math.max(wins.length - EMAIL_LIST_LIMIT, 0),
+    drops: drops.slice(0, EMAIL_LIST_LIMIT),
+    more_drops: Math.max(drops.length - EMAIL_LIST_LIMIT, 0),
+    milestones,
+    // With nothing earlier to compare, every keyword is new - not news
+    new_keywords: hasPrevious ? report.new_keywords.map(kw => ({ keyword: kw.keyword, rank: number(kw.avg_rank) })) : [],
+    quick_wins: quickWins.slice(0, 3).map(qw => ({ ...qw, current_rank: number(qw.current_rank), positions_to_page_1: number(qw.positions_to_page_1) })),
+    recommendations,
+    work: work.map(entry => ({
+      action: entry.action,
+      date: new Date(`${entry.date}T00:00:00Z`).toLocaleDateString(locale, { month: 'short', day: 'numeric', timeZone: 'UTC' })
+    })),
+    share_url: report.view_url || null,
+    signature: signature || null,
+    tone: resolvedTone,
+    celebratory: resolvedTone === 'celebratory',
+    recovery: resolvedTone === 'recovery',
+    neutral: resolvedTone === 'neutral'
+  };
+
+  view.comparison = !hasPrevious ? '' : view.compared_with
+    ? renderTemplate(phrases.compared_with, view)
+    : phrases.since_last_scan;
+  view.intro = renderTemplate(phrases[resolvedTone].intro, view);
+  view.outro = renderTemplate(phrases[resolvedTone].outro, view);
+  return view;
+}
 
-Get your API key at: https://app.localrank.so/settings/api
-`);
+// Header values outside printable ASCII go in RFC 2047 encoded words, which
+// are capped at 75 characters, so long values are split between characters
+function encodeHeader(value) {
+  if (/^[\x20-\x7e]*$/.test(value)) return value;
+  const words = [''];
+  for (const char of value) {
+    if (Buffer.byteLength(words[words.length - 1] + char) > 45) words.push('');
+    words[words.length - 1] += char;
   }
-};
+  return words.map(word => `=?UTF-8?B?${Buffer.from(word).toString('base64')}?=`).join('\r\n ');
+}
+
+// "Name <address>" keeps the address readable when the name needs encoding
+function encodeAddress(address) {
+  const match = /^\s*"?(.*?)"?\s*<([^>]+)>\s*$/.exec(address);
+  if (!match || !match[1]) return address.trim();
+  const name = /^[\x20-\x7e]*$/.test(match[1]) && /[(),.:;<>@[\]"\\]/.test(match[1])
+    ? `"${match[1].replace(/(["\\])/g, '\\$1')}"`
+    : encodeHeader(match[1]);
+  return `${name} <${match[2]}>`;
+}
+
+// A plain-text RFC 5322 message. X-Unsent makes mail clients open it as a
+// draft to edit and send rather than as a received message.
+function buildEml({ from, to, subject, body }) {
+  const headers = [
+    from && `From: ${encodeAddress(from)}`,
+    to && `To: ${[].concat(to).map(encodeAddress).join(', ')}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=UTF-8',
+    'Content-Transfer-Encoding: 8bit',
+    'X-Unsent: 1'
+  ].filter(Boolean);
+  return `${headers.join('\r\n')}\r\n\r\n${body.replace(/\r?\n/g, '\r\n')}\r\n`;
+}
 
 // ============================================================================
 // CLI Parser
 // ============================================================================
 
+// Flags that never take a value, so a following positional isn't swallowed
+const BOOLEAN_FLAGS = new Set(['--no-cache', '--refresh', '--offline', '--expired', '--first', '--wait', '--dry-run', '--retry-errors', '--yes', '--once', '--scan', '--grid', '--heatmap']);
+
 function parseArgs(argv) {
   const args = { _: [] };
   let i = 0;
@@ -738,7 +6988,7 @@ function parseArgs(argv) {
     if (arg.startsWith('--')) {
       const key = arg;
       const next = argv[i + 1];
-      if (next && !next.startsWith('--')) {
+      if (next && !next.startsWith('--') && !BOOLEAN_FLAGS.has(key)) {
         args[key] = next;
         i++;
       } else {
@@ -771,11 +7021,103 @@ async function main() {
   }
 
   try {
-    await handler(args);
+    configureClient(args);
+    configureScheduler(args);
+    configureCache(args);
+
+    const result = await handler(args);
+    if (result !== undefined) console.log(formatResult(command, result, args));
   } catch (err) {
+    if (err instanceof UsageError) {
+      console.error(err.message);
+      process.exit(1);
+    }
+    // Nothing to report isn't a failure: agents read the reason from stdout
+    if (err instanceof NotFoundError) {
+      console.log(JSON.stringify({ error: err.message }, null, 2));
+      return;
+    }
     console.error(JSON.stringify({ error: err.message }, null, 2));
     process.exit(1);
   }
 }
 
-main();
+module.exports = {
+  configure,
+  getConfigInfo,
+  listProfiles,
+  useProfile,
+  logout,
+  rotateKey,
+  getRules,
+  validateRules,
+  getCacheStats,
+  clearCache,
+  listBusinesses,
+  addBusiness,
+  getBusiness,
+  archiveBusiness,
+  importBusinesses,
+  resolveBusiness,
+  listScans,
+  getScan,
+  createScan,
+  rerunScan,
+  listKeywords,
+  addKeywords,
+  removeKeywords,
+  getClientReport,
+  getClientReportHtml,
+  getClientTrends,
+  getKeywordHistory,
+  getPortfolioSummary,
+  prioritizeToday,
+  findQuickWins,
+  findAtRiskClients,
+  runAudit,
+  getAudit,
+  waitForAudit,
+  listAudits,
+  diffAudits,
+  runAuditBatch,
+  normalizeMapsUrl,
+  mapsPlaceName,
+  estimateScanCredits,
+  getCreditHistory,
+  checkAlerts,
+  watch,
+  muteAlerts,
+  unmuteAlerts,
+  getRecommendations,
+  draftEmail,
+  addWorkLog,
+  listWorkLog,
+  removeWorkLog,
+  getWorkLogImpact,
+  setGoal,
+  listGoals,
+  removeGoal,
+  getGoalStatus,
+  getWeeklyDigest,
+  listEmailTemplates,
+  renderTemplate,
+  apiGet,
+  apiGetAll,
+  apiPost,
+  AUDIT_CREDITS,
+  SCAN_GRID_SIZES,
+  LocalRankError,
+  ConfigError,
+  UsageError,
+  AmbiguousBusinessError,
+  NotFoundError,
+  NetworkError,
+  OfflineError,
+  WaitTimeoutError,
+  CreditLimitError,
+  ApiError
+};
+
+if (require.main === module) {
+  main();
+}
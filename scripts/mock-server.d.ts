@@ -0,0 +1,32 @@
+export interface MockServerOptions {
+  /** Default 8787; 0 picks a free port */
+  port?: number;
+  /** Default 127.0.0.1 */
+  host?: string;
+  /** Balance scans and audits draw down before the server answers 402 (default 25000) */
+  credits?: number;
+  /** Milliseconds to delay each response */
+  latency?: number;
+  /** Share of requests (0-1) answered with a 429 or 500 */
+  failRate?: number;
+  /** Varies the fixture data (default 1) */
+  seed?: number;
+  /** Receives one line per request */
+  log?: ((message: string) => void) | null;
+}
+
+export interface MockServer {
+  listen(port: number, host?: string, callback?: () => void): unknown;
+  close(callback?: (err?: Error) => void): unknown;
+  address(): { port: number; address: string } | string | null;
+}
+
+/** An http.Server serving the LocalRank API from fixture data; any API key is accepted */
+export function createMockServer(options?: Omit<MockServerOptions, 'port' | 'host'>): MockServer;
+/** @throws UsageError when the port is already in use */
+export function startMockServer(options?: MockServerOptions): Promise<{ server: MockServer; url: string }>;
+
+/** Port `localrank mock-server` listens on by default */
+export const MOCK_PORT: number;
+/** Credit balance the mock account starts with */
+export const MOCK_CREDITS: number;
@@ -0,0 +1,490 @@
+/**
+ * LocalRank mock API
+ *
+ * Serves the LocalRank API from fixture data, for testing agent workflows and
+ * demos without an account. `localrank mock-server` runs it from the CLI.
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const {
+  UsageError,
+  normalizeMapsUrl,
+  mapsPlaceName,
+  estimateScanCredits,
+  AUDIT_CREDITS,
+  SCAN_GRID_SIZES
+} = require('./localrank');
+
+const MOCK_PORT = 8787;
+const MOCK_CREDITS = 25000;
+// Low enough that the fixture lists span several pages
+const MOCK_MAX_PAGE_SIZE = 50;
+const MOCK_SCAN_WEEKS = 16;
+// Detail requests a new audit or scan answers 'processing' to before it completes
+const MOCK_PROCESSING_POLLS = 3;
+// For laying grid points out around the business, `radius` miles to the edge
+const MILES_PER_DEGREE_LAT = 69.05;
+
+// Fixture clients. A positive trend loses rank every week and `jump` is added
+// in the latest scan, so the portfolio tools find wins, drops, quick wins and
+// at-risk clients.
+const MOCK_BUSINESSES = [
+  { name: 'Acme Plumbing', category: 'Plumber', city: 'Dallas, TX', lat: 32.7767, lng: -96.797, rank: 9, trend: -0.4, keywords: ['plumber', 'emergency plumber', 'drain cleaning', 'water heater repair'] },
+  { name: "Joe's Roofing", category: 'Roofing contractor', city: 'Austin, TX', lat: 30.2672, lng: -97.7431, rank: 6, trend: 0.4, jump: 3, keywords: ['roofer', 'roof repair', 'roof replacement'] },
+  { name: 'Bright Smile Dental', category: 'Dentist', city: 'Denver, CO', lat: 39.7392, lng: -104.9903, rank: 15, trend: -0.5, jump: -2, keywords: ['dentist', 'teeth whitening', 'emergency dentist', 'dental implants'] },
+  { name: 'Green Leaf Landscaping', category: 'Landscaper', city: 'Portland, OR', lat: 45.5152, lng: -122.6784, rank: 11, trend: 0, keywords: ['landscaping', 'lawn care', 'tree trimming'] },
+  { name: 'Northside Auto Repair', category: 'Auto repair shop', city: 'Chicago, IL', lat: 41.8781, lng: -87.6298, rank: 4, trend: 0.6, keywords: ['auto repair', 'brake repair', 'oil change'] },
+  { name: 'Sunset Yoga Studio', category: 'Yoga studio', city: 'San Diego, CA', lat: 32.7157, lng: -117.1611, rank: 13, trend: -0.3, keywords: ['yoga studio', 'hot yoga', 'yoga classes'] },
+  { name: 'Riverside Family Law', category: 'Family law attorney', city: 'Sacramento, CA', lat: 38.5816, lng: -121.4944, rank: 14, trend: 0.15, keywords: ['divorce lawyer', 'family lawyer', 'custody attorney'] },
+  { name: 'Prime Cut Barbershop', category: 'Barber shop', city: 'Miami, FL', lat: 25.7617, lng: -80.1918, rank: 3, trend: -0.05, keywords: ['barber', 'barbershop', 'fade haircut'] }
+];
+
+// Prospect audits: two of Joe's Roofing for audit:diff, a failed one and one still processing
+const MOCK_AUDITS = [
+  { business_name: "Joe's Roofing", days_ago: 120, score: 52, reviews: 31, rating: 4.2, response_rate: 0.3, issues: 6 },
+  { business_name: 'Harbor View Dental', days_ago: 40, score: 64, reviews: 87, rating: 4.4, response_rate: 0.5, issues: 4 },
+  { business_name: 'Metro Locksmith', days_ago: 21, score: 38, reviews: 9, rating: 3.9, response_rate: 0, issues: 7 },
+  { business_name: "Joe's Roofing", days_ago: 10, score: 71, reviews: 48, rating: 4.6, response_rate: 0.8, issues: 3 },
+  { business_name: 'Lakeside Pet Grooming', days_ago: 3, status: 'failed' },
+  { business_name: 'Cornerstone Bakery', days_ago: 0, status: 'processing', score: 58, reviews: 22, rating: 4.5, response_rate: 0.2, issues: 5 }
+];
+
+// Most severe first; an audit with n issues reports the first n
+const MOCK_ISSUES = [
+  { title: 'Business hours missing', severity: 'high' },
+  { title: 'No website linked', severity: 'high' },
+  { title: 'Primary category too broad', severity: 'high' },
+  { title: 'Fewer than 10 photos', severity: 'medium' },
+  { title: 'Reviews left unanswered', severity: 'medium' },
+  { title: 'No posts in the last 30 days', severity: 'low' },
+  { title: 'Q&A section empty', severity: 'low' }
+];
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function round(value, places = 1) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+class MockHttpError extends Error {
+  constructor(status, detail) {
+    super(detail);
+    this.status = status;
+  }
+}
+
+// Seeded, so every run serves the same ranks, ratings and scores
+function mockRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function mockId(...parts) {
+  const hex = crypto.createHash('sha256').update(parts.join(':')).digest('hex');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-4${hex.slice(13, 16)}-a${hex.slice(17, 20)}-${hex.slice(20, 32)}`;
+}
+
+function mockPlaceId(...parts) {
+  return `ChIJ${crypto.createHash('sha256').update(parts.join(':')).digest('base64url').slice(0, 23)}`;
+}
+
+/**
+ * One keyword's result with a rank per grid point: best near the business
+ * and worse towards the edge, averaging roughly `avgRank`. Points past rank
+ * 20 count as not found. Points are listed row by row from the north-west
+ * corner, like the real API.
+ */
+function mockKeywordResult(keyword, avgRank, { gridSize, radius, center }, random) {
+  const half = (gridSize - 1) / 2;
+  const spacing = half > 0 ? radius / half : 0;
+  const best = Math.max(1, avgRank * 0.4);
+  const cells = [];
+  for (let row = 0; row < gridSize; row++) {
+    for (let col = 0; col < gridSize; col++) cells.push([row, col, Math.hypot(row - half, col - half)]);
+  }
+  const meanDistance = cells.reduce((sum, [, , distance]) => sum + distance, 0) / cells.length || 1;
+
+  const points = cells.map(([row, col, distance]) => {
+    const rank = Math.max(1, Math.round(best + (avgRank - best) * distance / meanDistance + random() * 3 - 1.5));
+    return {
+      lat: center ? round(center.lat + (half - row) * spacing / MILES_PER_DEGREE_LAT, 6) : null,
+      lng: center ? round(center.lng + (col - half) * spacing / (MILES_PER_DEGREE_LAT * Math.cos(center.lat * Math.PI / 180)), 6) : null,
+      rank: rank > 20 ? null : rank
+    };
+  });
+
+  const found = points.filter(point => point.rank !== null);
+  return {
+    keyword,
+    avg_rank: round(Math.min(20, Math.max(1, avgRank))),
+    best_rank: found.length ? Math.min(...found.map(point => point.rank)) : null,
+    found_count: found.length,
+    grid_points: points
+  };
+}
+
+// `rankOf(i)` is the average rank of the i-th keyword
+function mockScan(business, keywords, rankOf, createdAt, { status = 'completed', gridSize = 7, radius = 3, random }) {
+  const uuid = mockId('scan', business.uuid, createdAt);
+  const center = business.latitude === null ? null : { lat: business.latitude, lng: business.longitude };
+  const keywordResults = keywords.map((keyword, i) => mockKeywordResult(keyword, rankOf(i), { gridSize, radius, center }, random));
+  const ranks = keywordResults.map(kw => kw.avg_rank);
+  return {
+    uuid,
+    business: { uuid: business.uuid, name: business.name },
+    keywords,
+    grid_size: gridSize,
+    radius,
+    latitude: business.latitude,
+    longitude: business.longitude,
+    status,
+    avg_rank: round(ranks.reduce((sum, rank) => sum + rank, 0) / ranks.length),
+    created_at: createdAt,
+    public_share_token: uuid.replace(/-/g, '').slice(0, 16),
+    keyword_results: keywordResults,
+    polls_left: status === 'processing' ? MOCK_PROCESSING_POLLS : 0
+  };
+}
+
+function mockAudit(fixture, createdAt, random) {
+  const auditId = mockId('audit', fixture.business_name, createdAt);
+  const slug = encodeURIComponent(fixture.business_name).replace(/%20/g, '+');
+  return {
+    audit_id: auditId,
+    business_name: fixture.business_name,
+    gmb_url: fixture.gmb_url || `https://www.google.com/maps/place/${slug}/`,
+    status: fixture.status || 'completed',
+    audit_score: fixture.score ?? null,
+    created_at: createdAt,
+    share_url: `https://app.localrank.so/audit/${auditId}`,
+    review_stats: fixture.reviews === undefined ? null : {
+      total_reviews: fixture.reviews,
+      average_rating: fixture.rating,
+      response_rate: fixture.response_rate,
+      breakdown: { 5: Math.round(fixture.reviews * 0.7), 4: Math.round(fixture.reviews * 0.2), 3: Math.round(fixture.reviews * 0.05) }
+    },
+    revenue_impact: fixture.score === undefined ? null : {
+      estimated_monthly_calls_lost: Math.round((100 - fixture.score) * (1 + random())),
+      estimated_monthly_revenue_lost: Math.round((100 - fixture.score) * 85 * (1 + random()))
+    },
+    issues_identified: MOCK_ISSUES.slice(0, fixture.issues || 0),
+    polls_left: fixture.status === 'processing' ? MOCK_PROCESSING_POLLS : 0
+  };
+}
+
+// Businesses with weekly scans ending yesterday, tracked keywords and past audits
+function mockFixtures({ seed = 1, now = Date.now() } = {}) {
+  const random = mockRandom(seed);
+  const day = 24 * 60 * 60 * 1000;
+  const state = { businesses: [], keywords: new Map(), scans: [], audits: [], random };
+
+  MOCK_BUSINESSES.forEach((fixture, b) => {
+    const uuid = mockId('business', fixture.name);
+    const business = {
+      uuid,
+      name: fixture.name,
+      place_id: mockPlaceId(fixture.name),
+      address: `${100 + b * 37} Main St, ${fixture.city}`,
+      latitude: fixture.lat,
+      longitude: fixture.lng,
+      phone: `(555) 01${String(b).padStart(2, '0')}-${1000 + b * 111}`,
+      website: `https://www.${fixture.name.toLowerCase().replace(/[^a-z0-9]+/g, '')}.com`,
+      category: fixture.category,
+      rating: Math.round((4 + random()) * 10) / 10,
+      review_count: 20 + Math.floor(random() * 180),
+      maps_url: `https://www.google.com/maps/place/?q=place_id:${mockPlaceId(fixture.name)}`,
+      created_at: new Date(now - (MOCK_SCAN_WEEKS * 7 + 30) * day).toISOString()
+    };
+    state.businesses.push(business);
+    state.keywords.set(uuid, [...fixture.keywords]);
+
+    const offsets = fixture.keywords.map(() => random() * 6 - 3);
+    for (let week = 0; week < MOCK_SCAN_WEEKS; week++) {
+      const age = MOCK_SCAN_WEEKS - 1 - week;
+      const createdAt = new Date(now - (age * 7 + 1) * day - b * 60 * 60 * 1000).toISOString();
+      const rankOf = i => fixture.rank + offsets[i] + fixture.trend * week + (age === 0 ? fixture.jump || 0 : 0) + random() * 2 - 1;
+      state.scans.push(mockScan(business, fixture.keywords, rankOf, createdAt, { random }));
+    }
+  });
+  state.scans.sort((a, b) => b.created_at.localeCompare(a.created_at));
+
+  MOCK_AUDITS.forEach(fixture => {
+    const createdAt = new Date(now - fixture.days_ago * day - 60 * 60 * 1000).toISOString();
+    state.audits.unshift(mockAudit(fixture, createdAt, random));
+  });
+
+  return state;
+}
+
+// DRF-style page of `items`, with absolute next/previous links
+function mockPage(url, items) {
+  const pageSize = Math.min(parseInt(url.searchParams.get('page_size')) || 20, MOCK_MAX_PAGE_SIZE);
+  const page = parseInt(url.searchParams.get('page') || '1');
+  const pages = Math.max(1, Math.ceil(items.length / pageSize));
+  if (!(page >= 1 && page <= pages)) throw new MockHttpError(404, 'Invalid page.');
+
+  const link = n => {
+    const target = new URL(url);
+    target.searchParams.set('page', n);
+    return target.toString();
+  };
+  return {
+    count: items.length,
+    next: page < pages ? link(page + 1) : null,
+    previous: page > 1 ? link(page - 1) : null,
+    results: items.slice((page - 1) * pageSize, page * pageSize)
+  };
+}
+
+function mockFind(items, key, value) {
+  const item = items.find(entry => entry[key] === value);
+  if (!item) throw new MockHttpError(404, 'Not found.');
+  return item;
+}
+
+// Processing scans and audits complete after a few polls of their detail endpoint
+function mockPoll(item) {
+  if (item.status !== 'processing') return;
+  if (item.polls_left > 0) item.polls_left--;
+  else item.status = 'completed';
+}
+
+function mockScanView(scan, { detail = false } = {}) {
+  const { polls_left: pollsLeft, keyword_results: keywordResults, ...view } = scan;
+  if (view.status !== 'completed') return { ...view, avg_rank: null, public_share_token: null };
+  return detail ? { ...view, keyword_results: keywordResults } : view;
+}
+
+function mockAuditView(audit) {
+  const { polls_left: pollsLeft, ...view } = audit;
+  if (view.status === 'completed') return view;
+  return { ...view, audit_score: null, review_stats: null, revenue_impact: null, issues_identified: [] };
+}
+
+function mockSpend(state, credits, what) {
+  if (state.credits < credits) {
+    throw new MockHttpError(402, `Insufficient credits: ${what} needs ${credits} and the account has ${state.credits}.`);
+  }
+  state.credits -= credits;
+  return { credits_deducted: credits, credits_remaining: state.credits };
+}
+
+function mockBusinessKeywords(state, uuid) {
+  mockFind(state.businesses, 'uuid', uuid);
+  return state.keywords.get(uuid);
+}
+
+function mockKeywordList(body) {
+  if (!Array.isArray(body?.keywords) || body.keywords.some(k => typeof k !== 'string' || !k.trim())) {
+    throw new MockHttpError(400, 'keywords must be a list of strings.');
+  }
+  return body.keywords.map(k => k.trim());
+}
+
+function mockCreateBusiness(state, { body }) {
+  const mapsUrl = body?.gmb_url ? normalizeMapsUrl(body.gmb_url) : null;
+  if (body?.gmb_url && !mapsUrl) throw new MockHttpError(400, 'Enter a valid Google Maps URL.');
+  if (!mapsUrl && !body?.place_id) throw new MockHttpError(400, 'gmb_url or place_id is required.');
+
+  const placeId = body.place_id || mockPlaceId(mapsUrl);
+  if (state.businesses.some(b => b.place_id === placeId)) throw new MockHttpError(400, 'This business is already tracked.');
+
+  const name = (mapsUrl && mapsPlaceName(mapsUrl)) || `Business ${placeId.slice(-6)}`;
+  const business = {
+    uuid: mockId('business', placeId),
+    name,
+    place_id: placeId,
+    address: null,
+    latitude: null,
+    longitude: null,
+    phone: null,
+    website: null,
+    category: null,
+    rating: null,
+    review_count: 0,
+    maps_url: mapsUrl || `https://www.google.com/maps/place/?q=place_id:${placeId}`,
+    created_at: new Date().toISOString()
+  };
+  state.businesses.unshift(business);
+  state.keywords.set(business.uuid, []);
+  return business;
+}
+
+function mockCreateScan(state, { body }) {
+  const business = state.businesses.find(b => b.uuid === body?.business_uuid);
+  if (!business) throw new MockHttpError(400, 'Unknown business_uuid.');
+  const keywords = mockKeywordList(body);
+  if (keywords.length === 0) throw new MockHttpError(400, 'At least one keyword is required.');
+  const gridSize = body.grid_size ?? 7;
+  if (!SCAN_GRID_SIZES.includes(gridSize)) throw new MockHttpError(400, `grid_size must be one of ${SCAN_GRID_SIZES.join(', ')}.`);
+  const radius = body.radius ?? 3;
+  if (!(typeof radius === 'number' && radius > 0)) throw new MockHttpError(400, 'radius must be a positive number of miles.');
+
+  const spend = mockSpend(state, estimateScanCredits(keywords.length, gridSize), 'this scan');
+  const scan = mockScan(business, keywords, () => 4 + state.random() * 14, new Date().toISOString(),
+    { status: 'processing', gridSize, radius, random: state.random });
+  state.scans.unshift(scan);
+  return { uuid: scan.uuid, status: scan.status, ...spend };
+}
+
+function mockRunAudit(state, { body }) {
+  const mapsUrl = normalizeMapsUrl(body?.gmb_url);
+  if (!mapsUrl) throw new MockHttpError(400, 'Enter a valid Google Maps URL.');
+
+  const spend = mockSpend(state, AUDIT_CREDITS, 'an audit');
+  const random = state.random;
+  const audit = mockAudit({
+    business_name: mapsPlaceName(mapsUrl) || 'Unnamed business',
+    gmb_url: mapsUrl,
+    status: 'processing',
+    score: 35 + Math.floor(random() * 55),
+    reviews: Math.floor(random() * 150),
+    rating: Math.round((3.5 + random() * 1.5) * 10) / 10,
+    response_rate: Math.round(random() * 100) / 100,
+    issues: 1 + Math.floor(random() * MOCK_ISSUES.length)
+  }, new Date().toISOString(), random);
+  state.audits.unshift(audit);
+  return { audit_id: audit.audit_id, status: audit.status, share_url: audit.share_url, ...spend };
+}
+
+// [method, path, handler, status]; handlers get (state, { url, body }, ...path parameters)
+const MOCK_ROUTES = [
+  ['GET', /^\/api\/businesses\/$/, (state, { url }) => mockPage(url, state.businesses)],
+  ['POST', /^\/api\/businesses\/$/, mockCreateBusiness, 201],
+  ['GET', /^\/api\/businesses\/([^/]+)\/$/, (state, request, uuid) => mockFind(state.businesses, 'uuid', uuid)],
+  ['POST', /^\/api\/businesses\/([^/]+)\/archive\/$/, (state, request, uuid) => {
+    const business = mockFind(state.businesses, 'uuid', uuid);
+    state.businesses.splice(state.businesses.indexOf(business), 1);
+    return { uuid, archived: true };
+  }],
+  ['GET', /^\/api\/businesses\/([^/]+)\/keywords\/$/, (state, request, uuid) => ({ keywords: mockBusinessKeywords(state, uuid) })],
+  ['POST', /^\/api\/businesses\/([^/]+)\/keywords\/$/, (state, { body }, uuid) => {
+    const tracked = mockBusinessKeywords(state, uuid);
+    mockKeywordList(body).filter(k => !tracked.includes(k)).forEach(k => tracked.push(k));
+    return { keywords: tracked };
+  }],
+  ['DELETE', /^\/api\/businesses\/([^/]+)\/keywords\/$/, (state, { body }, uuid) => {
+    const removed = mockKeywordList(body);
+    const kept = mockBusinessKeywords(state, uuid).filter(k => !removed.includes(k));
+    state.keywords.set(uuid, kept);
+    return { keywords: kept };
+  }],
+  ['GET', /^\/api\/scans\/$/, (state, { url }) => mockPage(url, state.scans.map(scan => mockScanView(scan)))],
+  ['POST', /^\/api\/scans\/$/, mockCreateScan, 201],
+  ['GET', /^\/api\/scans\/([^/]+)\/$/, (state, request, uuid) => {
+    const scan = mockFind(state.scans, 'uuid', uuid);
+    mockPoll(scan);
+    return mockScanView(scan, { detail: true });
+  }],
+  ['GET', /^\/api\/gmb\/audit\/$/, (state, { url }) => mockPage(url, state.audits.map(mockAuditView))],
+  ['POST', /^\/api\/gmb\/audit\/run\/$/, mockRunAudit, 201],
+  ['GET', /^\/api\/gmb\/audit\/([^/]+)\/$/, (state, request, auditId) => {
+    const audit = mockFind(state.audits, 'audit_id', auditId);
+    mockPoll(audit);
+    return mockAuditView(audit);
+  }]
+];
+
+function readRequestBody(req) {
+  return new Promise((resolve, reject) => {
+    let text = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => { text += chunk; });
+    req.on('error', reject);
+    req.on('end', () => {
+      if (!text) return resolve(undefined);
+      try {
+        resolve(JSON.parse(text));
+      } catch (e) {
+        reject(new MockHttpError(400, 'JSON parse error.'));
+      }
+    });
+  });
+}
+
+/**
+ * An HTTP server speaking the LocalRank API with fixture data, for testing
+ * agent workflows and demos without an account. Every request needs an
+ * Api-Key header (any key works). `credits` is the account balance that
+ * scans and audits draw down (402 once it runs out), `latency` delays each
+ * response in milliseconds, `failRate` (0-1) answers that share of requests
+ * with a 429 or 500 to exercise retries, and `seed` varies the fixture data.
+ */
+function createMockServer({ credits = MOCK_CREDITS, latency = 0, failRate = 0, seed, log } = {}) {
+  const state = { ...mockFixtures({ seed }), credits };
+  let failures = 0;
+
+  return http.createServer(async (req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    const headers = { 'Content-Type': 'application/json' };
+    let status = 200;
+    let payload;
+
+    try {
+      const body = await readRequestBody(req);
+      if (latency > 0) await sleep(latency);
+      if (!/^Api-Key \S+/.test(req.headers.authorization || '')) {
+        throw new MockHttpError(401, 'Authentication credentials were not provided.');
+      }
+      if (failRate > 0 && Math.random() < failRate) {
+        // Alternate between the two failures the client retries
+        if (failures++ % 2 === 0) {
+          headers['Retry-After'] = '1';
+          throw new MockHttpError(429, 'Request was throttled. Expected available in 1 second.');
+        }
+        throw new MockHttpError(500, 'A server error occurred.');
+      }
+
+      const routes = MOCK_ROUTES.filter(([, pattern]) => pattern.test(url.pathname));
+      const route = routes.find(([method]) => method === req.method);
+      if (!route) {
+        throw routes.length > 0
+          ? new MockHttpError(405, `Method "${req.method}" not allowed.`)
+          : new MockHttpError(404, 'Not found.');
+      }
+
+      const [, pattern, handler, created] = route;
+      payload = handler(state, { url, body }, ...pattern.exec(url.pathname).slice(1));
+      status = created || 200;
+    } catch (err) {
+      if (!(err instanceof MockHttpError)) log?.(`Mock server error: ${err.stack || err.message}`);
+      status = err instanceof MockHttpError ? err.status : 500;
+      payload = { detail: err instanceof MockHttpError ? err.message : 'A server error occurred.' };
+    }
+
+    res.writeHead(status, headers);
+    res.end(JSON.stringify(payload));
+    log?.(`${req.method} ${url.pathname}${url.search} ${status}`);
+  });
+}
+
+// Start a mock server; resolves once it is listening. Port 0 picks a free port.
+function startMockServer({ port = MOCK_PORT, host = '127.0.0.1', ...options } = {}) {
+  const server = createMockServer(options);
+  return new Promise((resolve, reject) => {
+    server.once('error', err => reject(err.code === 'EADDRINUSE'
+      ? new UsageError(`Port ${port} is already in use. Pick another with --port`)
+      : err));
+    server.listen(port, host, () => {
+      const address = server.address();
+      resolve({ server, url: `http://${host}:${address.port}` });
+    });
+  });
+}
+
+module.exports = {
+  createMockServer,
+  startMockServer,
+  MOCK_PORT,
+  MOCK_CREDITS
+};
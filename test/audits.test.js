@@ -0,0 +1,84 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('assert');
+const { createSandbox } = require('./helpers');
+
+const audits = {
+  'a-1': {
+    audit_id: 'a-1',
+    business_name: 'Acme Plumbing',
+    status: 'completed',
+    audit_score: 62,
+    created_at: '2026-05-01T00:00:00Z',
+    review_stats: { total_reviews: 40, average_rating: 4.1 },
+    issues_identified: ['No business hours', { title: 'Few photos', severity: 'medium' }]
+  },
+  'a-2': {
+    audit_id: 'a-2',
+    business_name: 'Acme Plumbing',
+    status: 'completed',
+    audit_score: 74,
+    created_at: '2026-06-01T00:00:00Z',
+    review_stats: { total_reviews: 52, average_rating: 4.3 },
+    issues_identified: [{ title: 'Few photos', severity: 'low' }, 'No replies to reviews']
+  },
+  'a-3': { audit_id: 'a-3', business_name: "Joe's Roofing", status: 'completed', audit_score: 50, created_at: '2026-06-02T00:00:00Z' }
+};
+
+describe('audits', () => {
+  let sandbox;
+
+  before(async () => {
+    sandbox = await createSandbox({
+      'GET /api/gmb/audit/': () => ({ results: Object.values(audits).reverse() })
+    });
+    Object.values(audits).forEach(audit => {
+      sandbox.routes[`GET /api/gmb/audit/${audit.audit_id}/`] = () => audit;
+    });
+  });
+
+  after(() => sandbox.close());
+
+  test('audit:wait polls until the audit completes', async () => {
+    let polls = 0;
+    sandbox.routes['GET /api/gmb/audit/a-new/'] = () => (++polls < 2
+      ? { audit_id: 'a-new', status: 'processing', business_name: 'Acme Plumbing' }
+      : { ...audits['a-2'], audit_id: 'a-new' });
+
+    const { code, json, stderr } = await sandbox.run(['audit:wait', 'a-new']);
+    assert.strictEqual(code, 0, stderr);
+    assert.strictEqual(polls, 2);
+    assert.strictEqual(json.status, 'completed');
+    assert.strictEqual(json.audit_score, 74);
+  });
+
+  test('audit:wait gives up after --max-wait and names the audit', async () => {
+    sandbox.routes['GET /api/gmb/audit/a-slow/'] = () => ({ audit_id: 'a-slow', status: 'processing' });
+
+    const { code, stderr } = await sandbox.run(['audit:wait', 'a-slow', '--max-wait', '1']);
+    assert.strictEqual(code, 1);
+    assert.match(stderr, /Audit a-slow is still processing after 1s/);
+    assert.match(stderr, /localrank audit:wait a-slow/);
+  });
+
+  test('audit:list filters by business name', async () => {
+    const { json } = await sandbox.run(['audit:list', '--business', 'acme']);
+    assert.deepStrictEqual(json.audits.map(a => a.audit_id), ['a-2', 'a-1']);
+    assert.strictEqual(json.count, 2);
+  });
+
+  test('audit:diff compares score, review stats and issues', async () => {
+    const { code, json } = await sandbox.run(['audit:diff', 'a-1', 'a-2']);
+    assert.strictEqual(code, 0);
+    assert.strictEqual(json.score_change, 12);
+    assert.deepStrictEqual(json.review_stats.find(s => s.metric === 'total_reviews'), { metric: 'total_reviews', old: 40, new: 52, change: 12 });
+    assert.deepStrictEqual(json.issues.resolved.map(i => i.issue), ['No business hours']);
+    assert.deepStrictEqual(json.issues.new.map(i => i.issue), ['No replies to reviews']);
+    assert.deepStrictEqual(json.issues.remaining, [{ issue: 'Few photos', title: 'Few photos', severity: 'low' }]);
+  });
+
+  test('audit:diff refuses audits of different businesses', async () => {
+    const { code, stderr } = await sandbox.run(['audit:diff', 'a-1', 'a-3']);
+    assert.strictEqual(code, 1);
+    assert.match(stderr, /Audits are for different businesses/);
+  });
+});
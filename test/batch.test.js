@@ -0,0 +1,80 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const { createSandbox } = require('./helpers');
+
+describe('audit:batch', () => {
+  let sandbox;
+  let started = 0;
+
+  before(async () => {
+    sandbox = await createSandbox({
+      // Corner Cafe was audited last week
+      'GET /api/gmb/audit/': () => ({
+        results: [{ audit_id: 'a-old', business_name: 'Corner Cafe', status: 'completed', audit_score: 70, created_at: new Date().toISOString() }]
+      }),
+      'POST /api/gmb/audit/run/': () => {
+        const id = `a-${++started}`;
+        sandbox.routes[`GET /api/gmb/audit/${id}/`] = () => ({ audit_id: id, status: 'completed', business_name: 'Main St Deli', audit_score: 55 });
+        return { audit_id: id, status: 'processing', credits_deducted: 500 };
+      }
+    });
+  });
+
+  after(() => sandbox.close());
+
+  test('a file without a header is one link per line', async () => {
+    const file = sandbox.writeFile('prospects.csv', [
+      'https://www.google.com/maps/place/Corner+Cafe',
+      '"https://www.google.com/maps/place/Main+St+Deli/@30.2,-97.7,15z"',
+      '"https://www.google.com/maps/place/Main+St+Deli/@30.2001,-97.7001,17z?utm_source=x"',
+      'not a link'
+    ].join('\n'));
+
+    const { code, json } = await sandbox.run(['audit:batch', '--file', file, '--dry-run']);
+    assert.strictEqual(code, 0);
+    assert.deepStrictEqual(json.rows.map(row => [row.url, row.status]), [
+      ['https://www.google.com/maps/place/Corner+Cafe', 'recent'],
+      ['https://www.google.com/maps/place/Main+St+Deli/@30.2,-97.7,15z', 'planned'],
+      ['https://www.google.com/maps/place/Main+St+Deli/@30.2001,-97.7001,17z', 'duplicate'],
+      [null, 'invalid']
+    ]);
+    assert.strictEqual(json.projected_credits, 500);
+    assert.strictEqual(started, 0);
+  });
+
+  test('quoted fields keep their commas and a header picks the columns', async () => {
+    const file = sandbox.writeFile('named.csv', [
+      'business_name,notes,url',
+      '"Smith, Jones & Co","says ""call back""",https://www.google.com/maps/place/Smith+Jones/@32.7,-96.8,15z'
+    ].join('\r\n'));
+
+    const { json } = await sandbox.run(['audit:batch', '--file', file, '--dry-run']);
+    assert.deepStrictEqual(json.rows.map(row => [row.row, row.business_name, row.status]), [[2, 'Smith, Jones & Co', 'planned']]);
+  });
+
+  test('a real run needs a budget', async () => {
+    const file = sandbox.writeFile('budget.csv', 'https://www.google.com/maps/place/Main+St+Deli\n');
+    const { code, stderr } = await sandbox.run(['audit:batch', '--file', file]);
+    assert.strictEqual(code, 1);
+    assert.match(stderr, /Pass --max-credits/);
+  });
+
+  test('the budget caps the audits started, and a second run resumes from the results file', async () => {
+    const file = sandbox.writeFile('run.csv', [
+      'https://www.google.com/maps/place/Main+St+Deli',
+      'https://www.google.com/maps/place/Uptown+Bakery'
+    ].join('\n'));
+
+    const first = await sandbox.run(['audit:batch', '--file', file, '--max-credits', '500', '--yes']);
+    assert.strictEqual(first.code, 0, first.stderr);
+    assert.deepStrictEqual(first.json.rows.map(row => row.status), ['completed', 'over_budget']);
+    assert.strictEqual(first.json.credits_spent, 500);
+    assert.match(fs.readFileSync(first.json.results_file, 'utf8'), /^row,input,url,/);
+
+    const again = await sandbox.run(['audit:batch', '--file', file, '--max-credits', '0', '--yes']);
+    assert.deepStrictEqual(again.json.rows.map(row => row.status), ['completed', 'over_budget']);
+    assert.strictEqual(again.json.rows[0].audit_id, 'a-1');
+    assert.strictEqual(started, 1);
+  });
+});
@@ -0,0 +1,93 @@
+const { describe, test, before, after, beforeEach } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { createSandbox } = require('./helpers');
+
+const scan = {
+  uuid: 's-1',
+  business: { uuid: 'b-1', name: 'Acme Plumbing' },
+  status: 'completed',
+  avg_rank: 6.2,
+  keyword_results: [{ keyword: 'plumber', avg_rank: 6.2, best_rank: 3, found_count: 40 }],
+  created_at: '2026-06-01T00:00:00Z'
+};
+
+describe('response cache', () => {
+  let sandbox;
+
+  before(async () => {
+    sandbox = await createSandbox({
+      'GET /api/businesses/': () => ({ results: [{ uuid: 'b-1', name: 'Acme Plumbing', place_id: 'place-1' }] }),
+      'GET /api/scans/s-1/': () => scan
+    });
+    delete sandbox.env.LOCALRANK_NO_CACHE;
+  });
+
+  beforeEach(async () => {
+    await sandbox.run(['cache:clear']);
+    fs.rmSync(path.join(sandbox.cwd, '.localrank'), { recursive: true, force: true });
+    sandbox.requests.length = 0;
+  });
+
+  after(() => sandbox.close());
+
+  test('a repeated read is answered from the cache', async () => {
+    await sandbox.run(['businesses:list']);
+    const { json } = await sandbox.run(['businesses:list']);
+    assert.strictEqual(json.count, 1);
+    assert.strictEqual(sandbox.requests.length, 1);
+  });
+
+  test('--refresh reads through, --no-cache neither reads nor writes', async () => {
+    await sandbox.run(['businesses:list']);
+    await sandbox.run(['businesses:list', '--refresh']);
+    assert.strictEqual(sandbox.requests.length, 2);
+
+    await sandbox.run(['cache:clear']);
+    await sandbox.run(['businesses:list', '--no-cache']);
+    assert.strictEqual((await sandbox.run(['cache:stats'])).json.entries, 0);
+  });
+
+  test('completed scans are kept permanently, lists expire', async () => {
+    await sandbox.run(['businesses:list']);
+    await sandbox.run(['scans:get', 's-1']);
+    const { json } = await sandbox.run(['cache:stats']);
+    assert.strictEqual(json.directory, path.join(sandbox.home, '.config', 'localrank', 'cache'));
+    assert.strictEqual(json.entries, 2);
+    assert.strictEqual(json.permanent, 1);
+    assert.strictEqual(json.fresh, 1);
+    assert.strictEqual(json.ttl_seconds, 900);
+  });
+
+  test('each API key has its own entries', async () => {
+    await sandbox.run(['businesses:list']);
+    await sandbox.run(['businesses:list'], { env: { LOCALRANK_API_KEY: 'lr_other' } });
+    assert.strictEqual(sandbox.requests.length, 2);
+  });
+
+  test('a project-local .localrank directory gets its own cache', async () => {
+    fs.mkdirSync(path.join(sandbox.cwd, '.localrank'));
+    await sandbox.run(['businesses:list']);
+    const { json } = await sandbox.run(['cache:stats']);
+    assert.strictEqual(json.directory, path.join(sandbox.cwd, '.localrank', 'cache'));
+    assert.strictEqual(json.entries, 1);
+  });
+
+  test('--offline answers from the cache and never calls the API', async () => {
+    await sandbox.run(['scans:get', 's-1']);
+    sandbox.requests.length = 0;
+
+    const cached = await sandbox.run(['scans:get', 's-1', '--offline']);
+    assert.strictEqual(cached.json.avg_rank, 6.2);
+
+    const missing = await sandbox.run(['businesses:list', '--offline']);
+    assert.strictEqual(missing.code, 1);
+    assert.match(missing.stderr, /Offline: no cached response for GET \/api\/businesses\//);
+
+    const audit = await sandbox.run(['audit:run', '--url', 'https://www.google.com/maps/place/Acme', '--yes', '--offline']);
+    assert.strictEqual(audit.code, 1);
+    assert.match(audit.stderr, /Offline: POST \/api\/gmb\/audit\/run\/ needs the API/);
+    assert.strictEqual(sandbox.requests.length, 0);
+  });
+});
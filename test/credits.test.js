@@ -0,0 +1,76 @@
+const { describe, test, before, after, afterEach } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { createSandbox } = require('./helpers');
+
+const CAFE_URL = 'https://www.google.com/maps/place/Corner+Cafe';
+
+describe('credit spending', () => {
+  let sandbox, ledger;
+  let started = 0;
+
+  before(async () => {
+    sandbox = await createSandbox({
+      'POST /api/gmb/audit/run/': () => ({ audit_id: `a-${++started}`, status: 'processing', credits_deducted: 500 })
+    });
+    ledger = path.join(sandbox.home, '.config', 'localrank', 'credits.jsonl');
+  });
+
+  afterEach(() => {
+    fs.rmSync(ledger, { force: true });
+    fs.rmSync(path.join(sandbox.home, '.config', 'localrank', 'config.json'), { force: true });
+  });
+
+  after(() => sandbox.close());
+
+  test('audit:run without a terminal needs --yes', async () => {
+    const { code, stderr } = await sandbox.run(['audit:run', '--url', CAFE_URL]);
+    assert.strictEqual(code, 1);
+    assert.match(stderr, /spends 500 credits.*Confirm with --yes/);
+    assert.strictEqual(started, 0);
+  });
+
+  test('--dry-run reports the cost and spends nothing', async () => {
+    const { code, json } = await sandbox.run(['audit:run', '--url', CAFE_URL, '--dry-run']);
+    assert.strictEqual(code, 0);
+    assert.deepStrictEqual(json, {
+      dry_run: true,
+      gmb_url: CAFE_URL,
+      credits: 500,
+      spent_today: 0,
+      spent_this_month: 0,
+      remaining: null,
+      allowed: true
+    });
+    assert.strictEqual(started, 0);
+  });
+
+  test('each spend lands in the ledger that credits:history reads', async () => {
+    const run = await sandbox.run(['audit:run', '--url', CAFE_URL, '--yes']);
+    assert.strictEqual(run.code, 0, run.stderr);
+    assert.strictEqual(fs.statSync(ledger).mode & 0o777, 0o600);
+
+    const { json } = await sandbox.run(['credits:history']);
+    assert.strictEqual(json.today, 500);
+    assert.strictEqual(json.total, 500);
+    assert.deepStrictEqual(json.entries.map(e => [e.command, e.business_name, e.credits, e.audit_id]), [
+      ['audit:run', 'Corner Cafe', 500, run.json.audit_id]
+    ]);
+  });
+
+  test('the daily cap stops a spend before the API is called', async () => {
+    sandbox.writeConfig('global', { credit_limits: { daily: 800 } });
+    assert.strictEqual((await sandbox.run(['audit:run', '--url', CAFE_URL, '--yes'])).code, 0);
+    const calls = started;
+
+    const { code, stderr } = await sandbox.run(['audit:run', '--url', CAFE_URL, '--yes']);
+    assert.strictEqual(code, 1);
+    assert.match(stderr, /would exceed the daily cap \(500 of 800 used today\)/);
+    assert.strictEqual(started, calls);
+
+    const dry = await sandbox.run(['audit:run', '--url', CAFE_URL, '--dry-run']);
+    assert.strictEqual(dry.json.remaining, 300);
+    assert.strictEqual(dry.json.allowed, false);
+  });
+});
@@ -0,0 +1,88 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { createSandbox } = require('./helpers');
+
+const DAY = 24 * 60 * 60 * 1000;
+const acme = { uuid: 'b-1', name: 'Acme Plumbing' };
+const dallas = { uuid: 'b-2', name: 'Dallas Drains' };
+const joes = { uuid: 'b-3', name: "Joe's Roofing" };
+
+// Acme climbs and Dallas drops this week; Joe's hasn't been scanned in a month
+const details = {};
+const scans = [];
+function addScan(uuid, business, daysAgo, avgRank, keywords) {
+  const scan = { uuid, business, status: 'completed', avg_rank: avgRank, created_at: new Date(Date.now() - daysAgo * DAY).toISOString() };
+  details[uuid] = { ...scan, keyword_results: Object.entries(keywords).map(([keyword, rank]) => ({ keyword, avg_rank: rank })) };
+  scans.push(scan);
+  scans.sort((a, b) => b.created_at.localeCompare(a.created_at));
+}
+addScan('s-1', acme, 20, 10, { plumber: 14, drain: 9 });
+addScan('s-2', acme, 2, 6, { plumber: 12, drain: 5 });
+addScan('s-3', dallas, 25, 8, { drains: 8 });
+addScan('s-4', dallas, 1, 13, { drains: 13 });
+addScan('s-5', joes, 30, 5, { roofer: 18 });
+
+// The steps build on each other: a dry run, the first digest, then the next one since it
+describe('digest:weekly', () => {
+  let sandbox;
+
+  const stateFile = () => path.join(sandbox.home, '.config', 'localrank', 'accounts',
+    crypto.createHash('sha256').update('lr_test').digest('hex').slice(0, 16), 'digest-state.json');
+
+  before(async () => {
+    sandbox = await createSandbox({
+      'GET /api/businesses/': () => ({ results: [acme, dallas, joes] }),
+      'GET /api/scans/': () => ({ results: scans })
+    });
+    for (const uuid of ['s-1', 's-2', 's-3', 's-4', 's-5', 's-6']) {
+      sandbox.routes[`GET /api/scans/${uuid}/`] = () => details[uuid];
+    }
+  });
+
+  after(() => sandbox.close());
+
+  test('a dry run reports the week without remembering it', async () => {
+    const { code, json, stderr } = await sandbox.run(['digest:weekly', '--dry-run']);
+    assert.strictEqual(code, 0, stderr);
+    assert.strictEqual(json.saved, false);
+    assert.ok(!fs.existsSync(stateFile()));
+  });
+
+  test('the first digest lists movers, attention items, new quick wins and overdue scans', async () => {
+    const { json } = await sandbox.run(['digest:weekly']);
+    assert.strictEqual(json.window.since_last_digest, false);
+    assert.deepStrictEqual([json.portfolio.clients, json.portfolio.scanned, json.portfolio.improving, json.portfolio.declining], [3, 2, 1, 1]);
+    // Positive means the portfolio climbed: +4 and -5
+    assert.strictEqual(json.portfolio.avg_rank_change, -0.5);
+    assert.deepStrictEqual(json.movers_up.map(m => [m.business_name, m.change]), [['Acme Plumbing', 4]]);
+    assert.deepStrictEqual(json.movers_down.map(m => [m.business_name, m.change]), [['Dallas Drains', -5]]);
+    assert.deepStrictEqual(json.needs_attention.map(item => [item.priority, item.client]), [['urgent', 'Dallas Drains'], ['important', 'Dallas Drains']]);
+    // Joe's roofer is a quick win too, but nothing about it changed this week
+    assert.deepStrictEqual(json.new_quick_wins.map(win => win.keyword), ['plumber', 'drains']);
+    assert.strictEqual(json.quick_wins, 3);
+    assert.deepStrictEqual(json.overdue_scans.map(o => o.business_name), ["Joe's Roofing"]);
+    assert.match(json.markdown, /^# Weekly Portfolio Digest/);
+
+    const state = JSON.parse(fs.readFileSync(stateFile(), 'utf8'));
+    assert.strictEqual(state.generated_at, json.window.to);
+    assert.strictEqual(state.quick_wins.length, 3);
+  });
+
+  test('the next digest only reports what is new since the last one', async () => {
+    addScan('s-6', acme, 0, 6, { plumber: 12, drain: 15 });
+    const file = 'digest.html';
+    sandbox.writeConfig('global', { branding: { agency_name: 'Bright Local SEO' } });
+    const { json } = await sandbox.run(['digest:weekly', '--output', file]);
+    assert.strictEqual(json.window.since_last_digest, true);
+    assert.deepStrictEqual(json.new_quick_wins.map(win => win.keyword), ['drain']);
+    assert.strictEqual(json.output_file, path.join(sandbox.cwd, file));
+
+    const html = fs.readFileSync(json.output_file, 'utf8');
+    assert.match(html, /^<!DOCTYPE html>/);
+    assert.match(html, /Weekly Portfolio Digest/);
+    assert.match(html, /Prepared by Bright Local SEO/);
+  });
+});
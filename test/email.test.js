@@ -0,0 +1,82 @@
+const { describe, test, before, after, afterEach } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { createSandbox } = require('./helpers');
+
+const acme = { uuid: 'b-1', name: 'Acme Plumbing' };
+const dallas = { uuid: 'b-2', name: 'Acme Plumbing Dallas' };
+const details = {
+  's-2': { business: acme, created_at: '2026-06-08T09:00:00Z', avg_rank: 7, keyword_results: [{ keyword: 'plumber', avg_rank: 3 }, { keyword: 'drain', avg_rank: 11 }] },
+  's-1': { business: acme, created_at: '2026-06-01T09:00:00Z', avg_rank: 9, keyword_results: [{ keyword: 'plumber', avg_rank: 6 }, { keyword: 'drain', avg_rank: 12 }] },
+  's-3': { business: dallas, created_at: '2026-06-05T09:00:00Z', avg_rank: 12, keyword_results: [{ keyword: 'plumber', avg_rank: 12 }] }
+};
+const scans = Object.entries(details).map(([uuid, { keyword_results: _, ...scan }]) => ({ uuid, status: 'completed', ...scan }));
+
+describe('email:draft', () => {
+  let sandbox;
+
+  before(async () => {
+    sandbox = await createSandbox({
+      'GET /api/businesses/': () => ({ results: [acme, dallas] }),
+      'GET /api/scans/': () => ({ results: scans })
+    });
+    Object.entries(details).forEach(([uuid, detail]) => {
+      sandbox.routes[`GET /api/scans/${uuid}/`] = () => ({ uuid, status: 'completed', ...detail });
+    });
+  });
+
+  afterEach(() => fs.rmSync(path.join(sandbox.home, '.config', 'localrank', 'config.json'), { force: true }));
+
+  after(() => sandbox.close());
+
+  const draft = (...args) => sandbox.run(['email:draft', '--business', ...args]);
+
+  test('the tone follows the rank change unless --tone is given', async () => {
+    const { code, json, stderr } = await draft('Acme Plumbing');
+    assert.strictEqual(code, 0, stderr);
+    assert.strictEqual(json.tone, 'celebratory');
+    assert.strictEqual(json.language, 'en');
+    assert.match(json.email_draft, /^Subject: Acme Plumbing - /);
+    assert.match(json.email_draft, /- "plumber": #6 → #3/);
+    assert.match(json.email_draft, /- Use LocalBoost: Average rank is 7\. LocalBoost builds citations and backlinks\./);
+
+    assert.strictEqual((await draft('Acme Plumbing', '--tone', 'neutral')).json.tone, 'neutral');
+    const bad = await draft('Acme Plumbing', '--tone', 'gloomy');
+    assert.strictEqual(bad.code, 1);
+    assert.match(bad.stderr, /Unknown tone 'gloomy'/);
+  });
+
+  test('Spanish and French drafts list recommendations like the English one', async () => {
+    const es = await draft('Acme Plumbing', '--lang', 'es');
+    assert.match(es.json.email_draft, /\*\*Próximos pasos recomendados:\*\*\n- Use LocalBoost: Average rank is 7\./);
+    const fr = await draft('Acme Plumbing', '--lang', 'fr');
+    assert.match(fr.json.email_draft, /\n- Use LocalBoost: Average rank is 7\./);
+  });
+
+  test('email.businesses settings apply to the one business each key names', async () => {
+    sandbox.writeConfig('global', {
+      email: { signature: 'Bright Local SEO', businesses: { 'Acme Plumbing': { language: 'es', to: 'owner@acme.test' } } }
+    });
+
+    const own = await draft('Acme Plumbing');
+    assert.strictEqual(own.json.language, 'es');
+    assert.strictEqual(own.json.to, 'owner@acme.test');
+    assert.match(own.json.email_draft, /Bright Local SEO$/);
+
+    const other = await draft('Acme Plumbing Dallas');
+    assert.strictEqual(other.json.language, 'en');
+    assert.strictEqual(other.json.to, null);
+  });
+
+  test('--eml writes a message a mail client opens as a draft', async () => {
+    sandbox.writeConfig('global', { email: { from: 'Me <me@agency.test>', to: ['owner@acme.test'] } });
+    const { json } = await draft('Acme Plumbing', '--eml', 'draft.eml');
+    assert.strictEqual(json.eml_file, path.join(sandbox.cwd, 'draft.eml'));
+    assert.strictEqual(json.email_draft, undefined);
+
+    const eml = fs.readFileSync(json.eml_file, 'utf8');
+    assert.match(eml, /^From: Me <me@agency\.test>\r\nTo: owner@acme\.test\r\nSubject: Acme Plumbing - /);
+    assert.match(eml, /\r\nX-Unsent: 1\r\n\r\n/);
+  });
+});
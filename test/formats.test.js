@@ -0,0 +1,86 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('assert');
+const { createSandbox } = require('./helpers');
+
+// Two clients, each scanned twice; Smith, Jones & Co is slipping
+const scans = [
+  { uuid: 's-4', business: { uuid: 'b-1', name: 'Acme Plumbing' }, status: 'completed', avg_rank: 8, created_at: '2026-06-08T00:00:00Z' },
+  { uuid: 's-3', business: { uuid: 'b-2', name: 'Smith, Jones & Co' }, status: 'completed', avg_rank: 14, created_at: '2026-06-07T00:00:00Z' },
+  { uuid: 's-2', business: { uuid: 'b-1', name: 'Acme Plumbing' }, status: 'completed', avg_rank: 10, created_at: '2026-06-01T00:00:00Z' },
+  { uuid: 's-1', business: { uuid: 'b-2', name: 'Smith, Jones & Co' }, status: 'completed', avg_rank: 9, created_at: '2026-05-31T00:00:00Z' }
+];
+const details = {
+  's-4': [{ keyword: 'plumber', avg_rank: 12.4, best_rank: 9 }, { keyword: 'drain "rooter"', avg_rank: 17, best_rank: 11 }],
+  's-3': [{ keyword: 'lawyer', avg_rank: 15, best_rank: 12 }]
+};
+
+describe('output formats', () => {
+  let sandbox;
+
+  before(async () => {
+    sandbox = await createSandbox({ 'GET /api/scans/': () => ({ results: scans }) });
+    scans.forEach(scan => {
+      sandbox.routes[`GET /api/scans/${scan.uuid}/`] = () => ({ ...scan, keyword_results: details[scan.uuid] || [] });
+    });
+  });
+
+  after(() => sandbox.close());
+
+  const quickWins = (...args) => sandbox.run(['quick-wins:find', ...args]);
+
+  test('piped output defaults to JSON', async () => {
+    const { json } = await quickWins();
+    assert.strictEqual(json.total, 3);
+  });
+
+  test('csv quotes fields that need it and follows --fields and --sort', async () => {
+    const { stdout } = await quickWins('--format', 'csv', '--fields', 'keyword,business_name,current_rank', '--sort', '-current_rank');
+    assert.strictEqual(stdout, [
+      'keyword,business_name,current_rank',
+      '"drain ""rooter""",Acme Plumbing,17',
+      'lawyer,"Smith, Jones & Co",15',
+      'plumber,Acme Plumbing,12.4',
+      ''
+    ].join('\n'));
+  });
+
+  test('ndjson prints one object per row', async () => {
+    const { stdout } = await quickWins('--format', 'ndjson', '--fields', 'keyword,current_rank');
+    assert.deepStrictEqual(stdout.trim().split('\n').map(line => JSON.parse(line)), [
+      { keyword: 'plumber', current_rank: 12.4 },
+      { keyword: 'lawyer', current_rank: 15 },
+      { keyword: 'drain "rooter"', current_rank: 17 }
+    ]);
+  });
+
+  test('markdown shows portfolio status with emoji', async () => {
+    const { stdout } = await sandbox.run(['portfolio:summary', '--format', 'markdown', '--fields', 'status,name,avg_rank']);
+    assert.match(stdout, /\| Status \| Name \| Avg Rank \|/);
+    assert.match(stdout, /\| 🔴 declining \| Smith, Jones & Co \| 14 \|/);
+    assert.match(stdout, /\| 🟢 improving \| Acme Plumbing \| 8 \|/);
+  });
+
+  test('a table pads text columns and right-aligns numbers', async () => {
+    const { stdout } = await quickWins('--format', 'table', '--fields', 'business_name,current_rank');
+    // After the result's summary values
+    assert.deepStrictEqual(stdout.trim().split('\n').slice(-5), [
+      'Business Name      Current Rank',
+      '-----------------  ------------',
+      'Acme Plumbing              12.4',
+      'Smith, Jones & Co            15',
+      'Acme Plumbing                17'
+    ]);
+  });
+
+  test('LOCALRANK_FORMAT sets the default, and bad formats and fields are usage errors', async () => {
+    const ndjson = await sandbox.run(['quick-wins:find', '--fields', 'keyword'], { env: { LOCALRANK_FORMAT: 'ndjson' } });
+    assert.strictEqual(ndjson.stdout.trim().split('\n').length, 3);
+
+    const format = await quickWins('--format', 'xml');
+    assert.strictEqual(format.code, 1);
+    assert.match(format.stderr, /Unknown --format 'xml'\. Use one of: json, table, markdown, csv, ndjson/);
+    const field = await quickWins('--format', 'csv', '--fields', 'nope');
+    assert.strictEqual(field.code, 1);
+    assert.match(field.stderr, /Unknown field\(s\): nope/);
+  });
+});
@@ -0,0 +1,96 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { createSandbox } = require('./helpers');
+
+const DAY = 24 * 60 * 60 * 1000;
+const acme = { uuid: 'b-1', name: 'Acme Plumbing' };
+const joes = { uuid: 'b-2', name: "Joe's Roofing" };
+const daysAgo = days => new Date(Date.now() - days * DAY).toISOString();
+const inDays = days => new Date(Date.now() + days * DAY).toISOString().slice(0, 10);
+
+// Acme climbs a position a week for 'plumber' and half a position on average
+const details = {
+  's-3': { business: acme, created_at: daysAgo(0.5), avg_rank: 8, keyword_results: [{ keyword: 'plumber', avg_rank: 8 }] },
+  's-2': { business: acme, created_at: daysAgo(14.5), avg_rank: 9, keyword_results: [{ keyword: 'plumber', avg_rank: 10 }] },
+  's-1': { business: acme, created_at: daysAgo(28.5), avg_rank: 10, keyword_results: [{ keyword: 'plumber', avg_rank: 12 }] },
+  's-4': { business: joes, created_at: daysAgo(3), avg_rank: 5, keyword_results: [{ keyword: 'roofer', avg_rank: 5 }] }
+};
+const scans = Object.entries(details).map(([uuid, { keyword_results: _, ...scan }]) => ({ uuid, status: 'completed', ...scan }));
+
+// The steps build on each other: goals are set, measured, prioritized, then removed
+describe('goals', () => {
+  let sandbox;
+
+  const goalsFile = key => path.join(sandbox.home, '.config', 'localrank', 'accounts',
+    crypto.createHash('sha256').update(key).digest('hex').slice(0, 16), 'goals.json');
+  const set = (...args) => sandbox.run(['goals:set', ...args]);
+
+  before(async () => {
+    sandbox = await createSandbox({
+      'GET /api/businesses/': () => ({ results: [acme, joes] }),
+      'GET /api/scans/': () => ({ results: scans })
+    });
+    Object.entries(details).forEach(([uuid, detail]) => {
+      sandbox.routes[`GET /api/scans/${uuid}/`] = () => ({ uuid, status: 'completed', ...detail });
+    });
+  });
+
+  after(() => sandbox.close());
+
+  test('goals:set keeps the latest rank as the baseline, in the account\'s state', async () => {
+    const { code, json, stderr } = await set('--business', 'acme', '--keyword', 'PLUMBER', '--target', '3', '--deadline', inDays(70));
+    assert.strictEqual(code, 0, stderr);
+    assert.strictEqual(json.keyword, 'plumber');
+    assert.strictEqual(json.baseline_rank, 8);
+    assert.strictEqual(json.replaced, false);
+    await set('--business', 'acme', '--target', '2', '--deadline', inDays(14));
+    await set('--business', "Joe's", '--target', '3', '--deadline', inDays(30));
+
+    assert.strictEqual(JSON.parse(fs.readFileSync(goalsFile('lr_test'), 'utf8')).goals.length, 3);
+    const other = await sandbox.run(['goals:list'], { env: { LOCALRANK_API_KEY: 'lr_other' } });
+    assert.strictEqual(other.json.count, 0);
+  });
+
+  test('goals:set refuses a deadline it can\'t read or one already past', async () => {
+    const bad = await set('--business', 'acme', '--target', '3', '--deadline', '2027-Q5');
+    assert.strictEqual(bad.code, 1);
+    assert.match(bad.stderr, /Invalid deadline '2027-Q5'/);
+    const past = await set('--business', 'acme', '--target', '3', '--deadline', '2020-03');
+    assert.match(past.stderr, /The deadline 2020-03-31 has already passed/);
+  });
+
+  test('goals:status projects the trend, positive when climbing, off-track goals first', async () => {
+    const { code, json, stderr } = await sandbox.run(['goals:status']);
+    assert.strictEqual(code, 0, stderr);
+    assert.deepStrictEqual(json.goals.map(g => [g.business_name, g.keyword, g.status]), [
+      ['Acme Plumbing', null, 'off track'],
+      ["Joe's Roofing", null, 'not enough scans'],
+      ['Acme Plumbing', 'plumber', 'on track']
+    ]);
+    const [average, , plumber] = json.goals;
+    assert.strictEqual(plumber.trend_per_week, 1);
+    assert.strictEqual(plumber.projected_rank, 1);
+    assert.strictEqual(average.trend_per_week, 0.5);
+    assert.ok(average.projected_rank > 6 && average.projected_rank < 8);
+    assert.ok(average.needed_per_week > 2);
+  });
+
+  test('prioritize:today lists off-track goals in their own bucket', async () => {
+    const { json } = await sandbox.run(['prioritize:today']);
+    assert.deepStrictEqual(json.priorities.goals.map(g => [g.client, g.task]), [['Acme Plumbing', `Average rank 2 by ${inDays(14)}`]]);
+    assert.match(json.priorities.goals[0].reason, /^At 8, projected \d/);
+  });
+
+  test('goals:remove deletes one goal', async () => {
+    const { json: list } = await sandbox.run(['goals:list', '--business', 'acme']);
+    const average = list.goals.find(g => g.keyword === null);
+    const { json } = await sandbox.run(['goals:remove', '--business', 'acme', '--id', average.id]);
+    assert.strictEqual(json.remaining, 1);
+
+    const again = await sandbox.run(['goals:remove', '--business', 'acme', '--id', average.id]);
+    assert.match(again.json.error, /No goal/);
+  });
+});
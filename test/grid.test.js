@@ -0,0 +1,84 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { createSandbox } = require('./helpers');
+
+// 3x3 grid, 2 miles to the edge: strong at the shop, off page 1 on most of the outer ring
+const ranks = [5, 3, 14, 2, 1, 12, 18, null, 15];
+const scan = {
+  uuid: 's-1',
+  business: { uuid: 'b-1', name: 'Acme Plumbing' },
+  status: 'completed',
+  avg_rank: 8.8,
+  grid_size: 3,
+  radius: 2,
+  latitude: 30,
+  longitude: -97,
+  keyword_results: [
+    { keyword: 'plumber', avg_rank: 8.8, grid_points: ranks.map(rank => ({ rank })) },
+    { keyword: 'drain cleaning', avg_rank: 4, grid_points: ranks.map(() => ({ rank: 4 })) }
+  ]
+};
+
+describe('scan grids', () => {
+  let sandbox;
+
+  before(async () => {
+    sandbox = await createSandbox({
+      'GET /api/scans/s-1/': () => scan,
+      'GET /api/scans/s-2/': () => ({ uuid: 's-2', status: 'processing', keyword_results: [] })
+    });
+  });
+
+  after(() => sandbox.close());
+
+  test('--grid reports coverage and where rankings fall off', async () => {
+    const { code, json, stderr } = await sandbox.run(['scans:get', 's-1', '--grid']);
+    assert.strictEqual(code, 0, stderr);
+    const [plumber, drain] = json.keywords;
+    assert.strictEqual(plumber.top_3_share, 0.33);
+    assert.strictEqual(plumber.page_1_share, 0.44);
+    assert.strictEqual(plumber.found_share, 0.89);
+    assert.strictEqual(plumber.falloff_radius_miles, 2);
+    assert.strictEqual(drain.falloff_radius_miles, null);
+
+    // Points without coordinates are placed from the scan's center
+    const center = json.grid[0].points[4];
+    assert.deepStrictEqual([center.lat, center.lng, center.distance_miles], [30, -97, 0]);
+    assert.ok(json.grid[0].points[0].lat > 30);
+  });
+
+  test('--heatmap draws the grid north at the top, without color outside a terminal', async () => {
+    const { json } = await sandbox.run(['scans:get', 's-1', '--heatmap', '--keyword', 'PLUMBER']);
+    assert.deepStrictEqual(json.keywords.map(kw => kw.keyword), ['plumber']);
+    assert.match(json.heatmap, /plumber {2}\(avg 8\.8, top 3 33%, page 1 44%, falls off at 2 mi\)/);
+    assert.match(json.heatmap, /\n {4}5 {3}3 {2}14\n {4}2 {3}1 {2}12\n {3}18 {3}- {2}15\n/);
+    assert.ok(!json.heatmap.includes('\x1b['));
+  });
+
+  test('--export writes the points as GeoJSON or CSV', async () => {
+    const geo = await sandbox.run(['scans:get', 's-1', '--export', 'grid.geojson']);
+    assert.strictEqual(geo.json.export_file, path.join(sandbox.cwd, 'grid.geojson'));
+    const collection = JSON.parse(fs.readFileSync(geo.json.export_file, 'utf8'));
+    assert.strictEqual(collection.features.length, 18);
+    assert.deepStrictEqual(collection.features[4].geometry.coordinates, [-97, 30]);
+    assert.strictEqual(collection.features[4].properties.rank, 1);
+
+    await sandbox.run(['scans:get', 's-1', '--export', 'grid.csv', '--keyword', 'plumber']);
+    const csv = fs.readFileSync(path.join(sandbox.cwd, 'grid.csv'), 'utf8').trim().split('\n');
+    assert.strictEqual(csv[0], 'scan_id,keyword,row,col,lat,lng,distance_miles,rank');
+    assert.strictEqual(csv.length, 10);
+    assert.match(csv[8], /^s-1,plumber,2,1,.*,2,$/);
+
+    const bad = await sandbox.run(['scans:get', 's-1', '--export', 'grid.txt']);
+    assert.strictEqual(bad.code, 1);
+    assert.match(bad.stderr, /--export takes a \.geojson or \.csv file/);
+  });
+
+  test('a scan still processing has no grid yet', async () => {
+    const { code, json } = await sandbox.run(['scans:get', 's-2', '--grid']);
+    assert.strictEqual(code, 0);
+    assert.match(json.error, /is processing; its grid is available once it completes/);
+  });
+});
@@ -0,0 +1,136 @@
+/**
+ * Test sandbox: a stub LocalRank API on a free port, plus a scratch HOME and
+ * working directory, so the CLI runs exactly as a user would run it without
+ * touching real config, cache or credits.
+ */
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const CLI = path.join(__dirname, '..', 'scripts', 'localrank.js');
+// A command that takes longer than this is stuck, not slow
+const RUN_TIMEOUT = 30000;
+const REPLY = Symbol('reply');
+
+// A handler result other than a 200 with a JSON body
+function reply(status, body, headers = {}) {
+  return { [REPLY]: true, status, body, headers };
+}
+
+// One DRF-style page of `items`, with an absolute `next` link like the real API's
+function paginate(request, items, { maxPageSize = 100 } = {}) {
+  const page = parseInt(request.query.page) || 1;
+  const pageSize = Math.min(parseInt(request.query.page_size) || maxPageSize, maxPageSize);
+  const start = (page - 1) * pageSize;
+  const link = n => {
+    const url = new URL(`http://${request.headers.host}${request.path}`);
+    Object.entries({ ...request.query, page: n, page_size: pageSize }).forEach(([k, v]) => url.searchParams.set(k, v));
+    return url.toString();
+  };
+  return {
+    count: items.length,
+    next: start + pageSize < items.length ? link(page + 1) : null,
+    previous: page > 1 ? link(page - 1) : null,
+    results: items.slice(start, start + pageSize)
+  };
+}
+
+/**
+ * `routes` maps 'GET /api/scans/' style keys to handlers. A handler gets the
+ * parsed request and returns the JSON body, or reply() for anything else.
+ * Unrouted requests get a 404. Every request is kept in `requests`.
+ */
+async function createSandbox(routes = {}) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', async () => {
+      const url = new URL(req.url, 'http://localhost');
+      const request = {
+        method: req.method,
+        path: url.pathname,
+        query: Object.fromEntries(url.searchParams),
+        headers: req.headers,
+        body: raw ? JSON.parse(raw) : null
+      };
+      requests.push(request);
+
+      const handler = sandbox.routes[`${req.method} ${url.pathname}`];
+      let result = handler ? await handler(request) : reply(404, { detail: 'Not found.' });
+      if (!result || !result[REPLY]) result = reply(200, result);
+      const text = typeof result.body === 'string' ? result.body : JSON.stringify(result.body);
+      res.writeHead(result.status, { 'Content-Type': 'application/json', ...result.headers });
+      res.end(text);
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'localrank-test-'));
+  const home = path.join(root, 'home');
+  const cwd = path.join(root, 'work');
+  fs.mkdirSync(home);
+  fs.mkdirSync(cwd);
+
+  // The caller's own LOCALRANK_* settings must not leak into the run. Runs skip
+  // the response cache so every one reaches the stub, unless a test deletes
+  // LOCALRANK_NO_CACHE from `env`.
+  const env = Object.fromEntries(Object.entries(process.env).filter(([key]) => !key.startsWith('LOCALRANK_')));
+  Object.assign(env, { HOME: home, USERPROFILE: home, LOCALRANK_API_KEY: 'lr_test', LOCALRANK_API_URL: url, LOCALRANK_NO_CACHE: '1' });
+
+  /**
+   * Run one CLI command. Resolves with the exit code, the raw output and
+   * stdout parsed as JSON when it is JSON. `input` is written to stdin;
+   * `env` adds variables, or removes them when set to undefined.
+   */
+  function run(args, { input = '', env: extra = {} } = {}) {
+    const childEnv = { ...env, ...extra };
+    Object.keys(childEnv).forEach(key => childEnv[key] === undefined && delete childEnv[key]);
+    return new Promise((resolve, reject) => {
+      const child = spawn(process.execPath, [CLI, ...args], { cwd, env: childEnv, stdio: ['pipe', 'pipe', 'pipe'], timeout: RUN_TIMEOUT });
+      let stdout = '', stderr = '';
+      child.stdout.on('data', chunk => { stdout += chunk; });
+      child.stderr.on('data', chunk => { stderr += chunk; });
+      child.on('error', reject);
+      child.on('close', (code, signal) => {
+        let json = null;
+        try {
+          json = JSON.parse(stdout);
+        } catch (e) {
+          // Not every command prints JSON
+        }
+        resolve({ code, signal, stdout, stderr, json });
+      });
+      child.stdin.end(input);
+    });
+  }
+
+  // `global` is ~/.config/localrank/config.json, `local` is ./.localrank/config.json
+  function writeConfig(where, config) {
+    const dir = where === 'global' ? path.join(home, '.config', 'localrank') : path.join(cwd, '.localrank');
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, 'config.json'), JSON.stringify(config, null, 2));
+  }
+
+  function writeFile(name, contents) {
+    const file = path.join(cwd, name);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, contents);
+    return file;
+  }
+
+  async function close() {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+
+  const sandbox = { url, home, cwd, env, routes, requests, run, writeConfig, writeFile, close };
+  return sandbox;
+}
+
+module.exports = { createSandbox, paginate, reply };
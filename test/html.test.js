@@ -0,0 +1,68 @@
+const { describe, test, before, after, afterEach } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { createSandbox } = require('./helpers');
+
+const acme = { uuid: 'b-1', name: 'Acme <Plumbing>' };
+const solo = { uuid: 'b-2', name: 'Solo Dental' };
+const details = {
+  's-2': { business: acme, created_at: '2026-06-08T09:00:00Z', avg_rank: 6, public_share_token: 'tok', keyword_results: [{ keyword: 'plumber', avg_rank: 2 }, { keyword: 'drain', avg_rank: 14 }] },
+  's-1': { business: acme, created_at: '2026-06-01T09:00:00Z', avg_rank: 9, keyword_results: [{ keyword: 'plumber', avg_rank: 5 }, { keyword: 'drain', avg_rank: 12 }] },
+  's-3': { business: solo, created_at: '2026-06-05T09:00:00Z', avg_rank: 4, keyword_results: [{ keyword: 'dentist', avg_rank: 4 }] }
+};
+const scans = Object.entries(details).map(([uuid, { keyword_results: _, ...scan }]) => ({ uuid, status: 'completed', ...scan }));
+
+describe('client:report --html', () => {
+  let sandbox;
+
+  before(async () => {
+    sandbox = await createSandbox({
+      'GET /api/businesses/': () => ({ results: [acme, solo] }),
+      'GET /api/scans/': () => ({ results: scans })
+    });
+    Object.entries(details).forEach(([uuid, detail]) => {
+      sandbox.routes[`GET /api/scans/${uuid}/`] = () => ({ uuid, status: 'completed', ...detail });
+    });
+  });
+
+  afterEach(() => fs.rmSync(path.join(sandbox.home, '.config', 'localrank', 'config.json'), { force: true }));
+
+  after(() => sandbox.close());
+
+  const render = async (business, file) => {
+    const { code, json, stderr } = await sandbox.run(['client:report', '--business', business, '--html', file]);
+    assert.strictEqual(code, 0, stderr);
+    assert.strictEqual(json.html_file, path.join(sandbox.cwd, file));
+    return fs.readFileSync(json.html_file, 'utf8');
+  };
+
+  test('writes one self-contained file with the agency branding', async () => {
+    sandbox.writeConfig('global', { branding: { agency_name: 'Bright Local SEO', primary_color: '#1f3a5f' } });
+    const html = await render('b-1', 'acme.html');
+
+    assert.match(html, /^<!DOCTYPE html>/);
+    assert.match(html, /Bright Local SEO/);
+    assert.match(html, /#1f3a5f/);
+    // Names are escaped, and each keyword gets a chart
+    assert.match(html, /Acme &lt;Plumbing&gt;/);
+    assert.ok(!html.includes('Acme <Plumbing>'));
+    assert.strictEqual((html.match(/<svg/g) || []).length, 2);
+    assert.match(html, /https:\/\/app\.localrank\.so\/share\/tok/);
+    assert.ok(!/<script|<link /.test(html));
+  });
+
+  test('a client with a single scan still gets a report', async () => {
+    const html = await render('Solo Dental', 'solo.html');
+    assert.match(html, /Solo Dental/);
+    assert.match(html, /dentist/);
+  });
+
+  test('a color that could break out of the stylesheet is refused', async () => {
+    sandbox.writeConfig('global', { branding: { primary_color: 'red;}body{display:none' } });
+    const { code, stderr } = await sandbox.run(['client:report', '--business', 'b-1', '--html', 'bad.html']);
+    assert.strictEqual(code, 1);
+    assert.match(stderr, /Invalid branding primary_color/);
+    assert.ok(!fs.existsSync(path.join(sandbox.cwd, 'bad.html')));
+  });
+});
@@ -0,0 +1,53 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('assert');
+const { createSandbox, reply } = require('./helpers');
+const localrank = require('../scripts/localrank');
+
+const scan = {
+  uuid: 's-1',
+  business: { uuid: 'b-1', name: 'Acme Plumbing' },
+  status: 'completed',
+  avg_rank: 6.2,
+  keywords: ['plumber'],
+  keyword_results: [{ keyword: 'plumber', avg_rank: 6.2, best_rank: 3, found_count: 40 }],
+  created_at: '2026-06-01T00:00:00Z'
+};
+
+// The same functions the CLI runs, called in-process
+describe('library API', () => {
+  let sandbox;
+
+  before(async () => {
+    sandbox = await createSandbox({
+      'GET /api/businesses/': () => ({ results: [{ uuid: 'b-1', name: 'Acme Plumbing', place_id: 'place-1' }] }),
+      'GET /api/scans/': () => ({ results: [scan] }),
+      'GET /api/scans/s-1/': () => scan,
+      'GET /api/scans/gone/': () => reply(404, { detail: 'Not found.' })
+    });
+    localrank.configure({ apiKey: 'lr_test', apiBase: `${sandbox.url}/`, cache: false, retries: 0, log: null });
+  });
+
+  after(() => sandbox.close());
+
+  test('functions return what the CLI would print', async () => {
+    assert.deepStrictEqual(await localrank.listBusinesses(), {
+      businesses: [{ uuid: 'b-1', name: 'Acme Plumbing', place_id: 'place-1' }],
+      count: 1
+    });
+    const report = await localrank.getClientReport('acme');
+    assert.strictEqual(report.business_name, 'Acme Plumbing');
+    assert.deepStrictEqual(report.latest_scan.keywords, [{ keyword: 'plumber', avg_rank: 6.2, best_rank: 3 }]);
+  });
+
+  test('failures are typed errors', async () => {
+    await assert.rejects(localrank.getClientReport('Unknown Co'), localrank.NotFoundError);
+    await assert.rejects(localrank.getScan('gone'), err => err instanceof localrank.ApiError && err.status === 404);
+    await assert.rejects(localrank.getScan(), localrank.UsageError);
+    assert.ok(new localrank.OfflineError('x') instanceof localrank.LocalRankError);
+  });
+
+  test('configure rejects a retry count that is not a whole number', () => {
+    assert.throws(() => localrank.configure({ retries: -1 }), /retries must be a whole number of 0 or more, got -1/);
+    assert.throws(() => localrank.configure({ retries: 1.5 }), localrank.UsageError);
+  });
+});
@@ -0,0 +1,92 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('assert');
+const { createSandbox } = require('./helpers');
+
+const businesses = [
+  { uuid: 'b-1', name: 'Acme Plumbing', place_id: 'place-1' },
+  { uuid: 'b-2', name: "Joe's Roofing", place_id: 'place-2' }
+];
+
+// JSON-RPC 2.0 over stdio, one message per line
+describe('mcp', () => {
+  let sandbox;
+
+  before(async () => {
+    sandbox = await createSandbox({ 'GET /api/businesses/': () => ({ results: businesses }) });
+  });
+
+  after(() => sandbox.close());
+
+  // Send every message, close stdin, and read back one parsed response per stdout line
+  const session = async messages => {
+    const input = messages.map(m => (typeof m === 'string' ? m : JSON.stringify(m))).join('\n') + '\n';
+    const { code, stdout } = await sandbox.run(['mcp'], { input });
+    assert.strictEqual(code, 0);
+    return stdout.split('\n').filter(Boolean).map(line => JSON.parse(line));
+  };
+
+  test('initialize negotiates the protocol version', async () => {
+    const [known, unknown] = await session([
+      { jsonrpc: '2.0', id: 1, method: 'initialize', params: { protocolVersion: '2025-03-26' } },
+      { jsonrpc: '2.0', id: 2, method: 'initialize', params: { protocolVersion: '1999-01-01' } }
+    ]);
+    assert.strictEqual(known.result.protocolVersion, '2025-03-26');
+    assert.strictEqual(known.result.serverInfo.name, 'localrank');
+    assert.deepStrictEqual(known.result.capabilities, { tools: {} });
+    assert.strictEqual(unknown.result.protocolVersion, '2025-06-18');
+  });
+
+  test('responses come back in order, one per request; notifications and blank lines get none', async () => {
+    const responses = await session([
+      { jsonrpc: '2.0', id: 1, method: 'initialize', params: {} },
+      { jsonrpc: '2.0', method: 'notifications/initialized' },
+      '',
+      { jsonrpc: '2.0', id: 'b', method: 'ping' },
+      { jsonrpc: '2.0', id: 3, method: 'tools/list' }
+    ]);
+    assert.deepStrictEqual(responses.map(r => r.id), [1, 'b', 3]);
+    assert.ok(responses.every(r => r.jsonrpc === '2.0'));
+    assert.deepStrictEqual(responses[1].result, {});
+  });
+
+  test('malformed JSON and unknown methods are JSON-RPC errors', async () => {
+    const [parse, unknown, next] = await session([
+      '{"jsonrpc": "2.0", "id": 1,',
+      { jsonrpc: '2.0', id: 2, method: 'resources/list' },
+      { jsonrpc: '2.0', id: 3, method: 'ping' }
+    ]);
+    assert.deepStrictEqual(parse, { jsonrpc: '2.0', id: null, error: { code: -32700, message: 'Parse error' } });
+    assert.strictEqual(unknown.id, 2);
+    assert.strictEqual(unknown.error.code, -32601);
+    // A bad message doesn't end the session
+    assert.deepStrictEqual(next, { jsonrpc: '2.0', id: 3, result: {} });
+  });
+
+  test('tools/list names each command without colons and leaves out CLI-only ones', async () => {
+    const [{ result }] = await session([{ jsonrpc: '2.0', id: 1, method: 'tools/list' }]);
+    const names = result.tools.map(tool => tool.name);
+    assert.ok(names.includes('businesses_list'));
+    assert.ok(names.includes('client_report'));
+    assert.ok(!names.includes('mcp'));
+    assert.ok(names.every(name => /^[a-zA-Z0-9_-]+$/.test(name)));
+
+    const report = result.tools.find(tool => tool.name === 'client_report');
+    assert.strictEqual(report.inputSchema.type, 'object');
+    assert.ok('business' in report.inputSchema.properties);
+    assert.deepStrictEqual(report.inputSchema.required, ['business']);
+  });
+
+  test('tools/call returns structured results, and failures as tool errors', async () => {
+    const [list, missing] = await session([
+      { jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name: 'businesses_list', arguments: { search: 'acme' } } },
+      { jsonrpc: '2.0', id: 2, method: 'tools/call', params: { name: 'scans_get', arguments: { scan_id: 'nope' } } }
+    ]);
+    assert.deepStrictEqual(list.result.structuredContent.businesses.map(b => b.name), ['Acme Plumbing']);
+    assert.deepStrictEqual(JSON.parse(list.result.content[0].text), list.result.structuredContent);
+
+    // Tool failures are results with isError, so the agent can read them
+    assert.strictEqual(missing.id, 2);
+    assert.strictEqual(missing.result.isError, true);
+    assert.match(missing.result.content[0].text, /API Error 404/);
+  });
+});
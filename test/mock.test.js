@@ -0,0 +1,87 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { createSandbox } = require('./helpers');
+const { startMockServer } = require('../scripts/mock-server');
+
+describe('mock server', () => {
+  let sandbox, server, env;
+
+  before(async () => {
+    sandbox = await createSandbox();
+    let url;
+    ({ server, url } = await startMockServer({ port: 0, credits: 100 }));
+    env = { LOCALRANK_API_URL: url, LOCALRANK_API_KEY: 'lr_mock' };
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await sandbox.close();
+  });
+
+  test('serves the fixture clients across pages, and only with a key', async () => {
+    const { code, json, stderr } = await sandbox.run(['businesses:list'], { env });
+    assert.strictEqual(code, 0, stderr);
+    assert.strictEqual(json.businesses.length, 8);
+    assert.ok(json.businesses.some(b => b.name === 'Acme Plumbing'));
+
+    const anonymous = await fetch(`${env.LOCALRANK_API_URL}/api/businesses/`);
+    assert.strictEqual(anonymous.status, 401);
+  });
+
+  test('charges a scan what the client estimates, and refuses one the balance can\'t cover', async () => {
+    const scan = ['scans:create', '--business', 'Acme Plumbing', '--keywords', 'plumber', '--grid-size', '9', '--yes'];
+    const first = await sandbox.run(scan, { env });
+    assert.strictEqual(first.code, 0, first.stderr);
+    assert.strictEqual(first.json.credits_deducted, 81);
+
+    const second = await sandbox.run(scan, { env });
+    assert.strictEqual(second.code, 1);
+    assert.match(second.stderr, /402/);
+  });
+});
+
+describe('record and replay', () => {
+  let sandbox, dir;
+
+  before(async () => {
+    // The response echoes the key back, as some error pages do
+    sandbox = await createSandbox({
+      'GET /api/businesses/': req => ({ results: [{ uuid: 'b-1', name: 'Acme Plumbing', seen_with: req.headers.authorization }] })
+    });
+    dir = path.join(sandbox.cwd, 'recording');
+  });
+
+  after(() => sandbox.close());
+
+  test('--record saves each response with the key scrubbed', async () => {
+    const { code, stderr } = await sandbox.run(['businesses:list', '--record', dir], { env: { LOCALRANK_API_KEY: 'lr_secret_key' } });
+    assert.strictEqual(code, 0, stderr);
+    const files = fs.readdirSync(dir);
+    assert.strictEqual(files.length, 1);
+    const text = fs.readFileSync(path.join(dir, files[0]), 'utf8');
+    assert.ok(!text.includes('lr_secret_key'));
+    assert.strictEqual(JSON.parse(text).responses[0].status, 200);
+  });
+
+  test('--replay answers from the recording without calling the API', async () => {
+    const seen = sandbox.requests.length;
+    const { code, json, stderr } = await sandbox.run(['businesses:list', '--replay', dir], { env: { LOCALRANK_API_KEY: undefined } });
+    assert.strictEqual(code, 0, stderr);
+    assert.strictEqual(json.businesses[0].name, 'Acme Plumbing');
+    assert.strictEqual(sandbox.requests.length, seen);
+  });
+
+  test('a request missing from the recording fails as offline', async () => {
+    const { code, stderr } = await sandbox.run(['scans:list', '--replay', dir]);
+    assert.strictEqual(code, 1);
+    assert.match(stderr, /Replay: no recorded response for GET \/api\/scans\//);
+  });
+
+  test('--record and --replay can\'t be combined', async () => {
+    const { code, stderr } = await sandbox.run(['businesses:list', '--record', dir, '--replay', dir]);
+    assert.strictEqual(code, 1);
+    assert.match(stderr, /Use either --record or --replay/);
+  });
+});
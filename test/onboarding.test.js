@@ -0,0 +1,114 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('assert');
+const { createSandbox, reply } = require('./helpers');
+
+const TRACKED_PLACE = 'ChIJb3BLYKu8UE3rbiitKIkaE1S';
+
+// The steps build on each other: businesses are added, imported, then archived
+describe('onboarding', () => {
+  let sandbox, businesses, keywords, scans;
+
+  before(async () => {
+    businesses = [{ uuid: 'b-1', name: 'Acme Plumbing', place_id: TRACKED_PLACE }];
+    keywords = {};
+    scans = [];
+    sandbox = await createSandbox({
+      'GET /api/businesses/': () => ({ results: businesses }),
+      'POST /api/businesses/': req => {
+        const url = req.body.gmb_url && new URL(req.body.gmb_url);
+        const name = url ? decodeURIComponent(url.pathname.split('/')[3]).replace(/\+/g, ' ') : `Place ${req.body.place_id}`;
+        const business = { uuid: `b-${businesses.length + 1}`, name, place_id: req.body.place_id || url.searchParams.get('query_place_id') };
+        businesses.push(business);
+        sandbox.routes[`GET /api/businesses/${business.uuid}/keywords/`] = () => ({ keywords: keywords[business.uuid] || [] });
+        sandbox.routes[`POST /api/businesses/${business.uuid}/keywords/`] = r => {
+          keywords[business.uuid] = [...(keywords[business.uuid] || []), ...r.body.keywords];
+          return {};
+        };
+        sandbox.routes[`POST /api/businesses/${business.uuid}/archive/`] = () => {
+          businesses = businesses.filter(b => b !== business);
+          return {};
+        };
+        return reply(201, business);
+      },
+      'POST /api/scans/': req => {
+        scans.push(req.body);
+        return { uuid: `s-${scans.length}`, status: 'processing', credits_deducted: 18 };
+      }
+    });
+  });
+
+  after(() => sandbox.close());
+
+  test('businesses:add tracks a place once, with its starter keywords', async () => {
+    const url = 'https://www.google.com/maps/place/Corner+Cafe/@30.2,-97.7,15z?query_place_id=ChIJcorner0000000000000&utm_source=x';
+    const { code, json, stderr } = await sandbox.run(['businesses:add', '--url', url, '--keywords', 'cafe,coffee']);
+    assert.strictEqual(code, 0, stderr);
+    assert.strictEqual(json.name, 'Corner Cafe');
+    assert.strictEqual(json.already_exists, false);
+    assert.deepStrictEqual(json.keywords, ['cafe', 'coffee']);
+
+    const again = await sandbox.run(['businesses:add', '--place-id', 'ChIJcorner0000000000000']);
+    assert.strictEqual(again.json.uuid, json.uuid);
+    assert.strictEqual(again.json.already_exists, true);
+    assert.strictEqual(businesses.length, 2);
+  });
+
+  test('businesses:add refuses what isn\'t a Maps URL or place ID', async () => {
+    const url = await sandbox.run(['businesses:add', '--url', 'https://example.com/acme']);
+    assert.strictEqual(url.code, 1);
+    assert.match(url.stderr, /is not a Google Maps URL/);
+    const place = await sandbox.run(['businesses:add', '--place-id', 'acme']);
+    assert.match(place.stderr, /doesn't look like a Google place ID/);
+  });
+
+  test('an import dry run reads quoted CSV fields and sorts out what is new', async () => {
+    const file = sandbox.writeFile('clients.csv', [
+      'name,url,keywords',
+      '"Smith, Jones & Co","https://www.google.com/maps/place/Smith+Jones/@32.7,-96.8,15z","law firm;""no win"" lawyer"',
+      '',
+      `Acme,${TRACKED_PLACE},`,
+      '"Two\nLines Bakery",https://www.google.com/maps/place/Two+Lines+Bakery,bakery',
+      'Again,https://www.google.com/maps/place/Two+Lines+Bakery,',
+      'Nope,not a link,'
+    ].join('\r\n'));
+
+    const { code, json } = await sandbox.run(['businesses:import', '--file', file, '--scan', '--grid-size', '3', '--dry-run']);
+    assert.strictEqual(code, 0);
+    assert.deepStrictEqual(json.rows.map(row => [row.business_name, row.status, row.keywords]), [
+      ['Smith, Jones & Co', 'planned', ['law firm', '"no win" lawyer']],
+      ['Acme Plumbing', 'exists', []],
+      ['Two\nLines Bakery', 'planned', ['bakery']],
+      ['Again', 'duplicate', []],
+      ['Nope', 'invalid', []]
+    ]);
+    assert.strictEqual(json.estimated_credits, 27);
+    assert.strictEqual(businesses.length, 2);
+  });
+
+  test('an import adds each new business, its keywords and a first scan', async () => {
+    const file = sandbox.writeFile('batch.csv', [
+      'https://www.google.com/maps/place/Uptown+Bakery',
+      TRACKED_PLACE
+    ].join('\n'));
+
+    const { code, json, stderr } = await sandbox.run(['businesses:import', '--file', file, '--keywords', 'bakery', '--scan', '--yes']);
+    assert.strictEqual(code, 0, stderr);
+    assert.deepStrictEqual(json.rows.map(row => [row.business_name, row.status]), [['Uptown Bakery', 'created'], ['Acme Plumbing', 'exists']]);
+    const created = businesses.find(b => b.name === 'Uptown Bakery');
+    assert.deepStrictEqual(keywords[created.uuid], ['bakery']);
+    assert.deepStrictEqual(scans, [{ business_uuid: created.uuid, keywords: ['bakery'], grid_size: 7, radius: 3 }]);
+    assert.strictEqual(json.credits_spent, 18);
+
+    // Run again, and the link is matched by name rather than added twice
+    const again = await sandbox.run(['businesses:import', '--file', file, '--keywords', 'bakery', '--scan', '--yes']);
+    assert.deepStrictEqual(again.json.rows.map(row => row.status), ['exists', 'exists']);
+    assert.strictEqual(scans.length, 1);
+  });
+
+  test('businesses:archive stops tracking a business', async () => {
+    const { json } = await sandbox.run(['businesses:archive', '--business', 'Uptown Bakery']);
+    assert.strictEqual(json.archived, true);
+    const list = await sandbox.run(['businesses:list']);
+    assert.ok(!list.json.businesses.some(b => b.name === 'Uptown Bakery'));
+  });
+});
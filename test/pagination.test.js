@@ -0,0 +1,84 @@
+const { describe, test, before, after, beforeEach } = require('node:test');
+const assert = require('assert');
+const { createSandbox, paginate } = require('./helpers');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// 150 businesses, and 120 scans one day apart, newest first like the API
+const businesses = Array.from({ length: 150 }, (_, i) => ({
+  uuid: `b-${i}`,
+  name: `Business ${String(i).padStart(3, '0')}`,
+  place_id: `place-${i}`
+}));
+const scans = Array.from({ length: 120 }, (_, i) => ({
+  uuid: `s-${i}`,
+  business: businesses[i % 3],
+  keywords: ['plumber'],
+  status: 'completed',
+  avg_rank: 8,
+  created_at: new Date(Date.now() - i * DAY).toISOString()
+}));
+
+describe('pagination', () => {
+  let sandbox;
+
+  before(async () => {
+    sandbox = await createSandbox({
+      'GET /api/businesses/': req => paginate(req, businesses, { maxPageSize: 50 }),
+      'GET /api/scans/': req => paginate(req, scans, { maxPageSize: 50 })
+    });
+  });
+
+  beforeEach(() => {
+    sandbox.requests.length = 0;
+  });
+
+  after(() => sandbox.close());
+
+  const scanPages = () => sandbox.requests.filter(r => r.path === '/api/scans/');
+
+  test('lists follow next links until the last page', async () => {
+    const { code, json } = await sandbox.run(['businesses:list']);
+    assert.strictEqual(code, 0);
+    assert.strictEqual(json.count, 150);
+    assert.strictEqual(json.businesses[149].name, 'Business 149');
+    assert.deepStrictEqual(sandbox.requests.map(r => r.query.page), [undefined, '2', '3']);
+  });
+
+  test('--limit stops reading once it has enough', async () => {
+    const { json } = await sandbox.run(['scans:list', '--limit', '60']);
+    assert.strictEqual(json.count, 60);
+    assert.strictEqual(scanPages().length, 2);
+  });
+
+  test('--since stops at the first page that is entirely older', async () => {
+    const { json } = await sandbox.run(['portfolio:summary', '--since', '30d']);
+    assert.strictEqual(json.total_scans, 30);
+    assert.strictEqual(scanPages().length, 2);
+  });
+
+  test('--max-pages caps the pages read', async () => {
+    const { json } = await sandbox.run(['portfolio:summary', '--max-pages', '1']);
+    assert.strictEqual(json.total_scans, 50);
+    assert.strictEqual(scanPages().length, 1);
+  });
+
+  test('absolute next links keep the base URL path prefix once', async () => {
+    sandbox.routes['GET /v2/api/businesses/'] = req => paginate(req, businesses, { maxPageSize: 50 });
+    const { code, json } = await sandbox.run(['businesses:list'], { env: { LOCALRANK_API_URL: `${sandbox.url}/v2` } });
+    assert.strictEqual(code, 0);
+    assert.strictEqual(json.count, 150);
+    assert.ok(sandbox.requests.every(r => r.path === '/v2/api/businesses/'));
+  });
+
+  test('a next link on another host is not followed', async () => {
+    sandbox.routes['GET /api/businesses/'] = () => ({
+      count: 2,
+      next: 'https://elsewhere.example/api/businesses/?page=2',
+      results: businesses.slice(0, 1)
+    });
+    const { code, stderr } = await sandbox.run(['businesses:list']);
+    assert.strictEqual(code, 1);
+    assert.match(stderr, /next page is on another host \(https:\/\/elsewhere\.example\)/);
+  });
+});
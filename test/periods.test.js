@@ -0,0 +1,99 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('assert');
+const { createSandbox } = require('./helpers');
+
+const business = { uuid: 'b-1', name: 'Acme Plumbing' };
+// Two scans in May and two in June; the keyword set changes at the start of June
+const history = [
+  { uuid: 's-4', created_at: '2026-06-18T09:00:00Z', avg_rank: 5, ranks: { plumber: 8, drain: 2 } },
+  { uuid: 's-3', created_at: '2026-06-03T09:00:00Z', avg_rank: 8.7, ranks: { plumber: 9, drain: 2, 'water heater': 15 } },
+  { uuid: 's-2', created_at: '2026-05-20T09:00:00Z', avg_rank: 8, ranks: { plumber: 11, drain: 4, 'emergency plumber': 9 } },
+  { uuid: 's-1', created_at: '2026-05-05T09:00:00Z', avg_rank: 8, ranks: { plumber: 12, drain: 4, 'emergency plumber': 8 } }
+];
+const scans = history.map(({ ranks, ...scan }) => ({ ...scan, business, status: 'completed' }));
+
+describe('period comparison', () => {
+  let sandbox;
+
+  before(async () => {
+    sandbox = await createSandbox({
+      'GET /api/businesses/': () => ({ results: [business] }),
+      'GET /api/scans/': () => ({ results: scans })
+    });
+    history.forEach(({ ranks, ...scan }) => {
+      sandbox.routes[`GET /api/scans/${scan.uuid}/`] = () => ({
+        ...scan,
+        business,
+        status: 'completed',
+        keyword_results: Object.entries(ranks).map(([keyword, avg_rank]) => ({ keyword, avg_rank }))
+      });
+    });
+  });
+
+  after(() => sandbox.close());
+
+  const report = (...args) => sandbox.run(['client:report', '--business', 'acme', ...args]);
+
+  test('without --period the last two scans are compared, new and removed keywords apart', async () => {
+    const { json } = await report();
+    assert.deepStrictEqual(json.wins, [{ keyword: 'plumber', from: 9, to: 8, improved_by: 1 }]);
+    assert.deepStrictEqual(json.new_keywords, []);
+    assert.deepStrictEqual(json.removed_keywords, [{ keyword: 'water heater', last_rank: 15 }]);
+  });
+
+  test('--period month compares the latest scan month with the one before', async () => {
+    const { code, json } = await report('--period', 'month');
+    assert.strictEqual(code, 0);
+    assert.strictEqual(json.current.label, 'June 2026');
+    assert.strictEqual(json.previous.label, 'May 2026');
+    assert.strictEqual(json.current.representative_scan.uuid, 's-4');
+    assert.strictEqual(json.avg_rank_change, 3);
+
+    // water heater comes from the earlier June scan, the last one that tracked it
+    assert.deepStrictEqual(json.keywords.map(k => [k.keyword, k.previous_rank, k.current_rank, k.status]), [
+      ['drain', 4, 2, 'win'],
+      ['emergency plumber', 9, null, 'removed'],
+      ['plumber', 11, 8, 'win'],
+      ['water heater', null, 15, 'new']
+    ]);
+    assert.deepStrictEqual(json.like_for_like, { keywords: 2, previous_avg_rank: 7.5, current_avg_rank: 5, change: 2.5 });
+    assert.deepStrictEqual(json.milestones.entered_top_3.map(m => m.keyword), ['drain']);
+    assert.deepStrictEqual(json.milestones.reached_page_1.map(m => m.keyword), ['plumber']);
+    assert.ok(json.notes.includes('The tracked keyword set changed during the period; each keyword uses the latest scan that tracked it'));
+  });
+
+  test('--to picks an earlier month, and a quarter with no scans before it says so', async () => {
+    const may = await report('--period', 'month', '--to', '2026-05-31');
+    assert.strictEqual(may.json.current.label, 'May 2026');
+    assert.strictEqual(may.json.current.representative_scan.uuid, 's-2');
+
+    const quarter = await report('--period', 'quarter');
+    assert.strictEqual(quarter.json.current.label, 'Q2 2026');
+    assert.strictEqual(quarter.json.like_for_like, null);
+    assert.deepStrictEqual(quarter.json.notes, [
+      'No scans in Q1 2026 - every keyword is reported as new',
+      'The tracked keyword set changed during the period; each keyword uses the latest scan that tracked it'
+    ]);
+  });
+
+  test('a custom window is compared with the same length just before it', async () => {
+    const { json } = await report('--period', 'custom', '--from', '2026-06-01', '--to', '2026-06-30');
+    assert.strictEqual(json.current.label, '2026-06-01 to 2026-06-30');
+    assert.strictEqual(json.previous.from, '2026-05-02T00:00:00.000Z');
+    assert.strictEqual(json.previous.scans, 2);
+
+    const bad = await report('--period', 'custom');
+    assert.strictEqual(bad.code, 1);
+    assert.match(bad.stderr, /--period custom needs --from/);
+  });
+
+  test('email:draft --period month leads with the period and its milestones', async () => {
+    const { json } = await sandbox.run(['email:draft', '--business', 'acme', '--period', 'month']);
+    assert.deepStrictEqual(json.period, { current: 'June 2026', previous: 'May 2026' });
+    assert.match(json.email_draft, /^Subject: Acme Plumbing - June 2026 SEO Update/);
+    assert.match(json.email_draft, /- Up 2\.5 positions compared with May 2026/);
+    assert.match(json.email_draft, /\*\*Now in the Top 3:\*\*\n- "drain" \(#2\)/);
+    assert.match(json.email_draft, /\*\*Reached Page 1:\*\*\n- "plumber" \(#8\)/);
+    assert.match(json.email_draft, /\*\*Now Also Tracking:\*\*\n- "water heater" \(#15\)/);
+  });
+});
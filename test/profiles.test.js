@@ -0,0 +1,88 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { createSandbox, reply } = require('./helpers');
+
+const KEYS = ['lr_main', 'lr_partner', 'lr_new'];
+
+// The steps build on each other: one account is set up, then a second, then rotated and logged out
+describe('profiles', () => {
+  let sandbox;
+  let configPath;
+
+  before(async () => {
+    sandbox = await createSandbox({
+      'GET /api/businesses/': req => (KEYS.some(key => req.headers.authorization === `Api-Key ${key}`)
+        ? { results: [] }
+        : reply(401, { detail: 'Invalid API key' }))
+    });
+    delete sandbox.env.LOCALRANK_API_KEY;
+    configPath = path.join(sandbox.home, '.config', 'localrank', 'config.json');
+  });
+
+  after(() => sandbox.close());
+
+  const readConfig = () => JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  const lastKey = () => sandbox.requests[sandbox.requests.length - 1].headers.authorization;
+
+  test('setup verifies the key and saves it readable by the owner only', async () => {
+    const bad = await sandbox.run(['setup', '--key', 'lr_wrong']);
+    assert.strictEqual(bad.code, 1);
+    assert.ok(!fs.existsSync(configPath));
+
+    assert.strictEqual((await sandbox.run(['setup', '--key', 'lr_main'])).code, 0);
+    assert.strictEqual((await sandbox.run(['setup', '--profile', 'partner', '--key', 'lr_partner'])).code, 0);
+    assert.deepStrictEqual(readConfig(), { api_key: 'lr_main', profiles: { partner: { api_key: 'lr_partner' } } });
+    if (process.platform !== 'win32') assert.strictEqual(fs.statSync(configPath).mode & 0o777, 0o600);
+  });
+
+  test('--profile and LOCALRANK_PROFILE pick the account', async () => {
+    await sandbox.run(['businesses:list']);
+    assert.strictEqual(lastKey(), 'Api-Key lr_main');
+    await sandbox.run(['businesses:list', '--profile', 'partner']);
+    assert.strictEqual(lastKey(), 'Api-Key lr_partner');
+    await sandbox.run(['businesses:list'], { env: { LOCALRANK_PROFILE: 'partner' } });
+    assert.strictEqual(lastKey(), 'Api-Key lr_partner');
+
+    const { json } = await sandbox.run(['config:show', '--profile', 'partner']);
+    assert.deepStrictEqual([json.profile, json.api_key, json.source], ['partner', 'lr_partn...', 'global config']);
+
+    const missing = await sandbox.run(['businesses:list', '--profile', 'nope']);
+    assert.strictEqual(missing.code, 1);
+  });
+
+  test('profiles:list masks keys and profiles:use changes the default', async () => {
+    const { json: before } = await sandbox.run(['profiles:list']);
+    assert.deepStrictEqual(before.profiles.map(p => [p.name, p.api_key, p.active, p.default]), [
+      ['default', 'lr_main...', true, true],
+      ['partner', 'lr_partn...', false, false]
+    ]);
+
+    await sandbox.run(['profiles:use', 'partner']);
+    const { json: after } = await sandbox.run(['profiles:list']);
+    assert.strictEqual(after.active, 'partner');
+    await sandbox.run(['businesses:list']);
+    assert.strictEqual(lastKey(), 'Api-Key lr_partner');
+  });
+
+  test('key:rotate only replaces the key once the new one works', async () => {
+    const bad = await sandbox.run(['key:rotate', '--key', 'lr_bad']);
+    assert.strictEqual(bad.code, 1);
+    assert.match(bad.stderr, /Invalid API key/);
+    assert.strictEqual(readConfig().profiles.partner.api_key, 'lr_partner');
+
+    const { json } = await sandbox.run(['key:rotate', '--key', 'lr_new']);
+    assert.deepStrictEqual(json, { profile: 'partner', path: configPath, old_key: 'lr_partn...', new_key: 'lr_new...' });
+    assert.strictEqual(readConfig().profiles.partner.api_key, 'lr_new');
+  });
+
+  test('logout removes the active profile and falls back to the default key', async () => {
+    const { json } = await sandbox.run(['logout']);
+    assert.deepStrictEqual(json, { profile: 'partner', removed_from: configPath });
+    assert.deepStrictEqual(readConfig(), { api_key: 'lr_main', profiles: {} });
+
+    await sandbox.run(['businesses:list']);
+    assert.strictEqual(lastKey(), 'Api-Key lr_main');
+  });
+});
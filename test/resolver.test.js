@@ -0,0 +1,74 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('assert');
+const { createSandbox } = require('./helpers');
+
+// "Acme Plumbing" next to one name it prefixes and one that only shares words
+const businesses = [
+  { uuid: 'b-1', name: 'Acme Plumbing', place_id: 'place-1' },
+  { uuid: 'b-2', name: 'Acme Plumbing Dallas', place_id: 'place-2' },
+  { uuid: 'b-3', name: 'Aarons Acme Plumbing', place_id: 'place-3' },
+  { uuid: 'b-4', name: 'Bright Smile Dental', place_id: 'place-4' },
+  { uuid: 'b-5', name: "Joe's Roofing", place_id: 'place-5' }
+];
+
+describe('--business resolution', () => {
+  let sandbox;
+
+  before(async () => {
+    sandbox = await createSandbox({ 'GET /api/businesses/': () => ({ results: businesses }) });
+  });
+
+  after(() => sandbox.close());
+
+  const show = (...args) => sandbox.run(['rules:show', '--business', ...args]);
+
+  test('a unique exact name wins over names it prefixes', async () => {
+    const { code, json } = await show('acme plumbing');
+    assert.strictEqual(code, 0);
+    assert.strictEqual(json.business, 'Acme Plumbing');
+  });
+
+  test('case, punctuation and small typos still match', async () => {
+    assert.strictEqual((await show('BRIGHT SMILE dental!')).json.business, 'Bright Smile Dental');
+    assert.strictEqual((await show('bright smyle dental')).json.business, 'Bright Smile Dental');
+    assert.strictEqual((await show('joes roofing')).json.business, "Joe's Roofing");
+  });
+
+  test('a name that fits several businesses lists them, best match first', async () => {
+    const { code, stderr } = await show('acme');
+    assert.strictEqual(code, 1);
+    assert.match(stderr, /'acme' matches 3 businesses/);
+    const listed = stderr.split('\n').filter(line => line.startsWith('  ')).map(line => line.trim().split(' (uuid')[0]);
+    // Prefix matches outrank word matches; ties go alphabetically
+    assert.deepStrictEqual(listed, ['Acme Plumbing', 'Acme Plumbing Dallas', 'Aarons Acme Plumbing']);
+  });
+
+  test('--first takes the best-ranked match', async () => {
+    const { code, json } = await show('acme', '--first');
+    assert.strictEqual(code, 0);
+    assert.strictEqual(json.business, 'Acme Plumbing');
+  });
+
+  test('a UUID or place_id picks one business whatever its name', async () => {
+    assert.strictEqual((await show('b-2')).json.business, 'Acme Plumbing Dallas');
+    assert.strictEqual((await show('place-3')).json.business, 'Aarons Acme Plumbing');
+  });
+
+  test('no match is reported, not guessed', async () => {
+    const { code, json } = await show('Nope Co');
+    assert.strictEqual(code, 0);
+    assert.match(json.error, /No business matches 'Nope Co'/);
+  });
+
+  test('scans are grouped by business UUID, not display name', async () => {
+    sandbox.routes['GET /api/scans/'] = () => ({
+      results: [
+        { uuid: 's-1', business: { uuid: 'b-1', name: 'Acme Plumbing' }, status: 'completed', avg_rank: 5, created_at: '2026-06-01T00:00:00Z' },
+        { uuid: 's-2', business: { uuid: 'b-9', name: 'Acme Plumbing' }, status: 'completed', avg_rank: 12, created_at: '2026-06-01T00:00:00Z' }
+      ]
+    });
+    const { json } = await sandbox.run(['portfolio:summary']);
+    assert.strictEqual(json.total_clients, 2);
+    assert.deepStrictEqual(json.clients.map(c => c.uuid).sort(), ['b-1', 'b-9']);
+  });
+});
@@ -0,0 +1,79 @@
+const { describe, test, before, after, beforeEach } = require('node:test');
+const assert = require('assert');
+const { createSandbox, reply } = require('./helpers');
+
+const business = { uuid: 'b-1', name: 'Acme Plumbing', place_id: 'place-1' };
+// Retry-After: 0 keeps the retries instant
+const unavailable = () => reply(503, 'Service Unavailable', { 'Retry-After': '0' });
+
+describe('retries', () => {
+  let sandbox;
+
+  before(async () => {
+    sandbox = await createSandbox();
+  });
+
+  beforeEach(() => {
+    sandbox.requests.length = 0;
+  });
+
+  after(() => sandbox.close());
+
+  // Fails `failures` times with `failure()`, then answers with `body`
+  const flaky = (failures, failure, body) => {
+    let calls = 0;
+    return () => (calls++ < failures ? failure() : body);
+  };
+
+  test('reads retry 5xx responses until one succeeds', async () => {
+    sandbox.routes['GET /api/businesses/'] = flaky(2, unavailable, { results: [business] });
+    const { code, json, stderr } = await sandbox.run(['businesses:list']);
+    assert.strictEqual(code, 0);
+    assert.strictEqual(json.count, 1);
+    assert.strictEqual(sandbox.requests.length, 3);
+    assert.match(stderr, /API Error 503: Service Unavailable - retrying in 0\.0s \(1\/3\)/);
+  });
+
+  test('a non-numeric LOCALRANK_RETRIES keeps the default of 3', async () => {
+    sandbox.routes['GET /api/businesses/'] = unavailable;
+    const { code, stderr } = await sandbox.run(['businesses:list'], { env: { LOCALRANK_RETRIES: 'lots' } });
+    assert.strictEqual(code, 1);
+    assert.match(stderr, /API Error 503/);
+    assert.strictEqual(sandbox.requests.length, 4);
+  });
+
+  test('--retries 0 fails on the first error', async () => {
+    sandbox.routes['GET /api/businesses/'] = unavailable;
+    const { code } = await sandbox.run(['businesses:list', '--retries', '0']);
+    assert.strictEqual(code, 1);
+    assert.strictEqual(sandbox.requests.length, 1);
+  });
+
+  test('credit-spending POSTs retry a 429 with the same idempotency key', async () => {
+    sandbox.routes['POST /api/gmb/audit/run/'] = flaky(1, () => reply(429, 'Slow down', { 'Retry-After': '0' }), {
+      audit_id: 'a-1',
+      status: 'pending',
+      credits_deducted: 500
+    });
+    const { code, json } = await sandbox.run(['audit:run', '--url', 'https://www.google.com/maps/place/Acme', '--yes']);
+    assert.strictEqual(code, 0);
+    assert.strictEqual(json.audit_id, 'a-1');
+    const [first, second] = sandbox.requests;
+    assert.ok(first.headers['idempotency-key']);
+    assert.strictEqual(second.headers['idempotency-key'], first.headers['idempotency-key']);
+  });
+
+  test('credit-spending POSTs never retry a 5xx the server may have processed', async () => {
+    sandbox.routes['POST /api/gmb/audit/run/'] = unavailable;
+    const { code } = await sandbox.run(['audit:run', '--url', 'https://www.google.com/maps/place/Acme', '--yes']);
+    assert.strictEqual(code, 1);
+    assert.strictEqual(sandbox.requests.length, 1);
+  });
+
+  test('a slow response times out with the request named', async () => {
+    sandbox.routes['GET /api/businesses/'] = () => new Promise(resolve => setTimeout(() => resolve({ results: [] }), 2000));
+    const { code, stderr } = await sandbox.run(['businesses:list', '--timeout', '0.2', '--retries', '0']);
+    assert.strictEqual(code, 1);
+    assert.match(stderr, /Request timed out after 0\.2s: GET \/api\/businesses\//);
+  });
+});
@@ -0,0 +1,157 @@
+const { describe, test, before, after, afterEach } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { createSandbox } = require('./helpers');
+
+const businesses = [
+  { uuid: 'b-1', name: 'Acme Plumbing', place_id: 'place-1' },
+  { uuid: 'b-2', name: 'Acme Plumbing Dallas', place_id: 'place-2' },
+  { uuid: 'b-3', name: "Joe's Roofing", place_id: 'place-3' }
+];
+
+const scans = [
+  { uuid: 's-1', business: { uuid: 'b-1', name: 'Acme Plumbing' }, status: 'completed', avg_rank: 9, created_at: '2026-06-01T00:00:00Z' }
+];
+
+describe('rules', () => {
+  let sandbox;
+
+  before(async () => {
+    sandbox = await createSandbox({
+      'GET /api/businesses/': () => ({ results: businesses }),
+      'GET /api/scans/': () => ({ results: scans }),
+      'GET /api/scans/s-1/': () => ({
+        ...scans[0],
+        keyword_results: [{ keyword: 'plumber', avg_rank: 12 }, { keyword: 'drain cleaning', avg_rank: 17 }]
+      })
+    });
+  });
+
+  afterEach(() => {
+    fs.rmSync(path.join(sandbox.home, '.config', 'localrank', 'config.json'), { force: true });
+    fs.rmSync(path.join(sandbox.cwd, '.localrank', 'config.json'), { force: true });
+  });
+
+  after(() => sandbox.close());
+
+  const show = (...args) => sandbox.run(['rules:show', ...args]);
+
+  test('defaults apply without a rules block', async () => {
+    const { json } = await show();
+    assert.strictEqual(json.rules.stable_change, 0.5);
+    assert.deepStrictEqual(json.rules.quick_wins, { min_rank: 11, max_rank: 20, high_max_rank: 15, limit: 20 });
+  });
+
+  test('local rules override global ones key by key', async () => {
+    sandbox.writeConfig('global', { rules: { quick_wins: { max_rank: 18 }, priorities: { urgent_drop: 4 } } });
+    sandbox.writeConfig('local', { rules: { quick_wins: { max_rank: 16 } } });
+
+    const { json } = await show();
+    assert.deepStrictEqual(json.sources.map(s => s.source), ['global', 'local']);
+    assert.strictEqual(json.rules.quick_wins.max_rank, 16);
+    assert.strictEqual(json.rules.quick_wins.min_rank, 11);
+    assert.strictEqual(json.rules.priorities.urgent_drop, 4);
+  });
+
+  test('a business gets the global rules, then its tier, then its own overrides', async () => {
+    sandbox.writeConfig('global', {
+      rules: {
+        quick_wins: { max_rank: 18 },
+        tiers: { premium: { stable_change: 0.2, at_risk: { drop: 1 }, priorities: { urgent_drop: 2 } } },
+        businesses: { 'Acme Plumbing': { tier: 'premium', priorities: { urgent_drop: 1 } } }
+      }
+    });
+    sandbox.writeConfig('local', { rules: { businesses: { 'Acme Plumbing': { priorities: { important_rank: 9 } } } } });
+
+    const { code, json } = await show('--business', 'Acme Plumbing');
+    assert.strictEqual(code, 0);
+    assert.strictEqual(json.tier, 'premium');
+    assert.deepStrictEqual(json.overrides, ['Acme Plumbing']);
+    assert.strictEqual(json.rules.stable_change, 0.2);
+    assert.strictEqual(json.rules.quick_wins.max_rank, 18);
+    assert.deepStrictEqual(json.rules.at_risk, { ...json.rules.at_risk, drop: 1, poor_rank: 15 });
+    assert.deepStrictEqual(json.rules.priorities, { urgent_drop: 1, important_rank: 9, limit: 5 });
+  });
+
+  test('an override keyed by name applies to that business only', async () => {
+    sandbox.writeConfig('global', { rules: { businesses: { 'Acme Plumbing': { stable_change: 2 } } } });
+
+    assert.strictEqual((await show('--business', 'Acme Plumbing')).json.rules.stable_change, 2);
+    const dallas = await show('--business', 'Acme Plumbing Dallas');
+    assert.strictEqual(dallas.json.rules.stable_change, 0.5);
+    assert.deepStrictEqual(dallas.json.overrides, []);
+  });
+
+  test('commands use the thresholds', async () => {
+    const before = await sandbox.run(['quick-wins:find']);
+    assert.deepStrictEqual(before.json.quick_wins.map(w => w.keyword), ['plumber', 'drain cleaning']);
+
+    sandbox.writeConfig('local', { rules: { quick_wins: { max_rank: 15 } } });
+    const after = await sandbox.run(['quick-wins:find']);
+    assert.deepStrictEqual(after.json.quick_wins.map(w => w.keyword), ['plumber']);
+  });
+
+  test('rules:validate reports each bad value with the file it came from', async () => {
+    sandbox.writeConfig('global', { rules: { at_risk: { drop: -1 }, bogus: 1 } });
+    sandbox.writeConfig('local', {
+      rules: {
+        quick_wins: { min_rank: 16 },
+        tiers: { premium: { quick_wins: { limit: 5 } } }
+      }
+    });
+
+    const { json } = await sandbox.run(['rules:validate']);
+    assert.strictEqual(json.valid, false);
+    assert.strictEqual(json.businesses_checked, false);
+    const errors = json.errors.map(e => `${e.source} ${e.rule}: ${e.message}`);
+    assert.deepStrictEqual(errors, [
+      'global rules.at_risk.drop: must be a non-negative number',
+      'global rules.bogus: unknown rule',
+      'local rules.tiers.premium.quick_wins.limit: can only be set globally, not per tier or business'
+    ]);
+  });
+
+  test('rules:validate checks that quick-win bands nest once the files are merged', async () => {
+    sandbox.writeConfig('global', { rules: { quick_wins: { high_max_rank: 14 } } });
+    sandbox.writeConfig('local', { rules: { quick_wins: { min_rank: 16 } } });
+
+    const { json } = await sandbox.run(['rules:validate']);
+    assert.deepStrictEqual(json.errors, [{
+      source: 'merged',
+      rule: 'rules.quick_wins',
+      message: 'expected min_rank <= high_max_rank <= max_rank, got 16, 14, 20'
+    }]);
+
+    // Commands using the rules refuse to run on them
+    const summary = await sandbox.run(['portfolio:summary']);
+    assert.strictEqual(summary.code, 1);
+    assert.match(summary.stderr, /Invalid rules: rules\.quick_wins expected min_rank <= high_max_rank/);
+  });
+
+  test('rules:validate rejects business keys that match several businesses or none', async () => {
+    sandbox.writeConfig('local', {
+      rules: {
+        businesses: {
+          acme: { stable_change: 1 },
+          'Nope Co': { stable_change: 1 },
+          'b-3': { stable_change: 1 }
+        }
+      }
+    });
+
+    const { json } = await sandbox.run(['rules:validate']);
+    assert.strictEqual(json.valid, false);
+    assert.strictEqual(json.businesses_checked, true);
+    assert.deepStrictEqual(json.errors.map(e => [e.source, e.rule]), [
+      ['local', 'rules.businesses.acme'],
+      ['local', 'rules.businesses.Nope Co']
+    ]);
+    assert.match(json.errors[0].message, /matches 2 businesses \(Acme Plumbing, Acme Plumbing Dallas\)/);
+    assert.strictEqual(json.errors[1].message, 'matches no business');
+
+    const summary = await sandbox.run(['portfolio:summary']);
+    assert.strictEqual(summary.code, 1);
+    assert.match(summary.stderr, /Invalid rules: rules\.businesses\.acme matches 2 businesses/);
+  });
+});
@@ -0,0 +1,89 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { createSandbox } = require('./helpers');
+
+const acme = { uuid: 'b-1', name: 'Acme Plumbing' };
+
+describe('scans and keywords', () => {
+  let sandbox, tracked, created;
+
+  before(async () => {
+    tracked = ['plumber', 'drain cleaning'];
+    created = [];
+    sandbox = await createSandbox({
+      'GET /api/businesses/': () => ({ results: [acme] }),
+      'GET /api/businesses/b-1/keywords/': () => ({ keywords: tracked.map(keyword => ({ keyword })) }),
+      'POST /api/businesses/b-1/keywords/': req => { tracked.push(...req.body.keywords); return {}; },
+      'DELETE /api/businesses/b-1/keywords/': req => { tracked = tracked.filter(k => !req.body.keywords.includes(k)); return {}; },
+      'POST /api/scans/': req => {
+        created.push(req.body);
+        // Only the first scan's response says what it cost
+        return { uuid: `s-new-${created.length}`, status: 'processing', ...(created.length === 1 ? { credits_deducted: 90 } : {}) };
+      },
+      'GET /api/scans/s-old/': () => ({ uuid: 's-old', business: acme, grid_size: 5, radius: 2, keyword_results: [{ keyword: 'plumber' }] })
+    });
+  });
+
+  after(() => sandbox.close());
+
+  const ledger = () => fs.readFileSync(path.join(sandbox.home, '.config', 'localrank', 'credits.jsonl'), 'utf8')
+    .trim().split('\n').map(line => JSON.parse(line));
+
+  test('a dry run plans the tracked keywords on the default grid', async () => {
+    const { code, json } = await sandbox.run(['scans:create', '--business', 'acme', '--dry-run']);
+    assert.strictEqual(code, 0);
+    assert.deepStrictEqual(json.keywords, ['plumber', 'drain cleaning']);
+    assert.strictEqual(json.grid_size, 7);
+    assert.strictEqual(json.radius, 3);
+    assert.strictEqual(json.estimated_credits, 98);
+    assert.strictEqual(created.length, 0);
+  });
+
+  test('bad grid settings are refused before anything is spent', async () => {
+    const grid = await sandbox.run(['scans:create', '--business', 'acme', '--grid-size', '4', '--dry-run']);
+    assert.strictEqual(grid.code, 1);
+    assert.match(grid.stderr, /Invalid grid size '4'/);
+    const radius = await sandbox.run(['scans:create', '--business', 'acme', '--radius', '50', '--yes']);
+    assert.match(radius.stderr, /Invalid radius '50'/);
+    assert.strictEqual(created.length, 0);
+  });
+
+  test('a confirmed scan records what the API charged, or the estimate when it doesn\'t say', async () => {
+    const first = await sandbox.run(['scans:create', '--business', 'acme', '--keywords', 'plumber,boiler repair', '--grid-size', '3', '--yes']);
+    assert.strictEqual(first.code, 0, first.stderr);
+    assert.deepStrictEqual(created[0], { business_uuid: 'b-1', keywords: ['plumber', 'boiler repair'], grid_size: 3, radius: 3 });
+    assert.strictEqual(first.json.credits_deducted, 90);
+
+    const rerun = await sandbox.run(['scans:rerun', 's-old', '--yes']);
+    assert.strictEqual(rerun.code, 0, rerun.stderr);
+    assert.strictEqual(rerun.json.rerun_of, 's-old');
+    assert.deepStrictEqual(created[1], { business_uuid: 'b-1', keywords: ['plumber'], grid_size: 5, radius: 2 });
+
+    assert.deepStrictEqual(ledger().map(e => [e.command, e.scan_id, e.credits, e.estimated]), [
+      ['scans:create', 's-new-1', 90, undefined],
+      ['scans:rerun', 's-new-2', 25, true]
+    ]);
+  });
+
+  test('keywords:add skips ones already tracked and keywords:remove reports ones that aren\'t', async () => {
+    const added = await sandbox.run(['keywords:add', '--business', 'acme', '--keywords', 'Plumber, water heater']);
+    assert.deepStrictEqual(added.json.added, ['water heater']);
+    assert.deepStrictEqual(added.json.already_tracked, ['Plumber']);
+    assert.strictEqual(added.json.count, 3);
+
+    const removed = await sandbox.run(['keywords:remove', '--business', 'acme', '--keywords', 'DRAIN CLEANING,roofing']);
+    assert.deepStrictEqual(removed.json.removed, ['drain cleaning']);
+    assert.deepStrictEqual(removed.json.not_tracked, ['roofing']);
+  });
+
+  test('a cached keyword list is dropped once the keywords change', async () => {
+    const env = { LOCALRANK_NO_CACHE: undefined };
+    const list = async () => (await sandbox.run(['keywords:list', '--business', 'acme'], { env })).json.keywords.map(k => k.keyword);
+
+    assert.deepStrictEqual(await list(), ['plumber', 'water heater']);
+    await sandbox.run(['keywords:add', '--business', 'acme', '--keywords', 'sump pump'], { env });
+    assert.deepStrictEqual(await list(), ['plumber', 'water heater', 'sump pump']);
+  });
+});
@@ -0,0 +1,60 @@
+const { describe, test, before, after, beforeEach } = require('node:test');
+const assert = require('assert');
+const { createSandbox } = require('./helpers');
+
+// Six clients with one scan each; every scan has a keyword just off page 1
+const scans = Array.from({ length: 6 }, (_, i) => ({
+  uuid: `s-${i}`,
+  business: { uuid: `b-${i}`, name: `Client ${i}` },
+  status: 'completed',
+  avg_rank: 12,
+  created_at: new Date(Date.UTC(2026, 5, 1) - i * 60000).toISOString()
+}));
+
+describe('scan detail scheduler', () => {
+  let sandbox;
+  let active = 0;
+  let peak = 0;
+
+  before(async () => {
+    sandbox = await createSandbox({ 'GET /api/scans/': () => ({ results: scans }) });
+    scans.forEach(scan => {
+      sandbox.routes[`GET /api/scans/${scan.uuid}/`] = async () => {
+        peak = Math.max(peak, ++active);
+        await new Promise(resolve => setTimeout(resolve, 100));
+        active--;
+        return { ...scan, keyword_results: [{ keyword: 'plumber', avg_rank: 12, best_rank: 9 }] };
+      };
+    });
+  });
+
+  beforeEach(() => {
+    sandbox.requests.length = 0;
+    peak = 0;
+  });
+
+  after(() => sandbox.close());
+
+  const detailRequests = () => sandbox.requests.filter(r => r.path !== '/api/scans/').map(r => r.path).sort();
+
+  test('details are fetched in parallel, up to --concurrency at a time', async () => {
+    const { code, json } = await sandbox.run(['quick-wins:find', '--concurrency', '2']);
+    assert.strictEqual(code, 0);
+    assert.strictEqual(json.total, 6);
+    assert.strictEqual(peak, 2);
+    assert.deepStrictEqual(detailRequests(), scans.map(s => `/api/scans/${s.uuid}/`));
+  });
+
+  test('LOCALRANK_CONCURRENCY sets the default', async () => {
+    const { code } = await sandbox.run(['quick-wins:find'], { env: { LOCALRANK_CONCURRENCY: '6' } });
+    assert.strictEqual(code, 0);
+    assert.strictEqual(peak, 6);
+  });
+
+  test('each scan is fetched once per run', async () => {
+    const { code, json } = await sandbox.run(['prioritize:today']);
+    assert.strictEqual(code, 0);
+    assert.strictEqual(json.priorities.quick_wins.length, 5);
+    assert.deepStrictEqual(detailRequests(), scans.map(s => `/api/scans/${s.uuid}/`));
+  });
+});
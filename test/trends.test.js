@@ -0,0 +1,80 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('assert');
+const { createSandbox } = require('./helpers');
+
+// Four weekly scans: one keyword climbing two places a week, one slipping, one flat
+const weeks = ['2026-05-11', '2026-05-18', '2026-05-25', '2026-06-01'];
+const ranks = {
+  plumber: [20, 18, 16, 14],
+  'drain cleaning': [5, 6, 7, 8],
+  'water heater': [9, 9.1, 8.9, 9]
+};
+const business = { uuid: 'b-1', name: 'Acme Plumbing' };
+const scans = weeks.map((week, i) => ({
+  uuid: `s-${i}`,
+  business,
+  status: 'completed',
+  avg_rank: [12, 11, 10, 9][i],
+  created_at: `${week}T09:00:00Z`
+})).reverse();
+// Still running, so not part of any trend
+scans.unshift({ uuid: 's-pending', business, status: 'pending', avg_rank: null, created_at: '2026-06-08T09:00:00Z' });
+
+describe('rank trends', () => {
+  let sandbox;
+
+  before(async () => {
+    sandbox = await createSandbox({
+      'GET /api/businesses/': () => ({ results: [business] }),
+      'GET /api/scans/': () => ({ results: scans })
+    });
+    weeks.forEach((week, i) => {
+      sandbox.routes[`GET /api/scans/s-${i}/`] = () => ({
+        ...scans.find(s => s.uuid === `s-${i}`),
+        keyword_results: Object.entries(ranks).map(([keyword, series]) => ({ keyword, avg_rank: series[i], best_rank: series[i] - 2 }))
+      });
+    });
+  });
+
+  after(() => sandbox.close());
+
+  test('client:trends fits a trend per keyword; positive trend_per_week is improving', async () => {
+    const { code, json } = await sandbox.run(['client:trends', '--business', 'acme']);
+    assert.strictEqual(code, 0);
+    assert.deepStrictEqual(json.period, { from: '2026-05-11T09:00:00Z', to: '2026-06-01T09:00:00Z', scans: 4 });
+
+    // Fastest climber first
+    assert.deepStrictEqual(json.keywords.map(k => [k.keyword, k.change, k.trend_per_week, k.direction]), [
+      ['plumber', 6, 2, 'improving'],
+      ['water heater', 0, 0.02, 'stable'],
+      ['drain cleaning', -3, -1, 'declining']
+    ]);
+    const plumber = json.keywords[0];
+    assert.strictEqual(plumber.best_ever, 14);
+    assert.strictEqual(plumber.best_ever_date, '2026-06-01T09:00:00Z');
+    assert.strictEqual(plumber.worst_ever, 20);
+    assert.strictEqual(plumber.moving_avg, 16);
+    assert.strictEqual(json.overall.trend_per_week, 1);
+    assert.strictEqual(json.overall.direction, 'improving');
+  });
+
+  test('--until leaves out later scans', async () => {
+    const { json } = await sandbox.run(['client:trends', '--business', 'acme', '--until', '2026-05-25']);
+    assert.strictEqual(json.period.scans, 3);
+    assert.strictEqual(json.keywords[0].latest_rank, 16);
+  });
+
+  test('history:keyword lists one keyword scan by scan with a moving average', async () => {
+    const { json } = await sandbox.run(['history:keyword', '--business', 'acme', '--keyword', 'PLUMBER', '--window', '2']);
+    assert.strictEqual(json.keyword, 'plumber');
+    assert.deepStrictEqual(json.points.map(p => [p.avg_rank, p.moving_avg]), [[20, 20], [18, 19], [16, 17], [14, 15]]);
+    assert.strictEqual(json.stats.trend_per_week, 2);
+  });
+
+  test('an untracked keyword names the tracked ones', async () => {
+    // Not found is an answer, not a failure
+    const { code, json } = await sandbox.run(['history:keyword', '--business', 'acme', '--keyword', 'roofer']);
+    assert.strictEqual(code, 0);
+    assert.match(json.error, /'roofer' isn't tracked for 'acme'\. Tracked: plumber, drain cleaning, water heater/);
+  });
+});
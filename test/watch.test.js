@@ -0,0 +1,82 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { createSandbox } = require('./helpers');
+
+const acme = { uuid: 'b-1', name: 'Acme Plumbing' };
+const scan = (uuid, avgRank, day) => ({ uuid, business: acme, status: 'completed', avg_rank: avgRank, created_at: `2026-06-${day}T09:00:00Z` });
+
+// The steps build on each other: a baseline, a drop, a repeat check, a mute, then a key rotation
+describe('watch', () => {
+  let sandbox, scans, hook;
+
+  const stateFile = key => path.join(sandbox.home, '.config', 'localrank', 'accounts',
+    crypto.createHash('sha256').update(key).digest('hex').slice(0, 16), 'watch-state.json');
+  const check = options => sandbox.run(['watch', '--once', '--webhook', `${sandbox.url}/hook/`], options);
+
+  before(async () => {
+    scans = [scan('s-1', 6, '01')];
+    hook = [];
+    sandbox = await createSandbox({
+      'GET /api/businesses/': () => ({ results: [acme] }),
+      'GET /api/scans/': () => ({ results: scans }),
+      'POST /hook/': req => { hook.push(req.body); return {}; }
+    });
+  });
+
+  after(() => sandbox.close());
+
+  test('the first check only records where things stand, in the account\'s state', async () => {
+    const { code, json, stderr } = await check();
+    assert.strictEqual(code, 0, stderr);
+    assert.strictEqual(json.baseline, true);
+    assert.strictEqual(hook.length, 0);
+    assert.ok(fs.existsSync(stateFile('lr_test')));
+    assert.ok(!fs.existsSync(path.join(sandbox.home, '.config', 'localrank', 'watch-state.json')));
+  });
+
+  test('a rank drop on a new scan is posted once', async () => {
+    scans = [scan('s-2', 11, '08'), ...scans];
+    const { json } = await check();
+    assert.deepStrictEqual(json.alerts.map(a => [a.type, a.status]), [['rank_drop', 'delivered'], ['at_risk', 'delivered']]);
+    assert.strictEqual(hook[0].event, 'localrank.alert');
+    assert.strictEqual(hook[0].alert.message, 'Average rank dropped from 6 to 11');
+
+    const again = await check();
+    assert.strictEqual(again.json.new_alerts, 0);
+    assert.strictEqual(hook.length, 2);
+  });
+
+  test('another key has its own state', async () => {
+    const { json } = await check({ env: { LOCALRANK_API_KEY: 'lr_other' } });
+    assert.strictEqual(json.baseline, true);
+    assert.ok(fs.existsSync(stateFile('lr_other')));
+  });
+
+  test('watch:mute --until silences a client for a while', async () => {
+    const muted = await sandbox.run(['watch:mute', '--business', 'acme', '--until', '7d']);
+    assert.strictEqual(muted.code, 0, muted.stderr);
+
+    scans = [scan('s-3', 16, '15'), ...scans];
+    const { json } = await check();
+    assert.deepStrictEqual(json.alerts.map(a => a.status), ['muted', 'muted']);
+    assert.strictEqual(hook.length, 2);
+  });
+
+  test('key:rotate moves the account\'s state to the new key', async () => {
+    sandbox.writeConfig('global', { api_key: 'lr_test' });
+    const env = { LOCALRANK_API_KEY: undefined };
+    const before = fs.readFileSync(stateFile('lr_test'), 'utf8');
+
+    const { code, stderr } = await sandbox.run(['key:rotate', '--key', 'lr_rotated'], { env });
+    assert.strictEqual(code, 0, stderr);
+    assert.ok(!fs.existsSync(stateFile('lr_test')));
+    assert.strictEqual(fs.readFileSync(stateFile('lr_rotated'), 'utf8'), before);
+
+    // Picks up where it left off rather than starting a new baseline
+    const { json } = await check({ env });
+    assert.strictEqual(json.baseline, false);
+  });
+});
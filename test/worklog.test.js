@@ -0,0 +1,99 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { createSandbox } = require('./helpers');
+
+const acme = { uuid: 'b-1', name: 'Acme Plumbing' };
+const joes = { uuid: 'b-2', name: "Joe's Roofing" };
+const details = {
+  's-2': { business: acme, created_at: '2026-06-15T09:00:00Z', avg_rank: 5.3, keyword_results: [{ keyword: 'plumber', avg_rank: 4 }, { keyword: 'drain', avg_rank: 10 }, { keyword: 'boiler', avg_rank: 2 }] },
+  's-1': { business: acme, created_at: '2026-06-01T09:00:00Z', avg_rank: 10, keyword_results: [{ keyword: 'plumber', avg_rank: 8 }, { keyword: 'drain', avg_rank: 12 }] }
+};
+const scans = Object.entries(details).map(([uuid, { keyword_results: _, ...scan }]) => ({ uuid, status: 'completed', ...scan }));
+
+// The steps build on each other: work is logged, listed, measured, then removed
+describe('work log', () => {
+  let sandbox;
+
+  const logDir = key => path.join(sandbox.home, '.config', 'localrank', 'accounts',
+    crypto.createHash('sha256').update(key).digest('hex').slice(0, 16), 'worklog');
+  const log = (...args) => sandbox.run(['log:add', ...args]);
+
+  before(async () => {
+    sandbox = await createSandbox({
+      'GET /api/businesses/': () => ({ results: [acme, joes] }),
+      'GET /api/scans/': () => ({ results: scans })
+    });
+    Object.entries(details).forEach(([uuid, detail]) => {
+      sandbox.routes[`GET /api/scans/${uuid}/`] = () => ({ uuid, status: 'completed', ...detail });
+    });
+  });
+
+  after(() => sandbox.close());
+
+  test('log:add keeps each business\'s entries in the account\'s state', async () => {
+    const { code, json, stderr } = await log('--business', 'acme', '--action', '  Started   SuperBoost ', '--date', '2026-06-05');
+    assert.strictEqual(code, 0, stderr);
+    assert.strictEqual(json.action, 'Started SuperBoost');
+    assert.strictEqual(json.total_entries, 1);
+    await log('--business', 'acme', '--action', 'Added 20 photos', '--date', '2026-06-20', '--note', 'From the owner');
+    await log('--business', "Joe's", '--action', 'Claimed the listing', '--date', '2026-06-10');
+
+    assert.deepStrictEqual(fs.readdirSync(logDir('lr_test')).sort(), ['b-1.json', 'b-2.json']);
+    const other = await sandbox.run(['log:list'], { env: { LOCALRANK_API_KEY: 'lr_other' } });
+    assert.strictEqual(other.json.count, 0);
+  });
+
+  test('log:add refuses a bad or future date and an empty action', async () => {
+    const bad = await log('--business', 'acme', '--action', 'x', '--date', '2026-02-30');
+    assert.strictEqual(bad.code, 1);
+    assert.match(bad.stderr, /Invalid date '2026-02-30'/);
+    const future = await log('--business', 'acme', '--action', 'x', '--date', '2099-01-01');
+    assert.match(future.stderr, /2099-01-01 is in the future/);
+    const empty = await log('--business', 'acme', '--action', ' ');
+    assert.match(empty.stderr, /An action is required/);
+  });
+
+  test('log:list shows every client\'s work newest first, or one client\'s', async () => {
+    const all = await sandbox.run(['log:list']);
+    assert.deepStrictEqual(all.json.entries.map(e => [e.business_name, e.date]), [
+      ['Acme Plumbing', '2026-06-20'],
+      ["Joe's Roofing", '2026-06-10'],
+      ['Acme Plumbing', '2026-06-05']
+    ]);
+    const acmeOnly = await sandbox.run(['log:list', '--business', 'acme']);
+    assert.strictEqual(acmeOnly.json.count, 2);
+  });
+
+  test('log:impact compares the scans either side of each entry over shared keywords', async () => {
+    const { code, json, stderr } = await sandbox.run(['log:impact', '--business', 'acme']);
+    assert.strictEqual(code, 0, stderr);
+    const [superBoost, photos] = json.interventions;
+    assert.strictEqual(superBoost.before_scan.scan_id, 's-1');
+    assert.strictEqual(superBoost.after_scan.scan_id, 's-2');
+    // boiler wasn't tracked before, so it is left out
+    assert.deepStrictEqual([superBoost.before_rank, superBoost.after_rank, superBoost.avg_rank_change], [10, 7, 3]);
+    assert.strictEqual(superBoost.verdict, 'improved');
+    assert.strictEqual(superBoost.days, 14);
+    assert.strictEqual(photos.verdict, 'no scan since');
+  });
+
+  test('email:draft mentions recent work', async () => {
+    await log('--business', 'acme', '--action', 'Replied to every review');
+    const { json } = await sandbox.run(['email:draft', '--business', 'acme']);
+    assert.match(json.email_draft, /What We Worked On:\*\*\n- Replied to every review \(\w+ \d+\)/);
+    assert.ok(!json.email_draft.includes('Started SuperBoost'));
+  });
+
+  test('log:remove deletes one entry', async () => {
+    const { json: list } = await sandbox.run(['log:list', '--business', 'acme']);
+    const photos = list.entries.find(e => e.action === 'Added 20 photos');
+    const { json } = await sandbox.run(['log:remove', '--business', 'acme', '--id', photos.id]);
+    assert.strictEqual(json.remaining, 2);
+
+    const again = await sandbox.run(['log:remove', '--business', 'acme', '--id', photos.id]);
+    assert.match(again.json.error, /No work log entry/);
+  });
+});